@@ -1,14 +1,24 @@
 // App.jsx
-import React, { useState, useEffect } from 'react';
-import { Platform } from 'react-native';
+import React, { useState, useEffect, useMemo } from 'react';
+import { Platform, AppState, View } from 'react-native';
 import { NavigationContainer } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { TailwindProvider } from 'tailwind-rn';
 import utilities from './tailwind.json'; // Ensure this path is correct
-import { registerForPushNotificationsAsync, handleNotification } from './services/notifications';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { registerPushToken } from './services/api';
+import { registerNotificationCategories, foregroundPresentation, deliveryForNotification } from './services/notifications';
+import { initNotificationPreferences, DELIVERY } from './services/notificationPreferences';
+import { initPushTokens } from './services/pushTokens';
+import { initLocalAlerts } from './services/localAlerts';
+import { handleNotificationAction } from './services/notificationActions';
+import { initNotificationCenter, recordPushNotification } from './services/notificationCenter';
+import { syncOfflineQueue, syncServerClock, refreshAccessToken, logoutUser } from './services/api';
+import { loadSession, isSessionExpired } from './services/session';
+import { initAppLock, reportActivity } from './services/appLock';
+import { navigationRef, loginRouteForRole, dashboardRouteForRole } from './services/navigation';
+import { createLinking } from './services/deepLinks';
 import * as Notifications from 'expo-notifications';
+import SessionExpiryPrompt from './components/SessionExpiryPrompt';
+import AppLockScreen from './components/AppLockScreen';
 
 // Import Screens
 import RegistrationScreen from './screens/Registration';
@@ -28,16 +38,16 @@ import EvidenceStoreSecure from './screens/EvidenceStoreSecure';
 import AcknowledgementScreen from './screens/Acknowledgement';
 import BlockchainVerificationScreen from './screens/BlockchainVerification';
 import SOSAlertsScreen from './screens/SOSAlerts';
+import ConnectionSettingsScreen from './screens/ConnectionSettings';
+import NotificationsScreen from './screens/Notifications';
+import EscalationPoliciesScreen from './screens/EscalationPolicies';
 // import DebugStorageScreen from './screens/DebugStorage';
 
 const Stack = createNativeStackNavigator();
 
+// In the foreground notifications are shown silently, except SOS alerts.
 Notifications.setNotificationHandler({
-  handleNotification: async () => ({
-    shouldShowAlert: true,
-    shouldPlaySound: false,
-    shouldSetBadge: false,
-  }),
+  handleNotification: async notification => foregroundPresentation(notification),
 });
 
 export default function App() {
@@ -50,24 +60,24 @@ export default function App() {
   useEffect(() => {
     const checkExistingSession = async () => {
       try {
-        const userToken = await AsyncStorage.getItem('userToken');
-        const userData = await AsyncStorage.getItem('user');
+        // Also migrates a session stored by older builds (services/session.js).
+        const session = await loadSession();
+        // A stored session opens behind the PIN lock.
+        await initAppLock();
         
-        if (userToken && userData) {
-          const user = JSON.parse(userData);
-          console.log('[App] Found existing session for user:', user.username, 'role:', user.role);
+        // An expired token is refreshed before any dashboard opens; if that
+        // fails the user signs in again instead of landing on a dead session.
+        if (session && isSessionExpired(session) && !(await refreshAccessToken())) {
+          console.log('[App] Stored session for', session.user?.username, 'has expired');
+          await logoutUser();
+          setInitialRoute(loginRouteForRole(session.role));
+        } else if (session) {
+          console.log('[App] Found existing session for user:', session.user?.username, 'role:', session.role);
           
           // Navigate to appropriate dashboard based on role
-          if (user.role === 'admin') {
-            setInitialRoute('AdminDashboard');
-          } else if (user.role === 'security') {
-            setInitialRoute('SecurityDashboard');
-          } else if (user.role === 'viewer') {
-            setInitialRoute('ViewerDashboard');
-          } else {
-            console.warn('[App] Unknown role:', user.role);
-            setInitialRoute('Registration');
-          }
+          const dashboard = dashboardRouteForRole(session.role);
+          if (!dashboard) console.warn('[App] Unknown role:', session.role);
+          setInitialRoute(dashboard || 'Registration');
         } else {
           console.log('[App] No existing session found');
           setInitialRoute('Registration');
@@ -83,36 +93,57 @@ export default function App() {
     checkExistingSession();
   }, []);
 
+  // Replay writes queued while offline on launch and whenever the app returns
+  // to the foreground (successful requests also trigger a replay).
+  // The server clock is measured the same way, for SOS countdowns (the phone's
+  // clock may have been changed while the app was in the background).
   useEffect(() => {
-    // Register for push notifications and persist token locally.
-    registerForPushNotificationsAsync().then(async token => {
-      setExpoPushToken(token);
-      try {
-        if (token) await AsyncStorage.setItem('expoPushToken', token);
-      } catch (err) {
-        console.warn('Failed to persist expo push token', err);
-      }
-
-      // If the user is already authenticated, try to register the push token with backend.
-      try {
-        const authToken = await AsyncStorage.getItem('userToken');
-        if (authToken && token) {
-          const res = await registerPushToken(token, authToken);
-          if (res.success) console.log('Push token registered with backend');
-          else console.warn('Push token registration failed:', res.message);
-        }
-      } catch (err) {
-        console.warn('Error while auto-registering push token', err);
-      }
+    syncOfflineQueue();
+    syncServerClock();
+    const subscription = AppState.addEventListener('change', state => {
+      if (state !== 'active') return;
+      syncOfflineQueue();
+      syncServerClock({ force: true });
     });
+    return () => subscription.remove();
+  }, []);
 
+  useEffect(() => {
+    // Get the push token and keep its backend registration in step with the
+    // session (login, logout, account and site switches). Without a token the
+    // app polls for alerts itself and raises them as local notifications.
+    initPushTokens()
+      .then(token => setExpoPushToken(token || ''))
+      .catch(err => console.warn('Error initialising push tokens', err))
+      .finally(() => initLocalAlerts());
+
+    // Pushes the user's preferences let through land in the notification
+    // center; one opened from the tray (possibly never seen in the
+    // foreground) is recorded as read.
+    initNotificationPreferences();
+    initNotificationCenter();
     const notificationListener = Notifications.addNotificationReceivedListener(notification => {
       setNotification(notification);
+      if (deliveryForNotification(notification) !== DELIVERY.DROP) recordPushNotification(notification);
     });
 
+    // Taps on notifications are handled by the linking config below; the
+    // Acknowledge / Mark handled buttons run here without opening any screen.
+    registerNotificationCategories();
     const responseListener = Notifications.addNotificationResponseReceivedListener(response => {
-      handleNotification(response);
+      recordPushNotification(response.notification, { read: true });
+      handleNotificationAction(response);
     });
+    // A button pressed while the app was not running launches it in the background.
+    if (Platform.OS !== 'web') {
+      Notifications.getLastNotificationResponseAsync()
+        .then(response => {
+          if (!response) return;
+          recordPushNotification(response.notification, { read: true });
+          handleNotificationAction(response);
+        })
+        .catch(err => console.warn('Error reading last notification response', err));
+    }
 
     return () => {
       // Only remove subscriptions on native platforms, not on web
@@ -131,41 +162,55 @@ export default function App() {
     };
   }, []);
 
+  // Links open on top of the dashboard the session starts on.
+  const linking = useMemo(() => createLinking(initialRoute), [initialRoute]);
+
   // Show loading screen while checking authentication
   if (!isReady) {
     return null; // Or a loading spinner
   }
 
+  // Every touch counts as activity for the inactivity lock; the capture
+  // handler only watches and never takes the touch.
   return (
     <TailwindProvider utilities={utilities}>
-      <NavigationContainer>
-        <Stack.Navigator initialRouteName={initialRoute}>
-          <Stack.Screen name="Registration" component={RegistrationScreen} options={{ headerShown: false }} />
-          <Stack.Screen name="SecurityLogin" component={SecurityLoginScreen} options={{ title: 'Security Login' }} />
-          <Stack.Screen name="ViewerLogin" component={ViewerLoginScreen} options={{ title: 'Viewer Login' }} />
-          <Stack.Screen name="AdminLogin" component={AdminLoginScreen} options={{ title: 'Admin Login' }} />
-          <Stack.Screen name="SecurityDashboard" component={SecurityDashboardScreen} options={{ headerShown: false }} />
-          <Stack.Screen name="ViewerDashboard" component={ViewerDashboardScreen} options={{ headerShown: false }} />
-          <Stack.Screen name="AdminDashboard" component={AdminDashboardScreen} options={{ headerShown: false }} />
-          <Stack.Screen name="IncidentList" component={IncidentListScreen} options={{ title: 'Incidents' }} />
-          <Stack.Screen name="IncidentDetail" component={IncidentDetailScreen} options={{ title: 'Incident Detail' }} />
-          <Stack.Screen name="GrantAccess" component={GrantAccessScreen} options={{ title: 'Grant Access' }} />
-          <Stack.Screen name="AdminProfile" component={AdminProfileScreen} options={{ title: 'Admin Profile' }} />
-          <Stack.Screen name="EvidenceStore" component={EvidenceStoreSecure} options={{ title: 'Evidence Store' }} />
-          <Stack.Screen name="Acknowledgement" component={AcknowledgementScreen} options={{ title: 'Acknowledge / Report' }} />
-          <Stack.Screen name="Profile" component={ProfileScreen} options={{ title: 'Profile' }} />
-          <Stack.Screen
-            name="BlockchainVerification"
-            component={BlockchainVerificationScreen}
-            options={{ headerShown: false }}
-          />
-          <Stack.Screen
-            name="SOSAlerts"
-            component={SOSAlertsScreen}
-            options={{ headerShown: false }}
-          />
-        </Stack.Navigator>
-      </NavigationContainer>
+      <View style={{ flex: 1 }} onStartShouldSetResponderCapture={() => { reportActivity(); return false; }}>
+        <NavigationContainer ref={navigationRef} linking={linking}>
+          <Stack.Navigator initialRouteName={initialRoute}>
+            <Stack.Screen name="Registration" component={RegistrationScreen} options={{ headerShown: false }} />
+            <Stack.Screen name="SecurityLogin" component={SecurityLoginScreen} options={{ title: 'Security Login' }} />
+            <Stack.Screen name="ViewerLogin" component={ViewerLoginScreen} options={{ title: 'Viewer Login' }} />
+            <Stack.Screen name="AdminLogin" component={AdminLoginScreen} options={{ title: 'Admin Login' }} />
+            <Stack.Screen name="SecurityDashboard" component={SecurityDashboardScreen} options={{ headerShown: false }} />
+            <Stack.Screen name="ViewerDashboard" component={ViewerDashboardScreen} options={{ headerShown: false }} />
+            <Stack.Screen name="AdminDashboard" component={AdminDashboardScreen} options={{ headerShown: false }} />
+            <Stack.Screen name="IncidentList" component={IncidentListScreen} options={{ title: 'Incidents' }} />
+            <Stack.Screen name="IncidentDetail" component={IncidentDetailScreen} options={{ title: 'Incident Detail' }} />
+            <Stack.Screen name="GrantAccess" component={GrantAccessScreen} options={{ title: 'Grant Access' }} />
+            <Stack.Screen name="AdminProfile" component={AdminProfileScreen} options={{ title: 'Admin Profile' }} />
+            <Stack.Screen name="EvidenceStore" component={EvidenceStoreSecure} options={{ title: 'Evidence Store' }} />
+            <Stack.Screen name="Acknowledgement" component={AcknowledgementScreen} options={{ title: 'Acknowledge / Report' }} />
+            <Stack.Screen name="Profile" component={ProfileScreen} options={{ title: 'Profile' }} />
+            <Stack.Screen
+              name="BlockchainVerification"
+              component={BlockchainVerificationScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen
+              name="SOSAlerts"
+              component={SOSAlertsScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen name="ConnectionSettings" component={ConnectionSettingsScreen} options={{ title: 'Connection Settings' }} />
+            <Stack.Screen name="Notifications" component={NotificationsScreen} options={{ headerShown: false }} />
+            <Stack.Screen name="EscalationPolicies" component={EscalationPoliciesScreen} options={{ title: 'Escalation Policies' }} />
+          </Stack.Navigator>
+        </NavigationContainer>
+        {/* Expiry warning and the re-login sheet, over whatever screen is open */}
+        <SessionExpiryPrompt />
+        {/* PIN lock over everything, including the sheets above */}
+        <AppLockScreen />
+      </View>
     </TailwindProvider>
   );
 }
\ No newline at end of file
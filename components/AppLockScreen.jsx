@@ -0,0 +1,205 @@
+// components/AppLockScreen.jsx
+// Mounted once over the navigator (App.jsx). While services/appLock.js has
+// the app locked it covers every screen, dialogs included, with a PIN pad:
+// to unlock, to choose a PIN after login, and to change it or set a duress PIN
+// from the profile screens (current PIN first, where only the real PIN
+// passes). Signing out is the way out for a forgotten PIN. A duress PIN
+// unlocks here like any other.
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, Modal, ActivityIndicator, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import useAppLock from '../hooks/useAppLock';
+import useSession from '../hooks/useSession';
+import {
+  unlockApp,
+  verifyPin,
+  setPin,
+  setDuressPin,
+  removeDuressPin,
+  hasDuressPin,
+  cancelPinChange,
+  isChangingDuressPin,
+  isWeakPin,
+  LOCK_STATUS,
+  PIN_LENGTH,
+} from '../services/appLock';
+import { logoutUser } from '../services/api';
+import { resetTo, loginRouteForRole } from '../services/navigation';
+
+const STEPS = { UNLOCK: 'unlock', CURRENT: 'current', CHOOSE: 'choose', CONFIRM: 'confirm' };
+
+const TITLES = {
+  [STEPS.UNLOCK]: 'Enter your PIN',
+  [STEPS.CURRENT]: 'Enter your current PIN',
+  [STEPS.CHOOSE]: 'Choose a PIN',
+  [STEPS.CONFIRM]: 'Confirm your PIN',
+};
+
+const KEYS = [['1', '2', '3'], ['4', '5', '6'], ['7', '8', '9'], [null, '0', 'delete']];
+
+function firstStep(status) {
+  if (status === LOCK_STATUS.SETUP) return STEPS.CHOOSE;
+  if (status === LOCK_STATUS.CHANGING) return STEPS.CURRENT;
+  return STEPS.UNLOCK;
+}
+
+export default function AppLockScreen() {
+  const { status, locked } = useAppLock();
+  const { user, role } = useSession();
+  const changing = status === LOCK_STATUS.CHANGING;
+  const duress = changing && isChangingDuressPin();
+  const [step, setStep] = useState(firstStep(status));
+  const [entry, setEntry] = useState('');
+  const [chosen, setChosen] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [duressSet, setDuressSet] = useState(false);
+
+  useEffect(() => {
+    setStep(firstStep(status));
+    setEntry('');
+    setChosen(null);
+    setError(null);
+    setDuressSet(false);
+  }, [status]);
+
+  const submit = async pin => {
+    setEntry('');
+    if (step === STEPS.CHOOSE) {
+      if (isWeakPin(pin)) {
+        setError('Choose a PIN that is harder to guess.');
+        return;
+      }
+      setChosen(pin);
+      setStep(STEPS.CONFIRM);
+      return;
+    }
+    if (step === STEPS.CONFIRM && pin !== chosen) {
+      setError('The PINs did not match. Try again.');
+      setChosen(null);
+      setStep(STEPS.CHOOSE);
+      return;
+    }
+    setBusy(true);
+    let res;
+    if (step === STEPS.UNLOCK) res = await unlockApp(pin);
+    else if (step === STEPS.CURRENT) res = await verifyPin(pin);
+    else res = await (duress ? setDuressPin(pin) : setPin(pin));
+    setBusy(false);
+    if (res.success) {
+      if (step === STEPS.CURRENT) {
+        if (duress) setDuressSet(await hasDuressPin());
+        setStep(STEPS.CHOOSE);
+      }
+      return;
+    }
+    // After too many wrong PINs the user has been signed out and this closes.
+    if (res.data?.signedOut) return;
+    setError(res.message);
+    if (step === STEPS.CONFIRM) {
+      setChosen(null);
+      setStep(STEPS.CHOOSE);
+    }
+  };
+
+  const press = key => {
+    if (busy) return;
+    if (key === 'delete') {
+      setEntry(prev => prev.slice(0, -1));
+      return;
+    }
+    const next = entry + key;
+    setError(null);
+    if (next.length < PIN_LENGTH) setEntry(next);
+    else submit(next);
+  };
+
+  const confirmRemoveDuress = () => {
+    Alert.alert('Remove Duress PIN', 'Entering it will no longer alert security.', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Remove', style: 'destructive', onPress: removeDuressPin },
+    ]);
+  };
+
+  const signOut = async () => {
+    const signedInRole = role;
+    await logoutUser();
+    resetTo(loginRouteForRole(signedInRole));
+  };
+
+  const choosing = step === STEPS.CHOOSE || step === STEPS.CONFIRM;
+  let title = TITLES[step];
+  let subtitle = `Signed in as ${user?.username || user?.email || 'unknown user'}`;
+  if (choosing && duress) {
+    title = step === STEPS.CHOOSE ? 'Choose a duress PIN' : 'Confirm your duress PIN';
+    subtitle = 'It unlocks the app as usual and silently alerts security. Use it only if someone forces you to open the app.';
+  } else if (choosing) {
+    subtitle = `${PIN_LENGTH} digits, asked for whenever the app locks on this phone.`;
+  }
+
+  return (
+    <Modal visible={locked} animationType="fade" statusBarTranslucent onRequestClose={changing ? cancelPinChange : () => {}}>
+      <View style={{ flex: 1, backgroundColor: '#111827', alignItems: 'center', justifyContent: 'center', padding: 24 }}>
+        <Ionicons name={step === STEPS.UNLOCK ? 'lock-closed' : 'keypad'} size={40} color="#A5B4FC" />
+        <Text style={{ color: '#FFFFFF', fontSize: 22, fontWeight: 'bold', marginTop: 16 }}>{title}</Text>
+        <Text style={{ color: '#9CA3AF', fontSize: 14, marginTop: 6, textAlign: 'center' }}>{subtitle}</Text>
+
+        <View style={{ flexDirection: 'row', marginTop: 28, height: 24, alignItems: 'center' }}>
+          {busy ? (
+            <ActivityIndicator size="small" color="#FFFFFF" />
+          ) : (
+            Array.from({ length: PIN_LENGTH }, (_, i) => (
+              <View
+                key={i}
+                style={{
+                  width: 16,
+                  height: 16,
+                  borderRadius: 8,
+                  marginHorizontal: 10,
+                  borderWidth: 2,
+                  borderColor: '#A5B4FC',
+                  backgroundColor: i < entry.length ? '#A5B4FC' : 'transparent',
+                }}
+              />
+            ))
+          )}
+        </View>
+        <Text style={{ color: '#F87171', fontSize: 13, marginTop: 12, minHeight: 18, textAlign: 'center' }}>{error || ''}</Text>
+
+        <View style={{ marginTop: 16 }}>
+          {KEYS.map((row, r) => (
+            <View key={r} style={{ flexDirection: 'row' }}>
+              {row.map((key, k) => (key ? (
+                <TouchableOpacity
+                  key={k}
+                  onPress={() => press(key)}
+                  disabled={busy}
+                  style={{ width: 72, height: 72, margin: 8, borderRadius: 36, alignItems: 'center', justifyContent: 'center', backgroundColor: key === 'delete' ? 'transparent' : '#1F2937' }}
+                >
+                  {key === 'delete' ? (
+                    <Ionicons name="backspace-outline" size={26} color="#FFFFFF" />
+                  ) : (
+                    <Text style={{ color: '#FFFFFF', fontSize: 26, fontWeight: '600' }}>{key}</Text>
+                  )}
+                </TouchableOpacity>
+              ) : (
+                <View key={k} style={{ width: 72, height: 72, margin: 8 }} />
+              )))}
+            </View>
+          ))}
+        </View>
+
+        {duress && duressSet && step === STEPS.CHOOSE ? (
+          <TouchableOpacity onPress={confirmRemoveDuress} disabled={busy} style={{ marginTop: 20, padding: 10 }}>
+            <Text style={{ color: '#F87171', fontWeight: '600' }}>Remove duress PIN</Text>
+          </TouchableOpacity>
+        ) : null}
+        <TouchableOpacity onPress={changing ? cancelPinChange : signOut} disabled={busy} style={{ marginTop: 20, padding: 10 }}>
+          <Text style={{ color: '#9CA3AF', fontWeight: '600' }}>
+            {changing ? 'Cancel' : step === STEPS.UNLOCK ? 'Forgot PIN? Sign out' : 'Sign out'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+    </Modal>
+  );
+}
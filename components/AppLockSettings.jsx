@@ -0,0 +1,72 @@
+// components/AppLockSettings.jsx
+// App lock settings for the profile screens: how long the app may sit
+// untouched before it locks, whether leaving it locks it at once, a PIN
+// change and the duress PIN (both walked through on the lock screen, after the
+// current PIN; whether a duress PIN is set is not shown here). Stored on the
+// device by services/appLock.js.
+import React from 'react';
+import { View, Text, TouchableOpacity, Switch } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import useAppLock from '../hooks/useAppLock';
+import { beginPinChange, INACTIVITY_OPTIONS } from '../services/appLock';
+
+export default function AppLockSettings({ style }) {
+  const { settings, updateSettings } = useAppLock();
+
+  return (
+    <View style={[{ padding: 12, borderRadius: 8, backgroundColor: '#F9FAFB', borderWidth: 1, borderColor: '#E5E7EB' }, style]}>
+      <Text style={{ fontSize: 13, fontWeight: '600', color: '#374151' }}>Lock after inactivity</Text>
+      <View style={{ flexDirection: 'row', flexWrap: 'wrap', marginTop: 8 }}>
+        {INACTIVITY_OPTIONS.map(minutes => {
+          const selected = settings.inactivityMinutes === minutes;
+          return (
+            <TouchableOpacity
+              key={minutes}
+              onPress={() => updateSettings({ inactivityMinutes: minutes })}
+              style={{
+                paddingHorizontal: 12,
+                paddingVertical: 6,
+                borderRadius: 16,
+                borderWidth: 1,
+                borderColor: selected ? '#6366F1' : '#D1D5DB',
+                backgroundColor: selected ? '#EEF2FF' : '#FFFFFF',
+                marginRight: 8,
+                marginBottom: 8,
+              }}
+            >
+              <Text style={{ fontSize: 13, color: selected ? '#4F46E5' : '#4B5563', fontWeight: selected ? '600' : '400' }}>
+                {minutes} min
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', marginTop: 4 }}>
+        <Text style={{ fontSize: 13, color: '#4B5563', flex: 1, marginRight: 8 }}>
+          Lock as soon as I leave the app
+        </Text>
+        <Switch value={settings.lockOnBackground} onValueChange={lockOnBackground => updateSettings({ lockOnBackground })} />
+      </View>
+
+      <TouchableOpacity
+        onPress={() => beginPinChange()}
+        style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'center', marginTop: 12, paddingVertical: 10, borderRadius: 8, borderWidth: 1, borderColor: '#6366F1' }}
+      >
+        <Ionicons name="keypad-outline" size={16} color="#4F46E5" style={{ marginRight: 6 }} />
+        <Text style={{ color: '#4F46E5', fontWeight: '700' }}>Change PIN</Text>
+      </TouchableOpacity>
+
+      <Text style={{ fontSize: 13, fontWeight: '600', color: '#374151', marginTop: 16 }}>Duress PIN</Text>
+      <Text style={{ fontSize: 12, color: '#9CA3AF', marginTop: 2 }}>
+        If someone forces you to open the app, enter this instead of your PIN. The app opens as usual and security is alerted silently.
+      </Text>
+      <TouchableOpacity
+        onPress={() => beginPinChange({ duress: true })}
+        style={{ alignItems: 'center', marginTop: 10, paddingVertical: 10, borderRadius: 8, borderWidth: 1, borderColor: '#6366F1' }}
+      >
+        <Text style={{ color: '#4F46E5', fontWeight: '700' }}>Manage Duress PIN</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
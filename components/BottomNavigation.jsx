@@ -3,9 +3,11 @@ import React from 'react';
 import { View, TouchableOpacity, Text } from 'react-native';
 import { useTailwind } from 'tailwind-rn';
 import { Ionicons } from '@expo/vector-icons';
+import useNotificationCenter from '../hooks/useNotificationCenter';
 
 const BottomNavigation = ({ navigation, activeRoute, role = 'viewer' }) => {
   const tailwind = useTailwind();
+  const { unreadCount } = useNotificationCenter();
 
   const getNavItems = () => {
     if (role === 'admin') {
@@ -13,12 +15,14 @@ const BottomNavigation = ({ navigation, activeRoute, role = 'viewer' }) => {
         { name: 'Home', route: 'AdminDashboard', icon: 'home' },
         { name: 'Incidents', route: 'IncidentList', icon: 'list' },
         { name: 'Security', route: 'GrantAccess', icon: 'shield' },
+        { name: 'Alerts', route: 'Notifications', icon: 'notifications', badge: true },
         { name: 'Profile', route: 'AdminProfile', icon: 'person' },
       ];
     } else if (role === 'security') {
       return [
         { name: 'Home', route: 'SecurityDashboard', icon: 'home' },
         { name: 'SOS Alerts', route: 'IncidentList', icon: 'alert-circle' },
+        { name: 'Alerts', route: 'Notifications', icon: 'notifications', badge: true },
         { name: 'Profile', route: 'Profile', icon: 'person' },
       ];
     } else {
@@ -26,6 +30,7 @@ const BottomNavigation = ({ navigation, activeRoute, role = 'viewer' }) => {
         { name: 'Home', route: 'ViewerDashboard', icon: 'home' },
         { name: 'Incidents', route: 'IncidentList', icon: 'list' },
         { name: 'Report', route: 'Acknowledgement', icon: 'add-circle' },
+        { name: 'Alerts', route: 'Notifications', icon: 'notifications', badge: true },
         { name: 'Profile', route: 'Profile', icon: 'person' },
       ];
     }
@@ -58,11 +63,31 @@ const BottomNavigation = ({ navigation, activeRoute, role = 'viewer' }) => {
             activeOpacity={0.7}
           >
             <View style={tailwind('items-center')}>
-              <Ionicons 
-                name={isActive ? item.icon : `${item.icon}-outline`} 
-                size={24} 
-                color={isActive ? '#6366F1' : '#9CA3AF'} 
-              />
+              <View>
+                <Ionicons 
+                  name={isActive ? item.icon : `${item.icon}-outline`} 
+                  size={24} 
+                  color={isActive ? '#6366F1' : '#9CA3AF'} 
+                />
+                {item.badge && unreadCount > 0 && (
+                  <View style={{
+                    position: 'absolute',
+                    top: -4,
+                    right: -10,
+                    backgroundColor: '#EF4444',
+                    borderRadius: 9,
+                    minWidth: 18,
+                    height: 18,
+                    justifyContent: 'center',
+                    alignItems: 'center',
+                    paddingHorizontal: 4
+                  }}>
+                    <Text style={{ fontSize: 10, fontWeight: 'bold', color: '#FFFFFF' }}>
+                      {unreadCount > 99 ? '99+' : unreadCount}
+                    </Text>
+                  </View>
+                )}
+              </View>
               <Text
                 style={[
                   tailwind('text-xs mt-1'),
@@ -0,0 +1,122 @@
+// components/EscalationTimeline.jsx
+// The escalation chain for an incident's severity (services/escalation.js)
+// with the stage the backend has reached. Stages already run are ticked, the
+// next one shows when it is due, and admins get a link to edit the policy.
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getEscalationPolicies, getIncidentEscalation } from '../services/api';
+import { ESCALATION_ACTIONS, DEFAULT_ESCALATION_STAGES, describeStage } from '../services/escalation';
+import { serverNow } from '../services/serverClock';
+import { subscribeTick } from '../services/scheduler';
+
+const ACTION_ICONS = {
+  [ESCALATION_ACTIONS.NOTIFY_ASSIGNED]: 'person',
+  [ESCALATION_ACTIONS.NOTIFY_ON_DUTY]: 'people',
+  [ESCALATION_ACTIONS.NOTIFY_ADMINS]: 'shield',
+  [ESCALATION_ACTIONS.CALL_EMERGENCY]: 'call',
+};
+
+export default function EscalationTimeline({ incident, userRole, navigation, style }) {
+  const severity = String(incident.severity || '').toLowerCase();
+  const [policy, setPolicy] = useState(null);
+  const [escalation, setEscalation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [now, setNow] = useState(serverNow());
+
+  useEffect(() => {
+    if (incident.id == null) return undefined;
+    let active = true;
+    setLoading(true);
+    Promise.all([getEscalationPolicies(), getIncidentEscalation(incident.id)])
+      .then(([policies, state]) => {
+        if (!active) return;
+        if (policies.success) setPolicy(policies.data[severity] || null);
+        if (state.success) setEscalation(state.data);
+      })
+      .finally(() => active && setLoading(false));
+    return () => {
+      active = false;
+    };
+  }, [incident.id, severity, incident.acknowledged]);
+
+  const stages = policy ? policy.stages : DEFAULT_ESCALATION_STAGES;
+  const reached = escalation ? escalation.stage : -1;
+  const stopped = incident.acknowledged || escalation?.stopped;
+  const raisedAt = new Date(incident.timestamp || incident.created_at || now).getTime();
+
+  // Keeps "Next, in N min" current while a stage is still to come.
+  const counting = !loading && !stopped && reached + 1 < stages.length;
+  useEffect(() => {
+    if (!counting) return undefined;
+    setNow(serverNow());
+    return subscribeTick(setNow);
+  }, [counting]);
+  const ranAt = index => escalation?.history.find(entry => entry.stage === index)?.at;
+
+  return (
+    <View style={[{ backgroundColor: '#FFFFFF', borderRadius: 12, padding: 16, marginBottom: 16 }, style]}>
+      <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 12 }}>
+        <Ionicons name="git-network" size={20} color="#4F46E5" style={{ marginRight: 8 }} />
+        <Text style={{ fontSize: 16, fontWeight: '700', color: '#1F2937', flex: 1 }}>Escalation</Text>
+        {userRole === 'admin' && navigation && (
+          <TouchableOpacity onPress={() => navigation.navigate('EscalationPolicies', { severity })}>
+            <Text style={{ fontSize: 13, fontWeight: '600', color: '#4F46E5' }}>Edit policy</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {loading ? (
+        <ActivityIndicator size="small" color="#4F46E5" />
+      ) : (
+        <>
+          <Text style={{ fontSize: 12, color: '#6B7280', marginBottom: 10 }}>
+            {policy ? `${severity.toUpperCase()} policy` : 'Default policy'}
+            {stopped ? ' · stopped, incident acknowledged' : ''}
+          </Text>
+          {stages.map((stage, index) => {
+            const done = index <= reached;
+            const next = !stopped && index === reached + 1;
+            const dueAt = next && escalation?.nextAt
+              ? new Date(escalation.nextAt).getTime()
+              : raisedAt + stage.afterMinutes * 60000;
+            const minutesLeft = Math.ceil((dueAt - now) / 60000);
+            const at = ranAt(index);
+            return (
+              <View key={index} style={{ flexDirection: 'row', alignItems: 'flex-start', marginBottom: 10 }}>
+                <View style={{
+                  width: 28,
+                  height: 28,
+                  borderRadius: 14,
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  marginRight: 10,
+                  backgroundColor: done ? '#D1FAE5' : next ? '#FEE2E2' : '#F3F4F6',
+                }}>
+                  <Ionicons
+                    name={done ? 'checkmark' : ACTION_ICONS[stage.action] || 'ellipse'}
+                    size={16}
+                    color={done ? '#059669' : next ? '#DC2626' : '#9CA3AF'}
+                  />
+                </View>
+                <View style={{ flex: 1 }}>
+                  <Text style={{ fontSize: 14, color: stopped && !done ? '#9CA3AF' : '#1F2937', fontWeight: next ? '700' : '500' }}>
+                    {describeStage(stage)}
+                  </Text>
+                  {done && at ? (
+                    <Text style={{ fontSize: 12, color: '#059669', marginTop: 2 }}>Done {new Date(at).toLocaleTimeString()}</Text>
+                  ) : null}
+                  {next ? (
+                    <Text style={{ fontSize: 12, color: '#DC2626', marginTop: 2 }}>
+                      {minutesLeft > 0 ? `Next, in ${minutesLeft} min` : 'Next, due now'}
+                    </Text>
+                  ) : null}
+                </View>
+              </View>
+            );
+          })}
+        </>
+      )}
+    </View>
+  );
+}
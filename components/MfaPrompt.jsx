@@ -0,0 +1,129 @@
+// components/MfaPrompt.jsx
+// The second login step for accounts with two-step verification: a sheet
+// asking for the 6-digit code from the authenticator app, or one of the
+// account's backup codes instead. Shown while `challenge` (the data of an
+// mfaRequired result from loginUser() / reauthenticate()) is set; answers it
+// with verifyMfa() and calls onVerified with the result.
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, Modal, ActivityIndicator, KeyboardAvoidingView, Platform } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { verifyMfa } from '../services/api';
+import { TOTP_DEFAULTS } from '../services/totp';
+
+export default function MfaPrompt({ challenge, onVerified, onCancel }) {
+  const [code, setCode] = useState('');
+  const [useBackup, setUseBackup] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setCode('');
+    setUseBackup(false);
+    setError(null);
+  }, [challenge]);
+
+  const canUseBackup = !challenge || challenge.methods.includes('backup_code');
+
+  const submit = async (value = code) => {
+    const entered = value.trim();
+    if (!useBackup && !new RegExp(`^\\d{${TOTP_DEFAULTS.digits}}$`).test(entered)) {
+      setError(`Enter the ${TOTP_DEFAULTS.digits}-digit code.`);
+      return;
+    }
+    if (useBackup && !entered) {
+      setError('Enter one of your backup codes.');
+      return;
+    }
+    setBusy(true);
+    setError(null);
+    const res = await verifyMfa(challenge, useBackup ? { backupCode: entered } : { code: entered });
+    setBusy(false);
+    if (res.success) {
+      onVerified?.(res);
+    } else {
+      setCode('');
+      setError(res.message);
+    }
+  };
+
+  // Authenticator codes submit themselves once complete.
+  const changeCode = value => {
+    const next = useBackup ? value : value.replace(/\D/g, '');
+    setCode(next);
+    setError(null);
+    if (!useBackup && next.length === TOTP_DEFAULTS.digits) submit(next);
+  };
+
+  const toggleBackup = () => {
+    setUseBackup(prev => !prev);
+    setCode('');
+    setError(null);
+  };
+
+  return (
+    <Modal visible={!!challenge} transparent animationType="slide" onRequestClose={onCancel}>
+      <KeyboardAvoidingView behavior={Platform.OS === 'ios' ? 'padding' : undefined} style={{ flex: 1 }}>
+        <View style={{ flex: 1, justifyContent: 'flex-end', backgroundColor: 'rgba(0,0,0,0.5)' }}>
+          <View style={{ backgroundColor: '#FFFFFF', borderTopLeftRadius: 20, borderTopRightRadius: 20, padding: 24, paddingBottom: 40 }}>
+            <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 6 }}>
+              <Ionicons name="shield-checkmark" size={22} color="#4F46E5" style={{ marginRight: 8 }} />
+              <Text style={{ fontSize: 20, fontWeight: 'bold', color: '#1F2937' }}>Two-Step Verification</Text>
+            </View>
+            <Text style={{ fontSize: 14, color: '#6B7280', marginBottom: 16 }}>
+              {useBackup
+                ? 'Enter one of the backup codes you saved when you turned on two-step verification. Each works once.'
+                : `Enter the ${TOTP_DEFAULTS.digits}-digit code from your authenticator app for ${challenge?.usernameOrEmail || 'your account'}.`}
+            </Text>
+            <TextInput
+              value={code}
+              onChangeText={changeCode}
+              placeholder={useBackup ? 'Backup code' : '123456'}
+              placeholderTextColor="#9CA3AF"
+              keyboardType={useBackup ? 'default' : 'number-pad'}
+              autoCapitalize="none"
+              autoCorrect={false}
+              maxLength={useBackup ? 32 : TOTP_DEFAULTS.digits}
+              textContentType="oneTimeCode"
+              autoComplete="one-time-code"
+              autoFocus
+              editable={!busy}
+              onSubmitEditing={() => submit()}
+              style={{
+                borderWidth: 1,
+                borderColor: error ? '#EF4444' : '#D1D5DB',
+                borderRadius: 10,
+                padding: 14,
+                fontSize: useBackup ? 16 : 24,
+                letterSpacing: useBackup ? 0 : 8,
+                textAlign: 'center',
+                color: '#1F2937',
+              }}
+            />
+            {error ? <Text style={{ color: '#EF4444', fontSize: 13, marginTop: 6 }}>{error}</Text> : null}
+            <TouchableOpacity
+              onPress={() => submit()}
+              disabled={busy}
+              style={{ marginTop: 16, paddingVertical: 14, borderRadius: 10, alignItems: 'center', backgroundColor: busy ? '#A5B4FC' : '#6366F1' }}
+            >
+              {busy ? (
+                <ActivityIndicator size="small" color="#FFFFFF" />
+              ) : (
+                <Text style={{ color: '#FFFFFF', fontWeight: '700', fontSize: 15 }}>Verify</Text>
+              )}
+            </TouchableOpacity>
+            {canUseBackup && (
+              <TouchableOpacity onPress={toggleBackup} disabled={busy} style={{ marginTop: 12, paddingVertical: 8, alignItems: 'center' }}>
+                <Text style={{ color: '#4F46E5', fontWeight: '600' }}>
+                  {useBackup ? 'Use the authenticator app instead' : 'Use a backup code instead'}
+                </Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity onPress={onCancel} disabled={busy} style={{ paddingVertical: 8, alignItems: 'center' }}>
+              <Text style={{ color: '#6B7280', fontWeight: '600' }}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+}
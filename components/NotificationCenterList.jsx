@@ -0,0 +1,111 @@
+// components/NotificationCenterList.jsx
+// The notification center list shared by every role: entries grouped by day,
+// unread ones highlighted, a "Mark all read" action, and a tap that marks the
+// entry read and opens what it refers to (incident, SOS alert or evidence).
+import React from 'react';
+import { View, Text, TouchableOpacity, SectionList, RefreshControl } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import useNotificationCenter from '../hooks/useNotificationCenter';
+import { NOTIFICATION_KINDS } from '../services/notificationCenter';
+import { linkForData, openLink } from '../services/deepLinks';
+
+const KIND_STYLE = {
+  [NOTIFICATION_KINDS.REPORT_HANDLED]: { icon: 'checkmark-circle', color: '#4F46E5', background: '#E0E7FF' },
+  [NOTIFICATION_KINDS.ACCESS_GRANTED]: { icon: 'key', color: '#059669', background: '#D1FAE5' },
+  [NOTIFICATION_KINDS.SOS_STATUS]: { icon: 'alert-circle', color: '#DC2626', background: '#FEE2E2' },
+  [NOTIFICATION_KINDS.EVIDENCE_SHARED]: { icon: 'document-lock', color: '#7C3AED', background: '#EDE9FE' },
+  [NOTIFICATION_KINDS.PUSH]: { icon: 'notifications', color: '#2563EB', background: '#DBEAFE' },
+};
+
+export default function NotificationCenterList({ refreshing = false, onRefresh, emptyText = "You'll see updates from security here." }) {
+  const { sections, unreadCount, markRead, markAllRead } = useNotificationCenter();
+
+  const open = item => {
+    markRead(item.id);
+    const link = linkForData(item.data);
+    if (link) openLink(link);
+  };
+
+  if (sections.length === 0) {
+    return (
+      <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center', padding: 20 }}>
+        <Ionicons name="notifications-off" size={64} color="#D1D5DB" />
+        <Text style={{ fontSize: 18, fontWeight: '600', color: '#1F2937', marginTop: 16 }}>
+          No Notifications
+        </Text>
+        <Text style={{ fontSize: 14, color: '#6B7280', marginTop: 8, textAlign: 'center' }}>
+          {emptyText}
+        </Text>
+      </View>
+    );
+  }
+
+  return (
+    <SectionList
+      sections={sections}
+      keyExtractor={item => item.id}
+      stickySectionHeadersEnabled={false}
+      refreshControl={onRefresh ? <RefreshControl refreshing={refreshing} onRefresh={onRefresh} colors={['#4F46E5']} /> : undefined}
+      contentContainerStyle={{ padding: 16 }}
+      ListHeaderComponent={
+        <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', marginBottom: 4 }}>
+          <Text style={{ fontSize: 13, color: '#6B7280' }}>
+            {unreadCount > 0 ? `${unreadCount} unread` : 'All caught up'}
+          </Text>
+          {unreadCount > 0 && (
+            <TouchableOpacity onPress={markAllRead}>
+              <Text style={{ fontSize: 13, fontWeight: '600', color: '#4F46E5' }}>Mark all read</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      }
+      renderSectionHeader={({ section }) => (
+        <Text style={{ fontSize: 12, fontWeight: '700', color: '#9CA3AF', textTransform: 'uppercase', marginTop: 12, marginBottom: 8 }}>
+          {section.title}
+        </Text>
+      )}
+      renderItem={({ item }) => {
+        const kind = KIND_STYLE[item.kind] || KIND_STYLE[NOTIFICATION_KINDS.PUSH];
+        return (
+          <TouchableOpacity
+            onPress={() => open(item)}
+            activeOpacity={0.8}
+            style={{
+              backgroundColor: item.read ? '#FFFFFF' : '#EEF2FF',
+              borderRadius: 12,
+              padding: 14,
+              marginBottom: 10,
+              borderLeftWidth: 4,
+              borderLeftColor: item.read ? '#E5E7EB' : kind.color,
+              flexDirection: 'row',
+              alignItems: 'flex-start',
+              shadowColor: '#000',
+              shadowOffset: { width: 0, height: 1 },
+              shadowOpacity: 0.05,
+              shadowRadius: 3,
+              elevation: 1,
+            }}
+          >
+            <View style={{ backgroundColor: kind.background, padding: 8, borderRadius: 8, marginRight: 12 }}>
+              <Ionicons name={kind.icon} size={22} color={kind.color} />
+            </View>
+            <View style={{ flex: 1 }}>
+              <Text style={{ fontSize: 15, fontWeight: item.read ? '500' : '700', color: '#1F2937' }}>
+                {item.title}
+              </Text>
+              {!!item.body && (
+                <Text style={{ fontSize: 13, color: '#4B5563', marginTop: 2 }}>{item.body}</Text>
+              )}
+              <Text style={{ fontSize: 12, color: '#9CA3AF', marginTop: 4 }}>
+                {new Date(item.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              </Text>
+            </View>
+            {!item.read && (
+              <View style={{ width: 8, height: 8, borderRadius: 4, backgroundColor: kind.color, marginTop: 6 }} />
+            )}
+          </TouchableOpacity>
+        );
+      }}
+    />
+  );
+}
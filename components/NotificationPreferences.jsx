@@ -0,0 +1,190 @@
+// components/NotificationPreferences.jsx
+// Notification preferences for the profile screens: minimum severity,
+// incident types and cameras to follow, and quiet hours. Saved through
+// services/notificationPreferences.js, which applies them on the device at
+// once and syncs them to the backend.
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, TextInput, Switch, ActivityIndicator, Alert } from 'react-native';
+import useNotificationPreferences from '../hooks/useNotificationPreferences';
+import { getCameraFeeds } from '../services/api';
+import { INCIDENT_TYPE_LABELS, SEVERITY_RANK } from '../services/incidentModel';
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function Chip({ label, selected, onPress }) {
+  return (
+    <TouchableOpacity
+      onPress={onPress}
+      style={{
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: selected ? '#6366F1' : '#D1D5DB',
+        backgroundColor: selected ? '#EEF2FF' : '#FFFFFF',
+        marginRight: 8,
+        marginBottom: 8,
+      }}
+    >
+      <Text style={{ fontSize: 13, color: selected ? '#4F46E5' : '#4B5563', fontWeight: selected ? '600' : '400' }}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+}
+
+function Label({ children, hint }) {
+  return (
+    <View style={{ marginTop: 12, marginBottom: 8 }}>
+      <Text style={{ fontSize: 13, fontWeight: '600', color: '#374151' }}>{children}</Text>
+      {hint ? <Text style={{ fontSize: 12, color: '#9CA3AF', marginTop: 2 }}>{hint}</Text> : null}
+    </View>
+  );
+}
+
+const toggle = (list, value) => (list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+
+export default function NotificationPreferences({ style }) {
+  const { preferences, save } = useNotificationPreferences();
+  const [draft, setDraft] = useState(preferences);
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [cameras, setCameras] = useState([]);
+
+  // Follow the saved copy (e.g. after the server sync) until the user edits.
+  useEffect(() => {
+    if (!dirty) setDraft(preferences);
+  }, [preferences, dirty]);
+
+  useEffect(() => {
+    getCameraFeeds().then(res => {
+      if (res.success && Array.isArray(res.data)) setCameras(res.data);
+    });
+  }, []);
+
+  const update = changes => {
+    setDraft(prev => ({ ...prev, ...changes }));
+    setDirty(true);
+  };
+  const updateQuiet = changes => update({ quietHours: { ...draft.quietHours, ...changes } });
+
+  const handleSave = async () => {
+    const { start, end } = draft.quietHours;
+    if (draft.quietHours.enabled && (!TIME_REGEX.test(start) || !TIME_REGEX.test(end))) {
+      Alert.alert('Invalid Quiet Hours', 'Enter times as HH:MM, e.g. 22:00.');
+      return;
+    }
+    setSaving(true);
+    const res = await save(draft);
+    setSaving(false);
+    setDirty(false);
+    if (!res.success) {
+      Alert.alert('Saved on this device', `${res.message} Your preferences apply here but were not synced.`);
+    } else if (res.queued) {
+      Alert.alert('Preferences Saved', res.message);
+    }
+  };
+
+  const timeInputStyle = {
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    fontSize: 14,
+    color: '#1F2937',
+    width: 70,
+    textAlign: 'center',
+  };
+
+  return (
+    <View style={[{ padding: 12, borderRadius: 8, backgroundColor: '#F9FAFB', borderWidth: 1, borderColor: '#E5E7EB' }, style]}>
+      <Label hint="Lower-severity incidents are not pushed to you. SOS alerts always are.">Minimum severity</Label>
+      <View style={{ flexDirection: 'row', flexWrap: 'wrap' }}>
+        {Object.keys(SEVERITY_RANK).map(severity => (
+          <Chip
+            key={severity}
+            label={severity.charAt(0).toUpperCase() + severity.slice(1)}
+            selected={draft.minSeverity === severity}
+            onPress={() => update({ minSeverity: severity })}
+          />
+        ))}
+      </View>
+
+      <Label hint="None selected: all types.">Incident types</Label>
+      <View style={{ flexDirection: 'row', flexWrap: 'wrap' }}>
+        {Object.entries(INCIDENT_TYPE_LABELS).map(([type, label]) => (
+          <Chip
+            key={type}
+            label={label}
+            selected={draft.incidentTypes.includes(type)}
+            onPress={() => update({ incidentTypes: toggle(draft.incidentTypes, type) })}
+          />
+        ))}
+      </View>
+
+      {cameras.length > 0 && (
+        <>
+          <Label hint="None selected: all cameras.">Cameras</Label>
+          <View style={{ flexDirection: 'row', flexWrap: 'wrap' }}>
+            {cameras.map(camera => (
+              <Chip
+                key={camera.id}
+                label={camera.name || `Camera ${camera.id}`}
+                selected={draft.cameraIds.includes(camera.id)}
+                onPress={() => update({ cameraIds: toggle(draft.cameraIds, camera.id) })}
+              />
+            ))}
+          </View>
+        </>
+      )}
+
+      <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', marginTop: 12 }}>
+        <Text style={{ fontSize: 13, fontWeight: '600', color: '#374151' }}>Quiet hours</Text>
+        <Switch value={draft.quietHours.enabled} onValueChange={enabled => updateQuiet({ enabled })} />
+      </View>
+      {draft.quietHours.enabled && (
+        <>
+          <View style={{ flexDirection: 'row', alignItems: 'center', marginTop: 8 }}>
+            <Text style={{ fontSize: 13, color: '#4B5563', marginRight: 8 }}>From</Text>
+            <TextInput
+              value={draft.quietHours.start}
+              onChangeText={start => updateQuiet({ start })}
+              placeholder="22:00"
+              maxLength={5}
+              style={timeInputStyle}
+            />
+            <Text style={{ fontSize: 13, color: '#4B5563', marginHorizontal: 8 }}>to</Text>
+            <TextInput
+              value={draft.quietHours.end}
+              onChangeText={end => updateQuiet({ end })}
+              placeholder="07:00"
+              maxLength={5}
+              style={timeInputStyle}
+            />
+          </View>
+          <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', marginTop: 10 }}>
+            <Text style={{ fontSize: 13, color: '#4B5563', flex: 1, marginRight: 8 }}>
+              Critical incidents and SOS always break through
+            </Text>
+            <Switch value={draft.quietHours.allowCritical} onValueChange={allowCritical => updateQuiet({ allowCritical })} />
+          </View>
+        </>
+      )}
+
+      {dirty && (
+        <TouchableOpacity
+          onPress={handleSave}
+          disabled={saving}
+          style={{ marginTop: 16, paddingVertical: 10, borderRadius: 8, backgroundColor: '#6366F1', alignItems: 'center' }}
+        >
+          {saving ? (
+            <ActivityIndicator size="small" color="#FFFFFF" />
+          ) : (
+            <Text style={{ color: '#FFFFFF', fontWeight: '700' }}>Save Preferences</Text>
+          )}
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
@@ -0,0 +1,55 @@
+// components/PushRegistrationStatus.jsx
+// One-line push notification status for the profile screens, with a retry
+// when registration failed. Devices without push say when the app is polling
+// for alerts instead (services/localAlerts.js).
+import React from 'react';
+import { View, Text, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import usePushRegistration from '../hooks/usePushRegistration';
+import { PUSH_STATUS } from '../services/pushTokens';
+
+const STATUS_DISPLAY = {
+  [PUSH_STATUS.REGISTERED]: { icon: 'notifications', color: '#10B981', label: 'Push alerts enabled' },
+  [PUSH_STATUS.REGISTERING]: { icon: 'sync', color: '#6366F1', label: 'Registering for push alerts…' },
+  [PUSH_STATUS.FAILED]: { icon: 'alert-circle', color: '#EF4444', label: 'Push registration failed' },
+  [PUSH_STATUS.UNREGISTERED]: { icon: 'notifications-off', color: '#F59E0B', label: 'Not registered for push alerts' },
+  [PUSH_STATUS.UNAVAILABLE]: { icon: 'notifications-off', color: '#9CA3AF', label: 'Push alerts unavailable on this device' },
+};
+
+export default function PushRegistrationStatus({ style }) {
+  const { status, registeredAt, error, localAlerts, retry } = usePushRegistration();
+  const display = STATUS_DISPLAY[status] || STATUS_DISPLAY[PUSH_STATUS.UNAVAILABLE];
+  const fallback = status === PUSH_STATUS.UNAVAILABLE && localAlerts;
+  const canRetry = status === PUSH_STATUS.FAILED || status === PUSH_STATUS.UNREGISTERED;
+
+  return (
+    <View style={[{ flexDirection: 'row', alignItems: 'center', padding: 12, borderRadius: 8, backgroundColor: '#F9FAFB', borderWidth: 1, borderColor: '#E5E7EB' }, style]}>
+      {status === PUSH_STATUS.REGISTERING ? (
+        <ActivityIndicator size="small" color={display.color} style={{ marginRight: 10 }} />
+      ) : (
+        <Ionicons name={display.icon} size={20} color={display.color} style={{ marginRight: 10 }} />
+      )}
+      <View style={{ flex: 1 }}>
+        <Text style={{ fontSize: 14, fontWeight: '600', color: '#1F2937' }}>{display.label}</Text>
+        {status === PUSH_STATUS.REGISTERED && registeredAt ? (
+          <Text style={{ fontSize: 12, color: '#6B7280', marginTop: 2 }}>
+            Since {new Date(registeredAt).toLocaleString()}
+          </Text>
+        ) : null}
+        {fallback ? (
+          <Text style={{ fontSize: 12, color: '#6B7280', marginTop: 2 }}>
+            Checking for new incidents and SOS alerts in the app instead
+          </Text>
+        ) : null}
+        {status === PUSH_STATUS.FAILED && error ? (
+          <Text style={{ fontSize: 12, color: '#EF4444', marginTop: 2 }}>{error}</Text>
+        ) : null}
+      </View>
+      {canRetry && (
+        <TouchableOpacity onPress={retry} style={{ paddingHorizontal: 12, paddingVertical: 6, borderRadius: 6, backgroundColor: '#EEF2FF' }}>
+          <Text style={{ fontSize: 13, fontWeight: '600', color: '#4F46E5' }}>Retry</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
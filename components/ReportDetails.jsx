@@ -0,0 +1,43 @@
+// components/ReportDetails.jsx
+// Labelled reporter fields for viewer reports and SOS alerts, from a
+// normalised incident or SOS record (services/incidentModel.js). Works the
+// same for structured metadata and for legacy descriptions.
+import React from 'react';
+import { View, Text } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { INCIDENT_ORIGIN } from '../services/incidentModel';
+import { formatCoords } from '../services/location';
+
+const FIELDS = [
+  { key: 'name', label: 'Reported by', icon: 'person-outline' },
+  { key: 'username', label: 'User', icon: 'at-outline' },
+  { key: 'phone', label: 'Contact', icon: 'call-outline' },
+  { key: 'email', label: 'Email', icon: 'mail-outline' },
+  { key: 'location', label: 'Location', icon: 'location-outline' },
+  { key: 'coords', label: 'Coordinates', icon: 'navigate-outline' },
+  { key: 'camera', label: 'Camera', icon: 'videocam-outline' },
+  { key: 'notes', label: 'Additional Notes', icon: 'document-text-outline' },
+];
+
+export default function ReportDetails({ incident, compact = false }) {
+  if (!incident || incident.origin === INCIDENT_ORIGIN.AI) return null;
+  const values = {
+    ...incident.reporter,
+    camera: incident.camera?.name || null,
+    coords: formatCoords(incident.coords),
+  };
+  const rows = FIELDS.filter(field => values[field.key]);
+  if (rows.length === 0) return null;
+
+  return (
+    <View style={{ marginTop: compact ? 4 : 8 }}>
+      {rows.map(field => (
+        <View key={field.key} style={{ flexDirection: 'row', alignItems: 'flex-start', paddingVertical: compact ? 3 : 6 }}>
+          <Ionicons name={field.icon} size={compact ? 14 : 16} color="#6B7280" style={{ marginTop: 2, marginRight: 8 }} />
+          <Text style={{ fontSize: compact ? 12 : 13, color: '#6B7280', width: compact ? 90 : 120 }}>{field.label}</Text>
+          <Text style={{ fontSize: compact ? 13 : 14, color: '#1F2937', flex: 1 }} selectable>{values[field.key]}</Text>
+        </View>
+      ))}
+    </View>
+  );
+}
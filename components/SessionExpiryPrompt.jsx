@@ -0,0 +1,188 @@
+// components/SessionExpiryPrompt.jsx
+// Mounted once over the navigator (App.jsx). A few minutes before the access
+// token expires it shows a banner offering to stay signed in: a silent token
+// refresh where possible, otherwise the password. Once the session has
+// expired, by its clock or because the server rejected it, it asks for the
+// password in a sheet over the current screen, which keeps its state (and
+// for two-step accounts, the code); only signing out goes back to the login
+// screen. Nothing shows while the app
+// lock (services/appLock.js) is up; the prompt waits until it is unlocked.
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, TextInput, TouchableOpacity, Modal, ActivityIndicator, Alert, AppState } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import useSession from '../hooks/useSession';
+import useAppLock from '../hooks/useAppLock';
+import MfaPrompt from './MfaPrompt';
+import { refreshAccessToken, reauthenticate, logoutUser } from '../services/api';
+import { loadSession, endSession, sessionExpiresIn } from '../services/session';
+import { onSessionExpired } from '../services/sessionEvents';
+import { resetTo, loginRouteForRole } from '../services/navigation';
+
+const WARN_BEFORE_MS = 5 * 60 * 1000;
+const MODES = { WARNING: 'warning', RENEW: 'renew', EXPIRED: 'expired' };
+
+export default function SessionExpiryPrompt() {
+  const { session, user, role } = useSession();
+  const { locked } = useAppLock();
+  const [mode, setMode] = useState(null);
+  const [minutesLeft, setMinutesLeft] = useState(null);
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [mfaChallenge, setMfaChallenge] = useState(null);
+  // The token whose warning the user dismissed; not shown again for it.
+  const dismissedRef = useRef(null);
+
+  // Follow the clock: warn ahead of expiry, then try a silent refresh before
+  // asking for the password. Timers stop in the background, so re-check on return.
+  useEffect(() => {
+    if (!session || !session.expiresAt) {
+      setMode(null);
+      return undefined;
+    }
+    let timer = null;
+    let active = true;
+    const check = async () => {
+      clearTimeout(timer);
+      const left = sessionExpiresIn(session);
+      if (left <= 0) {
+        const renewed = session.refreshToken ? await refreshAccessToken() : null;
+        if (active && !renewed) setMode(MODES.EXPIRED);
+        return;
+      }
+      if (left <= WARN_BEFORE_MS) {
+        setMinutesLeft(Math.ceil(left / 60000));
+        if (dismissedRef.current !== session.token) setMode(prev => prev || MODES.WARNING);
+        timer = setTimeout(check, Math.min(left, 60000));
+      } else {
+        setMode(prev => (prev === MODES.EXPIRED ? prev : null));
+        timer = setTimeout(check, left - WARN_BEFORE_MS);
+      }
+    };
+    check();
+    const subscription = AppState.addEventListener('change', state => state === 'active' && check());
+    return () => {
+      active = false;
+      clearTimeout(timer);
+      subscription.remove();
+    };
+  }, [session?.token, session?.expiresAt]);
+
+  // A request got 401 and the token could not be refreshed. With a session to
+  // renew, ask for the password here; without one, go to the login screen.
+  useEffect(() => onSessionExpired(async ({ role: expiredRole }) => {
+    if (await loadSession()) {
+      setMode(MODES.EXPIRED);
+      return;
+    }
+    await endSession();
+    resetTo(loginRouteForRole(expiredRole));
+    Alert.alert('Session Expired', 'Your session has expired. Please login again.');
+  }), []);
+
+  const close = () => {
+    dismissedRef.current = session?.token || null;
+    setMode(null);
+    setPassword('');
+    setError(null);
+    setMfaChallenge(null);
+  };
+
+  const staySignedIn = async () => {
+    setBusy(true);
+    const renewed = session?.refreshToken ? await refreshAccessToken() : null;
+    setBusy(false);
+    if (renewed) close();
+    else setMode(MODES.RENEW);
+  };
+
+  const submit = async () => {
+    if (!password) {
+      setError('Enter your password.');
+      return;
+    }
+    setBusy(true);
+    setError(null);
+    const res = await reauthenticate(password);
+    setBusy(false);
+    if (res.success) close();
+    else if (res.mfaRequired) setMfaChallenge(res.data);
+    else setError(res.message);
+  };
+
+  const signOut = async () => {
+    const signedInRole = role;
+    close();
+    await logoutUser();
+    resetTo(loginRouteForRole(signedInRole));
+  };
+
+  if (!mode || !session || locked) return null;
+
+  if (mode === MODES.WARNING) {
+    return (
+      <View style={{ position: 'absolute', top: 0, left: 0, right: 0, paddingTop: 50, paddingBottom: 12, paddingHorizontal: 16, backgroundColor: '#92400E', flexDirection: 'row', alignItems: 'center', zIndex: 999 }}>
+        <Ionicons name="time-outline" size={20} color="#FFFFFF" style={{ marginRight: 10 }} />
+        <Text style={{ flex: 1, color: '#FFFFFF', fontSize: 14, fontWeight: '600' }}>
+          Your session expires in {minutesLeft} min
+        </Text>
+        {busy ? (
+          <ActivityIndicator size="small" color="#FFFFFF" />
+        ) : (
+          <TouchableOpacity onPress={staySignedIn} style={{ paddingHorizontal: 12, paddingVertical: 6, borderRadius: 6, backgroundColor: '#FFFFFF', marginLeft: 8 }}>
+            <Text style={{ color: '#92400E', fontWeight: '700', fontSize: 13 }}>Stay signed in</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity onPress={close} style={{ marginLeft: 10 }}>
+          <Ionicons name="close" size={20} color="#FFFFFF" />
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  // Back to the password if the code is cancelled.
+  if (mfaChallenge) {
+    return <MfaPrompt challenge={mfaChallenge} onVerified={close} onCancel={() => setMfaChallenge(null)} />;
+  }
+
+  const expired = mode === MODES.EXPIRED;
+  return (
+    <Modal visible transparent animationType="slide" onRequestClose={expired ? signOut : close}>
+      <View style={{ flex: 1, justifyContent: 'flex-end', backgroundColor: 'rgba(0,0,0,0.5)' }}>
+        <View style={{ backgroundColor: '#FFFFFF', borderTopLeftRadius: 20, borderTopRightRadius: 20, padding: 24, paddingBottom: 40 }}>
+          <Text style={{ fontSize: 20, fontWeight: 'bold', color: '#1F2937', marginBottom: 6 }}>
+            {expired ? 'Session Expired' : 'Stay Signed In'}
+          </Text>
+          <Text style={{ fontSize: 14, color: '#6B7280', marginBottom: 16 }}>
+            Enter the password for {user?.username || user?.email || 'your account'} to continue where you left off.
+          </Text>
+          <TextInput
+            value={password}
+            onChangeText={setPassword}
+            placeholder="Password"
+            placeholderTextColor="#9CA3AF"
+            secureTextEntry
+            autoFocus
+            onSubmitEditing={submit}
+            style={{ borderWidth: 1, borderColor: error ? '#EF4444' : '#D1D5DB', borderRadius: 10, padding: 14, fontSize: 16, color: '#1F2937' }}
+          />
+          {error ? <Text style={{ color: '#EF4444', fontSize: 13, marginTop: 6 }}>{error}</Text> : null}
+          <TouchableOpacity
+            onPress={submit}
+            disabled={busy}
+            style={{ marginTop: 16, paddingVertical: 14, borderRadius: 10, alignItems: 'center', backgroundColor: busy ? '#A5B4FC' : '#6366F1' }}
+          >
+            {busy ? (
+              <ActivityIndicator size="small" color="#FFFFFF" />
+            ) : (
+              <Text style={{ color: '#FFFFFF', fontWeight: '700', fontSize: 15 }}>Sign In</Text>
+            )}
+          </TouchableOpacity>
+          <TouchableOpacity onPress={expired ? signOut : close} style={{ marginTop: 12, paddingVertical: 10, alignItems: 'center' }}>
+            <Text style={{ color: '#6B7280', fontWeight: '600' }}>{expired ? 'Sign Out' : 'Later'}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
@@ -0,0 +1,185 @@
+// components/SiteSwitcher.jsx
+// Header pill showing the active site. Tapping it opens a sheet to switch to,
+// add or remove a site profile (see services/sites.js).
+import React, { useEffect, useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, Modal, ScrollView, Alert } from 'react-native';
+import { loadSession } from '../services/session';
+import { Ionicons } from '@expo/vector-icons';
+import { getSites, getActiveSite, subscribeSites, switchSite, addSite, removeSite } from '../services/sites';
+import { normalizeBaseUrl } from '../services/discovery';
+import { resetTo, dashboardRouteForRole } from '../services/navigation';
+
+export default function SiteSwitcher({ light = true, style }) {
+  const [sites, setSites] = useState([]);
+  const [activeSiteId, setActiveSiteId] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [adding, setAdding] = useState(false);
+  const [name, setName] = useState('');
+  const [url, setUrl] = useState('');
+  const [switching, setSwitching] = useState(false);
+
+  useEffect(() => {
+    let mounted = true;
+    Promise.all([getSites(), getActiveSite()]).then(([list, active]) => {
+      if (!mounted) return;
+      setSites(list);
+      setActiveSiteId(active?.id || null);
+    });
+    const unsubscribe = subscribeSites(snapshot => {
+      setSites(snapshot.sites);
+      setActiveSiteId(snapshot.activeSiteId);
+    });
+    return () => {
+      mounted = false;
+      unsubscribe();
+    };
+  }, []);
+
+  const activeSite = sites.find(s => s.id === activeSiteId);
+
+  const handleSelect = async (site) => {
+    if (site.id === activeSiteId || switching) {
+      setOpen(false);
+      return;
+    }
+    setSwitching(true);
+    try {
+      await switchSite(site.id);
+      setOpen(false);
+      // The target site's session (if any) is now the live one.
+      const session = await loadSession();
+      const dashboard = session ? dashboardRouteForRole(session.role) : null;
+      resetTo(dashboard || 'Registration');
+    } catch (err) {
+      console.error('[SiteSwitcher] Switch failed:', err);
+      Alert.alert('Error', 'Could not switch site.');
+    } finally {
+      setSwitching(false);
+    }
+  };
+
+  const handleAdd = async () => {
+    if (!name.trim()) {
+      Alert.alert('Missing Name', 'Enter a name for the site.');
+      return;
+    }
+    await addSite({ name, baseUrl: normalizeBaseUrl(url) || null });
+    setName('');
+    setUrl('');
+    setAdding(false);
+  };
+
+  const handleRemove = (site) => {
+    Alert.alert('Remove Site', `Remove "${site.name}" and its saved login from this device?`, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Remove', style: 'destructive', onPress: () => removeSite(site.id) },
+    ]);
+  };
+
+  return (
+    <>
+      <TouchableOpacity
+        onPress={() => setOpen(true)}
+        style={[{
+          flexDirection: 'row',
+          alignItems: 'center',
+          alignSelf: 'flex-start',
+          paddingHorizontal: 10,
+          paddingVertical: 4,
+          borderRadius: 12,
+          backgroundColor: light ? 'rgba(255,255,255,0.2)' : '#EEF2FF',
+        }, style]}
+      >
+        <Ionicons name="business-outline" size={14} color={light ? '#FFFFFF' : '#4F46E5'} style={{ marginRight: 4 }} />
+        <Text style={{ fontSize: 12, fontWeight: '600', color: light ? '#FFFFFF' : '#4F46E5' }} numberOfLines={1}>
+          {activeSite ? activeSite.name : 'Site'}
+        </Text>
+        <Ionicons name="chevron-down" size={14} color={light ? '#FFFFFF' : '#4F46E5'} style={{ marginLeft: 2 }} />
+      </TouchableOpacity>
+
+      <Modal visible={open} transparent animationType="slide" onRequestClose={() => setOpen(false)}>
+        <View style={{ flex: 1, backgroundColor: 'rgba(0,0,0,0.4)', justifyContent: 'flex-end' }}>
+          <View style={{ backgroundColor: '#FFFFFF', borderTopLeftRadius: 16, borderTopRightRadius: 16, padding: 20, maxHeight: '80%' }}>
+            <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 12 }}>
+              <Text style={{ fontSize: 18, fontWeight: 'bold', color: '#1F2937', flex: 1 }}>Sites</Text>
+              <TouchableOpacity onPress={() => setOpen(false)}>
+                <Ionicons name="close" size={24} color="#6B7280" />
+              </TouchableOpacity>
+            </View>
+
+            <ScrollView>
+              {sites.map(site => (
+                <TouchableOpacity
+                  key={site.id}
+                  onPress={() => handleSelect(site)}
+                  onLongPress={site.id === activeSiteId ? undefined : () => handleRemove(site)}
+                  disabled={switching}
+                  style={{ flexDirection: 'row', alignItems: 'center', paddingVertical: 12, borderBottomWidth: 1, borderBottomColor: '#F3F4F6' }}
+                >
+                  <Ionicons
+                    name={site.id === activeSiteId ? 'checkmark-circle' : 'ellipse-outline'}
+                    size={20}
+                    color={site.id === activeSiteId ? '#4F46E5' : '#9CA3AF'}
+                    style={{ marginRight: 10 }}
+                  />
+                  <View style={{ flex: 1 }}>
+                    <Text style={{ fontSize: 15, fontWeight: '600', color: '#1F2937' }}>{site.name}</Text>
+                    <Text style={{ fontSize: 12, color: '#6B7280' }}>{site.baseUrl || 'Default backend'}</Text>
+                  </View>
+                </TouchableOpacity>
+              ))}
+
+              {adding ? (
+                <View style={{ marginTop: 12 }}>
+                  <TextInput
+                    value={name}
+                    onChangeText={setName}
+                    placeholder="Site name (e.g. Main Campus)"
+                    placeholderTextColor="#9CA3AF"
+                    style={{ borderWidth: 1, borderColor: '#D1D5DB', borderRadius: 8, padding: 12, fontSize: 15, color: '#1F2937', marginBottom: 8 }}
+                  />
+                  <TextInput
+                    value={url}
+                    onChangeText={setUrl}
+                    placeholder="http://192.168.1.20:8000 (optional)"
+                    placeholderTextColor="#9CA3AF"
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                    keyboardType="url"
+                    style={{ borderWidth: 1, borderColor: '#D1D5DB', borderRadius: 8, padding: 12, fontSize: 15, color: '#1F2937', marginBottom: 12 }}
+                  />
+                  <View style={{ flexDirection: 'row', gap: 10 }}>
+                    <TouchableOpacity
+                      onPress={() => setAdding(false)}
+                      style={{ flex: 1, paddingVertical: 12, borderRadius: 8, backgroundColor: '#F3F4F6', alignItems: 'center' }}
+                    >
+                      <Text style={{ color: '#6B7280', fontWeight: '600' }}>Cancel</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      onPress={handleAdd}
+                      style={{ flex: 1, paddingVertical: 12, borderRadius: 8, backgroundColor: '#4F46E5', alignItems: 'center' }}
+                    >
+                      <Text style={{ color: '#FFFFFF', fontWeight: '600' }}>Add Site</Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              ) : (
+                <TouchableOpacity
+                  onPress={() => setAdding(true)}
+                  style={{ flexDirection: 'row', alignItems: 'center', paddingVertical: 14 }}
+                >
+                  <Ionicons name="add-circle-outline" size={20} color="#4F46E5" style={{ marginRight: 10 }} />
+                  <Text style={{ fontSize: 15, fontWeight: '600', color: '#4F46E5' }}>Add a site</Text>
+                </TouchableOpacity>
+              )}
+            </ScrollView>
+
+            <Text style={{ fontSize: 12, color: '#9CA3AF', marginTop: 8 }}>
+              Each site keeps its own login. Long-press a site to remove it.
+            </Text>
+          </View>
+        </View>
+      </Modal>
+    </>
+  );
+}
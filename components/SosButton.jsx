@@ -0,0 +1,152 @@
+// components/SosButton.jsx
+// Floating SOS trigger for viewers. Confirms in a sheet that takes an optional
+// message and location, attaches the device position when one is available,
+// and creates an SOS record through createSosAlert (services/api.js).
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, Modal, TextInput, ActivityIndicator, Alert, KeyboardAvoidingView, Platform } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { createSosAlert } from '../services/api';
+import { getCurrentCoords, isLocationAvailable } from '../services/location';
+
+export default function SosButton({ user, onSent, style }) {
+  const [visible, setVisible] = useState(false);
+  const [message, setMessage] = useState('');
+  const [locationText, setLocationText] = useState('');
+  const [shareLocation, setShareLocation] = useState(isLocationAvailable());
+  const [sending, setSending] = useState(false);
+
+  const open = () => {
+    setMessage('');
+    setLocationText('');
+    setVisible(true);
+  };
+
+  const send = async () => {
+    setSending(true);
+    const coords = shareLocation ? await getCurrentCoords() : null;
+    const res = await createSosAlert({
+      message: message.trim(),
+      locationText: locationText.trim(),
+      coords,
+      reporter: user
+        ? { username: user.username, full_name: user.full_name, phone: user.phone, email: user.email }
+        : null,
+    });
+    setSending(false);
+    if (res.success) {
+      setVisible(false);
+      Alert.alert('🚨 SOS Sent', 'Security has been alerted and will respond as soon as possible.');
+      onSent?.(res.data);
+    } else {
+      Alert.alert('SOS Failed', `${res.message || 'Could not reach the server.'} Call your emergency contact if you are in danger.`);
+    }
+  };
+
+  return (
+    <>
+      <TouchableOpacity
+        onPress={open}
+        activeOpacity={0.8}
+        style={[{
+          position: 'absolute',
+          right: 18,
+          bottom: 96,
+          width: 64,
+          height: 64,
+          borderRadius: 32,
+          backgroundColor: '#DC2626',
+          alignItems: 'center',
+          justifyContent: 'center',
+          shadowColor: '#000',
+          shadowOffset: { width: 0, height: 4 },
+          shadowOpacity: 0.3,
+          shadowRadius: 6,
+          elevation: 8,
+        }, style]}
+      >
+        <Text style={{ color: '#FFFFFF', fontWeight: '800', fontSize: 16 }}>SOS</Text>
+      </TouchableOpacity>
+
+      <Modal visible={visible} transparent animationType="fade" onRequestClose={() => !sending && setVisible(false)}>
+        <KeyboardAvoidingView
+          behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+          style={{ flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: 'rgba(0,0,0,0.5)' }}
+        >
+          <View style={{ backgroundColor: '#FFFFFF', borderRadius: 16, padding: 24, width: '88%' }}>
+            <Text style={{ fontSize: 18, fontWeight: '800', color: '#DC2626', marginBottom: 6 }}>
+              🚨 Emergency SOS
+            </Text>
+            <Text style={{ fontSize: 13, color: '#6B7280', marginBottom: 16 }}>
+              Security will be alerted immediately. Add details if you can.
+            </Text>
+
+            <TextInput
+              value={message}
+              onChangeText={setMessage}
+              placeholder="What is happening? (optional)"
+              placeholderTextColor="#9CA3AF"
+              multiline
+              style={{
+                borderWidth: 1,
+                borderColor: '#D1D5DB',
+                borderRadius: 10,
+                padding: 12,
+                fontSize: 14,
+                color: '#1F2937',
+                minHeight: 60,
+                textAlignVertical: 'top',
+                marginBottom: 12,
+              }}
+            />
+            <TextInput
+              value={locationText}
+              onChangeText={setLocationText}
+              placeholder="Where are you? (optional)"
+              placeholderTextColor="#9CA3AF"
+              style={{
+                borderWidth: 1,
+                borderColor: '#D1D5DB',
+                borderRadius: 10,
+                padding: 12,
+                fontSize: 14,
+                color: '#1F2937',
+                marginBottom: 12,
+              }}
+            />
+
+            {isLocationAvailable() && (
+              <TouchableOpacity
+                onPress={() => setShareLocation(prev => !prev)}
+                style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 20 }}
+              >
+                <Ionicons name={shareLocation ? 'checkbox' : 'square-outline'} size={20} color="#DC2626" style={{ marginRight: 8 }} />
+                <Text style={{ fontSize: 14, color: '#374151' }}>Share my current location</Text>
+              </TouchableOpacity>
+            )}
+
+            <View style={{ flexDirection: 'row', gap: 12 }}>
+              <TouchableOpacity
+                onPress={() => setVisible(false)}
+                disabled={sending}
+                style={{ flex: 1, paddingVertical: 12, borderRadius: 10, borderWidth: 1, borderColor: '#D1D5DB', alignItems: 'center' }}
+              >
+                <Text style={{ color: '#6B7280', fontWeight: '600' }}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={send}
+                disabled={sending}
+                style={{ flex: 1, paddingVertical: 12, borderRadius: 10, backgroundColor: '#DC2626', alignItems: 'center' }}
+              >
+                {sending ? (
+                  <ActivityIndicator size="small" color="#FFFFFF" />
+                ) : (
+                  <Text style={{ color: '#FFFFFF', fontWeight: '700' }}>Send SOS</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </KeyboardAvoidingView>
+      </Modal>
+    </>
+  );
+}
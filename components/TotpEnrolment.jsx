@@ -0,0 +1,206 @@
+// components/TotpEnrolment.jsx
+// Two-step verification for the signed-in account, in the profile screen.
+// Turning it on shows a new secret (as text and as an otpauth:// link that
+// opens the authenticator app), then asks for a code from the app, checked
+// here against the secret (services/totp.js) before the server confirms it,
+// and finally shows the backup codes once. Turning it off needs a code.
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, ActivityIndicator, Alert, Linking, Platform } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { startTotpEnrolment, confirmTotpEnrolment, disableTotp } from '../services/api';
+import { verifyTotp, otpauthUri, TOTP_DEFAULTS } from '../services/totp';
+
+const ISSUER = 'AISurveil';
+const MONOSPACE = Platform.select({ ios: 'Menlo', default: 'monospace' });
+
+const inputStyle = {
+  borderWidth: 1,
+  borderColor: '#D1D5DB',
+  borderRadius: 8,
+  paddingHorizontal: 12,
+  paddingVertical: 10,
+  fontSize: 18,
+  letterSpacing: 4,
+  textAlign: 'center',
+  color: '#1F2937',
+  backgroundColor: '#FFFFFF',
+};
+
+function Button({ title, onPress, busy, outline }) {
+  return (
+    <TouchableOpacity
+      onPress={onPress}
+      disabled={busy}
+      style={{
+        marginTop: 12,
+        paddingVertical: 10,
+        borderRadius: 8,
+        alignItems: 'center',
+        borderWidth: outline ? 1 : 0,
+        borderColor: '#6366F1',
+        backgroundColor: outline ? 'transparent' : '#6366F1',
+      }}
+    >
+      {busy ? (
+        <ActivityIndicator size="small" color={outline ? '#6366F1' : '#FFFFFF'} />
+      ) : (
+        <Text style={{ color: outline ? '#4F46E5' : '#FFFFFF', fontWeight: '700' }}>{title}</Text>
+      )}
+    </TouchableOpacity>
+  );
+}
+
+// Secrets are easier to type in groups of four.
+const groupSecret = secret => secret.replace(/(.{4})/g, '$1 ').trim();
+
+export default function TotpEnrolment({ enabled, account, onChange, style }) {
+  const [setup, setSetup] = useState(null); // { secret, uri } while enrolling
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [disabling, setDisabling] = useState(false);
+  const [code, setCode] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const reset = () => {
+    setSetup(null);
+    setDisabling(false);
+    setCode('');
+    setError(null);
+  };
+
+  const begin = async () => {
+    setBusy(true);
+    const res = await startTotpEnrolment();
+    setBusy(false);
+    if (!res.success) {
+      Alert.alert('Two-Step Verification', res.message);
+      return;
+    }
+    setSetup({ ...res.data, uri: res.data.uri || otpauthUri({ secret: res.data.secret, account, issuer: ISSUER }) });
+    setCode('');
+    setError(null);
+  };
+
+  const openAuthenticator = async () => {
+    try {
+      await Linking.openURL(setup.uri);
+    } catch (err) {
+      Alert.alert('No Authenticator App', 'Add the key shown here to your authenticator app by hand.');
+    }
+  };
+
+  const confirm = async () => {
+    // A code that does not match here would be rejected by the server too;
+    // the usual causes are a mistyped key or a phone clock that is off.
+    if (!verifyTotp(setup.secret, code, { period: setup.period, digits: setup.digits })) {
+      setError("That code doesn't match this key. Check the key in your authenticator app and that the phone sets its time automatically.");
+      return;
+    }
+    setBusy(true);
+    const res = await confirmTotpEnrolment(code.trim());
+    setBusy(false);
+    if (!res.success) {
+      setError(res.message);
+      return;
+    }
+    reset();
+    setBackupCodes(res.data.backupCodes);
+    onChange?.(true);
+  };
+
+  const turnOff = async () => {
+    if (!code.trim()) {
+      setError('Enter a code from your authenticator app or a backup code.');
+      return;
+    }
+    setBusy(true);
+    const res = await disableTotp(code.trim());
+    setBusy(false);
+    if (!res.success) {
+      setError(res.message);
+      return;
+    }
+    reset();
+    onChange?.(false);
+  };
+
+  const codeInput = (
+    <TextInput
+      value={code}
+      onChangeText={value => {
+        setCode(value);
+        setError(null);
+      }}
+      placeholder="123456"
+      placeholderTextColor="#9CA3AF"
+      keyboardType={disabling ? 'default' : 'number-pad'}
+      autoCapitalize="none"
+      autoCorrect={false}
+      maxLength={disabling ? 32 : TOTP_DEFAULTS.digits}
+      style={[inputStyle, { marginTop: 10 }]}
+    />
+  );
+
+  return (
+    <View style={[{ padding: 12, borderRadius: 8, backgroundColor: '#F9FAFB', borderWidth: 1, borderColor: '#E5E7EB' }, style]}>
+      <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+        <Ionicons name={enabled ? 'shield-checkmark' : 'shield-outline'} size={18} color={enabled ? '#059669' : '#6B7280'} style={{ marginRight: 8 }} />
+        <Text style={{ fontSize: 13, fontWeight: '600', color: '#374151', flex: 1 }}>
+          {enabled ? 'On: logins ask for a code from your authenticator app' : 'Off: logins need only your password'}
+        </Text>
+      </View>
+
+      {backupCodes && (
+        <View style={{ marginTop: 12 }}>
+          <Text style={{ fontSize: 13, fontWeight: '600', color: '#374151' }}>Backup codes</Text>
+          <Text style={{ fontSize: 12, color: '#9CA3AF', marginTop: 2 }}>
+            Each lets you sign in once without the app. Store them somewhere safe; they are not shown again.
+          </Text>
+          <Text selectable style={{ marginTop: 8, fontFamily: MONOSPACE, fontSize: 15, color: '#1F2937', lineHeight: 24 }}>
+            {backupCodes.join('\n')}
+          </Text>
+          <Button title="I've Saved Them" onPress={() => setBackupCodes(null)} />
+        </View>
+      )}
+
+      {setup && (
+        <View style={{ marginTop: 12 }}>
+          <Text style={{ fontSize: 12, color: '#6B7280' }}>
+            Add this key to an authenticator app (time-based, {TOTP_DEFAULTS.digits} digits), then enter the code it shows.
+          </Text>
+          <Text selectable style={{ marginTop: 8, fontFamily: MONOSPACE, fontSize: 16, fontWeight: '700', color: '#1F2937', textAlign: 'center' }}>
+            {groupSecret(setup.secret)}
+          </Text>
+          <Text selectable numberOfLines={3} style={{ marginTop: 6, fontSize: 11, color: '#9CA3AF' }}>
+            {setup.uri}
+          </Text>
+          <Button title="Open in Authenticator App" onPress={openAuthenticator} outline />
+          {codeInput}
+          {error ? <Text style={{ color: '#EF4444', fontSize: 12, marginTop: 6 }}>{error}</Text> : null}
+          <Button title="Confirm Code" onPress={confirm} busy={busy} />
+          <TouchableOpacity onPress={reset} disabled={busy} style={{ marginTop: 8, alignItems: 'center', paddingVertical: 6 }}>
+            <Text style={{ color: '#6B7280', fontWeight: '600' }}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {disabling && (
+        <View style={{ marginTop: 12 }}>
+          <Text style={{ fontSize: 12, color: '#6B7280' }}>Enter a code from your authenticator app, or a backup code.</Text>
+          {codeInput}
+          {error ? <Text style={{ color: '#EF4444', fontSize: 12, marginTop: 6 }}>{error}</Text> : null}
+          <Button title="Turn Off" onPress={turnOff} busy={busy} />
+          <TouchableOpacity onPress={reset} disabled={busy} style={{ marginTop: 8, alignItems: 'center', paddingVertical: 6 }}>
+            <Text style={{ color: '#6B7280', fontWeight: '600' }}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {!setup && !disabling && !backupCodes && (
+        enabled
+          ? <Button title="Turn Off Two-Step Verification" onPress={() => setDisabling(true)} outline />
+          : <Button title="Set Up Two-Step Verification" onPress={begin} busy={busy} />
+      )}
+    </View>
+  );
+}
@@ -0,0 +1,31 @@
+import { useState, useEffect } from 'react';
+import {
+  getLockStatus,
+  subscribeLockStatus,
+  getAppLockSettings,
+  updateAppLockSettings,
+  LOCK_STATUS,
+} from '../services/appLock';
+
+// The app lock (services/appLock.js): its status, whether the lock screen is
+// up, and the device's lock settings with a save.
+const useAppLock = () => {
+  const [status, setStatus] = useState(getLockStatus());
+  const [settings, setSettings] = useState(getAppLockSettings());
+
+  useEffect(() => {
+    setStatus(getLockStatus());
+    return subscribeLockStatus(setStatus);
+  }, []);
+
+  const updateSettings = async changes => setSettings(await updateAppLockSettings(changes));
+
+  return {
+    status,
+    locked: status !== LOCK_STATUS.OFF && status !== LOCK_STATUS.UNLOCKED,
+    settings,
+    updateSettings,
+  };
+};
+
+export default useAppLock;
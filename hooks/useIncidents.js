@@ -1,25 +1,39 @@
-
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { getIncidents } from '../services/api';
+import { getCachedIncidents, subscribeIncidents } from '../services/incidentStore';
+import { normalizeIncidents } from '../services/incidentModel';
 import { Alert } from 'react-native';
 
-const useIncidents = () => {
+const PAGE_SIZE = 50;
+
+const useIncidents = ({ pageSize = PAGE_SIZE } = {}) => {
   const [incidents, setIncidents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [refreshing, setRefreshing] = useState(false);
+  const [limit, setLimit] = useState(pageSize);
+  const [hasMore, setHasMore] = useState(false);
+  const limitRef = useRef(limit);
+  limitRef.current = limit;
+
+  // Read the current page window from the local cache (no network).
+  const readCache = useCallback(async () => {
+    const page = await getCachedIncidents({ limit: limitRef.current + 1 });
+    setHasMore(page.length > limitRef.current);
+    setIncidents(normalizeIncidents(page.slice(0, limitRef.current)));
+  }, []);
 
   const fetchIncidents = useCallback(async () => {
     setLoading(true);
     setError(null);
     try {
-      const response = await getIncidents();
-      if (response.success) {
-        setIncidents(response.data);
-      } else {
+      // Delta-syncs the cache; the subscription below picks up the result.
+      const response = await getIncidents({ limit: 0 });
+      if (!response.success) {
         setError(response.message || 'Failed to fetch incidents.');
         Alert.alert('Error', response.message || 'Failed to fetch incidents.');
       }
+      await readCache();
     } catch (err) {
       console.error('Error fetching incidents:', err);
       setError('An unexpected error occurred while fetching incidents.');
@@ -27,7 +41,7 @@ const useIncidents = () => {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [readCache]);
 
   const refreshIncidents = useCallback(async () => {
     setRefreshing(true);
@@ -35,11 +49,21 @@ const useIncidents = () => {
     setRefreshing(false);
   }, [fetchIncidents]);
 
+  const loadMore = useCallback(() => {
+    if (hasMore) setLimit(prev => prev + pageSize);
+  }, [hasMore, pageSize]);
+
+  useEffect(() => {
+    readCache();
+  }, [limit, readCache]);
+
+  useEffect(() => subscribeIncidents(() => readCache()), [readCache]);
+
   useEffect(() => {
     fetchIncidents();
   }, [fetchIncidents]);
 
-  return { incidents, loading, error, refreshIncidents, refreshing };
+  return { incidents, loading, error, refreshIncidents, refreshing, loadMore, hasMore };
 };
 
-export default useIncidents;
\ No newline at end of file
+export default useIncidents;
@@ -0,0 +1,32 @@
+import { useState, useEffect, useMemo } from 'react';
+import {
+  getNotifications,
+  subscribeNotifications,
+  getUnreadCount,
+  groupByDay,
+  markRead,
+  markAllRead,
+} from '../services/notificationCenter';
+
+// The shared notification list (services/notificationCenter.js): entries
+// newest first, the unread count for badges, and day sections for SectionList.
+const useNotificationCenter = () => {
+  const [items, setItems] = useState([]);
+
+  useEffect(() => {
+    let active = true;
+    getNotifications().then(list => active && setItems(list));
+    const unsubscribe = subscribeNotifications(setItems);
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  const unreadCount = useMemo(() => getUnreadCount(items), [items]);
+  const sections = useMemo(() => groupByDay(items), [items]);
+
+  return { items, unreadCount, sections, markRead, markAllRead };
+};
+
+export default useNotificationCenter;
@@ -0,0 +1,17 @@
+import { useState, useEffect } from 'react';
+import { getPreferences, subscribePreferences, loadPreferences, savePreferences } from '../services/notificationPreferences';
+
+// The signed-in user's notification preferences
+// (services/notificationPreferences.js) and a save that syncs them.
+const useNotificationPreferences = () => {
+  const [preferences, setPreferences] = useState(getPreferences());
+
+  useEffect(() => {
+    loadPreferences().then(setPreferences);
+    return subscribePreferences(setPreferences);
+  }, []);
+
+  return { preferences, save: savePreferences };
+};
+
+export default useNotificationPreferences;
@@ -0,0 +1,35 @@
+import { useState, useEffect, useMemo } from 'react';
+import { getPendingMutations, subscribePendingMutations } from '../services/offlineQueue';
+
+// Offline writes that have not reached the server yet, plus lookup sets so
+// cards can show a "pending sync" badge for the record they affect. Silent
+// entries (a duress SOS) are left out.
+const usePendingSync = () => {
+  const [pending, setPending] = useState([]);
+
+  useEffect(() => {
+    let mounted = true;
+    const visible = entries => entries.filter(e => !e.meta?.silent);
+    getPendingMutations().then(entries => {
+      if (mounted) setPending(visible(entries));
+    });
+    const unsubscribe = subscribePendingMutations(entries => setPending(visible(entries)));
+    return () => {
+      mounted = false;
+      unsubscribe();
+    };
+  }, []);
+
+  const pendingIncidentIds = useMemo(
+    () => new Set(pending.map(e => e.meta?.incidentId).filter(id => id != null)),
+    [pending]
+  );
+  const pendingSosIds = useMemo(
+    () => new Set(pending.map(e => e.meta?.sosId).filter(id => id != null)),
+    [pending]
+  );
+
+  return { pending, pendingCount: pending.length, pendingIncidentIds, pendingSosIds };
+};
+
+export default usePendingSync;
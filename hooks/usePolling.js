@@ -0,0 +1,36 @@
+import { useEffect, useRef } from 'react';
+import { useIsFocused } from '@react-navigation/native';
+import { schedulePoll, triggerPoll } from '../services/scheduler';
+
+/**
+ * Poll through the shared scheduler (services/scheduler.js) while the screen
+ * is focused and `enabled` is true. Screens further down the stack stop
+ * polling and catch up as soon as they are focused again.
+ *
+ * `run` should return the service result so failures can back off.
+ *
+ * @param {string} key  Polls with the same key share one timer
+ * @param {() => any} run
+ * @param {{ interval?: number, enabled?: boolean }} [options]
+ * @returns {{ refresh: () => void }}
+ */
+const usePolling = (key, run, { interval = 15000, enabled = true } = {}) => {
+  const isFocused = useIsFocused();
+  const runRef = useRef(run);
+  const startedRef = useRef(false);
+  runRef.current = run;
+
+  const active = isFocused && enabled;
+
+  useEffect(() => {
+    if (!active) return undefined;
+    // Screens load their own data on mount; later (re)activations catch up at once.
+    const runNow = startedRef.current;
+    startedRef.current = true;
+    return schedulePoll(key, () => runRef.current?.(), { interval, runNow });
+  }, [key, interval, active]);
+
+  return { refresh: () => triggerPoll(key) };
+};
+
+export default usePolling;
@@ -0,0 +1,28 @@
+import { useState, useEffect } from 'react';
+import { getPushState, subscribePushState, ensurePushRegistration } from '../services/pushTokens';
+import { isLocalAlertsActive, subscribeLocalAlerts } from '../services/localAlerts';
+
+// Push-token registration state (services/pushTokens.js) plus a retry that
+// re-sends the token to the backend. `localAlerts` is true while the app polls
+// for alerts itself because remote push is unavailable.
+const usePushRegistration = () => {
+  const [pushState, setPushState] = useState(getPushState());
+  const [localAlerts, setLocalAlerts] = useState(isLocalAlertsActive());
+
+  useEffect(() => {
+    setPushState(getPushState());
+    setLocalAlerts(isLocalAlertsActive());
+    const unsubscribePush = subscribePushState(setPushState);
+    const unsubscribeLocal = subscribeLocalAlerts(setLocalAlerts);
+    return () => {
+      unsubscribePush();
+      unsubscribeLocal();
+    };
+  }, []);
+
+  const retry = () => ensurePushRegistration({ force: true });
+
+  return { ...pushState, localAlerts, retry };
+};
+
+export default usePushRegistration;
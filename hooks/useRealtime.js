@@ -0,0 +1,88 @@
+import { useEffect, useRef, useState } from 'react';
+import { useIsFocused } from '@react-navigation/native';
+import { subscribeRealtime, subscribeRealtimeStatus, getRealtimeStatus } from '../services/realtime';
+import usePolling from './usePolling';
+
+// Events arriving this close together are delivered as one batch, so a burst
+// of updates causes a single refetch.
+const BATCH_WINDOW_MS = 250;
+
+/**
+ * Subscribe a screen to realtime events (services/realtime.js).
+ *
+ * `onEvents` receives an array of events. While the stream is not open,
+ * `poll` (if given) runs every `interval` ms through the shared scheduler
+ * (see hooks/usePolling.js) instead, and once more when the stream comes back
+ * so nothing is missed. Events that arrive while the screen is not focused are
+ * held and delivered when it is focused again.
+ *
+ * @param {string[]|null} types  REALTIME_EVENTS values; null for all
+ * @param {(events: Array<{ id: string, type: string, data: any }>) => void} onEvents
+ * @param {{ poll?: () => any, interval?: number, pollKey?: string }} [options]
+ * @returns {{ connected: boolean }}
+ */
+const useRealtime = (types, onEvents, { poll, interval = 15000, pollKey } = {}) => {
+  const [status, setStatus] = useState(getRealtimeStatus());
+  const onEventsRef = useRef(onEvents);
+  const pollRef = useRef(poll);
+  const polledRef = useRef(false);
+  const heldRef = useRef([]);
+  const isFocused = useIsFocused();
+  const focusedRef = useRef(isFocused);
+  focusedRef.current = isFocused;
+  onEventsRef.current = onEvents;
+  pollRef.current = poll;
+
+  const typesKey = types ? types.join(',') : '*';
+
+  useEffect(() => {
+    let batch = [];
+    let timer = null;
+    const unsubscribe = subscribeRealtime(types, event => {
+      batch.push(event);
+      if (timer) return;
+      timer = setTimeout(() => {
+        const events = batch;
+        batch = [];
+        timer = null;
+        if (focusedRef.current) onEventsRef.current?.(events);
+        else heldRef.current.push(...events);
+      }, BATCH_WINDOW_MS);
+    });
+    const unsubscribeStatus = subscribeRealtimeStatus(setStatus);
+    setStatus(getRealtimeStatus());
+    return () => {
+      clearTimeout(timer);
+      unsubscribe();
+      unsubscribeStatus();
+    };
+  }, [typesKey]);
+
+  useEffect(() => {
+    if (!isFocused || heldRef.current.length === 0) return;
+    const events = heldRef.current;
+    heldRef.current = [];
+    onEventsRef.current?.(events);
+  }, [isFocused]);
+
+  const connected = status === 'open';
+
+  useEffect(() => {
+    // Catch up on anything that happened while we were polling.
+    if (connected && polledRef.current) pollRef.current?.();
+    if (connected) polledRef.current = false;
+  }, [connected]);
+
+  usePolling(
+    pollKey || `realtime:${typesKey}`,
+    () => {
+      polledRef.current = true;
+      return pollRef.current?.();
+    },
+    { interval, enabled: !connected && !!poll }
+  );
+
+  return { connected };
+};
+
+export default useRealtime;
@@ -0,0 +1,47 @@
+import { useState, useEffect } from 'react';
+import { getSession, loadSession, subscribeSession } from '../services/session';
+import { loginUser, logoutUser } from '../services/api';
+import { resetTo, loginRouteForRole } from '../services/navigation';
+
+// The signed-in session (services/session.js): user, role, token and
+// expiresAt, all null when signed out; `ready` once it has been read from
+// storage. switchAccount() signs out and opens the login screen for a role.
+const useSession = () => {
+  const [session, setSession] = useState(getSession());
+  const [ready, setReady] = useState(false);
+
+  useEffect(() => {
+    let active = true;
+    const unsubscribe = subscribeSession(next => active && setSession(next || null));
+    loadSession().then(loaded => {
+      if (!active) return;
+      setSession(loaded);
+      setReady(true);
+    });
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  const login = (usernameOrEmail, password, role) => loginUser(usernameOrEmail, password, role);
+  const logout = () => logoutUser();
+  const switchAccount = async role => {
+    await logoutUser();
+    resetTo(loginRouteForRole(role));
+  };
+
+  return {
+    session,
+    ready,
+    user: session?.user || null,
+    role: session?.role || null,
+    token: session?.token || null,
+    expiresAt: session?.expiresAt || null,
+    login,
+    logout,
+    switchAccount,
+  };
+};
+
+export default useSession;
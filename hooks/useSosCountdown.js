@@ -0,0 +1,53 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { subscribeTick } from '../services/scheduler';
+import { serverNow } from '../services/serverClock';
+
+// Seconds left before each pending incident triggers SOS, as { [id]: seconds }.
+// Counts down to the server's deadline (incident.sosDeadline, see
+// services/incidentModel.js) on the server's clock, so a phone with a wrong
+// clock neither shows negative values nor fires early. One shared tick drives
+// every countdown, and only while one is running. `onExpire(id)` runs once
+// per incident when its countdown reaches zero.
+const useSosCountdown = (incidents, { onExpire } = {}) => {
+  const [now, setNow] = useState(serverNow());
+  const expiredRef = useRef(new Set());
+  const onExpireRef = useRef(onExpire);
+  onExpireRef.current = onExpire;
+
+  const deadlines = useMemo(() => {
+    const map = {};
+    incidents.forEach(incident => {
+      if (incident && incident.sosDeadline != null && !incident.acknowledged && !incident.sos_triggered) {
+        map[incident.id] = incident.sosDeadline;
+      }
+    });
+    return map;
+  }, [incidents]);
+
+  const running = Object.values(deadlines).some(deadline => deadline > now);
+  useEffect(() => {
+    if (!running) return undefined;
+    setNow(serverNow());
+    return subscribeTick(setNow);
+  }, [running]);
+
+  const countdowns = useMemo(() => {
+    const map = {};
+    Object.entries(deadlines).forEach(([id, deadline]) => {
+      map[id] = Math.max(Math.ceil((deadline - now) / 1000), 0);
+    });
+    return map;
+  }, [deadlines, now]);
+
+  useEffect(() => {
+    Object.entries(countdowns).forEach(([id, seconds]) => {
+      if (seconds > 0 || expiredRef.current.has(id)) return;
+      expiredRef.current.add(id);
+      onExpireRef.current?.(id);
+    });
+  }, [countdowns]);
+
+  return countdowns;
+};
+
+export default useSosCountdown;
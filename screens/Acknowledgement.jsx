@@ -77,7 +77,7 @@ export default function AcknowledgementScreen({ navigation }) {
         keyExtractor={(item) => item.id.toString()}
         renderItem={({ item }) => (
           <View style={tailwind('bg-white p-4 mb-3 rounded-lg border border-sky-100')}> 
-            <Text style={tailwind('font-semibold text-sky-800')}>Incident #{item.id} • {item.type}</Text>
+            <Text style={tailwind('font-semibold text-sky-800')}>Incident #{item.id} • {item.typeLabel}</Text>
             <Text style={tailwind('text-xs text-sky-500 mt-1')}>Time: {new Date(item.timestamp).toLocaleString()}</Text>
             <View style={tailwind('flex-row mt-3')}> 
               <TouchableOpacity onPress={() => markSeen(item.id)} style={tailwind('mr-2 px-3 py-2 bg-sky-600 rounded')}>
@@ -4,6 +4,10 @@ import { View, Text, FlatList, TouchableOpacity, ActivityIndicator, Alert, Statu
 import { useTailwind } from 'tailwind-rn';
 import { getIncidents, acknowledgeIncident, grantAccessToIncident, getEvidenceStats } from '../services/api';
 import BottomNavigation from '../components/BottomNavigation';
+import SiteSwitcher from '../components/SiteSwitcher';
+import useRealtime from '../hooks/useRealtime';
+import { REALTIME_EVENTS } from '../services/realtime';
+import { INCIDENT_STATUS } from '../services/incidentModel';
 
 const AdminDashboardScreen = ({ navigation }) => {
   const tailwind = useTailwind();
@@ -16,16 +20,9 @@ const AdminDashboardScreen = ({ navigation }) => {
     try {
       const response = await getIncidents();
       
-      // Handle 401 Unauthorized - only show alert on explicit user actions
+      // 401s are handled app-wide (token refresh, then session-expired redirect)
       if (response && response.status === 401) {
         console.warn('[AdminDashboard] Unauthorized detected');
-        if (!silent) {
-          Alert.alert(
-            'Session Expired',
-            'Your session has expired. Please login again.',
-            [{ text: 'OK' }]
-          );
-        }
         if (!silent) setLoadingIncidents(false);
         return;
       }
@@ -37,6 +34,7 @@ const AdminDashboardScreen = ({ navigation }) => {
           Alert.alert('Error', response.message || 'Failed to fetch incidents.');
         }
       }
+      return response;
     } catch (error) {
       console.error('Error fetching incidents:', error);
       if (!silent) {
@@ -52,15 +50,15 @@ const AdminDashboardScreen = ({ navigation }) => {
 
   useEffect(() => {
     fetchIncidents(false); // Initial load
-
-    // Auto-refresh every 15 seconds in background
-    const interval = setInterval(() => {
-      fetchIncidents(true); // Background refresh is silent
-    }, 15000);
-    
-    return () => clearInterval(interval);
   }, []);
 
+  // Live updates; fall back to a silent 15 second refresh while the stream is down
+  useRealtime(
+    [REALTIME_EVENTS.INCIDENT_CREATED, REALTIME_EVENTS.INCIDENT_UPDATED],
+    () => fetchIncidents(true),
+    { poll: () => fetchIncidents(true) }
+  );
+
   // Prevent hardware back button from navigating back to login
   useEffect(() => {
     const backHandler = BackHandler.addEventListener('hardwareBackPress', () => {
@@ -85,7 +83,7 @@ const AdminDashboardScreen = ({ navigation }) => {
       setIncidents(prevIncidents => 
         prevIncidents.map(inc => 
           inc.id === incidentId 
-            ? { ...inc, acknowledged: true, status: 'acknowledged' }
+            ? { ...inc, acknowledged: true, status: INCIDENT_STATUS.ACKNOWLEDGED }
             : inc
         )
       );
@@ -130,8 +128,8 @@ const AdminDashboardScreen = ({ navigation }) => {
   // Memoize stats to avoid recalculation on every render
   const stats = useMemo(() => {
     const total = incidents.length;
-    const pending = incidents.filter(i => i.status !== 'acknowledged' && i.acknowledged !== true).length;
-    const acknowledged = incidents.filter(i => i.status === 'acknowledged' || i.acknowledged === true).length;
+    const acknowledged = incidents.filter(i => i.acknowledged).length;
+    const pending = total - acknowledged;
     return { total, pending, acknowledged };
   }, [incidents]);
 
@@ -140,7 +138,7 @@ const AdminDashboardScreen = ({ navigation }) => {
     const cameraOwnerName = item.camera?.admin_user?.username || 'Unknown Owner';
     const cameraName = item.camera?.name || 'Unknown Camera';
     const evidenceCount = item.evidence_items?.length || 0;
-    const acknowledged = item.status === 'acknowledged' || item.acknowledged === true;
+    const acknowledged = item.acknowledged;
 
     return (
       <View
@@ -264,6 +262,14 @@ const AdminDashboardScreen = ({ navigation }) => {
             <Text style={{ fontSize: 16, marginRight: 6 }}>🚨</Text>
             <Text style={{ color: '#fff', fontWeight: '700', fontSize: 14 }}>SOS Alerts</Text>
           </TouchableOpacity>
+          <TouchableOpacity
+            style={{ flex: 1, backgroundColor: '#4F46E5', borderRadius: 10, paddingVertical: 12, flexDirection: 'row', alignItems: 'center', justifyContent: 'center' }}
+            onPress={() => navigation.navigate('EscalationPolicies')}
+            activeOpacity={0.8}
+          >
+            <Text style={{ fontSize: 16, marginRight: 6 }}>⏱️</Text>
+            <Text style={{ color: '#fff', fontWeight: '700', fontSize: 14 }}>Escalation</Text>
+          </TouchableOpacity>
         </View>
 
         <Text style={tailwind('text-xs text-gray-400 font-semibold mb-3 px-1')}>
@@ -293,6 +299,7 @@ const AdminDashboardScreen = ({ navigation }) => {
         <Text style={tailwind('text-sm text-gray-400')}>
           Manage incidents & security
         </Text>
+        <SiteSwitcher light={false} style={{ alignSelf: 'center', marginTop: 10 }} />
         {/* SOS Alerts Button — moved into ListHeaderComponent above */}
       </View>
 
@@ -2,14 +2,28 @@
 import React, { useState } from 'react';
 import { View, Text, TextInput, TouchableOpacity, Alert } from 'react-native';
 import { useTailwind } from 'tailwind-rn';
-import { loginUser, registerPushToken } from '../services/api';
+import { loginUser } from '../services/api';
+import { resumePendingLink } from '../services/deepLinks';
 import PrimaryButton from '../components/PrimaryButton';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import MfaPrompt from '../components/MfaPrompt';
 
 const AdminLoginScreen = ({ navigation }) => {
   const tailwind = useTailwind();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
+  // Set while the account's two-step verification code is being asked for
+  const [mfaChallenge, setMfaChallenge] = useState(null);
+
+  const finishLogin = () => {
+    setMfaChallenge(null);
+    console.log('[AdminLogin] Login successful, navigating to dashboard...');
+    
+    // The push token is registered by services/pushTokens.js on login.
+    
+    // Navigate immediately
+    navigation.replace('AdminDashboard');
+    resumePendingLink();
+  };
 
   const handleLogin = async () => {
     if (!email || !password) {
@@ -24,24 +38,10 @@ const AdminLoginScreen = ({ navigation }) => {
       const response = await loginUser(email, password, 'admin');
       console.log('[AdminLogin] Login response:', response);
       
-      if (response.success) {
-        console.log('[AdminLogin] Login successful, navigating to dashboard...');
-        
-        // Register push token (non-blocking)
-        try {
-          const token = await AsyncStorage.getItem('expoPushToken');
-          const authToken = await AsyncStorage.getItem('userToken');
-          if (token && authToken) {
-            registerPushToken(token, authToken).then(reg => {
-              if (!reg.success) console.warn('Push token registration failed:', reg.message);
-            }).catch(e => console.warn('Push token registration error:', e));
-          }
-        } catch (e) {
-          console.warn('Error registering push token', e);
-        }
-        
-        // Navigate immediately
-        navigation.replace('AdminDashboard');
+      if (response.mfaRequired) {
+        setMfaChallenge(response.data);
+      } else if (response.success) {
+        finishLogin();
       } else {
         Alert.alert('Login Failed', response.message || 'Invalid credentials.');
       }
@@ -72,6 +72,7 @@ const AdminLoginScreen = ({ navigation }) => {
       />
       <PrimaryButton title="Login" onPress={handleLogin} />
       {/* Registration link removed by request */}
+      <MfaPrompt challenge={mfaChallenge} onVerified={finishLogin} onCancel={() => setMfaChallenge(null)} />
     </View>
   );
 };
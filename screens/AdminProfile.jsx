@@ -1,8 +1,11 @@
 import React, { useEffect, useState } from 'react';
 import { View, Text, TextInput, TouchableOpacity, ActivityIndicator, Alert, ScrollView, StatusBar } from 'react-native';
 import { useTailwind } from 'tailwind-rn';
-import { getMe, updateUser } from '../services/api';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getMe, updateUser, logoutUser } from '../services/api';
+import PushRegistrationStatus from '../components/PushRegistrationStatus';
+import NotificationPreferences from '../components/NotificationPreferences';
+import AppLockSettings from '../components/AppLockSettings';
+import TotpEnrolment from '../components/TotpEnrolment';
 import { Ionicons } from '@expo/vector-icons';
 import BottomNavigation from '../components/BottomNavigation';
 
@@ -83,10 +86,7 @@ export default function AdminProfileScreen({ navigation }) {
               console.log('[AdminProfile] Starting logout process...');
               
               // Clear all auth tokens and user data
-              const keysToRemove = ['adminToken', 'viewerToken', 'securityToken', 'userToken', 'user', 'token'];
-              await AsyncStorage.multiRemove(keysToRemove);
-              
-              console.log('[AdminProfile] AsyncStorage cleared successfully');
+              await logoutUser();
               console.log('[AdminProfile] Navigating to Registration...');
               
               // Use reset instead of replace to ensure clean navigation stack
@@ -187,7 +187,33 @@ export default function AdminProfileScreen({ navigation }) {
             />
           </View>
 
-          
+          {/* Push notifications */}
+          <View style={tailwind('mb-5')}>
+            <Text style={tailwind('text-xs text-gray-400 mb-2')}>Notifications</Text>
+            <PushRegistrationStatus />
+          </View>
+
+          {/* Notification preferences */}
+          <View style={tailwind('mb-5')}>
+            <Text style={tailwind('text-xs text-gray-400 mb-2')}>Notification Preferences</Text>
+            <NotificationPreferences />
+          </View>
+
+          {/* App lock */}
+          <View style={tailwind('mb-5')}>
+            <Text style={tailwind('text-xs text-gray-400 mb-2')}>App Lock</Text>
+            <AppLockSettings />
+          </View>
+
+          {/* Two-step verification */}
+          <View style={tailwind('mb-5')}>
+            <Text style={tailwind('text-xs text-gray-400 mb-2')}>Two-Step Verification</Text>
+            <TotpEnrolment
+              enabled={!!user?.mfa_enabled}
+              account={user?.email || user?.username}
+              onChange={mfaEnabled => setUser(prev => ({ ...prev, mfa_enabled: mfaEnabled }))}
+            />
+          </View>
 
           {/* Action Buttons */}
           {!isEditing ? (
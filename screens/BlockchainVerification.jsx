@@ -13,7 +13,7 @@ import {
 } from 'react-native';
 import { useTailwind } from 'tailwind-rn';
 import { Ionicons } from '@expo/vector-icons';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { loadSession } from '../services/session';
 import {
   getBlockchainStatus,
   adminVerifyBlockchain,
@@ -121,15 +121,9 @@ const BlockchainVerificationScreen = ({ route, navigation }) => {
   const [userRole, setUserRole] = useState(null);
   const [error, setError] = useState(null);
 
-  // Load user role from stored user profile
+  // Load user role from the signed-in session
   useEffect(() => {
-    AsyncStorage.getItem('user')
-      .then(raw => {
-        if (raw) {
-          try { setUserRole(JSON.parse(raw).role || null); } catch (_) {}
-        }
-      })
-      .catch(() => {});
+    loadSession().then(session => setUserRole(session?.role || null));
   }, []);
 
   const fetchStatus = useCallback(async (silent = false) => {
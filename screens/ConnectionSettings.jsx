@@ -0,0 +1,258 @@
+// screens/ConnectionSettings.jsx
+// Pick the backend this device talks to: scan for reachable servers, test a
+// URL by hand and persist the choice as the active site's base URL.
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { resolveBaseUrl, setOverrideBaseUrl, getDebugInfo } from '../services/api';
+import { discoverBackends, probeBackend, normalizeBaseUrl } from '../services/discovery';
+import { getActiveSite, subscribeSites } from '../services/sites';
+
+function latencyColor(ms) {
+  if (ms < 150) return '#10B981';
+  if (ms < 600) return '#F59E0B';
+  return '#EF4444';
+}
+
+export default function ConnectionSettingsScreen({ navigation }) {
+  const [currentUrl, setCurrentUrl] = useState('');
+  const [urlInput, setUrlInput] = useState('');
+  const [results, setResults] = useState([]);
+  const [scanning, setScanning] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [testing, setTesting] = useState(false);
+  const [testResult, setTestResult] = useState(null);
+  const [siteName, setSiteName] = useState('');
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    resolveBaseUrl().then(url => {
+      setCurrentUrl(url);
+      setUrlInput(url);
+    });
+    getActiveSite().then(site => setSiteName(site?.name || ''));
+    const unsubscribe = subscribeSites(({ sites, activeSiteId }) => {
+      setSiteName(sites.find(s => s.id === activeSiteId)?.name || '');
+    });
+    return () => {
+      unsubscribe();
+      abortRef.current?.abort();
+    };
+  }, []);
+
+  const runScan = async (scanSubnet) => {
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setScanning(true);
+    setResults([]);
+    setProgress({ done: 0, total: 0 });
+    try {
+      const found = await discoverBackends({
+        scanSubnet,
+        signal: controller.signal,
+        onProgress: ({ done, total, found: partial }) => {
+          setProgress({ done, total });
+          setResults(partial);
+        },
+      });
+      if (!controller.signal.aborted && found.length === 0) {
+        Alert.alert('No Backend Found', 'No server answered on the known addresses. Check that the backend is running and the phone is on the same network.');
+      }
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  const handleTest = async () => {
+    const url = normalizeBaseUrl(urlInput);
+    if (!url) return;
+    setUrlInput(url);
+    setTesting(true);
+    setTestResult(null);
+    const result = await probeBackend(url);
+    setTestResult(result);
+    setTesting(false);
+  };
+
+  const handleSave = async (url = urlInput) => {
+    const normalized = normalizeBaseUrl(url);
+    if (!normalized) return;
+    const result = await probeBackend(normalized);
+    const save = async () => {
+      await setOverrideBaseUrl(normalized);
+      setCurrentUrl(normalized);
+      setUrlInput(normalized);
+      Alert.alert('Saved', `The app will now use ${normalized}`);
+    };
+    if (result.ok) {
+      await save();
+    } else {
+      Alert.alert(
+        'Server Not Reachable',
+        `${normalized} did not respond (${result.error || 'no response'}). Save anyway?`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Save Anyway', onPress: save },
+        ]
+      );
+    }
+  };
+
+  const handleReset = async () => {
+    await setOverrideBaseUrl(null);
+    const url = await resolveBaseUrl();
+    setCurrentUrl(url);
+    setUrlInput(url);
+    setTestResult(null);
+    Alert.alert('Reset', `Using the default backend: ${url}`);
+  };
+
+  return (
+    <ScrollView style={{ flex: 1, backgroundColor: '#F3F4F6' }} contentContainerStyle={{ padding: 16 }}>
+      {/* Current */}
+      <View style={{ backgroundColor: '#FFFFFF', padding: 16, borderRadius: 12, marginBottom: 16 }}>
+        <Text style={{ fontSize: 13, fontWeight: '600', color: '#6B7280', marginBottom: 6 }}>Current Backend</Text>
+        <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+          <Ionicons name="server-outline" size={20} color="#4F46E5" style={{ marginRight: 10 }} />
+          <Text style={{ fontSize: 15, color: '#1F2937', flex: 1 }} selectable>{currentUrl || '—'}</Text>
+        </View>
+        <Text style={{ fontSize: 12, color: '#9CA3AF', marginTop: 6 }}>
+          Built-in default: {getDebugInfo().BASE_URL}
+        </Text>
+        {!!siteName && (
+          <Text style={{ fontSize: 12, color: '#9CA3AF', marginTop: 2 }}>
+            Saved for site: {siteName}
+          </Text>
+        )}
+      </View>
+
+      {/* Manual entry */}
+      <View style={{ backgroundColor: '#FFFFFF', padding: 16, borderRadius: 12, marginBottom: 16 }}>
+        <Text style={{ fontSize: 13, fontWeight: '600', color: '#6B7280', marginBottom: 8 }}>Server Address</Text>
+        <TextInput
+          value={urlInput}
+          onChangeText={text => {
+            setUrlInput(text);
+            setTestResult(null);
+          }}
+          placeholder="http://192.168.1.20:8000"
+          placeholderTextColor="#9CA3AF"
+          autoCapitalize="none"
+          autoCorrect={false}
+          keyboardType="url"
+          style={{ borderWidth: 1, borderColor: '#D1D5DB', borderRadius: 8, padding: 12, fontSize: 15, color: '#1F2937', marginBottom: 12 }}
+        />
+        {testResult && (
+          <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 12 }}>
+            <Ionicons
+              name={testResult.ok ? 'checkmark-circle' : 'close-circle'}
+              size={18}
+              color={testResult.ok ? '#10B981' : '#EF4444'}
+              style={{ marginRight: 6 }}
+            />
+            <Text style={{ fontSize: 13, color: testResult.ok ? '#065F46' : '#991B1B', flex: 1 }}>
+              {testResult.ok ? `Reachable in ${testResult.latencyMs} ms` : `Not reachable: ${testResult.error}`}
+            </Text>
+          </View>
+        )}
+        <View style={{ flexDirection: 'row', gap: 10 }}>
+          <TouchableOpacity
+            onPress={handleTest}
+            disabled={testing}
+            style={{ flex: 1, paddingVertical: 12, borderRadius: 8, backgroundColor: '#F3F4F6', alignItems: 'center' }}
+          >
+            {testing
+              ? <ActivityIndicator size="small" color="#4F46E5" />
+              : <Text style={{ color: '#4F46E5', fontWeight: '600' }}>Test</Text>}
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => handleSave()}
+            style={{ flex: 1, paddingVertical: 12, borderRadius: 8, backgroundColor: '#4F46E5', alignItems: 'center' }}
+          >
+            <Text style={{ color: '#FFFFFF', fontWeight: '600' }}>Save</Text>
+          </TouchableOpacity>
+        </View>
+        <TouchableOpacity onPress={handleReset} style={{ marginTop: 12, alignItems: 'center' }}>
+          <Text style={{ color: '#6B7280', fontSize: 13 }}>Reset to default</Text>
+        </TouchableOpacity>
+      </View>
+
+      {/* Discovery */}
+      <View style={{ backgroundColor: '#FFFFFF', padding: 16, borderRadius: 12 }}>
+        <Text style={{ fontSize: 13, fontWeight: '600', color: '#6B7280', marginBottom: 8 }}>Find a Backend</Text>
+        <View style={{ flexDirection: 'row', gap: 10, marginBottom: 12 }}>
+          <TouchableOpacity
+            onPress={() => runScan(false)}
+            disabled={scanning}
+            style={{ flex: 1, paddingVertical: 12, borderRadius: 8, backgroundColor: scanning ? '#E5E7EB' : '#EEF2FF', alignItems: 'center' }}
+          >
+            <Text style={{ color: '#4F46E5', fontWeight: '600' }}>Quick Scan</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => runScan(true)}
+            disabled={scanning}
+            style={{ flex: 1, paddingVertical: 12, borderRadius: 8, backgroundColor: scanning ? '#E5E7EB' : '#EEF2FF', alignItems: 'center' }}
+          >
+            <Text style={{ color: '#4F46E5', fontWeight: '600' }}>Scan Network</Text>
+          </TouchableOpacity>
+        </View>
+
+        {scanning && (
+          <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 12 }}>
+            <ActivityIndicator size="small" color="#4F46E5" style={{ marginRight: 8 }} />
+            <Text style={{ fontSize: 13, color: '#6B7280', flex: 1 }}>
+              Probed {progress.done} of {progress.total}...
+            </Text>
+            <TouchableOpacity onPress={() => abortRef.current?.abort()}>
+              <Text style={{ color: '#DC2626', fontWeight: '600', fontSize: 13 }}>Stop</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {results.map(result => (
+          <TouchableOpacity
+            key={result.url}
+            onPress={() => {
+              setUrlInput(result.url);
+              setTestResult(result);
+            }}
+            onLongPress={() => handleSave(result.url)}
+            style={{
+              flexDirection: 'row',
+              alignItems: 'center',
+              paddingVertical: 12,
+              borderTopWidth: 1,
+              borderTopColor: '#F3F4F6',
+            }}
+          >
+            <Ionicons
+              name={result.url === currentUrl ? 'radio-button-on' : 'radio-button-off'}
+              size={18}
+              color="#4F46E5"
+              style={{ marginRight: 10 }}
+            />
+            <Text style={{ fontSize: 14, color: '#1F2937', flex: 1 }}>{result.url}</Text>
+            <Text style={{ fontSize: 13, fontWeight: '600', color: latencyColor(result.latencyMs) }}>
+              {result.latencyMs} ms
+            </Text>
+          </TouchableOpacity>
+        ))}
+
+        {!scanning && results.length > 0 && (
+          <Text style={{ fontSize: 12, color: '#9CA3AF', marginTop: 8 }}>
+            Tap a server to select it, then Save. Long-press to save directly.
+          </Text>
+        )}
+      </View>
+    </ScrollView>
+  );
+}
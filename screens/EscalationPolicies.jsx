@@ -0,0 +1,204 @@
+// screens/EscalationPolicies.jsx
+// Admin editor for the per-severity escalation chains (services/escalation.js).
+// Each stage runs a number of minutes after an incident is raised unless it
+// has been acknowledged by then.
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, ScrollView, ActivityIndicator, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getEscalationPolicies, updateEscalationPolicy } from '../services/api';
+import {
+  ESCALATION_ACTIONS,
+  ESCALATION_ACTION_LABELS,
+  ESCALATION_SEVERITIES,
+  DEFAULT_ESCALATION_STAGES,
+  validateEscalationStages,
+} from '../services/escalation';
+
+const SEVERITY_COLORS = { critical: '#DC2626', high: '#EF4444', medium: '#F59E0B', low: '#10B981' };
+
+export default function EscalationPoliciesScreen({ route }) {
+  const [severity, setSeverity] = useState(route?.params?.severity && ESCALATION_SEVERITIES.includes(route.params.severity)
+    ? route.params.severity
+    : ESCALATION_SEVERITIES[0]);
+  const [policies, setPolicies] = useState({});
+  const [stages, setStages] = useState(DEFAULT_ESCALATION_STAGES);
+  const [dirty, setDirty] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    getEscalationPolicies().then(res => {
+      if (res.success) setPolicies(res.data);
+      else Alert.alert('Error', res.message);
+      setLoading(false);
+    });
+  }, []);
+
+  useEffect(() => {
+    setStages(policies[severity]?.stages || DEFAULT_ESCALATION_STAGES);
+    setDirty(false);
+  }, [severity, policies]);
+
+  const selectSeverity = next => {
+    if (!dirty) {
+      setSeverity(next);
+      return;
+    }
+    Alert.alert('Discard Changes?', `Your changes to the ${severity} policy have not been saved.`, [
+      { text: 'Keep Editing', style: 'cancel' },
+      { text: 'Discard', style: 'destructive', onPress: () => setSeverity(next) },
+    ]);
+  };
+
+  const updateStage = (index, changes) => {
+    setStages(prev => prev.map((stage, i) => (i === index ? { ...stage, ...changes } : stage)));
+    setDirty(true);
+  };
+
+  const addStage = () => {
+    const last = stages[stages.length - 1];
+    setStages(prev => [...prev, {
+      afterMinutes: last ? last.afterMinutes + 5 : 0,
+      action: ESCALATION_ACTIONS.NOTIFY_ADMINS,
+      phone: null,
+    }]);
+    setDirty(true);
+  };
+
+  const removeStage = index => {
+    setStages(prev => prev.filter((_, i) => i !== index));
+    setDirty(true);
+  };
+
+  const save = async () => {
+    const errors = validateEscalationStages(stages);
+    if (errors.length) {
+      Alert.alert('Check the Policy', errors.join('\n'));
+      return;
+    }
+    setSaving(true);
+    const res = await updateEscalationPolicy(severity, stages);
+    setSaving(false);
+    if (res.success) {
+      setPolicies(prev => ({ ...prev, [severity]: res.data || { severity, stages } }));
+      Alert.alert('Policy Saved', `The ${severity} escalation policy has been updated.`);
+    } else {
+      Alert.alert('Save Failed', res.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: '#F9FAFB' }}>
+        <ActivityIndicator size="large" color="#6366F1" />
+      </View>
+    );
+  }
+
+  return (
+    <View style={{ flex: 1, backgroundColor: '#F9FAFB' }}>
+      {/* Severity tabs */}
+      <View style={{ flexDirection: 'row', backgroundColor: '#FFFFFF', borderBottomWidth: 1, borderBottomColor: '#E5E7EB' }}>
+        {ESCALATION_SEVERITIES.map(level => (
+          <TouchableOpacity
+            key={level}
+            onPress={() => selectSeverity(level)}
+            style={{
+              flex: 1,
+              paddingVertical: 12,
+              alignItems: 'center',
+              borderBottomWidth: 3,
+              borderBottomColor: severity === level ? SEVERITY_COLORS[level] : 'transparent',
+            }}
+          >
+            <Text style={{ fontSize: 13, fontWeight: severity === level ? '700' : '500', color: severity === level ? SEVERITY_COLORS[level] : '#6B7280' }}>
+              {level.toUpperCase()}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <ScrollView contentContainerStyle={{ padding: 16, paddingBottom: 40 }}>
+        {!policies[severity] && (
+          <Text style={{ fontSize: 12, color: '#9CA3AF', marginBottom: 12 }}>
+            No policy saved for this severity yet; showing the default chain.
+          </Text>
+        )}
+
+        {stages.map((stage, index) => (
+          <View key={index} style={{ backgroundColor: '#FFFFFF', borderRadius: 12, padding: 14, marginBottom: 12, borderWidth: 1, borderColor: '#E5E7EB' }}>
+            <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 10 }}>
+              <Text style={{ fontSize: 14, fontWeight: '700', color: '#1F2937', flex: 1 }}>Stage {index + 1}</Text>
+              <Text style={{ fontSize: 13, color: '#6B7280', marginRight: 6 }}>after</Text>
+              <TextInput
+                value={String(stage.afterMinutes)}
+                onChangeText={value => updateStage(index, { afterMinutes: Number(value.replace(/\D/g, '')) || 0 })}
+                keyboardType="number-pad"
+                maxLength={4}
+                style={{ borderWidth: 1, borderColor: '#D1D5DB', borderRadius: 8, paddingHorizontal: 8, paddingVertical: 4, width: 56, textAlign: 'center', color: '#1F2937' }}
+              />
+              <Text style={{ fontSize: 13, color: '#6B7280', marginLeft: 6 }}>min</Text>
+              <TouchableOpacity onPress={() => removeStage(index)} style={{ marginLeft: 12 }}>
+                <Ionicons name="trash-outline" size={20} color="#EF4444" />
+              </TouchableOpacity>
+            </View>
+
+            <View style={{ flexDirection: 'row', flexWrap: 'wrap' }}>
+              {Object.values(ESCALATION_ACTIONS).map(action => (
+                <TouchableOpacity
+                  key={action}
+                  onPress={() => updateStage(index, { action })}
+                  style={{
+                    paddingHorizontal: 10,
+                    paddingVertical: 6,
+                    borderRadius: 14,
+                    borderWidth: 1,
+                    borderColor: stage.action === action ? '#6366F1' : '#D1D5DB',
+                    backgroundColor: stage.action === action ? '#EEF2FF' : '#FFFFFF',
+                    marginRight: 6,
+                    marginBottom: 6,
+                  }}
+                >
+                  <Text style={{ fontSize: 12, color: stage.action === action ? '#4F46E5' : '#4B5563' }}>
+                    {ESCALATION_ACTION_LABELS[action]}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            {stage.action === ESCALATION_ACTIONS.CALL_EMERGENCY && (
+              <TextInput
+                value={stage.phone || ''}
+                onChangeText={phone => updateStage(index, { phone: phone.replace(/[^0-9+]/g, '') })}
+                placeholder="Emergency number, e.g. 112"
+                placeholderTextColor="#9CA3AF"
+                keyboardType="phone-pad"
+                style={{ borderWidth: 1, borderColor: '#D1D5DB', borderRadius: 8, padding: 10, marginTop: 6, color: '#1F2937' }}
+              />
+            )}
+          </View>
+        ))}
+
+        <TouchableOpacity
+          onPress={addStage}
+          style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'center', paddingVertical: 12, borderRadius: 10, borderWidth: 1, borderStyle: 'dashed', borderColor: '#A5B4FC', marginBottom: 16 }}
+        >
+          <Ionicons name="add" size={18} color="#6366F1" style={{ marginRight: 6 }} />
+          <Text style={{ color: '#6366F1', fontWeight: '600' }}>Add Stage</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          onPress={save}
+          disabled={!dirty || saving}
+          style={{ paddingVertical: 14, borderRadius: 10, alignItems: 'center', backgroundColor: dirty && !saving ? '#6366F1' : '#D1D5DB' }}
+        >
+          {saving ? (
+            <ActivityIndicator size="small" color="#FFFFFF" />
+          ) : (
+            <Text style={{ color: '#FFFFFF', fontWeight: '700', fontSize: 15 }}>Save {severity} policy</Text>
+          )}
+        </TouchableOpacity>
+      </ScrollView>
+    </View>
+  );
+}
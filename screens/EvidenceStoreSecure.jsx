@@ -13,8 +13,8 @@ import {
 } from 'react-native';
 import { useTailwind } from 'tailwind-rn';
 import { Ionicons } from '@expo/vector-icons';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { getSecureEvidence, verifySecureEvidence } from '../services/api_secure';
+import { loadSession } from '../services/session';
+import { getSecureEvidence, getSecureEvidenceById, verifySecureEvidence } from '../services/api_secure';
 import { getDebugInfo } from '../services/api';
 
 /**
@@ -33,7 +33,7 @@ import { getDebugInfo } from '../services/api';
  * - VIEWER: View own camera evidence only
  * - SECURITY: View shared evidence only (read-only)
  */
-export default function EvidenceStoreSecure({ navigation }) {
+export default function EvidenceStoreSecure({ navigation, route }) {
   const tailwind = useTailwind();
   const [evidence, setEvidence] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -43,16 +43,32 @@ export default function EvidenceStoreSecure({ navigation }) {
   const [verifying, setVerifying] = useState({});
   const [modalVisible, setModalVisible] = useState(false);
   const [selectedEvidence, setSelectedEvidence] = useState(null);
+  // Set when opened from a deep link or notification (aicctv://evidence/9)
+  const linkedEvidenceId = route?.params?.evidenceId;
 
   useEffect(() => {
     initialize();
   }, []);
 
+  // Open the linked item directly; access control is enforced by the server.
+  useEffect(() => {
+    if (linkedEvidenceId == null) return;
+    getSecureEvidenceById(linkedEvidenceId).then(response => {
+      if (response.success && response.data) {
+        handleViewDetails(response.data);
+      } else if (response.status !== 401) {
+        Alert.alert('Evidence Unavailable', response.status === 404
+          ? 'This evidence item no longer exists.'
+          : response.message || 'You do not have access to this evidence.');
+      }
+    });
+  }, [linkedEvidenceId]);
+
   const initialize = async () => {
     try {
       // Check authentication first
-      const token = await AsyncStorage.getItem('userToken');
-      if (!token) {
+      const session = await loadSession();
+      if (!session) {
         Alert.alert(
           'Authentication Required',
           'Please log in to access the Evidence Store',
@@ -78,14 +94,12 @@ export default function EvidenceStoreSecure({ navigation }) {
 
   const loadUserRole = async () => {
     try {
-      // Get user data from AsyncStorage
-      const userData = await AsyncStorage.getItem('user');
-      if (userData) {
-        const user = JSON.parse(userData);
-        setUserRole(user.role);
-        console.log('[EvidenceStoreSecure] User role:', user.role);
+      const session = await loadSession();
+      if (session) {
+        setUserRole(session.role);
+        console.log('[EvidenceStoreSecure] User role:', session.role);
       } else {
-        console.warn('[EvidenceStoreSecure] No user data found in storage');
+        console.warn('[EvidenceStoreSecure] No session found');
         setUserRole(null);
       }
     } catch (err) {
@@ -111,14 +125,8 @@ export default function EvidenceStoreSecure({ navigation }) {
       } else {
         console.error('[EvidenceStoreSecure] Failed:', response?.message);
         
-        // Handle authentication errors
-        if (response?.status === 401 || response?.message?.includes('authenticated')) {
-          Alert.alert(
-            'Authentication Required',
-            'Your session has expired. Please log in again.',
-            [{ text: 'Go to Login', onPress: () => navigation.navigate('Login') }]
-          );
-        } else {
+        // 401s are handled app-wide (token refresh, then session-expired redirect)
+        if (response?.status !== 401) {
           Alert.alert('Error', response?.message || 'Failed to load evidence');
         }
       }
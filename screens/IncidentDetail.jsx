@@ -4,24 +4,28 @@ import { useTailwind } from 'tailwind-rn';
 import { Ionicons } from '@expo/vector-icons';
 import { Video } from 'expo-av';
 import { WebView } from 'react-native-webview';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { verifyEvidence, getDebugInfo, getIncidents, getBlockchainStatus, adminVerifyBlockchain, acknowledgeIncident, getSosStatus } from '../services/api';
+import { loadSession } from '../services/session';
+import { verifyEvidence, getDebugInfo, getIncident, getBlockchainStatus, adminVerifyBlockchain, acknowledgeIncident, getSosStatus } from '../services/api';
+import { normalizeIncident, severityRankOf, SEVERITY_RANK, INCIDENT_ORIGIN, SOS_TIMEOUT_SECONDS } from '../services/incidentModel';
+import ReportDetails from '../components/ReportDetails';
+import EscalationTimeline from '../components/EscalationTimeline';
+import useSosCountdown from '../hooks/useSosCountdown';
 
-const SOS_TIMEOUT = 60; // seconds — must match backend SOS_TIMEOUT_SECONDS
-
-const isHighPriority = (severity) =>
-  severity === 'high' || severity === 'critical';
+const isHighPriority = (severity) => severityRankOf(severity) >= SEVERITY_RANK.high;
 
 const IncidentDetailScreen = ({ route, navigation }) => {
   const tailwind = useTailwind();
-  const { incident: initialIncident, userRole: routeUserRole } = route.params || {};
-  const [incident, setIncident] = useState(initialIncident || {});
+  // Deep links and notification taps pass only `incidentId`; screens pass the incident.
+  const { incident: initialIncident, incidentId: routeIncidentId, userRole: routeUserRole } = route.params || {};
+  const incidentId = initialIncident?.id ?? routeIncidentId;
+  const [incident, setIncident] = useState(initialIncident ? normalizeIncident(initialIncident) : { id: incidentId });
+  const [fetching, setFetching] = useState(!initialIncident?.timestamp && incidentId != null);
   const [loading, setLoading] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
   const [modalVisible, setModalVisible] = useState(false);
   const [activeEvidence, setActiveEvidence] = useState(null);
   // Seed role immediately from navigation param so it's available on first render.
-  // AsyncStorage fallback handles cases where the param isn't provided.
+  // The session's role replaces it once loaded.
   const [userRole, setUserRole] = useState(routeUserRole || null);
   const [verificationResults, setVerificationResults] = useState({});
   const [baseUrl, setBaseUrl] = useState('');
@@ -31,9 +35,7 @@ const IncidentDetailScreen = ({ route, navigation }) => {
 
   // SOS state
   const [sosStatus, setSosStatus] = useState(null);
-  const [countdown, setCountdown] = useState(null);   // seconds remaining (null = not started)
   const [acknowledging, setAcknowledging] = useState(false);
-  const countdownRef = React.useRef(null);
 
   // Debug: Log incident data on mount
   React.useEffect(() => {
@@ -45,44 +47,14 @@ const IncidentDetailScreen = ({ route, navigation }) => {
     }
   }, []);
   
-  // Load user role and base URL on mount.
-  // If routeUserRole was already provided by the navigation caller we skip the
-  // AsyncStorage read (role is already in state), but we still need it if the
-  // screen is opened from a context that doesn't pass the role param.
+  // Load user role and base URL on mount. The signed-in session's role wins
+  // over the route param, which only seeds the first render.
   React.useEffect(() => {
     const loadUserRole = async () => {
-      try {
-        // 1. If the calling screen passed the role param, trust it.
-        if (routeUserRole) {
-          console.log('[IncidentDetail] Role from route param:', routeUserRole);
-          setUserRole(routeUserRole);
-          return;
-        }
-        // 2. Try the 'user' object stored on login.
-        const raw = await AsyncStorage.getItem('user');
-        if (raw) {
-          const parsed = JSON.parse(raw);
-          if (parsed.role) {
-            console.log('[IncidentDetail] Role from AsyncStorage user object:', parsed.role);
-            setUserRole(parsed.role);
-            return;
-          }
-        }
-        // 3. Presence of adminToken ⟹ admin session.
-        const adminToken = await AsyncStorage.getItem('adminToken');
-        if (adminToken) {
-          console.log('[IncidentDetail] Role inferred from adminToken presence: admin');
-          setUserRole('admin');
-          return;
-        }
-        const securityToken = await AsyncStorage.getItem('securityToken');
-        if (securityToken) {
-          setUserRole('security');
-          return;
-        }
-        setUserRole('viewer');
-      } catch (err) {
-        console.error('Failed to load user role:', err);
+      const session = await loadSession();
+      if (session?.role) {
+        console.log('[IncidentDetail] Role from session:', session.role);
+        setUserRole(session.role);
       }
     };
     
@@ -97,62 +69,50 @@ const IncidentDetailScreen = ({ route, navigation }) => {
     initBaseUrl();
   }, []);
 
+  // Opened with just an id (deep link, SOS alert): load the full record.
+  React.useEffect(() => {
+    if (!fetching) return;
+    getIncident(incidentId)
+      .then(result => {
+        if (result.success) {
+          setIncident(result.data);
+        } else {
+          Alert.alert('Incident Unavailable', result.status === 404 ? 'This incident no longer exists.' : result.message);
+        }
+      })
+      .finally(() => setFetching(false));
+  }, [incidentId]);
+
   // Load blockchain integrity status
   React.useEffect(() => {
-    if (!initialIncident?.id) return;
+    if (incidentId == null) return;
     setBlockchainLoading(true);
-    getBlockchainStatus(initialIncident.id)
+    getBlockchainStatus(incidentId)
       .then(result => {
         if (result.success) setBlockchainRecord(result.data);
       })
       .catch(() => {})
       .finally(() => setBlockchainLoading(false));
-  }, [initialIncident?.id]);
+  }, [incidentId]);
 
   // -----------------------------------------------------------------------
-  // SOS countdown timer
+  // SOS countdown, to the server's deadline on the server's clock
   // -----------------------------------------------------------------------
-  React.useEffect(() => {
-    const inc = initialIncident || {};
-    if (!inc.id || inc.acknowledged || inc.sos_triggered) return;
-    if (!isHighPriority(inc.severity)) return;
-
-    // Calculate seconds elapsed since incident creation
-    const createdAt = inc.timestamp ? new Date(inc.timestamp) : new Date();
-    const elapsedMs = Date.now() - createdAt.getTime();
-    const elapsedSec = Math.floor(elapsedMs / 1000);
-    const initialCountdown = Math.max(0, SOS_TIMEOUT - elapsedSec);
-
-    if (initialCountdown <= 0) {
-      // Timer already expired — fetch SOS status from server
-      getSosStatus(inc.id).then(r => { if (r.success) setSosStatus(r.data); });
-      return;
-    }
-
-    setCountdown(initialCountdown);
-
-    countdownRef.current = setInterval(() => {
-      setCountdown(prev => {
-        if (prev === null || prev <= 1) {
-          clearInterval(countdownRef.current);
-          // Fetch updated SOS status from backend
-          getSosStatus(inc.id).then(r => { if (r.success) setSosStatus(r.data); });
-          return 0;
-        }
-        return prev - 1;
-      });
-    }, 1000);
-
-    return () => clearInterval(countdownRef.current);
-  }, [initialIncident?.id]);
-  
+  const countdowns = useSosCountdown(React.useMemo(() => [incident], [incident]), {
+    // Fetch the SOS status from the backend once the deadline has passed
+    onExpire: id => getSosStatus(id).then(r => { if (r.success) setSosStatus(r.data); }),
+  });
+  const countdown = countdowns[incident.id] ?? null; // seconds remaining (null = no deadline)
+  const sosWindow = incident.sosDeadline && incident.timestamp
+    ? Math.max(1, (incident.sosDeadline - new Date(incident.timestamp).getTime()) / 1000)
+    : SOS_TIMEOUT_SECONDS;
 
   // -----------------------------------------------------------------------
   // Acknowledge incident – cancels SOS timer
   // -----------------------------------------------------------------------
   const handleAcknowledgeSuccess = async () => {
     if (acknowledging) return;
-    const incId = incident.id || initialIncident?.id;
+    const incId = incident.id ?? incidentId;
     if (!incId) return;
 
     Alert.alert(
@@ -167,9 +127,7 @@ const IncidentDetailScreen = ({ route, navigation }) => {
             try {
               const result = await acknowledgeIncident(incId);
               if (result.success) {
-                clearInterval(countdownRef.current);
-                setCountdown(null);
-                setIncident(prev => ({
+                setIncident(prev => normalizeIncident({
                   ...prev,
                   acknowledged: true,
                   incident_status: 'Acknowledged',
@@ -201,16 +159,14 @@ const IncidentDetailScreen = ({ route, navigation }) => {
     console.log('[IncidentDetail] 🔄 Refreshing incident data...');
     setRefreshing(true);
     try {
-      const response = await getIncidents();
+      const response = await getIncident(incident.id ?? incidentId);
       if (response && response.success && response.data) {
-        const freshIncident = response.data.find(inc => inc.id === incident.id);
-        if (freshIncident) {
-          console.log('[IncidentDetail] ✅ Fresh incident loaded:', freshIncident.id);
-          console.log('[IncidentDetail] 📎 Fresh evidence count:', freshIncident.evidence_items?.length || 0);
-          setIncident(freshIncident);
-        } else {
-          console.log('[IncidentDetail] ⚠️ Incident not found in fresh data');
-        }
+        const freshIncident = response.data;
+        console.log('[IncidentDetail] ✅ Fresh incident loaded:', freshIncident.id);
+        console.log('[IncidentDetail] 📎 Fresh evidence count:', freshIncident.evidence_items?.length || 0);
+        setIncident(freshIncident);
+      } else if (response?.status === 404) {
+        console.log('[IncidentDetail] ⚠️ Incident not found');
       } else {
         console.log('[IncidentDetail] ❌ Failed to refresh:', response?.message);
       }
@@ -531,6 +487,15 @@ const IncidentDetailScreen = ({ route, navigation }) => {
     return acknowledged ? '#10B981' : '#EF4444';
   };
 
+  if (fetching) {
+    return (
+      <View style={{ flex: 1, backgroundColor: '#F3F4F6', justifyContent: 'center', alignItems: 'center' }}>
+        <ActivityIndicator size="large" color="#4F46E5" />
+        <Text style={{ marginTop: 12, color: '#6B7280' }}>Loading incident #{incidentId}...</Text>
+      </View>
+    );
+  }
+
   return (
     <View style={{ flex: 1, backgroundColor: '#F3F4F6' }}>
       <StatusBar barStyle="dark-content" backgroundColor="#F3F4F6" />
@@ -577,7 +542,7 @@ const IncidentDetailScreen = ({ route, navigation }) => {
                   {countdown}s
                 </Text>
               ) : (
-                <Text style={{ fontWeight: '800' }}>60 seconds</Text>
+                <Text style={{ fontWeight: '800' }}>{SOS_TIMEOUT_SECONDS} seconds</Text>
               )}
               {' '}— or an SOS alert will be automatically triggered.
             </Text>
@@ -590,7 +555,7 @@ const IncidentDetailScreen = ({ route, navigation }) => {
                     backgroundColor: countdown <= 15 ? '#EF4444' : '#F97316',
                     borderRadius: 4,
                     height: 6,
-                    width: `${Math.min(100, (countdown / SOS_TIMEOUT) * 100)}%`,
+                    width: `${Math.min(100, (countdown / sosWindow) * 100)}%`,
                   }}
                 />
               </View>
@@ -676,6 +641,11 @@ const IncidentDetailScreen = ({ route, navigation }) => {
           </View>
         )}
 
+        {/* Escalation chain and current stage (staff only) */}
+        {(userRole === 'admin' || userRole === 'security') && (
+          <EscalationTimeline incident={incident} userRole={userRole} navigation={navigation} />
+        )}
+
         {/* Incident Card */}
         <View style={{ 
           backgroundColor: '#FFFFFF', 
@@ -741,7 +711,7 @@ const IncidentDetailScreen = ({ route, navigation }) => {
               <View style={{ flex: 1 }}>
                 <Text style={{ fontSize: 12, color: '#6B7280', marginBottom: 4 }}>Type</Text>
                 <Text style={{ fontSize: 15, fontWeight: '600', color: '#1F2937' }}>
-                  {incident.type || 'N/A'}
+                  {incident.type ? incident.typeLabel : 'N/A'}
                 </Text>
               </View>
             </View>
@@ -816,6 +786,26 @@ const IncidentDetailScreen = ({ route, navigation }) => {
             </View>
           </View>
 
+          {/* Viewer report / SOS details */}
+          {incident.origin !== INCIDENT_ORIGIN.AI && (
+            <View style={{ 
+              marginTop: 16, 
+              padding: 12, 
+              backgroundColor: '#F9FAFB', 
+              borderRadius: 8,
+              borderWidth: 1,
+              borderColor: '#E5E7EB'
+            }}>
+              <Text style={{ fontSize: 12, color: '#6B7280', marginBottom: 6 }}>
+                {incident.origin === INCIDENT_ORIGIN.SOS ? 'SOS Details' : 'Viewer Report'}
+              </Text>
+              {!!incident.summary && (
+                <Text style={{ fontSize: 14, color: '#1F2937', lineHeight: 20 }}>{incident.summary}</Text>
+              )}
+              <ReportDetails incident={incident} />
+            </View>
+          )}
+
           {/* Blockchain TX */}
           {incident.blockchain_tx && (
             <View style={{ 
@@ -9,7 +9,7 @@ import BottomNavigation from '../components/BottomNavigation';
 
 const IncidentListScreen = ({ navigation }) => {
   const tailwind = useTailwind();
-  const { incidents, loading, error, refreshIncidents, refreshing } = useIncidents();
+  const { incidents, loading, error, refreshIncidents, refreshing, loadMore, hasMore } = useIncidents();
   const [userRole, setUserRole] = useState('viewer');
 
   useEffect(() => {
@@ -28,7 +28,7 @@ const IncidentListScreen = ({ navigation }) => {
   };
 
   const renderIncidentItem = ({ item }) => {
-    const acknowledged = item.status === 'acknowledged' || item.acknowledged === true;
+    const acknowledged = item.acknowledged;
     const cameraOwnerName = item.camera?.admin_user?.username || 'Unknown Owner';
     const cameraName = item.camera?.name || 'Unknown Camera';
     const evidenceCount = item.evidence_items?.length || 0;
@@ -57,7 +57,7 @@ const IncidentListScreen = ({ navigation }) => {
         <View style={tailwind('px-4 pb-4')}>
           <View style={tailwind('flex-row items-center mb-2')}>
             <Ionicons name="alert-circle-outline" size={16} color="#9CA3AF" style={tailwind('mr-2')} />
-            <Text style={tailwind('text-sm text-gray-700 font-medium')}>{item.type || 'Unknown Type'}</Text>
+            <Text style={tailwind('text-sm text-gray-700 font-medium')}>{item.typeLabel}</Text>
           </View>
           <View style={tailwind('flex-row items-center mb-2')}>
             <Ionicons name="videocam-outline" size={16} color="#9CA3AF" style={tailwind('mr-2')} />
@@ -151,6 +151,9 @@ const IncidentListScreen = ({ navigation }) => {
           keyExtractor={(item) => item.id.toString()}
           contentContainerStyle={{ paddingHorizontal: 20, paddingBottom: 20 }}
           showsVerticalScrollIndicator={false}
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={hasMore ? <ActivityIndicator size="small" color="#6366F1" style={{ marginVertical: 16 }} /> : null}
           refreshControl={
             <RefreshControl 
               refreshing={refreshing} 
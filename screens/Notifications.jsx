@@ -0,0 +1,38 @@
+// screens/Notifications.jsx
+// Notification center for admins and security; viewers have it as a tab on
+// their dashboard. Pull to refresh syncs incidents, which is where report and
+// SOS updates are derived from.
+import React, { useState } from 'react';
+import { View, Text } from 'react-native';
+import useSession from '../hooks/useSession';
+import BottomNavigation from '../components/BottomNavigation';
+import NotificationCenterList from '../components/NotificationCenterList';
+import { syncIncidents } from '../services/api';
+
+export default function NotificationsScreen({ navigation }) {
+  const { role } = useSession();
+  const [refreshing, setRefreshing] = useState(false);
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await syncIncidents();
+    setRefreshing(false);
+  };
+
+  return (
+    <View style={{ flex: 1, backgroundColor: '#F9FAFB' }}>
+      <View style={{ backgroundColor: '#FFFFFF', padding: 16, borderBottomWidth: 1, borderBottomColor: '#E5E7EB' }}>
+        <Text style={{ fontSize: 24, fontWeight: 'bold', color: '#1F2937' }}>Notifications</Text>
+        <Text style={{ fontSize: 13, color: '#6B7280', marginTop: 4 }}>
+          Alerts, SOS updates and shared evidence
+        </Text>
+      </View>
+      <NotificationCenterList
+        refreshing={refreshing}
+        onRefresh={onRefresh}
+        emptyText="Pushes and SOS updates will appear here."
+      />
+      <BottomNavigation navigation={navigation} activeRoute="Notifications" role={role || 'viewer'} />
+    </View>
+  );
+}
@@ -4,6 +4,9 @@ import { useTailwind } from 'tailwind-rn';
 import { getMe, updateUser } from '../services/api';
 import { Ionicons } from '@expo/vector-icons';
 import BottomNavigation from '../components/BottomNavigation';
+import PushRegistrationStatus from '../components/PushRegistrationStatus';
+import NotificationPreferences from '../components/NotificationPreferences';
+import AppLockSettings from '../components/AppLockSettings';
 
 export default function ProfileScreen({ navigation }) {
   const tailwind = useTailwind();
@@ -152,6 +155,24 @@ export default function ProfileScreen({ navigation }) {
             </View>
           </View>
 
+          {/* Push notifications */}
+          <View style={tailwind('mb-5')}>
+            <Text style={tailwind('text-xs text-gray-400 mb-2')}>NOTIFICATIONS</Text>
+            <PushRegistrationStatus />
+          </View>
+
+          {/* Notification preferences */}
+          <View style={tailwind('mb-5')}>
+            <Text style={tailwind('text-xs text-gray-400 mb-2')}>NOTIFICATION PREFERENCES</Text>
+            <NotificationPreferences />
+          </View>
+
+          {/* App lock */}
+          <View style={tailwind('mb-5')}>
+            <Text style={tailwind('text-xs text-gray-400 mb-2')}>APP LOCK</Text>
+            <AppLockSettings />
+          </View>
+
           {/* Edit Button */}
           <TouchableOpacity 
             onPress={handleEdit}
@@ -248,6 +248,15 @@ const RegistrationScreen = ({ navigation }) => {
             <Text style={tailwind('text-gray-800 font-semibold text-center')}>Admin</Text>
           </TouchableOpacity>
         </View>
+
+        <TouchableOpacity
+          onPress={() => navigation.navigate('ConnectionSettings')}
+          accessibilityLabel="Connection settings"
+          testID="connection-settings-footer"
+          style={[tailwind('mt-6 py-2 items-center'), { marginBottom: 16 }]}
+        >
+          <Text style={tailwind('text-gray-500 text-sm text-center')}>Connection settings</Text>
+        </TouchableOpacity>
       </View>
     </ScrollView>
   );
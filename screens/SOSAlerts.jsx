@@ -21,9 +21,13 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import {
   listSosAlerts,
   listActiveSosAlerts,
+  getSosAlert,
   handleSosAlert,
   getSosStats,
 } from '../services/api';
+import useRealtime from '../hooks/useRealtime';
+import { REALTIME_EVENTS } from '../services/realtime';
+import ReportDetails from '../components/ReportDetails';
 
 // ---------------------------------------------------------------------------
 // Status badge
@@ -57,10 +61,32 @@ function StatusBadge({ status }) {
   );
 }
 
+// Raised with a duress PIN (services/appLock.js): the reporter is being
+// coerced and their phone may be watched, so respond without contacting it.
+function DuressBadge() {
+  return (
+    <View
+      style={{
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#7F1D1D',
+        borderRadius: 20,
+        paddingHorizontal: 10,
+        paddingVertical: 4,
+        alignSelf: 'flex-start',
+        marginTop: 6,
+      }}
+    >
+      <Ionicons name="alert-circle" size={13} color="#FFFFFF" style={{ marginRight: 4 }} />
+      <Text style={{ color: '#FFFFFF', fontWeight: '800', fontSize: 12 }}>Duress</Text>
+    </View>
+  );
+}
+
 // ---------------------------------------------------------------------------
 // SOS Alert Card
 // ---------------------------------------------------------------------------
-function SosCard({ alert, onHandle, navigation }) {
+function SosCard({ alert, onHandle, navigation, highlighted = false }) {
   const [resolving, setResolving] = useState(false);
   // Cross-platform replacement for Alert.prompt (which is iOS-only)
   const [showModal, setShowModal] = useState(false);
@@ -98,7 +124,9 @@ function SosCard({ alert, onHandle, navigation }) {
         padding: 18,
         marginBottom: 14,
         borderLeftWidth: 4,
-        borderLeftColor: alert.alert_status === 'active' ? '#EF4444' : '#10B981',
+        borderLeftColor: alert.alert_status !== 'active' ? '#10B981' : alert.duress ? '#7F1D1D' : '#EF4444',
+        borderWidth: highlighted ? 2 : 0,
+        borderColor: '#4F46E5',
         shadowColor: '#000',
         shadowOffset: { width: 0, height: 2 },
         shadowOpacity: 0.08,
@@ -112,9 +140,12 @@ function SosCard({ alert, onHandle, navigation }) {
           <Text style={{ color: '#1F2937', fontWeight: '800', fontSize: 16 }}>
             🚨 SOS Alert #{alert.id}
           </Text>
-          <Text style={{ color: '#6B7280', fontSize: 12, marginTop: 2 }}>
-            Incident #{alert.incident_id}
-          </Text>
+          {alert.incident_id != null && (
+            <Text style={{ color: '#6B7280', fontSize: 12, marginTop: 2 }}>
+              Incident #{alert.incident_id}
+            </Text>
+          )}
+          {alert.duress && <DuressBadge />}
         </View>
         <StatusBadge status={alert.alert_status} />
       </View>
@@ -126,6 +157,11 @@ function SosCard({ alert, onHandle, navigation }) {
         </Text>
       )}
 
+      {/* Reporter and location */}
+      <View style={{ marginBottom: 8 }}>
+        <ReportDetails incident={alert} compact />
+      </View>
+
       {/* Timestamps */}
       <View style={{ marginBottom: 12 }}>
         <Text style={{ color: '#9CA3AF', fontSize: 12 }}>
@@ -145,22 +181,25 @@ function SosCard({ alert, onHandle, navigation }) {
 
       {/* Action buttons */}
       <View style={{ flexDirection: 'row', gap: 10 }}>
-        <TouchableOpacity
-          style={{
-            flex: 1,
-            backgroundColor: '#F3F4F6',
-            borderRadius: 10,
-            paddingVertical: 10,
-            alignItems: 'center',
-          }}
-          onPress={() => navigation.navigate('IncidentDetail', {
-            incident: { id: alert.incident_id },
-          })}
-        >
-          <Text style={{ color: '#4F46E5', fontWeight: '600', fontSize: 13 }}>
-            View Incident
-          </Text>
-        </TouchableOpacity>
+        {/* Viewer-raised SOS alerts have no incident behind them */}
+        {alert.incident_id != null && (
+          <TouchableOpacity
+            style={{
+              flex: 1,
+              backgroundColor: '#F3F4F6',
+              borderRadius: 10,
+              paddingVertical: 10,
+              alignItems: 'center',
+            }}
+            onPress={() => navigation.navigate('IncidentDetail', {
+              incident: { id: alert.incident_id },
+            })}
+          >
+            <Text style={{ color: '#4F46E5', fontWeight: '600', fontSize: 13 }}>
+              View Incident
+            </Text>
+          </TouchableOpacity>
+        )}
 
         {alert.alert_status === 'active' && (
           <TouchableOpacity
@@ -272,7 +311,7 @@ function SosCard({ alert, onHandle, navigation }) {
 // ---------------------------------------------------------------------------
 // Main Screen
 // ---------------------------------------------------------------------------
-export default function SOSAlertsScreen({ navigation }) {
+export default function SOSAlertsScreen({ navigation, route }) {
   const tailwind = useTailwind();
   const [alerts, setAlerts] = useState([]);
   const [stats, setStats] = useState({ total: 0, active: 0, handled: 0 });
@@ -280,6 +319,10 @@ export default function SOSAlertsScreen({ navigation }) {
   const [refreshing, setRefreshing] = useState(false);
   const [filter, setFilter] = useState('active'); // 'active' | 'all' | 'handled'
   const [error, setError] = useState('');
+  // Alert opened from a deep link or notification (aicctv://sos/45); shown
+  // first and highlighted even if the current filter would hide it.
+  const linkedSosId = route?.params?.sosId;
+  const [linkedAlert, setLinkedAlert] = useState(null);
 
   const loadData = useCallback(async () => {
     setError('');
@@ -293,6 +336,7 @@ export default function SOSAlertsScreen({ navigation }) {
       else setError(alertRes.message);
 
       if (statsRes.success) setStats(statsRes.data);
+      return alertRes;
     } catch (e) {
       setError('Failed to load SOS data.');
     } finally {
@@ -306,14 +350,28 @@ export default function SOSAlertsScreen({ navigation }) {
     loadData();
   }, [filter]);
 
-  // Auto-refresh every 15 s while screen is visible
   useEffect(() => {
-    const interval = setInterval(loadData, 15000);
-    return () => clearInterval(interval);
-  }, [loadData]);
+    if (linkedSosId == null) return;
+    getSosAlert(linkedSosId).then(res => {
+      if (res.success) setLinkedAlert(res.data);
+      else if (res.status !== 401) Alert.alert('SOS Alert Unavailable', res.status === 404 ? 'This SOS alert no longer exists.' : res.message);
+    });
+  }, [linkedSosId]);
+
+  const shownAlerts = linkedAlert
+    ? [alerts.find(a => a.id === linkedAlert.id) || linkedAlert, ...alerts.filter(a => a.id !== linkedAlert.id)]
+    : alerts;
+
+  // Live SOS updates; auto-refresh every 15 s only while the stream is down
+  useRealtime([REALTIME_EVENTS.SOS_CREATED, REALTIME_EVENTS.SOS_UPDATED], loadData, { poll: loadData });
 
   const handleHandle = async (sosId, note) => {
     // Optimistic update – hide the Mark Handled button instantly and show Handled badge
+    setLinkedAlert(prev =>
+      prev && prev.id === sosId
+        ? { ...prev, alert_status: 'handled', handled_at: new Date().toISOString() }
+        : prev,
+    );
     setAlerts(prev =>
       prev.map(a =>
         a.id === sosId
@@ -328,6 +386,9 @@ export default function SOSAlertsScreen({ navigation }) {
       loadData(); // sync with server to get latest stats
     } else {
       // Roll back optimistic update on error
+      setLinkedAlert(prev =>
+        prev && prev.id === sosId ? { ...prev, alert_status: 'active', handled_at: null } : prev,
+      );
       setAlerts(prev =>
         prev.map(a =>
           a.id === sosId ? { ...a, alert_status: 'active', handled_at: null } : a,
@@ -459,7 +520,7 @@ export default function SOSAlertsScreen({ navigation }) {
             <View style={{ backgroundColor: '#FEF2F2', borderRadius: 12, padding: 16, marginVertical: 8, borderWidth: 1, borderColor: '#FCA5A5' }}>
               <Text style={{ color: '#DC2626' }}>{error}</Text>
             </View>
-          ) : alerts.length === 0 ? (
+          ) : shownAlerts.length === 0 ? (
             <View style={{ alignItems: 'center', paddingTop: 60 }}>
               <Ionicons name="checkmark-circle" size={64} color="#059669" />
               <Text style={{ color: '#1F2937', fontSize: 16, marginTop: 16, fontWeight: '700' }}>
@@ -472,12 +533,13 @@ export default function SOSAlertsScreen({ navigation }) {
               </Text>
             </View>
           ) : (
-            alerts.map((alert) => (
+            shownAlerts.map((alert) => (
               <SosCard
                 key={alert.id}
                 alert={alert}
                 onHandle={handleHandle}
                 navigation={navigation}
+                highlighted={alert.id === linkedAlert?.id}
               />
             ))
           )}
@@ -2,19 +2,16 @@
 import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { View, Text, FlatList, TouchableOpacity, ActivityIndicator, RefreshControl, Alert, ScrollView, BackHandler, Modal, TextInput } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { getIncidents, acknowledgeIncident, listSosAlerts, handleSosAlert, getMe, updateUser } from '../services/api';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-
-// Helper function to map incident type to display name
-const getIncidentTypeLabel = (type) => {
-  const typeLabels = {
-    'abuse_violence': 'Abuse/Violence',
-    'theft': 'Theft',
-    'fall_health': 'Fall/Health Issue',
-    'accident_car_theft': 'Other'
-  };
-  return typeLabels[type] || type?.replace('_', ' ');
-};
+import { getIncidents, acknowledgeIncident, listSosAlerts, handleSosAlert, getMe, updateUser, logoutUser } from '../services/api';
+import { updateSessionUser } from '../services/session';
+import usePendingSync from '../hooks/usePendingSync';
+import SiteSwitcher from '../components/SiteSwitcher';
+import PushRegistrationStatus from '../components/PushRegistrationStatus';
+import AppLockSettings from '../components/AppLockSettings';
+import ReportDetails from '../components/ReportDetails';
+import useRealtime from '../hooks/useRealtime';
+import useNotificationCenter from '../hooks/useNotificationCenter';
+import { INCIDENT_ORIGIN, INCIDENT_STATUS, reporterLabel } from '../services/incidentModel';
 
 const SecurityDashboardNew = ({ navigation }) => {
   // Tab state - 4 tabs: reports, sos, assigned, profile
@@ -27,6 +24,8 @@ const SecurityDashboardNew = ({ navigation }) => {
   const [refreshing, setRefreshing] = useState(false);
   const [actionLoading, setActionLoading] = useState({});
   const acknowledgedIncidentsRef = useRef(new Set());
+  const { pendingIncidentIds, pendingSosIds } = usePendingSync();
+  const { unreadCount } = useNotificationCenter();
 
   // SOS Mark Handled modal state
   const [sosActionModal, setSosActionModal] = useState({ visible: false, sosId: null });
@@ -54,7 +53,7 @@ const SecurityDashboardNew = ({ navigation }) => {
       
       if (profileResponse.success) {
         setUserProfile(profileResponse.data);
-        await AsyncStorage.setItem('securityUser', JSON.stringify(profileResponse.data));
+        await updateSessionUser(profileResponse.data);
       }
       
       if (incidentsResponse.success) {
@@ -62,7 +61,7 @@ const SecurityDashboardNew = ({ navigation }) => {
         const currentUserId = profileResponse.data?.id;
         const filteredIncidents = incidentsResponse.data.filter(inc => {
           // Include viewer reports
-          const isViewerReport = inc.description?.startsWith('[VIEWER REPORT]');
+          const isViewerReport = inc.origin === INCIDENT_ORIGIN.VIEWER;
           // Include incidents assigned to this security user
           const isAssignedToMe = currentUserId && inc.assigned_user_id === currentUserId;
           
@@ -70,15 +69,14 @@ const SecurityDashboardNew = ({ navigation }) => {
         });
         
         const processedIncidents = filteredIncidents.map(inc => {
-          let enhanced = { ...inc };
-          if (acknowledgedIncidentsRef.current.has(inc.id)) {
-            enhanced.acknowledged = true;
-            enhanced.status = 'acknowledged';
-          }
-          if (inc.acknowledged || inc.status === 'acknowledged') {
+          if (inc.acknowledged) {
             acknowledgedIncidentsRef.current.add(inc.id);
+            return inc;
           }
-          return enhanced;
+          if (acknowledgedIncidentsRef.current.has(inc.id)) {
+            return { ...inc, acknowledged: true, status: INCIDENT_STATUS.ACKNOWLEDGED };
+          }
+          return inc;
         });
         setIncidents(processedIncidents);
       }
@@ -89,6 +87,7 @@ const SecurityDashboardNew = ({ navigation }) => {
       if (sosResponse.success) {
         setSOSAlerts(sosResponse.data);
       }
+      return incidentsResponse;
     } catch (error) {
       console.error('Error fetching data:', error);
     } finally {
@@ -98,10 +97,12 @@ const SecurityDashboardNew = ({ navigation }) => {
 
   useEffect(() => {
     fetchData(false);
-    const interval = setInterval(() => fetchData(true), 15000);
-    return () => clearInterval(interval);
   }, []);
 
+  // New reports and SOS alerts arrive over the realtime stream; poll every
+  // 15 seconds only while it is down.
+  useRealtime(null, () => fetchData(true), { poll: () => fetchData(true) });
+
   useEffect(() => {
     const backHandler = BackHandler.addEventListener('hardwareBackPress', () => true);
     return () => backHandler.remove();
@@ -119,7 +120,7 @@ const SecurityDashboardNew = ({ navigation }) => {
       
       const updateFunc = (prev) => prev.map(inc => 
         inc.id === incidentId 
-          ? { ...inc, acknowledged: true, status: 'acknowledged', assigned_user_id: userProfile?.id, assigned_user: userProfile } 
+          ? { ...inc, acknowledged: true, status: INCIDENT_STATUS.ACKNOWLEDGED, assigned_user_id: userProfile?.id, assigned_user: userProfile } 
           : inc
       );
       
@@ -130,7 +131,9 @@ const SecurityDashboardNew = ({ navigation }) => {
       
       const res = await acknowledgeIncident(incidentId);
       
-      if (res.success) {
+      if (res.success && res.queued) {
+        Alert.alert('Saved Offline', res.message);
+      } else if (res.success) {
         Alert.alert('Success', 'Incident handled by security! Admin and reporter have been notified.', [{ text: 'OK' }]);
       } else {
         const revertFunc = (prev) => prev.map(inc => 
@@ -167,7 +170,8 @@ const SecurityDashboardNew = ({ navigation }) => {
             : a,
         ),
       );
-      Alert.alert('✅ Resolved', 'SOS alert has been marked as handled.');
+      if (res.queued) Alert.alert('Saved Offline', res.message);
+      else Alert.alert('✅ Resolved', 'SOS alert has been marked as handled.');
     } else {
       Alert.alert('Error', res.message || 'Failed to handle SOS alert');
     }
@@ -220,9 +224,8 @@ const SecurityDashboardNew = ({ navigation }) => {
           return updatedProfile;
         });
         
-        // Update AsyncStorage for both security-specific and general user keys
-        await AsyncStorage.setItem('securityUser', JSON.stringify(updatedProfile));
-        await AsyncStorage.setItem('user', JSON.stringify(updatedProfile));
+        // Keep the stored session's copy of the profile current
+        await updateSessionUser(updatedProfile);
         
         // Close modal first
         setEditModalVisible(false);
@@ -251,7 +254,7 @@ const SecurityDashboardNew = ({ navigation }) => {
 
   // Generic incident card renderer
   const renderIncidentCard = (item, categoryLabel, categoryColor, isSOS = false) => {
-    const acknowledged = item.status === 'acknowledged' || item.acknowledged === true;
+    const acknowledged = item.acknowledged;
     const severity = item.severity || 'medium';
     const severityColors = {
       critical: '#DC2626',
@@ -260,15 +263,7 @@ const SecurityDashboardNew = ({ navigation }) => {
       low: '#10B981'
     };
     
-    // Extract reporter info
-    let reporter = 'Security';
-    if (item.description?.startsWith('[VIEWER REPORT]')) {
-      const contactMatch = item.description.match(/Contact:\s*(\d+)/);
-      reporter = contactMatch ? `Viewer (${contactMatch[1]})` : 'Viewer';
-    } else if (item.description?.startsWith('[SOS ALERT]')) {
-      const userMatch = item.description?.match(/User:\s*([^\n]+)/);
-      reporter = userMatch ? userMatch[1].trim() : 'SOS User';
-    }
+    const reporter = reporterLabel(item);
 
     return (
       <View style={{ backgroundColor: '#FFFFFF', padding: 16, marginBottom: 12, borderRadius: 12, shadowColor: '#000', shadowOffset: { width: 0, height: 2 }, shadowOpacity: 0.08, shadowRadius: 4, elevation: 2, borderLeftWidth: 4, borderLeftColor: categoryColor }}>
@@ -284,7 +279,7 @@ const SecurityDashboardNew = ({ navigation }) => {
             <Text style={{ fontSize: 18, fontWeight: '700', color: '#1F2937', marginBottom: 6 }}>Incident #{item.id}</Text>
           <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 4 }}>
             <Ionicons name="alert-circle-outline" size={16} color="#6B7280" />
-            <Text style={{ fontSize: 14, color: '#6B7280', marginLeft: 6 }}>{getIncidentTypeLabel(item.type)}</Text>
+            <Text style={{ fontSize: 14, color: '#6B7280', marginLeft: 6 }}>{item.typeLabel}</Text>
           </View>
           <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 4 }}>
             <Ionicons name="person-outline" size={16} color="#6B7280" />
@@ -302,16 +297,27 @@ const SecurityDashboardNew = ({ navigation }) => {
           <View style={{ paddingHorizontal: 10, paddingVertical: 6, borderRadius: 6, backgroundColor: severityColors[severity] || severityColors.medium }}>
             <Text style={{ color: '#FFFFFF', fontSize: 12, fontWeight: '700' }}>{severity.toUpperCase()}</Text>
           </View>
-          <View style={{ paddingHorizontal: 10, paddingVertical: 6, borderRadius: 6, backgroundColor: acknowledged ? '#10B981' : '#EF4444' }}>
-            <Text style={{ color: '#FFFFFF', fontSize: 12, fontWeight: '700' }}>
-              {acknowledged ? 'HANDLED' : 'PENDING'}
-            </Text>
+          <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+            {pendingIncidentIds.has(item.id) && (
+              <View style={{ flexDirection: 'row', alignItems: 'center', paddingHorizontal: 8, paddingVertical: 6, borderRadius: 6, backgroundColor: '#FEF3C7', marginRight: 6 }}>
+                <Ionicons name="cloud-upload-outline" size={12} color="#B45309" style={{ marginRight: 4 }} />
+                <Text style={{ color: '#B45309', fontSize: 11, fontWeight: '700' }}>PENDING SYNC</Text>
+              </View>
+            )}
+            <View style={{ paddingHorizontal: 10, paddingVertical: 6, borderRadius: 6, backgroundColor: acknowledged ? '#10B981' : '#EF4444' }}>
+              <Text style={{ color: '#FFFFFF', fontSize: 12, fontWeight: '700' }}>
+                {acknowledged ? 'HANDLED' : 'PENDING'}
+              </Text>
+            </View>
           </View>
         </View>
 
-          {item.description && (
+          {(item.summary || item.origin !== INCIDENT_ORIGIN.AI) && (
             <View style={{ padding: 12, backgroundColor: '#F9FAFB', borderRadius: 8, marginBottom: 12, borderLeftWidth: 3, borderLeftColor: categoryColor }}>
-              <Text style={{ fontSize: 13, color: '#1F2937', lineHeight: 20 }}>{item.description}</Text>
+              {!!item.summary && (
+                <Text style={{ fontSize: 13, color: '#1F2937', lineHeight: 20 }}>{item.summary}</Text>
+              )}
+              <ReportDetails incident={item} compact />
             </View>
           )}
         </TouchableOpacity>
@@ -344,8 +350,8 @@ const SecurityDashboardNew = ({ navigation }) => {
 
   // Render Reports Tab
   const renderReportsTab = () => {
-    const viewerReports = incidents.filter(i => i.description?.startsWith('[VIEWER REPORT]'));
-    const unhandledCount = viewerReports.filter(i => !(i.status === 'acknowledged' || i.acknowledged === true)).length;
+    const viewerReports = incidents.filter(i => i.origin === INCIDENT_ORIGIN.VIEWER);
+    const unhandledCount = viewerReports.filter(i => !i.acknowledged).length;
 
     return (
       <ScrollView
@@ -387,7 +393,8 @@ const SecurityDashboardNew = ({ navigation }) => {
 
   // Render a single SosAlert card (SosAlert objects from /api/v1/sos/)
   const renderSosAlertCard = (alert) => {
-    const isActive = alert.alert_status === 'active';
+    // A queued "Mark Handled" stays handled locally until the server catches up
+    const isActive = alert.alert_status === 'active' && !pendingSosIds.has(alert.id);
     const triggeredAt = alert.triggered_at
       ? new Date(alert.triggered_at).toLocaleString()
       : '—';
@@ -418,9 +425,17 @@ const SecurityDashboardNew = ({ navigation }) => {
             <Text style={{ color: '#1F2937', fontWeight: '800', fontSize: 16 }}>
               🚨 SOS Alert #{alert.id}
             </Text>
-            <Text style={{ color: '#6B7280', fontSize: 12, marginTop: 2 }}>
-              Incident #{alert.incident_id}
-            </Text>
+            {alert.incident_id != null && (
+              <Text style={{ color: '#6B7280', fontSize: 12, marginTop: 2 }}>
+                Incident #{alert.incident_id}
+              </Text>
+            )}
+            {pendingSosIds.has(alert.id) && (
+              <View style={{ flexDirection: 'row', alignItems: 'center', alignSelf: 'flex-start', marginTop: 6, paddingHorizontal: 8, paddingVertical: 3, borderRadius: 6, backgroundColor: '#FEF3C7' }}>
+                <Ionicons name="cloud-upload-outline" size={12} color="#B45309" style={{ marginRight: 4 }} />
+                <Text style={{ color: '#B45309', fontSize: 11, fontWeight: '700' }}>PENDING SYNC</Text>
+              </View>
+            )}
           </View>
           <View style={{
             flexDirection: 'row', alignItems: 'center',
@@ -447,6 +462,11 @@ const SecurityDashboardNew = ({ navigation }) => {
           </Text>
         ) : null}
 
+        {/* Reporter and location */}
+        <View style={{ marginBottom: 8 }}>
+          <ReportDetails incident={alert} compact />
+        </View>
+
         {/* Timestamps */}
         <View style={{ marginBottom: 12 }}>
           <Text style={{ color: '#9CA3AF', fontSize: 12 }}>
@@ -461,13 +481,15 @@ const SecurityDashboardNew = ({ navigation }) => {
 
         {/* Action buttons */}
         <View style={{ flexDirection: 'row', gap: 10 }}>
-          <TouchableOpacity
-            style={{ flex: 1, backgroundColor: '#F3F4F6', borderRadius: 10, paddingVertical: 10, alignItems: 'center' }}
-            onPress={() => navigation.navigate('IncidentDetail', { incident: { id: alert.incident_id } })}
-            activeOpacity={0.7}
-          >
-            <Text style={{ color: '#4F46E5', fontWeight: '600', fontSize: 13 }}>View Incident</Text>
-          </TouchableOpacity>
+          {alert.incident_id != null && (
+            <TouchableOpacity
+              style={{ flex: 1, backgroundColor: '#F3F4F6', borderRadius: 10, paddingVertical: 10, alignItems: 'center' }}
+              onPress={() => navigation.navigate('IncidentDetail', { incident: { id: alert.incident_id } })}
+              activeOpacity={0.7}
+            >
+              <Text style={{ color: '#4F46E5', fontWeight: '600', fontSize: 13 }}>View Incident</Text>
+            </TouchableOpacity>
+          )}
 
           {isActive && (
             <TouchableOpacity
@@ -522,7 +544,7 @@ const SecurityDashboardNew = ({ navigation }) => {
   // Render Assigned Incidents Tab
   const renderAssignedTab = () => {
     const assignedIncidents = incidents.filter(i => userProfile?.id && i.assigned_user_id === userProfile.id);
-    const unhandledCount = assignedIncidents.filter(i => !i.acknowledged && i.status !== 'acknowledged').length;
+    const unhandledCount = assignedIncidents.filter(i => !i.acknowledged).length;
 
     return (
       <ScrollView style={{ flex: 1 }} refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} colors={['#2563EB']} />}>
@@ -604,6 +626,16 @@ const SecurityDashboardNew = ({ navigation }) => {
                 <Text style={{ fontSize: 16, color: '#1F2937' }}>#{userProfile?.id || 'N/A'}</Text>
               </View>
             </View>
+
+            <View style={{ marginTop: 16 }}>
+              <Text style={{ fontSize: 13, fontWeight: '600', color: '#6B7280', marginBottom: 6 }}>Push Notifications</Text>
+              <PushRegistrationStatus />
+            </View>
+
+            <View style={{ marginTop: 16 }}>
+              <Text style={{ fontSize: 13, fontWeight: '600', color: '#6B7280', marginBottom: 6 }}>App Lock</Text>
+              <AppLockSettings />
+            </View>
           </View>
 
           <View style={{ backgroundColor: '#FFFFFF', padding: 20, borderRadius: 12, marginBottom: 16 }}>
@@ -611,7 +643,7 @@ const SecurityDashboardNew = ({ navigation }) => {
               style={{ flexDirection: 'row', alignItems: 'center', paddingVertical: 14 }}
               onPress={async () => {
                 try {
-                  await AsyncStorage.multiRemove(['securityToken', 'securityUser', 'userToken', 'user', 'token']);
+                  await logoutUser();
                   navigation.replace('SecurityLogin');
                 } catch (error) {
                   console.error('Logout error:', error);
@@ -629,19 +661,30 @@ const SecurityDashboardNew = ({ navigation }) => {
   };
 
   // Calculate counts
-  const reportsCount = useMemo(() => incidents.filter(i => i.description?.startsWith('[VIEWER REPORT]') && !i.acknowledged && i.status !== 'acknowledged').length, [incidents]);
+  const reportsCount = useMemo(() => incidents.filter(i => i.origin === INCIDENT_ORIGIN.VIEWER && !i.acknowledged).length, [incidents]);
   const sosCount = useMemo(() => sosAlerts.filter(a => a.alert_status === 'active').length, [sosAlerts]);
-  const assignedCount = useMemo(() => incidents.filter(i => userProfile?.id && i.assigned_user_id === userProfile.id && !i.acknowledged && i.status !== 'acknowledged').length, [incidents, userProfile]);
+  const assignedCount = useMemo(() => incidents.filter(i => userProfile?.id && i.assigned_user_id === userProfile.id && !i.acknowledged).length, [incidents, userProfile]);
   const totalPending = reportsCount + sosCount + assignedCount;
 
   return (
     <View style={{ flex: 1, backgroundColor: '#F3F4F6' }}>
       {/* Header */}
       <View style={{ backgroundColor: '#4F46E5', paddingTop: 50, paddingBottom: 20, paddingHorizontal: 20 }}>
-        <Text style={{ color: '#FFFFFF', fontSize: 28, fontWeight: '700', marginBottom: 4 }}>Security Dashboard</Text>
+        <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between' }}>
+          <Text style={{ color: '#FFFFFF', fontSize: 28, fontWeight: '700', marginBottom: 4 }}>Security Dashboard</Text>
+          <TouchableOpacity onPress={() => navigation.navigate('Notifications')} style={{ padding: 4 }}>
+            <Ionicons name="notifications-outline" size={26} color="#FFFFFF" />
+            {unreadCount > 0 && (
+              <View style={{ position: 'absolute', top: 0, right: 0, backgroundColor: '#EF4444', borderRadius: 9, minWidth: 18, height: 18, justifyContent: 'center', alignItems: 'center', paddingHorizontal: 4 }}>
+                <Text style={{ fontSize: 10, fontWeight: 'bold', color: '#FFFFFF' }}>{unreadCount > 99 ? '99+' : unreadCount}</Text>
+              </View>
+            )}
+          </TouchableOpacity>
+        </View>
         <Text style={{ color: '#C7D2FE', fontSize: 15 }}>
           {totalPending} pending incident{totalPending !== 1 ? 's' : ''}
         </Text>
+        <SiteSwitcher style={{ marginTop: 10 }} />
       </View>
 
       {/* Tab Content */}
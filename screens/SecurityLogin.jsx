@@ -2,79 +2,80 @@
 import React, { useState } from 'react';
 import { View, Text, TextInput, TouchableOpacity, Alert } from 'react-native';
 import { useTailwind } from 'tailwind-rn';
-import { loginUser, registerPushToken } from '../services/api';
+import { loginUser, logoutUser } from '../services/api';
+import { resumePendingLink } from '../services/deepLinks';
 import PrimaryButton from '../components/PrimaryButton';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { updateSessionUser } from '../services/session';
+import MfaPrompt from '../components/MfaPrompt';
 
 const SecurityLoginScreen = ({ navigation }) => {
   const tailwind = useTailwind();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
+  // Set while the account's two-step verification code is being asked for
+  const [mfaChallenge, setMfaChallenge] = useState(null);
+
+  const finishLogin = async () => {
+    setMfaChallenge(null);
+    console.log('[SecurityLogin] Login successful, fetching user profile...');
+    
+    // Fetch actual user profile from backend to ensure correct data
+    try {
+      const { getMe } = require('../services/api');
+      const profileResponse = await getMe();
+      
+      if (profileResponse.success && profileResponse.data) {
+        const user = profileResponse.data;
+        console.log('[SecurityLogin] User profile fetched:', user);
+        
+        // Verify user role is security
+        if (user.role !== 'security') {
+          console.warn('[SecurityLogin] User role mismatch - expected security, got:', user.role);
+          Alert.alert(
+            'Access Denied',
+            `This login is for security personnel only. Your account is registered as ${user.role}. Please use the correct login.`,
+            [
+              {
+                text: 'OK',
+                onPress: async () => {
+                  await logoutUser();
+                }
+              }
+            ]
+          );
+          return;
+        }
+        
+        // Save correct user data
+        await updateSessionUser(user);
+        console.log('[SecurityLogin] Security user verified and saved');
+      }
+    } catch (profileError) {
+      console.error('[SecurityLogin] Error fetching user profile:', profileError);
+    }
+    
+    // The push token is registered by services/pushTokens.js on login.
+    
+    // Navigate immediately
+    navigation.replace('SecurityDashboard');
+    resumePendingLink();
+  };
 
   const handleLogin = async () => {
     try {
       console.log('[SecurityLogin] Starting login...');
       
       // Clear all old tokens first to prevent conflicts
-      await AsyncStorage.multiRemove(['viewerToken', 'securityToken', 'adminToken', 'userToken', 'viewerUser', 'securityUser', 'user']);
+      await logoutUser();
       console.log('[SecurityLogin] Cleared all old tokens');
       
       const response = await loginUser(email, password, 'security');
       console.log('[SecurityLogin] Login response:', response);
       
-      if (response.success) {
-        console.log('[SecurityLogin] Login successful, fetching user profile...');
-        
-        // Fetch actual user profile from backend to ensure correct data
-        try {
-          const { getMe } = require('../services/api');
-          const profileResponse = await getMe();
-          
-          if (profileResponse.success && profileResponse.data) {
-            const user = profileResponse.data;
-            console.log('[SecurityLogin] User profile fetched:', user);
-            
-            // Verify user role is security
-            if (user.role !== 'security') {
-              console.warn('[SecurityLogin] User role mismatch - expected security, got:', user.role);
-              Alert.alert(
-                'Access Denied',
-                `This login is for security personnel only. Your account is registered as ${user.role}. Please use the correct login.`,
-                [
-                  {
-                    text: 'OK',
-                    onPress: async () => {
-                      await AsyncStorage.multiRemove(['userToken', 'user']);
-                    }
-                  }
-                ]
-              );
-              return;
-            }
-            
-            // Save correct user data
-            await AsyncStorage.setItem('user', JSON.stringify(user));
-            console.log('[SecurityLogin] Security user verified and saved');
-          }
-        } catch (profileError) {
-          console.error('[SecurityLogin] Error fetching user profile:', profileError);
-        }
-        
-        // Register push token (non-blocking)
-        try {
-          const token = await AsyncStorage.getItem('expoPushToken');
-          const authToken = await AsyncStorage.getItem('userToken');
-          if (token && authToken) {
-            registerPushToken(token, authToken).then(reg => {
-              if (!reg.success) console.warn('Push token registration failed:', reg.message);
-            }).catch(e => console.warn('Push token registration error:', e));
-          }
-        } catch (e) {
-          console.warn('Error registering push token', e);
-        }
-        
-        // Navigate immediately
-        navigation.replace('SecurityDashboard');
+      if (response.mfaRequired) {
+        setMfaChallenge(response.data);
+      } else if (response.success) {
+        await finishLogin();
       } else {
         const msg = response.message || 'Invalid credentials.';
         console.warn('[SecurityLogin] Login failed:', msg);
@@ -111,6 +112,7 @@ const SecurityLoginScreen = ({ navigation }) => {
           Security accounts can only be registered by administrators
         </Text>
       </View>
+      <MfaPrompt challenge={mfaChallenge} onVerified={finishLogin} onCancel={() => setMfaChallenge(null)} />
     </View>
   );
 };
@@ -2,7 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { View, Text, FlatList, TouchableOpacity, ActivityIndicator, RefreshControl, Alert, Image } from 'react-native';
 import { ScrollView } from 'react-native-gesture-handler';
 import { useTailwind } from 'tailwind-rn';
-import { getIncidents, createIncident, acknowledgeIncidentWithStatus, getDebugInfo } from '../services/api';
+import { getIncidents, createSosAlert, acknowledgeIncidentWithStatus, getDebugInfo } from '../services/api';
 import NotificationBanner from '../components/NotificationBanner';
 import MenuBar from '../components/MenuBar';
 
@@ -183,22 +183,9 @@ const ViewerDashboardScreen = ({ navigation }) => {
                 text: 'Send SOS',
                 style: 'destructive',
                 onPress: async () => {
-                  const cameraId = incidents?.[0]?.camera_id;
-                  if (!cameraId) {
-                    Alert.alert('No camera', 'No camera available to attach SOS. Notifying locally.');
-                    Alert.alert('SOS Sent', 'Security notified (local).');
-                    return;
-                  }
-                  const payload = {
-                    camera_id: cameraId,
-                    type: 'fall_health',
-                    severity: 'critical',
-                    severity_score: 100,
-                    description: 'SOS triggered by viewer',
-                  };
-                  const res = await createIncident(payload);
+                  const res = await createSosAlert({ message: 'SOS triggered by viewer' });
                   if (res && res.success) {
-                    setBannerMessage('SOS sent — emergency incident created');
+                    setBannerMessage('SOS sent — security notified');
                     setBannerVisible(true);
                     setTimeout(() => setBannerVisible(false), 3500);
                     fetchIncidents();
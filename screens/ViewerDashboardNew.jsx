@@ -1,31 +1,28 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { View, Text, FlatList, TouchableOpacity, ActivityIndicator, RefreshControl, Alert, StatusBar, Modal, TextInput, ScrollView, Image, Share, KeyboardAvoidingView, Platform, BackHandler } from 'react-native';
 import { useTailwind } from 'tailwind-rn';
 import { Ionicons } from '@expo/vector-icons';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { getIncidents, acknowledgeIncidentWithStatus, getUserProfile, getAllEvidence, getMyEvidence, reportIncident, getMe, getDebugInfo, updateUser } from '../services/api';
-
-// Helper function to map incident type to display name
-const getIncidentTypeLabel = (type) => {
-  const typeLabels = {
-    'abuse_violence': 'Abuse/Violence',
-    'theft': 'Theft',
-    'fall_health': 'Fall/Health Issue',
-    'accident_car_theft': 'Other'
-  };
-  return typeLabels[type] || type?.replace('_', ' ');
-};
+import { loadSession, updateSessionUser } from '../services/session';
+import { getIncidents, acknowledgeIncidentWithStatus, getUserProfile, getAllEvidence, getMyEvidence, reportIncident, getMe, getDebugInfo, updateUser, logoutUser, getCameraFeeds } from '../services/api';
+import SiteSwitcher from '../components/SiteSwitcher';
+import SosButton from '../components/SosButton';
+import PushRegistrationStatus from '../components/PushRegistrationStatus';
+import NotificationCenterList from '../components/NotificationCenterList';
+import useNotificationCenter from '../hooks/useNotificationCenter';
+import useRealtime from '../hooks/useRealtime';
+import { REALTIME_EVENTS } from '../services/realtime';
+import useSosCountdown from '../hooks/useSosCountdown';
+import { INCIDENT_ORIGIN, isHighSeverity, normalizeIncident } from '../services/incidentModel';
 
 const ViewerDashboardNew = ({ navigation }) => {
   const tailwind = useTailwind();
   const [currentTab, setCurrentTab] = useState('home');
   const [incidents, setIncidents] = useState([]);
   const [evidence, setEvidence] = useState([]);
-  const [notifications, setNotifications] = useState([]);
   const [loadingIncidents, setLoadingIncidents] = useState(true);
   const [loadingEvidence, setLoadingEvidence] = useState(false);
-  const [loadingNotifications, setLoadingNotifications] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
+  const { unreadCount } = useNotificationCenter();
   const [userProfile, setUserProfile] = useState(null);
   const [editProfileModal, setEditProfileModal] = useState(false);
   const [editName, setEditName] = useState('');
@@ -49,65 +46,23 @@ const ViewerDashboardNew = ({ navigation }) => {
   const [reportPhone, setReportPhone] = useState('');
   const [reportPhoneError, setReportPhoneError] = useState('');
   const [reportNotes, setReportNotes] = useState('');
+  const [reportCameraId, setReportCameraId] = useState(null);
+  const [reportCameras, setReportCameras] = useState([]);
   const [submittingReport, setSubmittingReport] = useState(false);
   const [reportSubmitted, setReportSubmitted] = useState(false);
   const [acknowledgingId, setAcknowledgingId] = useState(null);
   
   const prevIdsRef = useRef(new Set());
-  const handledReportsRef = useRef(new Set());
-  const countdownIntervalsRef = useRef({});   // incident_id → interval handle
-
-  // Countdown timers for high/critical unacknowledged incidents
-  const [countdowns, setCountdowns] = useState({});  // { [incident_id]: seconds_remaining }
-
-  const SOS_TIMEOUT = 60; // seconds, must match backend SOS_TIMEOUT_SECONDS
 
-  // Keep countdowns in sync whenever the incident list changes
-  useEffect(() => {
-    // Clear old intervals
-    Object.values(countdownIntervalsRef.current).forEach(clearInterval);
-    countdownIntervalsRef.current = {};
-
-    const newCountdowns = {};
-    incidents.forEach((inc) => {
-      if (
-        !inc.acknowledged &&
-        !inc.sos_triggered &&
-        (inc.severity === 'high' || inc.severity === 'critical')
-      ) {
-        const created = new Date(inc.timestamp).getTime();
-        const elapsed = Math.floor((Date.now() - created) / 1000);
-        const remaining = Math.max(SOS_TIMEOUT - elapsed, 0);
-        newCountdowns[inc.id] = remaining;
-
-        if (remaining > 0) {
-          countdownIntervalsRef.current[inc.id] = setInterval(() => {
-            setCountdowns((prev) => {
-              const curr = (prev[inc.id] ?? remaining) - 1;
-              if (curr <= 0) {
-                clearInterval(countdownIntervalsRef.current[inc.id]);
-                delete countdownIntervalsRef.current[inc.id];
-                return { ...prev, [inc.id]: 0 };
-              }
-              return { ...prev, [inc.id]: curr };
-            });
-          }, 1000);
-        }
-      }
-    });
-    setCountdowns(newCountdowns);
-
-    return () => {
-      Object.values(countdownIntervalsRef.current).forEach(clearInterval);
-    };
-  }, [incidents]);
+  // { [incident_id]: seconds_remaining } until a pending incident triggers SOS
+  const countdowns = useSosCountdown(incidents);
 
   // Fetch user profile
   const fetchProfile = async () => {
     try {
-      const userData = await AsyncStorage.getItem('user');
-      if (userData) {
-        const user = JSON.parse(userData);
+      const session = await loadSession();
+      if (session) {
+        const user = session.user;
         // Verify this is a viewer user
         if (user.role !== 'viewer') {
           console.warn('[ViewerDashboard] Non-viewer user detected, role:', user.role);
@@ -127,53 +82,23 @@ const ViewerDashboardNew = ({ navigation }) => {
     try {
       const response = await getIncidents();
       
-      // Handle 401 Unauthorized - token expired or invalid
-      // Only logout if explicitly 401 and user confirms
+      // 401s are handled app-wide (token refresh, then session-expired redirect)
       if (response && response.status === 401) {
         console.warn('[ViewerDashboard] Unauthorized detected');
-        // Don't auto-logout on page refresh - only on user interaction
-        if (!silent) {
-          Alert.alert(
-            'Session Expired',
-            'Your session has expired. Please login again.',
-            [
-              {
-                text: 'OK',
-                onPress: async () => {
-                  await AsyncStorage.multiRemove(['userToken', 'user']);
-                  navigation.replace('ViewerLogin');
-                }
-              }
-            ]
-          );
-        }
         return;
       }
       
       if (response && response.success) {
         const newList = response.data || [];
-        // Filter: Include SOS alerts sent by this viewer, but exclude viewer-reported incidents
-        const filteredList = newList.filter(incident => {
-          // Include if it's an SOS alert sent by this viewer
-          if (incident.description?.startsWith('[SOS ALERT]')) {
-            // Check if this SOS contains the current user's info
-            const currentUsername = userProfile?.username || '';
-            if (currentUsername && incident.description?.includes(`User: ${currentUsername}`)) {
-              return true;
-            }
-          }
-          // Exclude viewer reports (those are for security only)
-          if (incident.description?.startsWith('[VIEWER REPORT]')) {
-            return false;
-          }
-          // Include all other incidents
-          return true;
-        });
+        // Filter: exclude viewer-reported incidents (those are for security
+        // only); SOS alerts and all other incidents stay
+        const filteredList = newList.filter(incident => incident.origin !== INCIDENT_ORIGIN.VIEWER);
         setIncidents(filteredList);
         prevIdsRef.current = new Set(filteredList.map((i) => i.id));
       } else if (response && !response.success) {
         console.error('[ViewerDashboard] Failed to fetch incidents:', response.message);
       }
+      return response;
     } catch (error) {
       console.error('[ViewerDashboard] Error fetching incidents:', error);
     } finally {
@@ -181,60 +106,6 @@ const ViewerDashboardNew = ({ navigation }) => {
     }
   };
 
-  // Fetch notifications (security acknowledgments only)
-  const fetchNotifications = async () => {
-    setLoadingNotifications(true);
-    try {
-      // Get ALL incidents to check for viewer-reported ones
-      const response = await getIncidents();
-      if (!response || !response.success) {
-        return;
-      }
-      
-      const allIncidents = response.data || [];
-      
-      // Filter for viewer-reported incidents that have been handled
-      const viewerReportedIncidents = allIncidents.filter(i => 
-        i.description?.startsWith('[VIEWER REPORT]') && i.acknowledged
-      );
-      
-      const securityAcknowledgments = viewerReportedIncidents.map(i => ({
-        id: i.id,
-        message: `Your reported incident #${i.id} (${i.type?.replace('_', ' ')}) has been handled by security`,
-        timestamp: i.acknowledged_at || i.timestamp,
-        read: false,
-        incidentType: i.type,
-        severity: i.severity,
-        isMyReport: true
-      }));
-      
-      // Check for new handled reports and show popup
-      const newHandledReports = securityAcknowledgments.filter(n => 
-        !handledReportsRef.current.has(n.id)
-      );
-      
-      if (newHandledReports.length > 0) {
-        newHandledReports.forEach(report => {
-          Alert.alert(
-            '✓ Report Handled',
-            `Your reported incident #${report.id} has been handled by security officials.`,
-            [{ text: 'OK' }]
-          );
-          handledReportsRef.current.add(report.id);
-        });
-      }
-      
-      // Update all handled report IDs
-      securityAcknowledgments.forEach(n => handledReportsRef.current.add(n.id));
-      
-      setNotifications(securityAcknowledgments);
-    } catch (error) {
-      console.error('Error fetching notifications:', error);
-    } finally {
-      setLoadingNotifications(false);
-    }
-  };
-
   // Fetch evidence
   const fetchEvidence = async () => {
     console.log('[ViewerDashboard] 🔍 Fetching evidence...');
@@ -258,39 +129,25 @@ const ViewerDashboardNew = ({ navigation }) => {
   };
 
   useEffect(() => {
-    let mounted = true;
     fetchProfile();
     fetchIncidents();
-    
-    // Auto-refresh incidents every 15 seconds
-    const incidentInterval = setInterval(() => {
-      if (mounted) {
-        fetchIncidents(true);
-      }
-    }, 15000);
-    
-    // Auto-check for handled reports every 10 seconds
-    const notificationInterval = setInterval(() => {
-      if (mounted) {
-        fetchNotifications();
-      }
-    }, 10000);
-    
-    return () => {
-      mounted = false;
-      clearInterval(incidentInterval);
-      clearInterval(notificationInterval);
-    };
   }, []);
 
+  // Live incident updates; polls every 15 seconds only while the stream is down.
+  useRealtime(
+    [REALTIME_EVENTS.INCIDENT_CREATED, REALTIME_EVENTS.INCIDENT_UPDATED],
+    () => fetchIncidents(true),
+    { poll: () => fetchIncidents(true) }
+  );
+
   // Fetch data when tab changes
   useEffect(() => {
-    if (currentTab === 'notifications') {
-      fetchNotifications();
-    }
     if (currentTab === 'evidence') {
       fetchEvidence();
     }
+    if (currentTab === 'report') {
+      fetchReportCameras();
+    }
   }, [currentTab]);
 
   // Prevent hardware back button from navigating back to login
@@ -306,9 +163,6 @@ const ViewerDashboardNew = ({ navigation }) => {
   const onRefresh = async () => {
     setRefreshing(true);
     await fetchIncidents();
-    if (currentTab === 'notifications') {
-      await fetchNotifications();
-    }
     if (currentTab === 'evidence') {
       await fetchEvidence();
     }
@@ -329,7 +183,7 @@ const ViewerDashboardNew = ({ navigation }) => {
   const renderHomeTab = () => {
     const unhandledCount = incidents.filter(i => !i.acknowledged).length;
     const handledCount = incidents.filter(i => i.acknowledged).length;
-    const criticalCount = incidents.filter(i => i.severity === 'critical' || i.severity === 'high').length;
+    const criticalCount = incidents.filter(isHighSeverity).length;
 
     return (
     <ScrollView 
@@ -351,6 +205,7 @@ const ViewerDashboardNew = ({ navigation }) => {
         <Text style={{ fontSize: 16, color: '#E0E7FF' }}>
           {userProfile?.username || 'Viewer'}
         </Text>
+        <SiteSwitcher style={{ marginTop: 10 }} />
       </View>
 
       {/* Statistics Cards */}
@@ -562,10 +417,10 @@ const ViewerDashboardNew = ({ navigation }) => {
               <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: 12 }}>
                 <View style={{ flex: 1 }}>
                   <Text style={{ fontSize: 18, fontWeight: 'bold', color: '#1F2937' }}>
-                    #{item.id} • {getIncidentTypeLabel(item.type)}
+                    #{item.id} • {item.typeLabel}
                   </Text>
                   <Text style={{ fontSize: 13, color: '#6B7280', marginTop: 4 }}>
-                    {item.description || 'No description available'}
+                    {item.summary || 'No description available'}
                   </Text>
                 </View>
               </View>
@@ -613,7 +468,7 @@ const ViewerDashboardNew = ({ navigation }) => {
               {!item.acknowledged && (
                 <>
                   {/* Countdown banner for high/critical severity */}
-                  {(item.severity === 'high' || item.severity === 'critical') && !item.sos_triggered && (
+                  {isHighSeverity(item) && !item.sos_triggered && (
                     <View style={{
                       marginTop: 10,
                       padding: 10,
@@ -684,16 +539,10 @@ const ViewerDashboardNew = ({ navigation }) => {
                           setIncidents(prev =>
                             prev.map(inc =>
                               inc.id === item.id
-                                ? { ...inc, acknowledged: true, incident_status: 'Acknowledged', sos_triggered: false }
+                                ? normalizeIncident({ ...inc, acknowledged: true, incident_status: 'Acknowledged', sos_triggered: false })
                                 : inc
                             )
                           );
-                          // Clear countdown for this incident
-                          if (countdownIntervalsRef.current[item.id]) {
-                            clearInterval(countdownIntervalsRef.current[item.id]);
-                            delete countdownIntervalsRef.current[item.id];
-                          }
-                          setCountdowns(prev => { const n = { ...prev }; delete n[item.id]; return n; });
                           Alert.alert('✅ Acknowledged', 'Incident has been acknowledged successfully.');
                         } else {
                           Alert.alert('Error', res?.message || 'Could not acknowledge incident. Please try again.');
@@ -724,6 +573,8 @@ const ViewerDashboardNew = ({ navigation }) => {
   );
 
   // Render Notifications Tab
+  // Report and SOS updates are derived into the shared notification center
+  // whenever fetchIncidents() syncs (services/notificationCenter.js).
   const renderNotificationsTab = () => (
       <View style={{ flex: 1 }}>
         <View style={{ 
@@ -738,82 +589,11 @@ const ViewerDashboardNew = ({ navigation }) => {
           </Text>
         </View>
 
-        {loadingNotifications ? (
-          <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center' }}>
-            <ActivityIndicator size="large" color="#4F46E5" />
-          </View>
-        ) : notifications.length === 0 ? (
-          <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center', padding: 20 }}>
-            <Ionicons name="notifications-off" size={64} color="#D1D5DB" />
-            <Text style={{ fontSize: 18, fontWeight: '600', color: '#1F2937', marginTop: 16 }}>
-              No Notifications
-            </Text>
-            <Text style={{ fontSize: 14, color: '#6B7280', marginTop: 8, textAlign: 'center' }}>
-              You'll be notified when security handles incidents
-            </Text>
-          </View>
-        ) : (
-          <FlatList
-            data={notifications}
-            keyExtractor={(item) => item.id.toString()}
-            refreshControl={
-              <RefreshControl refreshing={refreshing} onRefresh={onRefresh} colors={['#4F46E5']} />
-            }
-            contentContainerStyle={{ padding: 16 }}
-            renderItem={({ item }) => (
-              <View style={{
-                backgroundColor: item.isMyReport ? '#EEF2FF' : '#FFFFFF',
-                borderRadius: 12,
-                padding: 16,
-                marginBottom: 12,
-                borderLeftWidth: 4,
-                borderLeftColor: item.isMyReport ? '#4F46E5' : '#10B981',
-                shadowColor: '#000',
-                shadowOffset: { width: 0, height: 2 },
-                shadowOpacity: 0.1,
-                shadowRadius: 4,
-                elevation: 3
-              }}>
-                {item.isMyReport && (
-                  <View style={{
-                    backgroundColor: '#4F46E5',
-                    alignSelf: 'flex-start',
-                    paddingHorizontal: 8,
-                    paddingVertical: 4,
-                    borderRadius: 4,
-                    marginBottom: 8
-                  }}>
-                    <Text style={{ fontSize: 11, fontWeight: 'bold', color: '#FFFFFF' }}>
-                      YOUR REPORT
-                    </Text>
-                  </View>
-                )}
-                <View style={{ flexDirection: 'row', alignItems: 'flex-start' }}>
-                  <View style={{
-                    backgroundColor: item.isMyReport ? '#C7D2FE' : '#D1FAE5',
-                    padding: 8,
-                    borderRadius: 8,
-                    marginRight: 12
-                  }}>
-                    <Ionicons 
-                      name="checkmark-circle" 
-                      size={24} 
-                      color={item.isMyReport ? '#4F46E5' : '#10B981'} 
-                    />
-                  </View>
-                  <View style={{ flex: 1 }}>
-                    <Text style={{ fontSize: 15, fontWeight: '600', color: '#1F2937' }}>
-                      {item.message}
-                    </Text>
-                    <Text style={{ fontSize: 12, color: '#6B7280', marginTop: 4 }}>
-                      {new Date(item.timestamp).toLocaleString()}
-                    </Text>
-                  </View>
-                </View>
-              </View>
-            )}
-          />
-        )}
+        <NotificationCenterList
+          refreshing={refreshing}
+          onRefresh={onRefresh}
+          emptyText="You'll be notified when security handles incidents"
+        />
       </View>
   );
 
@@ -839,6 +619,30 @@ const ViewerDashboardNew = ({ navigation }) => {
     }
   };
 
+  const fetchReportCameras = async () => {
+    const response = await getCameraFeeds();
+    if (response.success && Array.isArray(response.data)) {
+      setReportCameras(response.data);
+    }
+  };
+
+  // Distinct camera locations, offered as quick picks for the Location field.
+  const reportLocationOptions = useMemo(
+    () => [...new Set(reportCameras.map(camera => camera.location).filter(Boolean))],
+    [reportCameras]
+  );
+
+  const handleReportCameraSelect = (camera) => {
+    if (reportCameraId === camera.id) {
+      setReportCameraId(null);
+      return;
+    }
+    setReportCameraId(camera.id);
+    if (camera.location && !reportLocation.trim()) {
+      handleReportLocationChange(camera.location);
+    }
+  };
+
   const handleReportLocationChange = (value) => {
     setReportLocation(value);
     if (!value || value.trim() === '') {
@@ -940,7 +744,8 @@ const ViewerDashboardNew = ({ navigation }) => {
         location: reportLocation || 'Not specified',
         phone: reportPhone,
         notes: reportNotes,
-        reporter_name: reportName.trim() || undefined
+        reporter_name: reportName.trim() || undefined,
+        camera_id: reportCameraId || undefined
       }, null);
 
       console.log('[ViewerDashboard] Report response:', JSON.stringify(response, null, 2));
@@ -958,11 +763,15 @@ const ViewerDashboardNew = ({ navigation }) => {
         
         // THEN: Show success alert after a brief delay to let UI update
         setTimeout(() => {
-          Alert.alert(
-            '✓ Report Submitted', 
-            'Your incident report has been sent to security officials.',
-            [{ text: 'OK' }]
-          );
+          if (response.queued) Alert.alert('Saved Offline', response.message);
+          else if (response.attachmentMissing) Alert.alert('✓ Report Submitted', response.message);
+          else {
+            Alert.alert(
+              '✓ Report Submitted', 
+              'Your incident report has been sent to security officials.',
+              [{ text: 'OK' }]
+            );
+          }
         }, 500);
         
         // Reset form and navigate after 3 seconds to show success state longer
@@ -975,6 +784,7 @@ const ViewerDashboardNew = ({ navigation }) => {
           setReportPhone('');
           setReportPhoneError('');
           setReportNotes('');
+          setReportCameraId(null);
           setReportType('theft');
           setReportSeverity('medium');
           setReportSubmitted(false);
@@ -1138,6 +948,52 @@ const ViewerDashboardNew = ({ navigation }) => {
           </View>
         </View>
 
+        {/* Camera (optional) */}
+        {reportCameras.length > 0 && (
+          <View style={{
+            backgroundColor: '#FFFFFF',
+            borderRadius: 12,
+            padding: 16,
+            marginBottom: 16,
+            shadowColor: '#000',
+            shadowOffset: { width: 0, height: 2 },
+            shadowOpacity: 0.1,
+            shadowRadius: 4,
+            elevation: 3
+          }}>
+            <Text style={{ fontSize: 16, fontWeight: 'bold', color: '#1F2937', marginBottom: 12 }}>
+              Camera <Text style={{ fontSize: 13, fontWeight: '400', color: '#6B7280' }}>(optional)</Text>
+            </Text>
+            <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 8 }}>
+              {reportCameras.map(camera => (
+                <TouchableOpacity
+                  key={camera.id}
+                  style={{
+                    flexDirection: 'row',
+                    alignItems: 'center',
+                    paddingHorizontal: 12,
+                    paddingVertical: 8,
+                    borderRadius: 8,
+                    borderWidth: 2,
+                    borderColor: reportCameraId === camera.id ? '#4F46E5' : '#E5E7EB',
+                    backgroundColor: reportCameraId === camera.id ? '#EEF2FF' : '#FFFFFF'
+                  }}
+                  onPress={() => handleReportCameraSelect(camera)}
+                >
+                  <Ionicons name="videocam" size={14} color={reportCameraId === camera.id ? '#4F46E5' : '#6B7280'} style={{ marginRight: 6 }} />
+                  <Text style={{
+                    fontSize: 14,
+                    fontWeight: reportCameraId === camera.id ? '600' : '400',
+                    color: reportCameraId === camera.id ? '#4F46E5' : '#6B7280'
+                  }}>
+                    {camera.name || `Camera ${camera.id}`}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+        )}
+
         {/* Description */}
         <View style={{
           backgroundColor: '#FFFFFF',
@@ -1224,6 +1080,28 @@ const ViewerDashboardNew = ({ navigation }) => {
           <Text style={{ fontSize: 16, fontWeight: 'bold', color: '#1F2937', marginBottom: 12 }}>
             Location <Text style={{ fontSize: 13, fontWeight: '600', color: '#EF4444' }}>*</Text>
           </Text>
+          {reportLocationOptions.length > 0 && (
+            <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 10 }}>
+              {reportLocationOptions.map(location => (
+                <TouchableOpacity
+                  key={location}
+                  style={{
+                    paddingHorizontal: 12,
+                    paddingVertical: 6,
+                    borderRadius: 16,
+                    borderWidth: 1,
+                    borderColor: reportLocation === location ? '#4F46E5' : '#E5E7EB',
+                    backgroundColor: reportLocation === location ? '#EEF2FF' : '#FFFFFF'
+                  }}
+                  onPress={() => handleReportLocationChange(location)}
+                >
+                  <Text style={{ fontSize: 13, color: reportLocation === location ? '#4F46E5' : '#6B7280' }}>
+                    {location}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
           <TextInput
             style={{
               borderWidth: 1,
@@ -1443,6 +1321,9 @@ const ViewerDashboardNew = ({ navigation }) => {
           </View>
         </View>
 
+        {/* Push Notifications */}
+        <PushRegistrationStatus style={{ marginBottom: 16, backgroundColor: '#FFFFFF' }} />
+
         {/* Emergency Contacts */}
         <View style={{
           backgroundColor: '#FFFFFF',
@@ -1525,7 +1406,7 @@ const ViewerDashboardNew = ({ navigation }) => {
               paddingVertical: 12
             }}
             onPress={async () => {
-              await AsyncStorage.multiRemove(['viewerToken', 'viewerUser', 'userToken', 'user', 'token']);
+              await logoutUser();
               navigation.replace('ViewerLogin');
             }}
           >
@@ -1759,6 +1640,8 @@ const ViewerDashboardNew = ({ navigation }) => {
       {currentTab === 'notifications' && renderNotificationsTab()}
       {currentTab === 'profile' && renderProfileTab()}
 
+      {currentTab === 'home' && <SosButton user={userProfile} onSent={() => fetchIncidents()} />}
+
       {/* Bottom Navigation */}
       <View style={{
         backgroundColor: '#FFFFFF',
@@ -1860,7 +1743,7 @@ const ViewerDashboardNew = ({ navigation }) => {
               size={24} 
               color={currentTab === 'notifications' ? '#4F46E5' : '#9CA3AF'} 
             />
-            {notifications.filter(n => !n.read).length > 0 && (
+            {unreadCount > 0 && (
               <View style={{
                 position: 'absolute',
                 top: -4,
@@ -1874,7 +1757,7 @@ const ViewerDashboardNew = ({ navigation }) => {
                 paddingHorizontal: 4
               }}>
                 <Text style={{ fontSize: 10, fontWeight: 'bold', color: '#FFFFFF' }}>
-                  {notifications.filter(n => !n.read).length}
+                  {unreadCount > 99 ? '99+' : unreadCount}
                 </Text>
               </View>
             )}
@@ -2132,7 +2015,7 @@ const ViewerDashboardNew = ({ navigation }) => {
                         emergency_contact_2: editPhone2 || null,
                       };
                       setUserProfile(updatedProfile);
-                      await AsyncStorage.setItem('user', JSON.stringify(updatedProfile));
+                      await updateSessionUser(updatedProfile);
                       setEditUserPhoneError('');
                       setEditPhone1Error('');
                       setEditPhone2Error('');
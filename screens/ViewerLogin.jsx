@@ -2,9 +2,10 @@
 import React, { useState } from 'react';
 import { View, Text, TextInput, TouchableOpacity, Alert } from 'react-native';
 import { useTailwind } from 'tailwind-rn';
-import { loginUser, registerPushToken } from '../services/api';
+import { loginUser, logoutUser } from '../services/api';
+import { resumePendingLink } from '../services/deepLinks';
 import PrimaryButton from '../components/PrimaryButton';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { updateSessionUser } from '../services/session';
 
 const ViewerLoginScreen = ({ navigation }) => {
   const tailwind = useTailwind();
@@ -16,7 +17,7 @@ const ViewerLoginScreen = ({ navigation }) => {
       console.log('[ViewerLogin] Starting login...');
       
       // Clear all old tokens first to prevent conflicts
-      await AsyncStorage.multiRemove(['viewerToken', 'securityToken', 'adminToken', 'userToken', 'viewerUser', 'securityUser', 'user']);
+      await logoutUser();
       console.log('[ViewerLogin] Cleared all old tokens');
       
       const response = await loginUser(email, password, 'viewer');
@@ -44,7 +45,7 @@ const ViewerLoginScreen = ({ navigation }) => {
                   {
                     text: 'OK',
                     onPress: async () => {
-                      await AsyncStorage.multiRemove(['userToken', 'user']);
+                      await logoutUser();
                     }
                   }
                 ]
@@ -53,28 +54,18 @@ const ViewerLoginScreen = ({ navigation }) => {
             }
             
             // Save correct user data
-            await AsyncStorage.setItem('user', JSON.stringify(user));
+            await updateSessionUser(user);
             console.log('[ViewerLogin] Viewer user verified and saved');
           }
         } catch (profileError) {
           console.error('[ViewerLogin] Error fetching user profile:', profileError);
         }
         
-        // Attempt to register push token if available (non-blocking)
-        try {
-          const token = await AsyncStorage.getItem('expoPushToken');
-          const authToken = await AsyncStorage.getItem('userToken');
-          if (token && authToken) {
-            registerPushToken(token, authToken).then(reg => {
-              if (!reg.success) console.warn('Push token registration failed:', reg.message);
-            }).catch(e => console.warn('Push token registration error:', e));
-          }
-        } catch (e) {
-          console.warn('Error registering push token', e);
-        }
+        // The push token is registered by services/pushTokens.js on login.
         
         // Navigate immediately
         navigation.replace('ViewerDashboard');
+        resumePendingLink();
       } else {
         const msg = response.message || 'Invalid credentials.';
         console.warn('[ViewerLogin] Login failed:', msg);
@@ -5,6 +5,19 @@ import Constants from 'expo-constants';
 import { Platform } from 'react-native';
 import { Alert } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { request, withResult, ApiError, niceMessageFromResponse } from './http';
+import { emitSessionExpired, resetSessionExpired, suppressSessionExpired, emitLogin, runBeforeLogout } from './sessionEvents';
+import { enqueueMutation, flushMutations, getPendingMutations, createIdempotencyKey } from './offlineQueue';
+import { getActiveSite, updateActiveSite, getSiteGeneration, registerSiteScopedKeys } from './sites';
+import { loadSession, startSession, updateSessionTokens, endSession } from './session';
+import { shareInFlight } from './scheduler';
+import { recordDateHeader, recordServerTime, hasServerTime, resetClockSamples } from './serverClock';
+import { normalizeIncident, normalizeIncidents, normalizeSosAlert, normalizeSosAlerts, isOwnDuressAlert } from './incidentModel';
+import { getSyncState, mergeIncidents, getCachedIncidents, latestChangeOf, patchIncident, clearIncidentCache } from './incidentStore';
+import { normalizeEscalationPolicy, normalizeEscalationPolicies, normalizeEscalationState, serializeEscalationStages } from './escalation';
+import { parseOtpauthUri } from './totp';
+
+export { ApiError };
 
 // ==========================================
 // BASE_URL Configuration Strategy
@@ -129,24 +142,6 @@ console.log('[mobile/services/api] ==========================================');
 
 console.log('[mobile/services/api] Using BASE_URL =', BASE_URL);
 
-function niceMessageFromResponse(data) {
-  if (!data) return 'Request failed';
-  if (typeof data === 'string') return data;
-  if (data.detail) {
-    if (Array.isArray(data.detail)) {
-      try {
-        return data.detail.map(d => (d.msg ? `${d.loc?.join?.('.') || ''}: ${d.msg}` : JSON.stringify(d))).join('; ');
-      } catch (e) {
-        return JSON.stringify(data.detail);
-      }
-    }
-    return data.detail;
-  }
-  if (data.msg) return data.msg;
-  if (data.message) return data.message;
-  return JSON.stringify(data);
-}
-
 export function getDebugInfo() {
   return {
     BASE_URL,
@@ -160,20 +155,21 @@ export function getDebugInfo() {
 }
 
 // Allow runtime override (useful when testing on a physical device).
+// The override is stored on the active site profile (services/sites.js);
+// OVERRIDE_BASE_URL is the pre-sites key, still honoured until replaced.
 const OVERRIDE_KEY = 'OVERRIDE_BASE_URL';
+registerSiteScopedKeys([OVERRIDE_KEY]);
 
 export async function setOverrideBaseUrl(url) {
-  if (!url) {
-    await AsyncStorage.removeItem(OVERRIDE_KEY);
-    return null;
-  }
-  await AsyncStorage.setItem(OVERRIDE_KEY, url);
-  return url;
+  await AsyncStorage.removeItem(OVERRIDE_KEY);
+  await updateActiveSite({ baseUrl: url || null });
+  return url || null;
 }
 
 async function getBaseUrl() {
   try {
-    const override = await AsyncStorage.getItem(OVERRIDE_KEY);
+    const site = await getActiveSite();
+    const override = (site && site.baseUrl) || await AsyncStorage.getItem(OVERRIDE_KEY);
     if (override) {
       console.log('[mobile/services/api] Found override URL:', override);
       
@@ -184,7 +180,7 @@ async function getBaseUrl() {
         if (!isValidForWeb) {
           console.warn('[mobile/services/api] ⚠️  Override URL invalid for web platform:', override);
           console.warn('[mobile/services/api] Web requires localhost. Clearing override.');
-          await AsyncStorage.removeItem(OVERRIDE_KEY);
+          await setOverrideBaseUrl(null);
           return BASE_URL;
         }
       } else if (Platform.OS === 'android') {
@@ -205,64 +201,245 @@ async function getBaseUrl() {
   return BASE_URL;
 }
 
+// Bearer header for the signed-in session (services/session.js), or {} when
+// there is none. `role` is the role the caller expects; a session with another
+// role is logged, but its token is the only one ever sent.
 async function authHeaders(role = null) {
-  try {
-    let token = null;
-    
-    // If role is specified, try role-specific token key first
-    if (role) {
-      const tokenKey = role === 'security' ? 'securityToken' : 
-                      role === 'viewer' ? 'viewerToken' : 
-                      role === 'admin' ? 'adminToken' : 'userToken';
-      token = await AsyncStorage.getItem(tokenKey);
-      console.log(`[authHeaders] Trying ${tokenKey}:`, token ? 'Found' : 'Not found');
+  const session = await loadSession();
+  if (!session) return {};
+  if (role && session.role && role !== session.role) {
+    console.warn(`[authHeaders] Expected a ${role} session, signed in as ${session.role}`);
+  }
+  return { Authorization: `Bearer ${session.token}` };
+}
+
+export async function resolveBaseUrl() {
+  return await getBaseUrl();
+}
+
+// Current bearer token, found the same way as for every request; null when
+// logged out. Used by transports that cannot go through apiRequest().
+export async function getAccessToken(role = null) {
+  const { Authorization } = await authHeaders(role);
+  return Authorization ? Authorization.replace(/^Bearer /, '') : null;
+}
+
+// ==========================================
+// Request layer
+// ==========================================
+// Every helper below goes through apiRequest(), which resolves the base URL,
+// attaches the bearer token and hands off to services/http.js for timeouts,
+// retries and error typing. Helpers keep returning the familiar
+// { success, data, message } shape; failures also carry status, code and the
+// underlying ApiError so screens can report them consistently.
+
+let refreshInFlight = null;
+
+/**
+ * Exchange the stored refresh token for a new access token.
+ * Concurrent callers share a single request.
+ *
+ * @returns {Promise<string|null>} the new access token, or null if refresh is impossible
+ */
+export function refreshAccessToken() {
+  if (!refreshInFlight) {
+    refreshInFlight = (async () => {
+      const refreshToken = (await loadSession())?.refreshToken;
+      if (!refreshToken) return null;
+      try {
+        const base = await getBaseUrl();
+        const { data } = await request(`${base}/api/v1/auth/refresh`, {
+          method: 'POST',
+          json: { refresh_token: refreshToken },
+          retries: 1,
+        });
+        if (!data || !data.access_token) return null;
+        await updateSessionTokens({
+          token: data.access_token,
+          refreshToken: data.refresh_token,
+          expiresIn: data.expires_in,
+        });
+        console.log('[refreshAccessToken] ✅ Access token refreshed');
+        return data.access_token;
+      } catch (error) {
+        console.warn('[refreshAccessToken] Refresh failed:', error.code, error.message);
+        return null;
+      }
+    })().finally(() => {
+      refreshInFlight = null;
+    });
+  }
+  return refreshInFlight;
+}
+
+async function expireSession(reason) {
+  emitSessionExpired({ role: (await loadSession())?.role || null, reason });
+}
+
+/**
+ * Perform a request against the backend.
+ *
+ * A 401 on an authenticated request triggers one token refresh and one retry;
+ * if that does not help, the session-expired event is emitted (see
+ * services/sessionEvents.js) and the 401 is returned to the caller as usual.
+ *
+ * Identical GETs made while one is still in flight share its response (see
+ * services/scheduler.js), so screens polling the same endpoint cost one request.
+ *
+ * @param {string} path  Path starting with /api/v1/...
+ * @param {object} [options]  Options for services/http.js request(), plus:
+ * @param {boolean} [options.auth=true]  Attach the stored bearer token
+ * @param {string|null} [options.role]   Role the caller expects the session to have
+ * @returns {Promise<{ data: any, status: number, headers: Headers }>}
+ * @throws {ApiError}
+ */
+export function apiRequest(path, options = {}) {
+  const method = (options.method || 'GET').toUpperCase();
+  if (method !== 'GET' || options.signal || options.headers) return sendRequest(path, options);
+  return shareInFlight(`${options.auth === false ? 'anon' : options.role || 'auth'} GET ${path}`, () => sendRequest(path, options));
+}
+
+async function sendRequest(path, { auth = true, role = null, headers = {}, ...options } = {}) {
+  const siteGeneration = getSiteGeneration();
+  const base = await getBaseUrl();
+  const url = `${base}${path}`;
+  const finalHeaders = { ...headers };
+
+  if (auth) {
+    const tokenHeaders = await authHeaders(role);
+    if (!tokenHeaders.Authorization) {
+      await expireSession('no_token');
+      throw new ApiError('Not authenticated. Please login first.', { status: 401, code: 'UNAUTHENTICATED' });
     }
-    
-    // If no token found with role-specific key, try all possible keys in order
-    if (!token) {
-      console.log('[authHeaders] No role-specific token, trying fallbacks...');
-      token = await AsyncStorage.getItem('viewerToken');
-      if (token) console.log('[authHeaders] Found viewerToken');
-      
-      if (!token) {
-        token = await AsyncStorage.getItem('securityToken');
-        if (token) console.log('[authHeaders] Found securityToken');
+    Object.assign(finalHeaders, tokenHeaders);
+  }
+
+  // The first attempt and the retry after a token refresh succeed the same way.
+  const send = async sendHeaders => {
+    const sentAt = Date.now();
+    const response = await request(url, { ...options, headers: sendHeaders });
+    if (siteGeneration !== getSiteGeneration()) {
+      // The user switched sites mid-request; this data belongs to the old site.
+      throw new ApiError('Site changed during request', { code: 'SITE_CHANGED', url });
+    }
+    recordDateHeader(response.headers, sentAt);
+    // We're online: replay anything that was queued while offline.
+    syncOfflineQueue();
+    return response;
+  };
+
+  try {
+    try {
+      return await send(finalHeaders);
+    } catch (error) {
+      if (error.status === 401 && siteGeneration !== getSiteGeneration()) {
+        // A stale 401 from the previous site must not refresh or expire the new session.
+        throw new ApiError('Site changed during request', { code: 'SITE_CHANGED', url });
       }
-      
-      if (!token) {
-        token = await AsyncStorage.getItem('adminToken');
-        if (token) console.log('[authHeaders] Found adminToken');
+      if (!auth || error.status !== 401) throw error;
+
+      console.warn(`[apiRequest] 401 for ${path} - attempting token refresh`);
+      const newToken = await refreshAccessToken();
+      if (!newToken) {
+        await expireSession('refresh_failed');
+        throw error;
       }
-      
-      if (!token) {
-        token = await AsyncStorage.getItem('userToken');
-        if (token) console.log('[authHeaders] Found userToken');
+      try {
+        return await send({ ...finalHeaders, Authorization: `Bearer ${newToken}` });
+      } catch (retryError) {
+        if (retryError.status === 401) await expireSession('rejected_after_refresh');
+        throw retryError;
       }
     }
-    
-    if (!token) {
-      console.warn('[authHeaders] No token found in any storage key!');
-      return {};
+  } catch (error) {
+    if (error.isNetworkError) {
+      error.message = `${error.message} (base: ${base})`;
     }
-    
-    console.log('[authHeaders] ✅ Token found, length:', token.length);
-    console.log('[authHeaders] Token preview:', token.substring(0, 50) + '...');
-    const headers = { Authorization: `Bearer ${token}` };
-    console.log('[authHeaders] Authorization header:', headers.Authorization.substring(0, 60) + '...');
-    return headers;
-  } catch (e) {
-    console.error('[authHeaders] Error:', e);
-    return {};
+    throw error;
   }
 }
 
-export async function resolveBaseUrl() {
-  return await getBaseUrl();
+/**
+ * GET /api/v1/time
+ * Measure the server clock when no response has carried a readable Date
+ * header yet (web builds cannot read it cross-origin), or again with `force`
+ * after the phone's clock may have changed. See services/serverClock.js.
+ */
+export async function syncServerClock({ force = false } = {}) {
+  if (hasServerTime() && !force) return { success: true };
+  if (force) resetClockSamples();
+  return withResult('syncServerClock', 'Failed to read server time', async () => {
+    const sentAt = Date.now();
+    const { data, headers } = await apiRequest('/api/v1/time', { auth: false });
+    const value = data?.server_time ?? data?.now;
+    const serverTime = typeof value === 'number' ? value * (value < 1e12 ? 1000 : 1) : Date.parse(value);
+    if (Number.isFinite(serverTime)) recordServerTime(serverTime, sentAt);
+    else recordDateHeader(headers, sentAt);
+    return { success: true };
+  });
 }
 
-export async function registerUser(name, email, password, role = 'viewer', phone = null) {
+// ==========================================
+// Offline writes
+// ==========================================
+// Writes made through queueableMutation() that fail with a network error are
+// persisted by services/offlineQueue.js and replayed, in order, after the next
+// successful request (or when the app returns to the foreground). Entries are
+// the signed-in user's and wait for them across a logout or account switch.
+
+async function sendQueuedMutation(entry) {
+  const site = await getActiveSite();
+  if (entry.siteId && site && entry.siteId !== site.id) {
+    throw new ApiError('Queued request belongs to another site', { code: 'SITE_CHANGED' });
+  }
+  return apiRequest(entry.path, {
+    method: entry.method,
+    json: entry.json,
+    headers: { 'Idempotency-Key': entry.id },
+  });
+}
+
+export function syncOfflineQueue() {
+  return flushMutations(sendQueuedMutation).catch(err => {
+    console.warn('[syncOfflineQueue] Replay failed', err);
+    return null;
+  });
+}
+
+/**
+ * Send a write request, queueing it for later if the device is offline. While
+ * earlier writes are still queued it goes in behind them, so the server sees
+ * them in the order they were made.
+ *
+ * @param {string} path
+ * @param {{ method: string, json?: any }} options
+ * @param {object} meta  Describes the affected record, e.g. { kind: 'acknowledge', incidentId }
+ * @returns {Promise<{ data: any, queued: boolean }>}
+ */
+async function queueableMutation(path, { method, json }, meta) {
+  const site = await getActiveSite();
+  const entry = { id: createIdempotencyKey(), siteId: site ? site.id : null, method, path, json, meta };
+  if ((await getPendingMutations()).length) {
+    await enqueueMutation(entry);
+    const outcome = (await syncOfflineQueue())?.outcomes.get(entry.id);
+    if (!outcome) return { data: null, queued: true };
+    if (outcome.error) throw outcome.error;
+    return { data: outcome.result.data, queued: false };
+  }
   try {
-    const base = await getBaseUrl();
+    const { data } = await sendQueuedMutation(entry);
+    return { data, queued: false };
+  } catch (error) {
+    if (!(error instanceof ApiError) || !error.isNetworkError) throw error;
+    await enqueueMutation(entry);
+    return { data: null, queued: true };
+  }
+}
+
+const QUEUED_MESSAGE = 'You are offline. This change will sync when the connection returns.';
+
+export async function registerUser(name, email, password, role = 'viewer', phone = null) {
+  return withResult('registerUser', 'Registration failed', async () => {
     const payload = {
       username: name,
       email,
@@ -270,566 +447,478 @@ export async function registerUser(name, email, password, role = 'viewer', phone
       role,
       ...(phone ? { phone } : {}),
     };
+    console.log('[registerUser] Registering', payload.username, 'as', role);
 
-    console.log('=== REGISTER DEBUG ===');
-    console.log('BASE_URL:', base);
-    console.log('Payload:', JSON.stringify(payload, null, 2));
-    console.log('Attempting registration to:', `${base}/api/v1/auth/register`);
-
-    const res = await fetch(`${base}/api/v1/auth/register`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Accept: 'application/json',
-      },
-      body: JSON.stringify(payload),
-    });
-
-    console.log('Response status:', res.status);
-    console.log('Response ok:', res.ok);
-
-    let data;
-    try {
-      data = await res.json();
-    } catch (e) {
-      console.error('Failed to parse response as JSON:', e);
-      data = null;
-    }
-    
-    console.log('Response data:', JSON.stringify(data, null, 2));
-    
-    if (!res.ok) {
-      console.log('Registration FAILED - response not ok');
-      return { success: false, message: niceMessageFromResponse(data), data };
-    }
-    
-    console.log('Registration SUCCESS - returning success=true');
+    const { data } = await apiRequest('/api/v1/auth/register', { method: 'POST', auth: false, json: payload });
     return { success: true, data, message: niceMessageFromResponse(data) };
-  } catch (error) {
-    console.error('=== REGISTER ERROR ===');
-    console.error('Error type:', error.name);
-    console.error('Error message:', error.message);
-    console.error('BASE_URL:', BASE_URL);
-    console.error('Full error:', error);
-    return { success: false, message: `${error.message || 'Network error'} (base: ${BASE_URL})` };
-  }
+  });
 }
 
 // Register a device push token for the authenticated user
 export async function registerPushToken(expoPushToken, authToken) {
-  try {
-    if (!expoPushToken) return { success: false, message: 'No push token provided' };
+  if (!expoPushToken) return { success: false, message: 'No push token provided' };
 
+  return withResult('registerPushToken', 'Failed to register push token', async () => {
     // NOTE: backend users endpoints are namespaced under /api/v1
-    const base = await getBaseUrl();
-    const res = await fetch(`${base}/api/v1/users/register-push-token`, {
+    const { data } = await apiRequest('/api/v1/users/register-push-token', {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
-      },
-      body: JSON.stringify({ expo_push_token: expoPushToken }),
+      auth: !authToken,
+      headers: authToken ? { Authorization: `Bearer ${authToken}` } : {},
+      json: { expo_push_token: expoPushToken },
     });
+    return { success: true, data };
+  });
+}
+
+export async function unregisterPushToken(expoPushToken) {
+  if (!expoPushToken) return { success: false, message: 'No push token provided' };
 
-    const data = await res.json();
-    if (!res.ok) return { success: false, message: niceMessageFromResponse(data) };
+  return withResult('unregisterPushToken', 'Failed to unregister push token', async () => {
+    const { data } = await apiRequest('/api/v1/users/unregister-push-token', {
+      method: 'POST',
+      json: { expo_push_token: expoPushToken },
+    });
     return { success: true, data };
-  } catch (error) {
-    console.error('registerPushToken error; BASE_URL=', BASE_URL, error);
-    return { success: false, message: `${error.message || 'Network error'} (base: ${BASE_URL})` };
+  });
+}
+
+/**
+ * GET /api/v1/users/me/notification-preferences
+ * What the backend pushes to this user (see services/notificationPreferences.js).
+ */
+export async function getNotificationPreferences() {
+  return withResult('getNotificationPreferences', 'Failed to load notification preferences', async () => {
+    const { data } = await apiRequest('/api/v1/users/me/notification-preferences');
+    return { success: true, data };
+  });
+}
+
+/**
+ * PUT /api/v1/users/me/notification-preferences
+ * Queued for replay when offline (result has `queued: true`).
+ */
+export async function updateNotificationPreferences(preferences) {
+  return withResult('updateNotificationPreferences', 'Failed to save notification preferences', async () => {
+    const { data, queued } = await queueableMutation('/api/v1/users/me/notification-preferences', {
+      method: 'PUT',
+      json: preferences,
+    }, { kind: 'notification_preferences' });
+    if (queued) return { success: true, queued: true, data: null, message: QUEUED_MESSAGE };
+    return { success: true, data };
+  });
+}
+
+// POST /api/v1/auth/login with an application/x-www-form-urlencoded body.
+async function requestLogin(usernameOrEmail, password) {
+  const encode = (s) => encodeURIComponent(s);
+  const { data } = await apiRequest('/api/v1/auth/login', {
+    method: 'POST',
+    auth: false,
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: `username=${encode(usernameOrEmail)}&password=${encode(password)}`,
+  });
+  return data;
+}
+
+// Accounts with two-step verification get a challenge instead of tokens:
+// { mfa_required: true, mfa_token, mfa_methods? }. The token is short-lived
+// and only good for POST /api/v1/auth/mfa/verify (see verifyMfa()).
+function mfaChallengeOf(data, context) {
+  if (!data || !data.mfa_required) return null;
+  return {
+    token: data.mfa_token,
+    methods: Array.isArray(data.mfa_methods) ? data.mfa_methods : ['totp', 'backup_code'],
+    ...context,
+  };
+}
+
+function mfaRequiredResult(challenge) {
+  return {
+    success: false,
+    mfaRequired: true,
+    code: 'MFA_REQUIRED',
+    data: challenge,
+    message: 'Enter the 6-digit code from your authenticator app.',
+  };
+}
+
+async function startLoginSession(data, usernameOrEmail, role) {
+  // Signing in over an existing session is an account switch: let the old
+  // session clean up (push token etc.) while its token still works.
+  if (await getAccessToken()) {
+    suppressSessionExpired();
+    await runBeforeLogout({ reason: 'account_switch' });
   }
+  await clearIncidentCache();
+  // Backend may only return access_token – always keep at least the role
+  // so screens like IncidentDetail can gate admin-only features correctly.
+  const user = data.user || {
+    username: data.username || usernameOrEmail,
+    email: data.email || usernameOrEmail,
+    role: data.role || role,
+    id: data.id || data.user_id,
+  };
+  await startSession({
+    token: data.access_token,
+    refreshToken: data.refresh_token,
+    user,
+    role: user.role || role,
+    expiresIn: data.expires_in,
+  });
+  resetSessionExpired();
+  emitLogin({ role });
 }
 
-// Add other API helpers here as needed (login, fetch incidents, etc.)
+async function renewSession(data) {
+  await updateSessionTokens({
+    token: data.access_token,
+    refreshToken: data.refresh_token,
+    expiresIn: data.expires_in,
+  });
+  resetSessionExpired();
+}
 
+/**
+ * Sign in. For an account with two-step verification the result is not a
+ * success but `{ mfaRequired: true, data: challenge }`: ask for a code and
+ * finish with verifyMfa(challenge, ...).
+ */
 export async function loginUser(usernameOrEmail, password, role = 'viewer') {
-  try {
-    const base = await getBaseUrl();
-    console.log('=== LOGIN DEBUG ===');
-    console.log('BASE_URL:', base);
-    console.log('Username/Email:', usernameOrEmail);
-    console.log('Role:', role);
-    
-    // Build application/x-www-form-urlencoded body
-    const encode = (s) => encodeURIComponent(s);
-    const formBodyString = `username=${encode(usernameOrEmail)}&password=${encode(password)}`;
+  return withResult('loginUser', 'Login failed', async () => {
+    console.log('[loginUser] Logging in', usernameOrEmail, 'as', role);
+    const data = await requestLogin(usernameOrEmail, password);
+
+    const challenge = mfaChallengeOf(data, { usernameOrEmail, role, renew: false });
+    if (challenge) {
+      console.log('[loginUser] Two-step verification required for', usernameOrEmail);
+      return mfaRequiredResult(challenge);
+    }
+    if (data && data.access_token) {
+      await startLoginSession(data, usernameOrEmail, role);
+    } else {
+      console.warn('[loginUser] No access_token in response!');
+    }
 
-    console.log('Attempting login to:', `${base}/api/v1/auth/login`);
+    return { success: true, data, message: niceMessageFromResponse(data) };
+  });
+}
 
-    const res = await fetch(`${base}/api/v1/auth/login`, {
+/**
+ * POST /api/v1/auth/mfa/verify
+ * Answer a login's two-step challenge with a code from the authenticator app
+ * or, instead, one of the account's backup codes. On success the login (or
+ * the session renewal, for a challenge from reauthenticate()) completes.
+ *
+ * @param {object} challenge  `data` of the mfaRequired result
+ * @param {{ code?: string, backupCode?: string }} answer
+ */
+export async function verifyMfa(challenge, { code, backupCode } = {}) {
+  return withResult('verifyMfa', 'Verification failed', async () => {
+    if (!challenge || !challenge.token) return { success: false, message: 'Please login again.' };
+    const { data } = await apiRequest('/api/v1/auth/mfa/verify', {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        Accept: 'application/json',
+      auth: false,
+      json: {
+        mfa_token: challenge.token,
+        ...(backupCode ? { backup_code: backupCode.trim() } : { code: String(code || '').replace(/\s/g, '') }),
       },
-      body: formBodyString,
     });
+    if (!data || !data.access_token) return { success: false, message: niceMessageFromResponse(data) };
+    if (challenge.renew) await renewSession(data);
+    else await startLoginSession(data, challenge.usernameOrEmail, challenge.role);
+    return { success: true, data, message: niceMessageFromResponse(data) };
+  });
+}
 
-    console.log('Response status:', res.status);
-    console.log('Response ok:', res.ok);
+/**
+ * Sign the current user in again when their session has expired or is about
+ * to, without ending it: same account, new tokens, nothing cleared, so the
+ * screen they were on keeps its state. Two-step verification answers like
+ * loginUser's; verifyMfa() then renews the session.
+ */
+export async function reauthenticate(password) {
+  return withResult('reauthenticate', 'Login failed', async () => {
+    const session = await loadSession();
+    const username = session?.user?.username || session?.user?.email;
+    if (!username) return { success: false, message: 'There is no session to renew. Please login again.' };
+    console.log('[reauthenticate] Renewing session for', username);
+    const data = await requestLogin(username, password);
+    const challenge = mfaChallengeOf(data, { usernameOrEmail: username, role: session.role, renew: true });
+    if (challenge) return mfaRequiredResult(challenge);
+    if (!data || !data.access_token) return { success: false, message: niceMessageFromResponse(data) };
+    await renewSession(data);
+    return { success: true, data: null };
+  });
+}
 
-    let data;
-    try {
-      data = await res.json();
-    } catch (e) {
-      console.error('Failed to parse response as JSON:', e);
-      data = null;
-    }
-    
-    console.log('Response data:', JSON.stringify(data, null, 2));
-    
-    if (!res.ok) {
-      console.log('Login FAILED - response not ok');
-      return { success: false, message: niceMessageFromResponse(data), data };
-    }
+// ==========================================
+// Two-step verification (TOTP)
+// ==========================================
+// Enrolment for the signed-in account: setup returns a new secret, which only
+// takes effect once a code from it is confirmed; confirming returns the
+// backup codes, shown once. Whether it is on is `mfa_enabled` on getMe().
+
+function totpSetupOf(data) {
+  const parsed = parseOtpauthUri(data?.otpauth_uri);
+  const secret = (data?.secret || parsed?.secret || '').toUpperCase();
+  return { secret, uri: data?.otpauth_uri || null, period: parsed?.period, digits: parsed?.digits };
+}
 
-    // Persist token and user data with role-specific keys
-    try {
-      if (data && data.access_token) {
-        // IMPORTANT: Clear all old tokens first to prevent conflicts between roles
-        await AsyncStorage.multiRemove(['viewerToken', 'securityToken', 'adminToken', 'viewerUser', 'securityUser']);
-        console.log('[loginUser] Cleared all old role-specific tokens');
-        
-        // Save token with role-specific key
-        const tokenKey = role === 'security' ? 'securityToken' : 
-                        role === 'viewer' ? 'viewerToken' : 
-                        role === 'admin' ? 'adminToken' : 'userToken';
-        await AsyncStorage.setItem(tokenKey, data.access_token);
-        console.log(`Token saved to AsyncStorage with key: ${tokenKey}`);
-        
-        // Also save to userToken for backward compatibility
-        await AsyncStorage.setItem('userToken', data.access_token);
-        console.log('Token also saved to userToken for compatibility');
-        
-        // Also save user profile data if available
-        if (data.user) {
-          await AsyncStorage.setItem('user', JSON.stringify(data.user));
-          console.log('User data saved to AsyncStorage:', data.user);
-        } else {
-          // Backend may only return access_token – always persist at least the role
-          // so screens like IncidentDetail can gate admin-only features correctly.
-          const userData = {
-            username: data.username || email,
-            email: data.email || email,
-            role: data.role || role,
-            id: data.id || data.user_id,
-          };
-          await AsyncStorage.setItem('user', JSON.stringify(userData));
-          console.log('User data constructed and saved:', userData);
-        }
-      } else {
-        console.warn('No access_token in response!');
-      }
-    } catch (err) {
-      console.warn('Failed to persist user data to AsyncStorage', err);
-    }
+/**
+ * POST /api/v1/auth/mfa/totp/setup
+ * Start enrolment: `data` is { secret, uri, period?, digits? } for the
+ * authenticator app.
+ */
+export async function startTotpEnrolment() {
+  return withResult('startTotpEnrolment', 'Could not start two-step verification setup.', async () => {
+    const { data } = await apiRequest('/api/v1/auth/mfa/totp/setup', { method: 'POST' });
+    const setup = totpSetupOf(data);
+    if (!setup.secret) return { success: false, message: 'The server did not send a secret.' };
+    return { success: true, data: setup };
+  });
+}
 
-    console.log('Login SUCCESS - returning success=true');
-    return { success: true, data, message: niceMessageFromResponse(data) };
-  } catch (error) {
-    console.error('=== LOGIN ERROR ===');
-    console.error('Error type:', error.name);
-    console.error('Error message:', error.message);
-    console.error('BASE_URL:', BASE_URL);
-    console.error('Full error:', error);
-    return { success: false, message: `${error.message || 'Network error'} (base: ${BASE_URL})` };
-  }
+/**
+ * POST /api/v1/auth/mfa/totp/confirm
+ * Turn two-step verification on with a code from the new secret. `data` is
+ * { backupCodes }.
+ */
+export async function confirmTotpEnrolment(code) {
+  return withResult('confirmTotpEnrolment', 'Could not confirm the code.', async () => {
+    const { data } = await apiRequest('/api/v1/auth/mfa/totp/confirm', { method: 'POST', json: { code } });
+    return { success: true, data: { backupCodes: Array.isArray(data?.backup_codes) ? data.backup_codes : [] } };
+  });
 }
 
-export async function getIncidents() {
+/**
+ * POST /api/v1/auth/mfa/totp/disable
+ * Turn two-step verification off; needs a current code (or a backup code).
+ */
+export async function disableTotp(code) {
+  return withResult('disableTotp', 'Could not turn off two-step verification.', async () => {
+    await apiRequest('/api/v1/auth/mfa/totp/disable', { method: 'POST', json: { code } });
+    return { success: true, data: null };
+  });
+}
+
+// Clear every stored credential. Screens navigate away themselves.
+export async function logoutUser() {
+  suppressSessionExpired();
+  await runBeforeLogout({ reason: 'logout' });
   try {
-    const base = await getBaseUrl();
-    const headers = await authHeaders();
-    
-    console.log('[getIncidents] BASE_URL:', base);
-    console.log('[getIncidents] Auth headers:', headers);
-    console.log('[getIncidents] Fetching:', `${base}/api/v1/incidents/`);
-    
-    // Check if we have authorization header
-    if (!headers || !headers.Authorization) {
-      console.error('[getIncidents] ❌ NO AUTHORIZATION HEADER! User may not be logged in.');
-      return { 
-        success: false, 
-        status: 401, 
-        message: 'Not authenticated. Please login first.' 
-      };
-    }
-    
-    const res = await fetch(`${base}/api/v1/incidents/`, { 
-      method: 'GET', 
-      headers: { 
-        ...headers,
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
-      } 
-    });
-    
-    console.log('[getIncidents] Response status:', res.status);
-    console.log('[getIncidents] Response ok:', res.ok);
-    
-    // Handle 401 Unauthorized
-    if (res.status === 401) {
-      console.error('[getIncidents] ❌ 401 Unauthorized - token expired or invalid');
-      // Clear invalid token
-      await AsyncStorage.multiRemove(['userToken', 'viewerToken', 'securityToken', 'adminToken']);
-      return { success: false, status: 401, message: 'Unauthorized. Please login again.' };
-    }
-    
-    const data = await res.json();
-    if (!res.ok) {
-      console.error('[getIncidents] Request failed:', data);
-      return { success: false, message: data.detail || 'Failed to load incidents' };
-    }
-    
-    // Debug: Log first incident structure
-    if (data && data.length > 0) {
-      console.log('[getIncidents] ✅ Success! Received', data.length, 'incidents');
-      console.log('[getIncidents] First incident:', JSON.stringify(data[0], null, 2));
-    } else {
-      console.log('[getIncidents] ✅ Success! No incidents found.');
+    await endSession();
+    await clearIncidentCache();
+    console.log('[logoutUser] Session cleared');
+  } catch (err) {
+    console.warn('[logoutUser] Failed to clear session', err);
+  }
+}
+
+/**
+ * POST /api/v1/events/ticket
+ * A short-lived ticket for opening the event stream (services/realtime.js)
+ * from a browser, whose WebSocket and EventSource cannot send an
+ * Authorization header. Resolves to `{ ticket }`.
+ */
+export async function createStreamTicket() {
+  return withResult('createStreamTicket', 'Failed to open the event stream.', async () => {
+    const { data } = await apiRequest('/api/v1/events/ticket', { method: 'POST' });
+    return { success: true, data: { ticket: data.ticket } };
+  });
+}
+
+// ==========================================
+// Incident sync
+// ==========================================
+// Incidents live in a local cache (services/incidentStore.js). The first sync
+// pages through the whole list; later ones only ask for what changed since the
+// cursor, with the ETag so an unchanged list costs a 304. A full sync every
+// half hour drops incidents deleted on the server.
+
+const INCIDENT_PAGE_SIZE = 200;
+const INCIDENT_MAX_PAGES = 100;
+const INCIDENT_FULL_SYNC_MS = 30 * 60 * 1000;
+
+function incidentPageItems(data) {
+  if (Array.isArray(data)) return data;
+  return (data && (data.items || data.results)) || [];
+}
+
+async function runIncidentSync(full) {
+  const state = await getSyncState();
+  const incremental = !full && !!state.cursor && Date.now() - state.fullSyncAt < INCIDENT_FULL_SYNC_MS;
+  const items = [];
+  let etag;
+  let cursor;
+
+  for (let page = 0; page < INCIDENT_MAX_PAGES; page++) {
+    let path = `/api/v1/incidents/?skip=${page * INCIDENT_PAGE_SIZE}&limit=${INCIDENT_PAGE_SIZE}`;
+    if (incremental) path += `&updated_since=${encodeURIComponent(state.cursor)}`;
+    const headers = page === 0 && incremental && state.etag ? { 'If-None-Match': state.etag } : undefined;
+    const { data, status, headers: resHeaders } = await apiRequest(path, headers ? { headers } : {});
+    if (status === 304) {
+      console.log('[syncIncidents] Not modified');
+      return { changed: 0, full: false };
     }
-    return { success: true, data };
-  } catch (error) {
-    console.error('[getIncidents] ❌ Error:', error.message);
-    console.error('[getIncidents] BASE_URL=', BASE_URL, error);
-    return { success: false, message: `${error.message || 'Network error'} (base: ${BASE_URL})` };
+    if (page === 0) etag = resHeaders?.get?.('ETag') || null;
+    cursor = resHeaders?.get?.('X-Sync-Cursor') || cursor;
+    const pageItems = incidentPageItems(data);
+    // A backend that ignores skip/limit returns the same list again; stop there.
+    if (page > 0 && pageItems[0] && items.some(item => item.id === pageItems[0].id)) break;
+    items.push(...pageItems);
+    if (pageItems.length !== INCIDENT_PAGE_SIZE) break;
   }
+
+  await mergeIncidents(items, {
+    replace: !incremental,
+    cursor: cursor || latestChangeOf(items) || state.cursor,
+    etag,
+  });
+  console.log(`[syncIncidents] ${incremental ? 'Delta' : 'Full'} sync: ${items.length} incident(s)`);
+  return { changed: items.length, full: !incremental };
+}
+
+/**
+ * Bring the local incident cache up to date. Concurrent calls share one sync.
+ *
+ * @param {{ full?: boolean }} [options]  Force a full download
+ */
+export async function syncIncidents({ full = false } = {}) {
+  return withResult('syncIncidents', 'Failed to sync incidents', async () => {
+    const result = await shareInFlight('incidents:sync', () => runIncidentSync(full));
+    return { success: true, data: result };
+  });
+}
+
+/**
+ * Incidents, newest first, served from the local cache after a delta sync, in
+ * the canonical shape from services/incidentModel.js.
+ *
+ * @param {{ skip?: number, limit?: number, sync?: boolean }} [options]
+ *   Pass `sync: false` to read the cache without touching the network.
+ */
+export async function getIncidents({ skip = 0, limit, sync = true } = {}) {
+  if (sync) {
+    const res = await syncIncidents();
+    if (!res.success) return res;
+  }
+  const data = normalizeIncidents(await getCachedIncidents({ skip, limit }));
+  return { success: true, data };
 }
 
 export async function getIncident(incidentId) {
-  try {
-    const base = await getBaseUrl();
-    const headers = await authHeaders();
-    
-    console.log('[getIncident] Fetching incident ID:', incidentId);
-    console.log('[getIncident] URL:', `${base}/api/v1/incidents/${incidentId}`);
-    
-    if (!headers || !headers.Authorization) {
-      console.error('[getIncident] ❌ NO AUTHORIZATION HEADER!');
-      return { 
-        success: false, 
-        status: 401, 
-        message: 'Not authenticated. Please login first.' 
-      };
-    }
-    
-    const res = await fetch(`${base}/api/v1/incidents/${incidentId}`, { 
-      method: 'GET', 
-      headers: { 
-        ...headers,
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
-      } 
-    });
-    
-    console.log('[getIncident] Response status:', res.status);
-    
-    if (res.status === 401) {
-      console.error('[getIncident] ❌ 401 Unauthorized');
-      await AsyncStorage.multiRemove(['userToken', 'viewerToken', 'securityToken', 'adminToken']);
-      return { success: false, status: 401, message: 'Unauthorized. Please login again.' };
-    }
-    
-    if (res.status === 404) {
-      console.error('[getIncident] ❌ 404 Not Found');
-      return { success: false, status: 404, message: 'Incident not found' };
-    }
-    
-    const data = await res.json();
-    if (!res.ok) {
-      console.error('[getIncident] Request failed:', data);
-      return { success: false, message: data.detail || 'Failed to load incident' };
-    }
-    
-    console.log('[getIncident] ✅ Success! Incident:', data.id);
-    console.log('[getIncident] Evidence items:', data.evidence_items?.length || 0);
-    if (data.evidence_items && data.evidence_items.length > 0) {
-      console.log('[getIncident] First evidence:', JSON.stringify(data.evidence_items[0], null, 2));
+  return withResult('getIncident', 'Failed to load incident', async () => {
+    try {
+      const { data } = await apiRequest(`/api/v1/incidents/${incidentId}`);
+      console.log('[getIncident] ✅ Incident:', data.id, 'evidence items:', data.evidence_items?.length || 0);
+      return { success: true, data: normalizeIncident(data) };
+    } catch (error) {
+      if (error.status === 404) {
+        return { success: false, status: 404, code: error.code, message: 'Incident not found', error };
+      }
+      throw error;
     }
-    
-    return { success: true, data };
-  } catch (error) {
-    console.error('[getIncident] ❌ Error:', error.message);
-    return { success: false, message: `${error.message || 'Network error'} (base: ${BASE_URL})` };
-  }
+  });
 }
 
 export async function getMyEvidence() {
-  try {
-    const base = await getBaseUrl();
-    const headers = await authHeaders();
-    
-    console.log('[getMyEvidence] BASE_URL:', base);
-    console.log('[getMyEvidence] Fetching:', `${base}/api/v1/evidence/my/all`);
-    
-    // Check if we have authorization header
-    if (!headers || !headers.Authorization) {
-      console.error('[getMyEvidence] ❌ NO AUTHORIZATION HEADER! User may not be logged in.');
-      return { 
-        success: false, 
-        status: 401, 
-        message: 'Not authenticated. Please login first.' 
-      };
-    }
-    
-    const res = await fetch(`${base}/api/v1/evidence/my/all`, { 
-      method: 'GET', 
-      headers: { 
-        ...headers,
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
-      } 
-    });
-    
-    console.log('[getMyEvidence] Response status:', res.status);
-    
-    // Handle 401 Unauthorized
-    if (res.status === 401) {
-      console.error('[getMyEvidence] ❌ 401 Unauthorized - token expired or invalid');
-      await AsyncStorage.multiRemove(['userToken', 'viewerToken', 'securityToken', 'adminToken']);
-      return { success: false, status: 401, message: 'Unauthorized. Please login again.' };
-    }
-    
-    const data = await res.json();
-    if (!res.ok) {
-      console.error('[getMyEvidence] Request failed:', data);
-      return { success: false, message: data.detail || 'Failed to load evidence' };
-    }
-    
-    console.log('[getMyEvidence] ✅ Success! Received', data.length, 'evidence items');
-    if (data.length > 0) {
-      console.log('[getMyEvidence] Sample evidence:', JSON.stringify(data[0], null, 2));
-    }
+  return withResult('getMyEvidence', 'Failed to load evidence', async () => {
+    const { data } = await apiRequest('/api/v1/evidence/my/all');
+    console.log('[getMyEvidence] ✅ Received', data?.length || 0, 'evidence items');
     return { success: true, data };
-  } catch (error) {
-    console.error('[getMyEvidence] ❌ Error:', error.message);
-    return { success: false, message: `${error.message || 'Network error'} (base: ${BASE_URL})` };
-  }
+  });
 }
 
 export async function getEvidenceStats() {
-  try {
-    const base = await getBaseUrl();
-    const headers = await authHeaders();
-    
-    console.log('[getEvidenceStats] Fetching stats...');
-    
-    if (!headers || !headers.Authorization) {
-      return { success: false, status: 401, message: 'Not authenticated' };
-    }
-    
-    const res = await fetch(`${base}/api/v1/evidence/debug/stats`, { 
-      method: 'GET', 
-      headers: { 
-        ...headers,
-        'Accept': 'application/json'
-      } 
-    });
-    
-    if (res.status === 401) {
-      return { success: false, status: 401, message: 'Unauthorized' };
-    }
-    
-    const data = await res.json();
-    if (!res.ok) {
-      return { success: false, message: data.detail || 'Failed to get stats' };
-    }
-    
-    console.log('[getEvidenceStats] ✅ Stats:', JSON.stringify(data, null, 2));
+  return withResult('getEvidenceStats', 'Failed to get stats', async () => {
+    const { data } = await apiRequest('/api/v1/evidence/debug/stats');
     return { success: true, data };
-  } catch (error) {
-    console.error('[getEvidenceStats] ❌ Error:', error.message);
-    return { success: false, message: error.message };
-  }
+  });
 }
 
 export async function acknowledgeIncidentWithStatus(id, acknowledged = true) {
-  try {
-    const base = await getBaseUrl();
-    const headers = await authHeaders();
-
-    // Use the SOS-aware POST endpoint so the in-memory timer is cancelled
-    // when acknowledged=true.  For un-acknowledge we fall back to the PUT.
-    if (acknowledged) {
-      const url = `${base}/api/v1/incidents/acknowledge/${id}`;
-      const res = await fetch(url, {
-        method: 'POST',
-        headers: { ...(headers || {}), 'Content-Type': 'application/json' },
-      });
-      const data = await res.json();
-      if (!res.ok) return { success: false, message: data.detail || 'Failed to acknowledge' };
+  // Use the SOS-aware POST endpoint so the in-memory timer is cancelled
+  // when acknowledged=true.  For un-acknowledge we fall back to the PUT.
+  if (acknowledged) {
+    return withResult('acknowledgeIncidentWithStatus', 'Failed to acknowledge', async () => {
+      const { data } = await apiRequest(`/api/v1/incidents/acknowledge/${id}`, { method: 'POST' });
+      patchIncident(id, { acknowledged: true });
       return { success: true, data };
-    }
-
-    // Un-acknowledge: use PUT endpoint
-    const url = `${base}/api/v1/incidents/${id}/acknowledge?acknowledged=false`;
-    const res = await fetch(url, {
-      method: 'PUT',
-      headers: { ...(headers || {}) },
     });
-    const data = await res.json();
-    if (!res.ok) return { success: false, message: data.detail || 'Failed to un-acknowledge' };
-    return { success: true, data };
-  } catch (error) {
-    console.error('acknowledgeIncident error; BASE_URL=', BASE_URL, error);
-    return { success: false, message: `${error.message || 'Network error'} (base: ${BASE_URL})` };
   }
+
+  return withResult('acknowledgeIncidentWithStatus', 'Failed to un-acknowledge', async () => {
+    const { data } = await apiRequest(`/api/v1/incidents/${id}/acknowledge?acknowledged=false`, { method: 'PUT' });
+    patchIncident(id, { acknowledged: false });
+    return { success: true, data };
+  });
 }
 
 export async function grantAccessToIncident(id, role = 'security') {
-  try {
-    const base = await getBaseUrl();
-    const url = `${base}/api/v1/incidents/${id}/grant-access`;
-    const res = await fetch(url, {
+  return withResult('grantAccessToIncident', 'Failed to grant access', async () => {
+    const { data } = await apiRequest(`/api/v1/incidents/${id}/grant-access`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ role }),
+      auth: false,
+      json: { role },
     });
-    let data;
-    try {
-      data = await res.json();
-    } catch (e) {
-      data = null;
-    }
-    if (!res.ok) return { success: false, message: niceMessageFromResponse(data), data };
     return { success: true, data };
-  } catch (error) {
-    console.error('grantAccessToIncident error; BASE_URL=', BASE_URL, error);
-    return { success: false, message: `${error.message || 'Network error'} (base: ${BASE_URL})` };
-  }
+  });
 }
 
 export async function getCameraFeeds() {
-  try {
-    const base = await getBaseUrl();
-    const headers = await authHeaders();
-    const res = await fetch(`${base}/api/v1/cameras/`, { method: 'GET', headers: { ...(headers || {}) } });
-    const data = await res.json();
-    if (!res.ok) return { success: false, message: data.detail || 'Failed to fetch cameras' };
+  return withResult('getCameraFeeds', 'Failed to fetch cameras', async () => {
+    const { data } = await apiRequest('/api/v1/cameras/');
     return { success: true, data };
-  } catch (error) {
-    console.error('getCameraFeeds error; BASE_URL=', BASE_URL, error);
-    return { success: false, message: `${error.message || 'Network error'} (base: ${BASE_URL})` };
-  }
+  });
 }
 
 export async function createIncident(payload) {
-  try {
-    const base = await getBaseUrl();
-    const res = await fetch(`${base}/api/v1/incidents/`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload),
-    });
-    const data = await res.json();
-    if (!res.ok) return { success: false, message: data.detail || 'Failed to create incident' };
+  return withResult('createIncident', 'Failed to create incident', async () => {
+    const { data } = await apiRequest('/api/v1/incidents/', { method: 'POST', auth: false, json: payload });
     return { success: true, data };
-  } catch (error) {
-    console.error('createIncident error; BASE_URL=', BASE_URL, error);
-    return { success: false, message: `${error.message || 'Network error'} (base: ${BASE_URL})` };
-  }
+  });
 }
 
 export async function getUsers() {
-  try {
-    const base = await getBaseUrl();
-    const headers = await authHeaders();
-    console.log('[getUsers] BASE_URL:', base);
-    console.log('[getUsers] Auth headers:', headers ? 'Present' : 'Missing');
-    
-    const res = await fetch(`${base}/api/v1/users/`, { method: 'GET', headers: { ...(headers || {}) } });
-    console.log('[getUsers] Response status:', res.status);
-    
-    const data = await res.json();
-    
-    if (!res.ok) {
-      console.error('[getUsers] Failed:', data);
-      return { success: false, message: data.detail || 'Failed to fetch users. Please login again.' };
-    }
-    
+  return withResult('getUsers', 'Failed to fetch users. Please login again.', async () => {
+    const { data } = await apiRequest('/api/v1/users/');
     console.log('[getUsers] Success - fetched', data?.length || 0, 'users');
     return { success: true, data };
-  } catch (error) {
-    console.error('getUsers error; BASE_URL=', BASE_URL, error);
-    return { success: false, message: `${error.message || 'Network error'} (base: ${BASE_URL})` };
-  }
+  });
 }
 
 export async function getMe(role = null) {
-  try {
-    const base = await getBaseUrl();
-    const headers = await authHeaders(role);
-    const res = await fetch(`${base}/api/v1/users/me`, { method: 'GET', headers: { ...(headers || {}) } });
-    const data = await res.json();
-    if (!res.ok) return { success: false, message: data.detail || 'Failed to fetch user' };
+  return withResult('getMe', 'Failed to fetch user', async () => {
+    const { data } = await apiRequest('/api/v1/users/me', { role });
     return { success: true, data };
-  } catch (error) {
-    console.error('getMe error; BASE_URL=', BASE_URL, error);
-    return { success: false, message: `${error.message || 'Network error'} (base: ${BASE_URL})` };
-  }
+  });
 }
 
 export async function updateUser(userId, payload) {
-  try {
-    const base = await getBaseUrl();
-    const headers = await authHeaders();
-    const res = await fetch(`${base}/api/v1/users/${userId}`, {
-      method: 'PUT',
-      headers: { 'Content-Type': 'application/json', ...(headers || {}) },
-      body: JSON.stringify(payload),
-    });
-    const data = await res.json();
-    if (!res.ok) return { success: false, message: data.detail || 'Failed to update user' };
+  return withResult('updateUser', 'Failed to update user', async () => {
+    const { data } = await apiRequest(`/api/v1/users/${userId}`, { method: 'PUT', json: payload });
     return { success: true, data };
-  } catch (error) {
-    console.error('updateUser error; BASE_URL=', BASE_URL, error);
-    return { success: false, message: `${error.message || 'Network error'} (base: ${BASE_URL})` };
-  }
+  });
 }
 
 export async function notifyIncident(incidentId, userIds) {
-  try {
-    const base = await getBaseUrl();
-    const headers = await authHeaders();
-    console.log('[API] notifyIncident called:', { base, incidentId, userIds });
-    
-    const res = await fetch(`${base}/api/v1/incidents/${incidentId}/notify`, {
+  return withResult('notifyIncident', 'Failed to notify users', async () => {
+    console.log('[API] notifyIncident called:', { incidentId, userIds });
+    const { data } = await apiRequest(`/api/v1/incidents/${incidentId}/notify`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json', ...(headers || {}) },
-      body: JSON.stringify({ user_ids: userIds }),
+      json: { user_ids: userIds },
     });
-    
-    console.log('[API] notifyIncident response status:', res.status, res.ok);
-    
-    let data;
-    try {
-      data = await res.json();
-      console.log('[API] notifyIncident response data:', data);
-    } catch (e) {
-      console.error('[API] Failed to parse response JSON:', e);
-      return { success: false, message: `Server returned invalid JSON (status ${res.status})` };
-    }
-    
-    if (!res.ok) {
-      console.error('[API] notifyIncident failed:', data);
-      return { success: false, message: data.detail || `Server error (status ${res.status})` };
-    }
-    
     return { success: true, data };
-  } catch (error) {
-    console.error('[API] notifyIncident error:', error);
-    return { success: false, message: `${error.message || 'Network error'}` };
-  }
+  });
 }
 
+// Evidence of every incident, read from the incident cache after a delta sync.
 export async function getAllEvidence() {
-  try {
-    const base = await getBaseUrl();
-    const headers = await authHeaders();
-    const res = await fetch(`${base}/api/v1/incidents/`, { method: 'GET', headers: { ...(headers || {}) } });
-    const data = await res.json();
-    if (!res.ok) return { success: false, message: data.detail || 'Failed to fetch evidence' };
-    
+  const res = await syncIncidents();
+  if (!res.success) return res;
+  return withResult('getAllEvidence', 'Failed to fetch evidence', async () => {
+    const data = await getCachedIncidents();
+
     // Extract all evidence from incidents
     const allEvidence = [];
     if (data && Array.isArray(data)) {
@@ -848,128 +937,55 @@ export async function getAllEvidence() {
         }
       });
     }
-    
-    return { success: true, data: allEvidence };
-  } catch (error) {
-    console.error('getAllEvidence error; BASE_URL=', BASE_URL, error);
-    return { success: false, message: `${error.message || 'Network error'} (base: ${BASE_URL})` };
-  }
-}
-
-// Send SOS/Emergency Alert
-export async function sendSOSAlert(message, location, userInfo = null) {
-  try {
-    const base = await getBaseUrl();
-    const headers = await authHeaders();
-    
-    // Build description with user information
-    let description = `[SOS ALERT] ${message || 'Emergency SOS Alert triggered by user'}`;
-    
-    if (userInfo) {
-      if (userInfo.username) {
-        description += `\n\nUser: ${userInfo.username}`;
-      }
-      if (userInfo.phone) {
-        description += `\n\nPhone: ${userInfo.phone}`;
-      }
-      if (userInfo.email) {
-        description += `\n\nEmail: ${userInfo.email}`;
-      }
-    }
-    
-    const res = await fetch(`${base}/api/v1/incidents/`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', ...(headers || {}) },
-      body: JSON.stringify({
-        camera_id: 1,
-        type: 'fall_health', // Use valid incident type
-        severity: 'critical',
-        severity_score: 100,
-        description: description
-      }),
-    });
-    
-    console.log('[sendSOSAlert] Response status:', res.status);
-    const data = await res.json();
-    console.log('[sendSOSAlert] Response data:', JSON.stringify(data, null, 2));
-    
-    if (!res.ok) return { success: false, message: data.detail || 'Failed to send SOS alert' };
-    return { success: true, data };
-  } catch (error) {
-    console.error('sendSOSAlert error; BASE_URL=', BASE_URL, error);
-    return { success: false, message: `${error.message || 'Network error'} (base: ${BASE_URL})` };
-  }
-}
 
-// Get SOS/Emergency Alerts (for security personnel)
-export async function getSOSAlerts() {
-  try {
-    const base = await getBaseUrl();
-    const headers = await authHeaders();
-    // Fetch all incidents and filter client-side for reliability
-    const res = await fetch(`${base}/api/v1/incidents/`, { 
-      method: 'GET', 
-      headers: { ...(headers || {}) } 
-    });
-    const data = await res.json();
-    if (!res.ok) return { success: false, message: data.detail || 'Failed to fetch SOS alerts' };
-    
-    // Filter for SOS alerts - check for [SOS ALERT] prefix in description
-    const sosAlerts = Array.isArray(data) ? data.filter(inc => {
-      return inc.description?.startsWith('[SOS ALERT]');
-    }) : [];
-    
-    console.log('[getSOSAlerts] Total incidents:', data?.length, 'SOS alerts:', sosAlerts.length);
-    console.log('[getSOSAlerts] SOS alerts:', JSON.stringify(sosAlerts, null, 2));
-    
-    return { success: true, data: sosAlerts };
-  } catch (error) {
-    console.error('getSOSAlerts error; BASE_URL=', BASE_URL, error);
-    return { success: false, message: `${error.message || 'Network error'} (base: ${BASE_URL})` };
-  }
+    return { success: true, data: allEvidence };
+  });
 }
 
-// Report incident by viewer to security officials
+/**
+ * Report an incident as a viewer.
+ *
+ * @param {object} reportData
+ * @param {string} reportData.description
+ * @param {number} [reportData.camera_id]  Camera the viewer picked; defaults to the first camera
+ * @param {string} [reportData.type]
+ * @param {string} [reportData.severity]
+ * @param {string} [reportData.location]
+ * @param {string} [reportData.phone]
+ * @param {string} [reportData.notes]
+ * @param {string} [reportData.reporter_name]
+ * @param {object|null} [attachmentFile]
+ *   Uploaded as evidence once the report exists. When the report is queued
+ *   offline, or the upload fails, the report still succeeds but the result has
+ *   `attachmentMissing: true`: the file has to be sent again.
+ */
 export async function reportIncident(reportData, attachmentFile = null) {
-  try {
-    const base = await getBaseUrl();
-    const headers = await authHeaders();
-    
-    // Get first available camera ID
-    let cameraId = 1;
-    try {
-      const camerasRes = await fetch(`${base}/api/v1/cameras/`, {
-        method: 'GET',
-        headers: { ...headers }
-      });
-      if (camerasRes.ok) {
-        const cameras = await camerasRes.json();
+  return withResult('reportIncident', 'Failed to submit report', async () => {
+    let cameraId = reportData.camera_id;
+    if (!cameraId) {
+      cameraId = 1;
+      try {
+        const { data: cameras } = await apiRequest('/api/v1/cameras/');
         if (cameras && cameras.length > 0) {
           cameraId = cameras[0].id;
-          console.log('[reportIncident] Using camera ID:', cameraId);
+          console.log('[reportIncident] No camera picked, using camera ID:', cameraId);
         } else {
           console.warn('[reportIncident] No cameras found, using default ID 1');
         }
+      } catch (e) {
+        console.warn('[reportIncident] Could not fetch cameras, using default ID 1:', e.message);
       }
-    } catch (e) {
-      console.warn('[reportIncident] Could not fetch cameras, using default ID 1:', e.message);
-    }
-    
-    // Build description with viewer info since metadata field doesn't exist
-    let fullDescription = `[VIEWER REPORT]\n${reportData.description}`;
-    if (reportData.reporter_name) {
-      fullDescription += `\n\nReported by: ${reportData.reporter_name}`;
-    }
-    if (reportData.notes) {
-      fullDescription += `\n\nAdditional Notes: ${reportData.notes}`;
     }
-    if (reportData.phone) {
-      fullDescription += `\n\nContact: ${reportData.phone}`;
-    }
-    if (reportData.location && reportData.location !== 'Not specified') {
-      fullDescription += `\n\nLocation: ${reportData.location}`;
-    }
-    
+
+    // Reporter details travel as structured metadata. The description keeps
+    // only the '[VIEWER REPORT]' tag that existing filters rely on.
+    const metadata = {
+      reporter_name: reportData.reporter_name || null,
+      phone: reportData.phone || null,
+      notes: reportData.notes || null,
+      location: reportData.location && reportData.location !== 'Not specified' ? reportData.location : null,
+    };
+
     // Map severity to score
     const severityScoreMap = {
       high: 90,
@@ -978,192 +994,87 @@ export async function reportIncident(reportData, attachmentFile = null) {
     };
     const severity = reportData.severity || 'medium';
     const severityScore = severityScoreMap[severity] || 50;
-    
+
     const payload = {
       camera_id: cameraId,
       type: reportData.type || 'theft',
       severity: severity,
       severity_score: severityScore,
-      description: fullDescription
+      description: `[VIEWER REPORT]\n${reportData.description}`,
+      source: 'viewer',
+      metadata,
     };
-    
+
     console.log('[reportIncident] Submitting report:', JSON.stringify(payload, null, 2));
-    console.log('[reportIncident] URL:', `${base}/api/v1/incidents/`);
-    
-    const res = await fetch(`${base}/api/v1/incidents/`, {
-      method: 'POST',
-      headers: {
-        ...headers,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
-    
-    console.log('[reportIncident] Response status:', res.status);
-    
-    let data;
-    try {
-      data = await res.json();
-      console.log('[reportIncident] Response data:', JSON.stringify(data, null, 2));
-    } catch (parseError) {
-      console.error('[reportIncident] Failed to parse response:', parseError);
-      const text = await res.text();
-      console.error('[reportIncident] Response text:', text);
-      return { 
-        success: false, 
-        message: `Server error (status ${res.status}). Please check if the backend is running.` 
+    const { data, queued } = await queueableMutation('/api/v1/incidents/', { method: 'POST', json: payload }, { kind: 'report' });
+    if (queued) {
+      if (!attachmentFile) return { success: true, queued: true, data: null, message: QUEUED_MESSAGE };
+      console.warn('[reportIncident] Offline - attachment will not be uploaded');
+      return {
+        success: true,
+        queued: true,
+        attachmentMissing: true,
+        data: null,
+        message: `${QUEUED_MESSAGE} The attachment was not saved; add it again once you are online.`,
       };
     }
-    
-    if (!res.ok) {
-      console.error('[reportIncident] Failed:', JSON.stringify(data, null, 2));
-      // Extract error message from detail array if present
-      let errorMsg;
-      if (Array.isArray(data.detail)) {
-        errorMsg = data.detail.map(e => `${e.loc?.join('.') || 'field'}: ${e.msg || e}`).join('; ');
-      } else if (typeof data.detail === 'string') {
-        errorMsg = data.detail;
-      } else {
-        errorMsg = data.message || 'Failed to submit report';
-      }
-      return { success: false, message: errorMsg };
-    }
-    
+
     // If there's an attachment, upload it as evidence
     if (attachmentFile && data.id) {
       try {
         const formData = new FormData();
         formData.append('file', attachmentFile);
         formData.append('incident_id', data.id);
-        
-        const evidenceRes = await fetch(`${base}/api/v1/evidence/`, {
-          method: 'POST',
-          headers: headers, // Don't set Content-Type for FormData
-          body: formData
-        });
-        
-        if (evidenceRes.ok) {
-          console.log('[reportIncident] Attachment uploaded successfully');
-        } else {
-          console.warn('[reportIncident] Failed to upload attachment');
-        }
+
+        // Don't set Content-Type for FormData
+        await apiRequest('/api/v1/evidence/', { method: 'POST', body: formData, timeout: 60000 });
+        console.log('[reportIncident] Attachment uploaded successfully');
       } catch (uploadError) {
-        console.error('[reportIncident] Attachment upload error:', uploadError);
         // Don't fail the whole report if attachment fails
+        console.warn('[reportIncident] Failed to upload attachment:', uploadError.message);
+        return {
+          success: true,
+          attachmentMissing: true,
+          data,
+          message: 'Report submitted to security, but the attachment could not be uploaded.',
+        };
       }
     }
-    
-    console.log('[reportIncident] Report submitted successfully:', data);
+
+    console.log('[reportIncident] Report submitted successfully:', data?.id);
     return { success: true, data, message: 'Report submitted to security' };
-  } catch (error) {
-    console.error('[reportIncident] Exception:', error);
-    console.error('[reportIncident] Error name:', error.name);
-    console.error('[reportIncident] Error message:', error.message);
-    console.error('[reportIncident] BASE_URL:', BASE_URL);
-    
-    let errorMessage;
-    if (error.message === 'Failed to fetch' || error.name === 'TypeError') {
-      errorMessage = 'Cannot connect to backend server. Please ensure the backend is running on http://localhost:8000';
-    } else {
-      errorMessage = error.message || 'Network error';
-    }
-    
-    return { success: false, message: errorMessage };
-  }
+  });
 }
 
 // Mark incident as handled by security official
 export async function markIncidentAsHandled(incidentId, handledNotes = '') {
-  try {
-    const base = await getBaseUrl();
-    const headers = await authHeaders();
-    const res = await fetch(`${base}/api/v1/incidents/${incidentId}/acknowledge?acknowledged=true`, {
+  return withResult('markIncidentAsHandled', 'Failed to mark as handled', async () => {
+    const { data, queued } = await queueableMutation(`/api/v1/incidents/${incidentId}/acknowledge?acknowledged=true`, {
       method: 'PUT',
-      headers: {
-        ...headers,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
+      json: {
         handled_notes: handledNotes,
         handled_at: new Date().toISOString()
-      })
-    });
-    const data = await res.json();
-    if (!res.ok) return { success: false, message: data.detail || 'Failed to mark as handled' };
-    console.log('[markIncidentAsHandled] Incident marked as handled:', data);
+      },
+    }, { kind: 'handle', incidentId });
+    if (queued) return { success: true, queued: true, data: null, message: QUEUED_MESSAGE };
+    console.log('[markIncidentAsHandled] Incident marked as handled:', incidentId);
+    patchIncident(incidentId, { acknowledged: true });
     return { success: true, data, message: 'Incident marked as handled' };
-  } catch (error) {
-    console.error('markIncidentAsHandled error; BASE_URL=', BASE_URL, error);
-    return { success: false, message: `${error.message || 'Network error'} (base: ${BASE_URL})` };
-  }
+  });
 }
 
 // Verify evidence integrity against blockchain
 export async function verifyEvidence(evidenceId) {
-  try {
-    const base = await getBaseUrl();
-    const headers = await authHeaders();
-    
+  return withResult('verifyEvidence', 'Verification failed', async () => {
     console.log('[verifyEvidence] Verifying evidence ID:', evidenceId);
-    console.log('[verifyEvidence] BASE_URL:', base);
-    
-    // Check authentication
-    if (!headers || !headers.Authorization) {
-      console.error('[verifyEvidence] ❌ NO AUTHORIZATION HEADER!');
-      return { 
-        success: false, 
-        status: 401, 
-        message: 'Not authenticated. Please login first.' 
-      };
-    }
-    
-    const res = await fetch(`${base}/api/v1/evidence/${evidenceId}/verify`, {
-      method: 'POST',
-      headers: {
-        ...headers,
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    console.log('[verifyEvidence] Response status:', res.status);
-    
-    // Handle 401 Unauthorized
-    if (res.status === 401) {
-      console.error('[verifyEvidence] ❌ 401 Unauthorized');
-      await AsyncStorage.multiRemove(['userToken', 'viewerToken', 'securityToken', 'adminToken']);
-      return { success: false, status: 401, message: 'Unauthorized. Please login again.' };
-    }
-    
-    const data = await res.json();
-    console.log('[verifyEvidence] Response data:', data);
-    
-    if (!res.ok) {
-      const errorMsg = data.detail || 'Verification failed';
-      console.error('[verifyEvidence] Error:', errorMsg);
-      return { success: false, message: errorMsg };
-    }
-    
+    const { data } = await apiRequest(`/api/v1/evidence/${evidenceId}/verify`, { method: 'POST' });
     console.log('[verifyEvidence] ✅ Success! Status:', data.status);
-    return { 
-      success: true, 
+    return {
+      success: true,
       data: data,
       message: data.message || 'Verification complete'
     };
-    
-  } catch (error) {
-    console.error('[verifyEvidence] ❌ Error:', error.message);
-    console.error('[verifyEvidence] BASE_URL=', BASE_URL, error);
-    
-    let errorMessage = 'Network error';
-    if (error.message === 'Failed to fetch' || error.name === 'TypeError') {
-      errorMessage = 'Cannot connect to backend server';
-    } else {
-      errorMessage = error.message || 'Network error';
-    }
-    
-    return { success: false, message: errorMessage };
-  }
+  });
 }
 
 
@@ -1179,36 +1090,17 @@ export async function verifyEvidence(evidenceId) {
  * @returns {{ success: boolean, data?: object, message?: string }}
  */
 export async function getBlockchainStatus(incidentId) {
-  try {
-    const token = await AsyncStorage.getItem('userToken');
-    if (!token) return { success: false, message: 'Not authenticated' };
-
-    const url = `${BASE_URL}/api/v1/admin/blockchain-status/${incidentId}`;
-    console.log('[getBlockchainStatus] GET', url);
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        Authorization: `Bearer ${token}`,
-        'Content-Type': 'application/json',
-      },
-    });
-
-    if (response.status === 404) {
-      return { success: false, message: 'No blockchain record found for this incident.' };
-    }
-
-    const data = await response.json();
-
-    if (!response.ok) {
-      return { success: false, message: data.detail || 'Failed to fetch blockchain status.' };
+  return withResult('getBlockchainStatus', 'Failed to fetch blockchain status.', async () => {
+    try {
+      const { data } = await apiRequest(`/api/v1/admin/blockchain-status/${incidentId}`);
+      return { success: true, data };
+    } catch (error) {
+      if (error.status === 404) {
+        return { success: false, status: 404, code: error.code, message: 'No blockchain record found for this incident.', error };
+      }
+      throw error;
     }
-
-    return { success: true, data };
-  } catch (error) {
-    console.error('[getBlockchainStatus] Error:', error.message);
-    return { success: false, message: error.message || 'Network error' };
-  }
+  });
 }
 
 
@@ -1220,33 +1112,11 @@ export async function getBlockchainStatus(incidentId) {
  * @returns {{ success: boolean, data?: object, message?: string }}
  */
 export async function adminVerifyBlockchain(incidentId) {
-  try {
-    const token = await AsyncStorage.getItem('userToken');
-    if (!token) return { success: false, message: 'Not authenticated' };
-
-    const url = `${BASE_URL}/api/v1/admin/verify-blockchain/${incidentId}`;
-    console.log('[adminVerifyBlockchain] POST', url);
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${token}`,
-        'Content-Type': 'application/json',
-      },
-    });
-
-    const data = await response.json();
-
-    if (!response.ok) {
-      return { success: false, message: data.detail || 'Verification failed.' };
-    }
-
+  return withResult('adminVerifyBlockchain', 'Verification failed.', async () => {
+    const { data } = await apiRequest(`/api/v1/admin/verify-blockchain/${incidentId}`, { method: 'POST' });
     console.log('[adminVerifyBlockchain] ✅ Status:', data.status);
     return { success: true, data, message: data.message };
-  } catch (error) {
-    console.error('[adminVerifyBlockchain] Error:', error.message);
-    return { success: false, message: error.message || 'Network error' };
-  }
+  });
 }
 
 
@@ -1257,32 +1127,10 @@ export async function adminVerifyBlockchain(incidentId) {
  * @returns {{ success: boolean, data?: Array, message?: string }}
  */
 export async function listBlockchainRecords({ skip = 0, limit = 50 } = {}) {
-  try {
-    const token = await AsyncStorage.getItem('userToken');
-    if (!token) return { success: false, message: 'Not authenticated' };
-
-    const url = `${BASE_URL}/api/v1/admin/blockchain-records?skip=${skip}&limit=${limit}`;
-    console.log('[listBlockchainRecords] GET', url);
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        Authorization: `Bearer ${token}`,
-        'Content-Type': 'application/json',
-      },
-    });
-
-    const data = await response.json();
-
-    if (!response.ok) {
-      return { success: false, message: data.detail || 'Failed to fetch records.' };
-    }
-
+  return withResult('listBlockchainRecords', 'Failed to fetch records.', async () => {
+    const { data } = await apiRequest(`/api/v1/admin/blockchain-records?skip=${skip}&limit=${limit}`);
     return { success: true, data };
-  } catch (error) {
-    console.error('[listBlockchainRecords] Error:', error.message);
-    return { success: false, message: error.message || 'Network error' };
-  }
+  });
 }
 
 // ============================================================
@@ -1292,34 +1140,53 @@ export async function listBlockchainRecords({ skip = 0, limit = 50 } = {}) {
 /**
  * POST /api/v1/incidents/acknowledge/{incidentId}
  * Acknowledge a high-priority incident and cancel the SOS timer.
+ * Queued for replay when offline (result has `queued: true`).
  */
 export async function acknowledgeIncident(incidentId) {
-  try {
-    const BASE_URL = await getBaseUrl();
-    const token = await AsyncStorage.getItem('userToken');
-    const url = `${BASE_URL}/api/v1/incidents/acknowledge/${incidentId}`;
-
-    console.log('[acknowledgeIncident] POST', url);
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${token}`,
-        'Content-Type': 'application/json',
-      },
-    });
-
-    const data = await response.json();
-    if (!response.ok) {
-      return { success: false, message: data.detail || 'Failed to acknowledge incident.' };
-    }
-
+  return withResult('acknowledgeIncident', 'Failed to acknowledge incident.', async () => {
+    const { data, queued } = await queueableMutation(`/api/v1/incidents/acknowledge/${incidentId}`, { method: 'POST' }, { kind: 'acknowledge', incidentId });
+    if (queued) return { success: true, queued: true, data: null, message: QUEUED_MESSAGE };
     console.log('[acknowledgeIncident] ✅ Acknowledged:', data.incident_status);
+    patchIncident(incidentId, { acknowledged: true });
     return { success: true, data };
-  } catch (error) {
-    console.error('[acknowledgeIncident] Error:', error.message);
-    return { success: false, message: error.message || 'Network error' };
-  }
+  });
+}
+
+/**
+ * POST /api/v1/sos/
+ * Raise an SOS as the signed-in user. The record carries the reporter and
+ * location as fields, so responders never have to parse a description.
+ *
+ * @param {object} alert
+ * @param {string} [alert.message]
+ * @param {string} [alert.locationText]  Free-text location ("Block B, 2nd floor")
+ * @param {{ latitude: number, longitude: number, accuracy?: number|null }|null} [alert.coords]
+ * @param {{ username?: string, full_name?: string, phone?: string, email?: string }} [alert.reporter]
+ * @param {boolean} [alert.duress]  Raised by a duress PIN (services/appLock.js): the
+ *   user is being coerced. Nobody can retry it, so it is queued when offline,
+ *   out of sight of the pending-sync badges; the backend marks it for
+ *   responders and does not notify the reporter.
+ */
+export async function createSosAlert({ message, locationText, coords, reporter, duress = false } = {}) {
+  return withResult('createSosAlert', 'Failed to send SOS alert.', async () => {
+    const json = {
+      alert_message: message || 'Emergency SOS triggered by user',
+      location_text: locationText || null,
+      latitude: coords ? coords.latitude : null,
+      longitude: coords ? coords.longitude : null,
+      location_accuracy: coords ? coords.accuracy ?? null : null,
+      reporter: reporter || null,
+      duress,
+    };
+    if (duress) {
+      const { data, queued } = await queueableMutation('/api/v1/sos/', { method: 'POST', json }, { kind: 'sos_create', silent: true });
+      if (queued) return { success: true, queued: true, data: null, message: QUEUED_MESSAGE };
+      return { success: true, data: normalizeSosAlert(data) };
+    }
+    const { data } = await apiRequest('/api/v1/sos/', { method: 'POST', json });
+    console.log('[createSosAlert] ✅ SOS created:', data?.id);
+    return { success: true, data: normalizeSosAlert(data) };
+  });
 }
 
 /**
@@ -1327,29 +1194,15 @@ export async function acknowledgeIncident(incidentId) {
  * Check SOS status for a specific incident.
  */
 export async function getSosStatus(incidentId) {
-  try {
-    const BASE_URL = await getBaseUrl();
-    const token = await AsyncStorage.getItem('userToken');
-    const url = `${BASE_URL}/api/v1/sos/status/${incidentId}`;
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        Authorization: `Bearer ${token}`,
-        'Content-Type': 'application/json',
-      },
-    });
-
-    const data = await response.json();
-    if (!response.ok) {
-      return { success: false, message: data.detail || 'Failed to get SOS status.' };
-    }
-
+  return withResult('getSosStatus', 'Failed to get SOS status.', async () => {
+    const { data } = await apiRequest(`/api/v1/sos/status/${incidentId}`);
     return { success: true, data };
-  } catch (error) {
-    console.error('[getSosStatus] Error:', error.message);
-    return { success: false, message: error.message || 'Network error' };
-  }
+  });
+}
+
+async function withoutOwnDuressAlerts(alerts) {
+  const username = (await loadSession())?.user?.username;
+  return alerts.filter(alert => !isOwnDuressAlert(alert, username));
 }
 
 /**
@@ -1357,30 +1210,23 @@ export async function getSosStatus(incidentId) {
  * List all SOS alerts with optional status filter.
  */
 export async function listSosAlerts({ skip = 0, limit = 50, alertStatus } = {}) {
-  try {
-    const BASE_URL = await getBaseUrl();
-    const token = await AsyncStorage.getItem('userToken');
-    let url = `${BASE_URL}/api/v1/sos/?skip=${skip}&limit=${limit}`;
-    if (alertStatus) url += `&alert_status=${alertStatus}`;
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        Authorization: `Bearer ${token}`,
-        'Content-Type': 'application/json',
-      },
-    });
-
-    const data = await response.json();
-    if (!response.ok) {
-      return { success: false, message: data.detail || 'Failed to list SOS alerts.' };
-    }
+  return withResult('listSosAlerts', 'Failed to list SOS alerts.', async () => {
+    let path = `/api/v1/sos/?skip=${skip}&limit=${limit}`;
+    if (alertStatus) path += `&alert_status=${alertStatus}`;
+    const { data } = await apiRequest(path);
+    return { success: true, data: await withoutOwnDuressAlerts(normalizeSosAlerts(data)) };
+  });
+}
 
-    return { success: true, data };
-  } catch (error) {
-    console.error('[listSosAlerts] Error:', error.message);
-    return { success: false, message: error.message || 'Network error' };
-  }
+/**
+ * GET /api/v1/sos/{sosId}
+ * Fetch a single SOS alert (deep links, notification taps).
+ */
+export async function getSosAlert(sosId) {
+  return withResult('getSosAlert', 'Failed to load SOS alert.', async () => {
+    const { data } = await apiRequest(`/api/v1/sos/${sosId}`);
+    return { success: true, data: normalizeSosAlert(data) };
+  });
 }
 
 /**
@@ -1388,60 +1234,32 @@ export async function listSosAlerts({ skip = 0, limit = 50, alertStatus } = {})
  * List only active (unhandled) SOS alerts.
  */
 export async function listActiveSosAlerts() {
-  try {
-    const BASE_URL = await getBaseUrl();
-    const token = await AsyncStorage.getItem('userToken');
-    const url = `${BASE_URL}/api/v1/sos/active`;
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        Authorization: `Bearer ${token}`,
-        'Content-Type': 'application/json',
-      },
-    });
-
-    const data = await response.json();
-    if (!response.ok) {
-      return { success: false, message: data.detail || 'Failed.' };
-    }
-    return { success: true, data };
-  } catch (error) {
-    console.error('[listActiveSosAlerts] Error:', error.message);
-    return { success: false, message: error.message || 'Network error' };
-  }
+  return withResult('listActiveSosAlerts', 'Failed.', async () => {
+    const { data } = await apiRequest('/api/v1/sos/active');
+    return { success: true, data: await withoutOwnDuressAlerts(normalizeSosAlerts(data)) };
+  });
 }
 
 /**
  * PATCH /api/v1/sos/{sosId}/handle  (Admin)
  * Mark an SOS alert as handled.
+ * Queued for replay when offline (result has `queued: true`).
  */
 export async function handleSosAlert(sosId, resolutionNote = '') {
-  try {
-    const BASE_URL = await getBaseUrl();
-    const token = await AsyncStorage.getItem('userToken');
-    const url = `${BASE_URL}/api/v1/sos/${sosId}/handle`;
-
-    const response = await fetch(url, {
+  return withResult('handleSosAlert', 'Failed to handle SOS alert.', async () => {
+    const { data, queued } = await queueableMutation(`/api/v1/sos/${sosId}/handle`, {
       method: 'PATCH',
-      headers: {
-        Authorization: `Bearer ${token}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ resolution_note: resolutionNote }),
-    });
-
-    const data = await response.json();
-    if (!response.ok) {
-      return { success: false, message: data.detail || 'Failed to handle SOS alert.' };
-    }
-
+      json: { resolution_note: resolutionNote },
+    }, { kind: 'sos_handle', sosId });
+    if (queued) return { success: true, queued: true, data: null, message: QUEUED_MESSAGE };
     console.log('[handleSosAlert] ✅ SOS handled:', sosId);
     return { success: true, data };
-  } catch (error) {
-    console.error('[handleSosAlert] Error:', error.message);
-    return { success: false, message: error.message || 'Network error' };
-  }
+  });
+}
+
+// Older screens call this; SOS alerts now have their own resource.
+export function getSOSAlerts() {
+  return listSosAlerts();
 }
 
 /**
@@ -1449,26 +1267,48 @@ export async function handleSosAlert(sosId, resolutionNote = '') {
  * Get SOS statistics summary.
  */
 export async function getSosStats() {
-  try {
-    const BASE_URL = await getBaseUrl();
-    const token = await AsyncStorage.getItem('userToken');
-    const url = `${BASE_URL}/api/v1/sos/stats`;
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        Authorization: `Bearer ${token}`,
-        'Content-Type': 'application/json',
-      },
+  return withResult('getSosStats', 'Failed.', async () => {
+    const { data } = await apiRequest('/api/v1/sos/stats');
+    return { success: true, data };
+  });
+}
+
+// ============================================================
+// ESCALATION POLICY API
+// ============================================================
+
+/**
+ * GET /api/v1/escalation-policies
+ * Escalation chain per severity, as { [severity]: policy } (services/escalation.js).
+ */
+export async function getEscalationPolicies() {
+  return withResult('getEscalationPolicies', 'Failed to load escalation policies.', async () => {
+    const { data } = await apiRequest('/api/v1/escalation-policies');
+    return { success: true, data: normalizeEscalationPolicies(data) };
+  });
+}
+
+/**
+ * PUT /api/v1/escalation-policies/{severity}  (Admin)
+ * Replace the stages of one severity's policy.
+ */
+export async function updateEscalationPolicy(severity, stages) {
+  return withResult('updateEscalationPolicy', 'Failed to save escalation policy.', async () => {
+    const { data } = await apiRequest(`/api/v1/escalation-policies/${severity}`, {
+      method: 'PUT',
+      json: serializeEscalationStages(stages),
     });
+    return { success: true, data: normalizeEscalationPolicy(data) };
+  });
+}
 
-    const data = await response.json();
-    if (!response.ok) {
-      return { success: false, message: data.detail || 'Failed.' };
-    }
-    return { success: true, data };
-  } catch (error) {
-    console.error('[getSosStats] Error:', error.message);
-    return { success: false, message: error.message || 'Network error' };
-  }
-}
\ No newline at end of file
+/**
+ * GET /api/v1/incidents/{incidentId}/escalation
+ * Where an incident is in its escalation chain.
+ */
+export async function getIncidentEscalation(incidentId) {
+  return withResult('getIncidentEscalation', 'Failed to load escalation status.', async () => {
+    const { data } = await apiRequest(`/api/v1/incidents/${incidentId}/escalation`);
+    return { success: true, data: normalizeEscalationState(data) };
+  });
+}
@@ -6,27 +6,27 @@
  * All endpoints enforce strict RBAC on backend.
  */
 
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { resolveBaseUrl } from './api'; // FIX: was getDebugInfo — resolveBaseUrl handles EAS env vars correctly
+import { apiRequest } from './api';
+import { withResult, ApiError } from './http';
+import { loadSession } from './session';
 
-/**
- * Get authentication headers with current user token
- */
-async function authHeaders() {
-  const token = await AsyncStorage.getItem('userToken');
-  if (!token) {
-    throw new Error('Not authenticated');
+// Backend returns 403 for non-admins; give a clearer message for admin-only
+// actions, and do not send the request at all from a non-admin session.
+async function adminOnly(action, fn) {
+  const session = await loadSession();
+  if (session && session.role !== 'admin') {
+    throw new ApiError(`Permission denied. Only administrators can ${action}.`, { status: 403, code: 'FORBIDDEN' });
+  }
+  try {
+    return await fn();
+  } catch (error) {
+    if (error instanceof ApiError && error.status === 403) {
+      error.message = `Permission denied. Only administrators can ${action}.`;
+    }
+    throw error;
   }
-  return {
-    'Authorization': `Bearer ${token}`,
-    'Content-Type': 'application/json',
-    'Accept': 'application/json'
-  };
 }
 
-// FIX: removed broken sync getBaseUrl() that fell back to 'http://localhost:8000'.
-// All functions now call `await resolveBaseUrl()` directly instead.
-
 /**
  * Get all evidence with role-based filtering
  * 
@@ -37,42 +37,11 @@ async function authHeaders() {
  * @returns {Promise<{success: boolean, data: Array}>}
  */
 export async function getSecureEvidence() {
-  try {
-    const baseUrl = await resolveBaseUrl(); // FIX
-    const headers = await authHeaders();
-    
-    console.log('[API Secure] Fetching evidence from:', `${baseUrl}/api/v1/evidence-secure/`);
-    
-    const res = await fetch(`${baseUrl}/api/v1/evidence-secure/`, {
-      method: 'GET',
-      headers
-    });
-    
-    console.log('[API Secure] Response status:', res.status);
-    
-    if (!res.ok) {
-      const errorData = await res.json().catch(() => ({ detail: 'Unknown error' }));
-      return {
-        success: false,
-        message: errorData.detail || `HTTP ${res.status}`,
-        status: res.status
-      };
-    }
-    
-    const data = await res.json();
-    console.log('[API Secure] ✅ Received', data.length, 'evidence items');
-    
-    return {
-      success: true,
-      data
-    };
-  } catch (error) {
-    console.error('[API Secure] ❌ Error:', error);
-    return {
-      success: false,
-      message: error.message || 'Network error'
-    };
-  }
+  return withResult('API Secure', 'Failed to load evidence', async () => {
+    const { data } = await apiRequest('/api/v1/evidence-secure/');
+    console.log('[API Secure] ✅ Received', data?.length || 0, 'evidence items');
+    return { success: true, data };
+  });
 }
 
 /**
@@ -82,37 +51,10 @@ export async function getSecureEvidence() {
  * @returns {Promise<{success: boolean, data: Object}>}
  */
 export async function getSecureEvidenceById(evidenceId) {
-  try {
-    const baseUrl = await resolveBaseUrl(); // FIX
-    const headers = await authHeaders();
-    
-    const res = await fetch(`${baseUrl}/api/v1/evidence-secure/${evidenceId}`, {
-      method: 'GET',
-      headers
-    });
-    
-    if (!res.ok) {
-      const errorData = await res.json().catch(() => ({ detail: 'Unknown error' }));
-      return {
-        success: false,
-        message: errorData.detail || `HTTP ${res.status}`,
-        status: res.status
-      };
-    }
-    
-    const data = await res.json();
-    
-    return {
-      success: true,
-      data
-    };
-  } catch (error) {
-    console.error('[API Secure] Error getting evidence:', error);
-    return {
-      success: false,
-      message: error.message || 'Network error'
-    };
-  }
+  return withResult('API Secure', 'Failed to load evidence', async () => {
+    const { data } = await apiRequest(`/api/v1/evidence-secure/${evidenceId}`);
+    return { success: true, data };
+  });
 }
 
 /**
@@ -125,49 +67,14 @@ export async function getSecureEvidenceById(evidenceId) {
  * @returns {Promise<{success: boolean, data: Object}>}
  */
 export async function verifySecureEvidence(evidenceId) {
-  try {
-    const baseUrl = await resolveBaseUrl(); // FIX
-    const headers = await authHeaders();
-    
+  return withResult('API Secure', 'Verification failed', async () => {
     console.log('[API Secure] Verifying evidence:', evidenceId);
-    
-    const res = await fetch(`${baseUrl}/api/v1/evidence-secure/${evidenceId}/verify`, {
-      method: 'POST',
-      headers
-    });
-    
-    if (!res.ok) {
-      const errorData = await res.json().catch(() => ({ detail: 'Unknown error' }));
-      
-      if (res.status === 403) {
-        return {
-          success: false,
-          message: 'Permission denied. Only administrators can verify evidence.',
-          status: 403
-        };
-      }
-      
-      return {
-        success: false,
-        message: errorData.detail || `HTTP ${res.status}`,
-        status: res.status
-      };
-    }
-    
-    const data = await res.json();
+    const { data } = await adminOnly('verify evidence', () =>
+      apiRequest(`/api/v1/evidence-secure/${evidenceId}/verify`, { method: 'POST' })
+    );
     console.log('[API Secure] Verification result:', data.status);
-    
-    return {
-      success: true,
-      data
-    };
-  } catch (error) {
-    console.error('[API Secure] ❌ Verification error:', error);
-    return {
-      success: false,
-      message: error.message || 'Network error'
-    };
-  }
+    return { success: true, data };
+  });
 }
 
 /**
@@ -178,53 +85,20 @@ export async function verifySecureEvidence(evidenceId) {
  * @returns {Promise<{success: boolean, data: Object}>}
  */
 export async function shareEvidenceWithSecurity(evidenceId, securityUserId) {
-  try {
-    const baseUrl = await resolveBaseUrl(); // FIX
-    const headers = await authHeaders();
-    
+  return withResult('API Secure', 'Failed to share evidence', async () => {
     console.log('[API Secure] Sharing evidence', evidenceId, 'with user', securityUserId);
-    
-    const res = await fetch(`${baseUrl}/api/v1/evidence-secure/share`, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify({
-        evidence_id: evidenceId,
-        shared_with_user_id: securityUserId
+    const { data } = await adminOnly('share evidence', () =>
+      apiRequest('/api/v1/evidence-secure/share', {
+        method: 'POST',
+        json: {
+          evidence_id: evidenceId,
+          shared_with_user_id: securityUserId
+        },
       })
-    });
-    
-    if (!res.ok) {
-      const errorData = await res.json().catch(() => ({ detail: 'Unknown error' }));
-      
-      if (res.status === 403) {
-        return {
-          success: false,
-          message: 'Permission denied. Only administrators can share evidence.',
-          status: 403
-        };
-      }
-      
-      return {
-        success: false,
-        message: errorData.detail || `HTTP ${res.status}`,
-        status: res.status
-      };
-    }
-    
-    const data = await res.json();
+    );
     console.log('[API Secure] ✅ Evidence shared successfully');
-    
-    return {
-      success: true,
-      data
-    };
-  } catch (error) {
-    console.error('[API Secure] ❌ Share error:', error);
-    return {
-      success: false,
-      message: error.message || 'Network error'
-    };
-  }
+    return { success: true, data };
+  });
 }
 
 /**
@@ -236,37 +110,10 @@ export async function shareEvidenceWithSecurity(evidenceId, securityUserId) {
  * @returns {Promise<{success: boolean, data: Array}>}
  */
 export async function getEvidenceAuditTrail(evidenceId) {
-  try {
-    const baseUrl = await resolveBaseUrl(); // FIX
-    const headers = await authHeaders();
-    
-    const res = await fetch(`${baseUrl}/api/v1/evidence-secure/audit/${evidenceId}`, {
-      method: 'GET',
-      headers
-    });
-    
-    if (!res.ok) {
-      const errorData = await res.json().catch(() => ({ detail: 'Unknown error' }));
-      return {
-        success: false,
-        message: errorData.detail || `HTTP ${res.status}`,
-        status: res.status
-      };
-    }
-    
-    const data = await res.json();
-    
-    return {
-      success: true,
-      data
-    };
-  } catch (error) {
-    console.error('[API Secure] Error getting audit trail:', error);
-    return {
-      success: false,
-      message: error.message || 'Network error'
-    };
-  }
+  return withResult('API Secure', 'Failed to load audit trail', async () => {
+    const { data } = await apiRequest(`/api/v1/evidence-secure/audit/${evidenceId}`);
+    return { success: true, data };
+  });
 }
 
 /**
@@ -281,35 +128,8 @@ export async function getEvidenceAuditTrail(evidenceId) {
  * @returns {Promise<{success: boolean, data: Object}>}
  */
 export async function getEvidenceSecurityStats() {
-  try {
-    const baseUrl = await resolveBaseUrl(); // FIX
-    const headers = await authHeaders();
-    
-    const res = await fetch(`${baseUrl}/api/v1/evidence-secure/stats/summary`, {
-      method: 'GET',
-      headers
-    });
-    
-    if (!res.ok) {
-      const errorData = await res.json().catch(() => ({ detail: 'Unknown error' }));
-      return {
-        success: false,
-        message: errorData.detail || `HTTP ${res.status}`,
-        status: res.status
-      };
-    }
-    
-    const data = await res.json();
-    
-    return {
-      success: true,
-      data
-    };
-  } catch (error) {
-    console.error('[API Secure] Error getting stats:', error);
-    return {
-      success: false,
-      message: error.message || 'Network error'
-    };
-  }
-}
\ No newline at end of file
+  return withResult('API Secure', 'Failed to load stats', async () => {
+    const { data } = await apiRequest('/api/v1/evidence-secure/stats/summary');
+    return { success: true, data };
+  });
+}
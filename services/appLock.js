@@ -0,0 +1,425 @@
+// services/appLock.js
+// Locks the app behind a local PIN, for phones that are shared and left
+// unlocked (e.g. in a guard room). After a password login the user has to
+// choose a PIN; from then on the app locks when it goes to the background (if
+// the user keeps that on), after a period without touches, and on every
+// launch. The lock screen (components/AppLockScreen.jsx) covers whatever
+// screen is open, so nothing underneath is lost.
+//
+// Only a salted PBKDF2-SHA256 hash of the PIN is stored, per site like the
+// session, and it is removed on logout. A short PIN cannot be made safe
+// against guessing by hashing alone; the real limit is MAX_FAILED_ATTEMPTS,
+// after which the user is signed out completely.
+//
+// A user can also set a duress PIN. It unlocks the app exactly like the real
+// one, and meanwhile raises an SOS flagged as duress with the user's identity
+// and position (see unlockApp()), for guards forced to open the app. It is
+// only good for unlocking: changing either PIN, or even seeing whether a duress
+// PIN is set, needs the real PIN, so whoever forced it gets no further.
+import { AppState } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+import { logoutUser, createSosAlert } from './api';
+import { onLogin, onBeforeLogout } from './sessionEvents';
+import { registerSiteScopedKeys, getSiteGeneration } from './sites';
+import { loadSession, subscribeSession } from './session';
+import { resetTo, loginRouteForRole } from './navigation';
+import { getCurrentCoords } from './location';
+import { pbkdf2Sha256 } from './pbkdf2';
+
+// { username, salt, hash, failedAttempts, duressSalt?, duressHash? } for the
+// current site's session
+const STORAGE_KEY = 'appLock';
+// { inactivityMinutes, lockOnBackground } for the device
+const SETTINGS_KEY = 'appLockSettings';
+const HASH_ITERATIONS = 1000;
+
+export const PIN_LENGTH = 4;
+export const MAX_FAILED_ATTEMPTS = 5;
+export const INACTIVITY_OPTIONS = [1, 2, 5, 15, 30];
+
+export const LOCK_STATUS = {
+  OFF: 'off', // nobody signed in
+  SETUP: 'setup', // signed in, no PIN chosen yet
+  LOCKED: 'locked',
+  CHANGING: 'changing', // choosing a new PIN; the current one is asked first
+  UNLOCKED: 'unlocked',
+};
+
+const DEFAULT_SETTINGS = { inactivityMinutes: 5, lockOnBackground: true };
+
+let status = LOCK_STATUS.OFF;
+let record; // undefined until loaded, then the stored record or null
+let settings = DEFAULT_SETTINGS;
+let lastActivity = Date.now();
+let inactivityTimer = null;
+let evaluation = 0;
+let changingDuress = false;
+let changeAuthorized = false; // the real PIN was entered for the current change
+let initialized = false;
+const listeners = new Set();
+
+registerSiteScopedKeys([STORAGE_KEY], () => {
+  record = undefined;
+});
+
+function setStatus(next) {
+  if (next === status) return;
+  status = next;
+  if (status !== LOCK_STATUS.CHANGING) changeAuthorized = false;
+  clearTimeout(inactivityTimer);
+  inactivityTimer = null;
+  if (status === LOCK_STATUS.UNLOCKED) reportActivity();
+  listeners.forEach(listener => listener(status));
+}
+
+export function getLockStatus() {
+  return status;
+}
+
+export function subscribeLockStatus(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// True while the lock screen covers the app.
+export function isAppLocked() {
+  return status !== LOCK_STATUS.OFF && status !== LOCK_STATUS.UNLOCKED;
+}
+
+async function loadRecord() {
+  if (record !== undefined) return record;
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY);
+    record = raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    console.warn('[appLock] Failed to load PIN', err);
+    record = null;
+  }
+  return record;
+}
+
+// `generation` is the site generation from before the caller read the record:
+// never write one site's PIN over another's after a switch.
+async function saveRecord(next, generation) {
+  if (generation !== getSiteGeneration()) return;
+  record = next;
+  try {
+    if (next) await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    else await AsyncStorage.removeItem(STORAGE_KEY);
+  } catch (err) {
+    console.warn('[appLock] Failed to persist PIN', err);
+  }
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Synchronous (services/pbkdf2.js), so a check costs no native round trips.
+function hashPin(pin, salt) {
+  return pbkdf2Sha256(pin, salt, HASH_ITERATIONS);
+}
+
+// Runs of one digit and straight sequences (1234, 9876) are the first guesses.
+export function isWeakPin(pin) {
+  const digits = Array.from(String(pin), Number);
+  const steps = new Set(digits.slice(1).map((digit, i) => digit - digits[i]));
+  return steps.size === 1 && [0, 1, -1].includes([...steps][0]);
+}
+
+function usernameOf(session) {
+  return session?.user?.username || session?.user?.email || null;
+}
+
+// Work out the status from the session and the stored PIN. A session with a
+// PIN starts locked (launch, or a site switch from a signed-out site); one
+// without must set a PIN first. Token refreshes change nothing. The latest
+// call wins.
+async function evaluate({ unlocked = false } = {}) {
+  const id = ++evaluation;
+  const session = await loadSession();
+  const stored = session ? await loadRecord() : null;
+  if (id !== evaluation) return;
+  if (!session) setStatus(LOCK_STATUS.OFF);
+  else if (!stored || stored.username !== usernameOf(session)) setStatus(LOCK_STATUS.SETUP);
+  else if (unlocked) setStatus(LOCK_STATUS.UNLOCKED);
+  else if (status === LOCK_STATUS.OFF) setStatus(LOCK_STATUS.LOCKED);
+}
+
+export function lockApp() {
+  if (status === LOCK_STATUS.UNLOCKED || status === LOCK_STATUS.CHANGING) {
+    console.log('[appLock] Locked');
+    setStatus(LOCK_STATUS.LOCKED);
+  }
+}
+
+/**
+ * Called on every touch (App.jsx): restarts the inactivity countdown.
+ */
+export function reportActivity() {
+  lastActivity = Date.now();
+  if (status !== LOCK_STATUS.UNLOCKED || inactivityTimer) return;
+  const check = () => {
+    inactivityTimer = null;
+    const left = lastActivity + settings.inactivityMinutes * 60000 - Date.now();
+    if (left <= 0) lockApp();
+    else if (status === LOCK_STATUS.UNLOCKED) inactivityTimer = setTimeout(check, left);
+  };
+  inactivityTimer = setTimeout(check, settings.inactivityMinutes * 60000);
+}
+
+// Timers stop in the background, so time away counts on return.
+function handleAppState(state) {
+  if (state === 'background') {
+    clearTimeout(inactivityTimer);
+    inactivityTimer = null;
+    if (settings.lockOnBackground) lockApp();
+  } else if (state === 'active' && status === LOCK_STATUS.UNLOCKED) {
+    if (Date.now() - lastActivity >= settings.inactivityMinutes * 60000) lockApp();
+    else reportActivity();
+  }
+}
+
+async function forceLogout() {
+  const session = await loadSession();
+  console.warn('[appLock] Too many wrong PINs; signing out', usernameOf(session));
+  await logoutUser();
+  resetTo(loginRouteForRole(session?.role));
+}
+
+// Raised without waiting and without a trace on screen: whoever is watching
+// must see an ordinary unlock, so no location permission dialog either.
+// createSosAlert queues it if the phone is offline.
+async function raiseDuressAlert() {
+  const session = await loadSession();
+  const user = session?.user || {};
+  const coords = await getCurrentCoords({ prompt: false });
+  const res = await createSosAlert({
+    message: `Duress PIN entered by ${user.full_name || user.username || 'a user'}`,
+    coords,
+    reporter: { username: user.username, full_name: user.full_name, phone: user.phone, email: user.email },
+    duress: true,
+  });
+  if (!res.success) console.warn('[appLock] Alert failed:', res.message);
+}
+
+// Check `pin` against the stored hashes. With `allowDuress` the duress PIN
+// passes like the real one and also raises a duress SOS; otherwise it counts
+// as a wrong PIN. Both hashes are always computed so the two take equally long.
+async function checkPin(pin, { allowDuress = false } = {}) {
+  const generation = getSiteGeneration();
+  const stored = await loadRecord();
+  if (!stored) {
+    await evaluate();
+    return { success: false, message: 'No PIN is set.' };
+  }
+  const hash = hashPin(String(pin), stored.salt);
+  // Hashed even without a duress PIN, so the time taken does not tell.
+  const duressHash = hashPin(String(pin), stored.duressSalt || stored.salt);
+  const duress = allowDuress && !!stored.duressHash && duressHash === stored.duressHash;
+  if (hash === stored.hash || duress) {
+    if (duress) raiseDuressAlert().catch(err => console.warn('[appLock] Alert failed', err));
+    if (stored.failedAttempts) await saveRecord({ ...stored, failedAttempts: 0 }, generation);
+    return { success: true, data: null };
+  }
+  const failedAttempts = (stored.failedAttempts || 0) + 1;
+  const attemptsLeft = MAX_FAILED_ATTEMPTS - failedAttempts;
+  if (attemptsLeft <= 0) {
+    await forceLogout();
+    return { success: false, message: 'Too many wrong PINs. Please sign in again.', data: { signedOut: true } };
+  }
+  await saveRecord({ ...stored, failedAttempts }, generation);
+  return {
+    success: false,
+    message: `Wrong PIN. ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left.`,
+    data: { attemptsLeft },
+  };
+}
+
+/**
+ * Check the real PIN without changing the lock, e.g. before a PIN change,
+ * which it authorizes. Resolves to a service result; after MAX_FAILED_ATTEMPTS
+ * wrong PINs in a row the user is signed out and `data` is `{ signedOut: true }`.
+ */
+export async function verifyPin(pin) {
+  const res = await checkPin(pin);
+  if (res.success && status === LOCK_STATUS.CHANGING) changeAuthorized = true;
+  return res;
+}
+
+/**
+ * Unlock with the real PIN or the duress PIN. Resolves like verifyPin().
+ */
+export async function unlockApp(pin) {
+  const res = await checkPin(pin, { allowDuress: true });
+  if (res.success) setStatus(LOCK_STATUS.UNLOCKED);
+  return res;
+}
+
+// Why the PIN cannot be changed now, or null: a new PIN is chosen after login,
+// or during a change once the current PIN has been entered.
+function changeProblem({ duress = false } = {}) {
+  if (status === LOCK_STATUS.SETUP && !duress) return null;
+  if (status === LOCK_STATUS.CHANGING && changeAuthorized && changingDuress === duress) return null;
+  return 'Enter your current PIN first.';
+}
+
+// Why `pin` cannot be used as a new PIN, or null.
+function pinProblem(pin) {
+  if (!new RegExp(`^\\d{${PIN_LENGTH}}$`).test(String(pin))) return `The PIN must be ${PIN_LENGTH} digits.`;
+  if (isWeakPin(pin)) return 'Choose a PIN that is harder to guess.';
+  return null;
+}
+
+/**
+ * Store a new PIN for the signed-in user and unlock. Resolves to a service result.
+ */
+export async function setPin(pin) {
+  const problem = changeProblem() || pinProblem(pin);
+  if (problem) return { success: false, message: problem };
+  const generation = getSiteGeneration();
+  const session = await loadSession();
+  if (!session) return { success: false, message: 'Not signed in.' };
+  try {
+    const stored = await loadRecord();
+    // The user's duress PIN stays, as long as the two differ.
+    const duress = stored && stored.username === usernameOf(session) && stored.duressHash
+      ? { duressSalt: stored.duressSalt, duressHash: stored.duressHash }
+      : {};
+    if (duress.duressHash && hashPin(String(pin), duress.duressSalt) === duress.duressHash) {
+      return { success: false, message: 'Your PIN must differ from your duress PIN.' };
+    }
+    const salt = toHex(Crypto.getRandomBytes(16));
+    const hash = hashPin(String(pin), salt);
+    await saveRecord({ username: usernameOf(session), salt, hash, failedAttempts: 0, ...duress }, generation);
+  } catch (err) {
+    console.warn('[appLock] Failed to set PIN', err);
+    return { success: false, message: 'Could not save the PIN.' };
+  }
+  console.log('[appLock] PIN set for', usernameOf(session));
+  setStatus(LOCK_STATUS.UNLOCKED);
+  return { success: true, data: null };
+}
+
+/**
+ * Store a duress PIN: one that unlocks the app as usual but also raises a
+ * duress SOS, for a user forced to open the app. Unlocks; resolves to a
+ * service result.
+ */
+export async function setDuressPin(pin) {
+  const problem = changeProblem({ duress: true }) || pinProblem(pin);
+  if (problem) return { success: false, message: problem };
+  const generation = getSiteGeneration();
+  const stored = await loadRecord();
+  if (!stored) return { success: false, message: 'Set your PIN first.' };
+  try {
+    if (hashPin(String(pin), stored.salt) === stored.hash) {
+      return { success: false, message: 'The duress PIN must differ from your PIN.' };
+    }
+    const duressSalt = toHex(Crypto.getRandomBytes(16));
+    const duressHash = hashPin(String(pin), duressSalt);
+    await saveRecord({ ...stored, duressSalt, duressHash }, generation);
+  } catch (err) {
+    console.warn('[appLock] Failed to set duress PIN', err);
+    return { success: false, message: 'Could not save the PIN.' };
+  }
+  setStatus(LOCK_STATUS.UNLOCKED);
+  return { success: true, data: null };
+}
+
+/**
+ * Remove the duress PIN during a duress PIN change, once the current PIN has
+ * been entered. Unlocks; resolves to a service result.
+ */
+export async function removeDuressPin() {
+  const problem = changeProblem({ duress: true });
+  if (problem) return { success: false, message: problem };
+  const generation = getSiteGeneration();
+  const stored = await loadRecord();
+  if (stored) {
+    const rest = { ...stored };
+    delete rest.duressSalt;
+    delete rest.duressHash;
+    await saveRecord(rest, generation);
+  }
+  setStatus(LOCK_STATUS.UNLOCKED);
+  return { success: true, data: null };
+}
+
+// Only answered during a duress PIN change after the current PIN, so an
+// unlocked phone does not tell whoever holds it that one is set.
+export async function hasDuressPin() {
+  if (changeProblem({ duress: true })) return false;
+  return !!(await loadRecord())?.duressHash;
+}
+
+// Ask for the current PIN, then a new one (components/AppLockScreen.jsx);
+// with `duress`, the new one is the duress PIN.
+export function beginPinChange({ duress = false } = {}) {
+  if (status !== LOCK_STATUS.UNLOCKED) return;
+  changingDuress = duress;
+  changeAuthorized = false;
+  setStatus(LOCK_STATUS.CHANGING);
+}
+
+export function isChangingDuressPin() {
+  return status === LOCK_STATUS.CHANGING && changingDuress;
+}
+
+export function cancelPinChange() {
+  if (status === LOCK_STATUS.CHANGING) setStatus(LOCK_STATUS.UNLOCKED);
+}
+
+export function getAppLockSettings() {
+  return settings;
+}
+
+export async function loadAppLockSettings() {
+  try {
+    const raw = await AsyncStorage.getItem(SETTINGS_KEY);
+    settings = raw ? { ...DEFAULT_SETTINGS, ...JSON.parse(raw) } : DEFAULT_SETTINGS;
+  } catch (err) {
+    console.warn('[appLock] Failed to load settings', err);
+  }
+  return settings;
+}
+
+export async function updateAppLockSettings(changes) {
+  settings = { ...settings, ...changes };
+  clearTimeout(inactivityTimer);
+  inactivityTimer = null;
+  reportActivity();
+  try {
+    await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn('[appLock] Failed to persist settings', err);
+  }
+  return settings;
+}
+
+/**
+ * Follow the session and the app state. Call once from App, before the
+ * navigator renders, so a stored session opens locked.
+ */
+export async function initAppLock() {
+  if (initialized) return status;
+  initialized = true;
+  await loadAppLockSettings();
+  subscribeSession(() => evaluate());
+  // A password login counts as unlocking; a PIN left from another user is dropped.
+  onLogin(async () => {
+    const generation = getSiteGeneration();
+    const session = await loadSession();
+    const stored = await loadRecord();
+    if (stored && stored.username !== usernameOf(session)) await saveRecord(null, generation);
+    await evaluate({ unlocked: true });
+  });
+  onBeforeLogout(async () => {
+    await saveRecord(null, getSiteGeneration());
+    setStatus(LOCK_STATUS.OFF);
+  });
+  AppState.addEventListener('change', handleAppState);
+  await evaluate();
+  return status;
+}
@@ -0,0 +1,175 @@
+// services/deepLinks.js
+// aicctv:// links and notification taps. `createLinking()` builds the
+// NavigationContainer linking config; every link passes through admit() first,
+// so it only opens for a signed-in user whose role may see the target. A link
+// that arrives before login is parked and opened by resumePendingLink() once
+// the login screen has navigated to the dashboard.
+import { Alert, Linking, Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import { loadSession } from './session';
+import { navigate } from './navigation';
+import { NOTIFICATION_ACTIONS } from './notifications';
+
+export const LINK_SCHEME = 'aicctv://';
+
+// First path segment → screen, the route param that carries the id, and the
+// roles allowed to open it.
+const LINK_TARGETS = {
+  incident: { screen: 'IncidentDetail', param: 'incidentId', roles: ['admin', 'security', 'viewer'] },
+  sos: { screen: 'SOSAlerts', param: 'sosId', roles: ['admin', 'security'] },
+  evidence: { screen: 'EvidenceStore', param: 'evidenceId', roles: ['admin', 'security', 'viewer'] },
+};
+
+// The response that launched the app is reported again on every cold start;
+// remember the last one opened so its screen does not open on every launch.
+const LAST_OPENED_KEY = 'lastOpenedNotification';
+
+let pendingUrl = null;
+
+async function alreadyOpened(response) {
+  const key = `${response.notification?.request?.identifier}:${response.actionIdentifier}`;
+  try {
+    if ((await AsyncStorage.getItem(LAST_OPENED_KEY)) === key) return true;
+    await AsyncStorage.setItem(LAST_OPENED_KEY, key);
+  } catch (err) {
+    console.warn('[deepLinks] Could not record opened notification', err);
+  }
+  return false;
+}
+
+export function buildLink(kind, id) {
+  return `${LINK_SCHEME}${kind}/${id}`;
+}
+
+/**
+ * Link for a notification payload. The backend sends either `url` or one of
+ * sosId / incidentId / evidenceId (snake_case accepted) in the data payload.
+ */
+export function linkForData(data = {}) {
+  if (data.url && parseLink(data.url)) return data.url;
+  const sosId = data.sosId ?? data.sos_id;
+  if (sosId != null) return buildLink('sos', sosId);
+  const incidentId = data.incidentId ?? data.incident_id;
+  if (incidentId != null) return buildLink('incident', incidentId);
+  const evidenceId = data.evidenceId ?? data.evidence_id;
+  if (evidenceId != null) return buildLink('evidence', evidenceId);
+  return null;
+}
+
+/**
+ * Link for a tapped notification. Action buttons other than View are handled
+ * in the background and return null.
+ */
+export function notificationLink(response) {
+  const action = response.actionIdentifier;
+  if (action && action !== Notifications.DEFAULT_ACTION_IDENTIFIER && action !== NOTIFICATION_ACTIONS.VIEW) return null;
+  return linkForData(response.notification?.request?.content?.data || {});
+}
+
+/**
+ * Resolve aicctv://incident/123 (or a web path ending in /incident/123) to
+ * its screen and params. Returns null for anything else.
+ */
+export function parseLink(url) {
+  if (!url) return null;
+  const segments = String(url).split(/[?#]/)[0].split('/').filter(Boolean);
+  const [kind, id] = segments.slice(-2);
+  const target = LINK_TARGETS[kind];
+  if (!target || !/^\d+$/.test(id || '')) return null;
+  return { ...target, params: { [target.param]: Number(id) } };
+}
+
+async function currentRole() {
+  return (await loadSession())?.role || null;
+}
+
+// The url if the current session may open it now; otherwise null (parking it
+// for after login when there is no session).
+async function admit(url, { notify = true } = {}) {
+  const target = parseLink(url);
+  if (!target) return null;
+  const role = await currentRole();
+  if (!role) {
+    console.log('[deepLinks] No session, holding link until login:', url);
+    pendingUrl = url;
+    if (notify) Alert.alert('Login Required', 'Please log in to open this link.');
+    return null;
+  }
+  if (!target.roles.includes(role)) {
+    console.warn('[deepLinks] Role', role, 'may not open', url);
+    if (notify) Alert.alert('Not Available', 'This item is not available for your account.');
+    return null;
+  }
+  return url;
+}
+
+/**
+ * Open the link that arrived before login, if any. Call right after the
+ * login screen has replaced itself with the dashboard.
+ */
+export async function resumePendingLink() {
+  const url = pendingUrl;
+  pendingUrl = null;
+  if (!url || !(await admit(url))) return;
+  const target = parseLink(url);
+  navigate(target.screen, target.params);
+}
+
+/**
+ * Open a link from inside the app (e.g. a notification center entry), with
+ * the same session and role checks as an incoming link.
+ */
+export async function openLink(url) {
+  if (!(await admit(url))) return false;
+  const target = parseLink(url);
+  navigate(target.screen, target.params);
+  return true;
+}
+
+/**
+ * Linking config for NavigationContainer. `initialRouteName` (the user's
+ * dashboard) sits under the linked screen so back navigation works.
+ */
+export function createLinking(initialRouteName) {
+  return {
+    prefixes: [LINK_SCHEME],
+    config: {
+      initialRouteName,
+      screens: {
+        IncidentDetail: { path: 'incident/:incidentId', parse: { incidentId: Number } },
+        SOSAlerts: { path: 'sos/:sosId', parse: { sosId: Number } },
+        EvidenceStore: { path: 'evidence/:evidenceId', parse: { evidenceId: Number } },
+      },
+    },
+    async getInitialURL() {
+      const url = await Linking.getInitialURL();
+      if (parseLink(url)) return admit(url, { notify: false });
+      // Cold start from a notification tap
+      if (Platform.OS === 'web') return null;
+      const response = await Notifications.getLastNotificationResponseAsync();
+      const link = response ? notificationLink(response) : null;
+      if (!link || (await alreadyOpened(response))) return null;
+      return admit(link, { notify: false });
+    },
+    subscribe(listener) {
+      const open = async url => {
+        const allowed = await admit(url);
+        if (allowed) listener(allowed);
+      };
+      const urlSubscription = Linking.addEventListener('url', ({ url }) => open(url));
+      const responseSubscription = Notifications.addNotificationResponseReceivedListener(async response => {
+        const link = notificationLink(response);
+        if (link && !(await alreadyOpened(response))) open(link);
+      });
+      return () => {
+        urlSubscription.remove();
+        try {
+          responseSubscription.remove();
+        } catch (err) {
+          console.warn('[deepLinks] Error removing notification subscription:', err);
+        }
+      };
+    },
+  };
+}
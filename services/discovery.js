@@ -0,0 +1,184 @@
+// services/discovery.js
+// Finds reachable backends for the Connection Settings screen. Candidates are
+// the URLs the app already knows about (env, app.json extra, Expo debugger
+// host, platform fallbacks) plus, optionally, every host on the phone's own
+// /24 subnet and on those of the known private-IP URLs. Each one is probed
+// against the health endpoint and the reachable ones are ranked by latency.
+import Constants from 'expo-constants';
+import * as Network from 'expo-network';
+import { Platform } from 'react-native';
+import { request } from './http';
+import { getDebugInfo, resolveBaseUrl } from './api';
+
+export const HEALTH_PATH = '/health';
+export const DEFAULT_PORT = 8000;
+
+const PROBE_TIMEOUT_MS = 2500;
+const SUBNET_PROBE_TIMEOUT_MS = 1200;
+const SUBNET_CONCURRENCY = 24;
+
+// Emulator loopback and the Windows mobile-hotspot gateway our installers use.
+const FALLBACK_URLS = [
+  'http://10.0.2.2:8000',
+  'http://localhost:8000',
+  'http://127.0.0.1:8000',
+  'http://192.168.137.1:8000',
+];
+
+export function normalizeBaseUrl(input) {
+  if (!input) return '';
+  let url = input.trim().replace(/\/+$/, '');
+  if (!/^https?:\/\//i.test(url)) url = `http://${url}`;
+  if (!/:\d+$/.test(url.replace(/^https?:\/\//i, ''))) url = `${url}:${DEFAULT_PORT}`;
+  return url;
+}
+
+function hostOf(url) {
+  const m = /^https?:\/\/([^/:]+)/i.exec(url || '');
+  return m ? m[1] : null;
+}
+
+function portOf(url) {
+  const m = /^https?:\/\/[^/:]+:(\d+)/i.exec(url || '');
+  return m ? Number(m[1]) : DEFAULT_PORT;
+}
+
+function isPrivateIPv4(host) {
+  if (!/^\d{1,3}(\.\d{1,3}){3}$/.test(host || '')) return false;
+  if (host.startsWith('10.0.2.')) return false; // Android emulator NAT, not a real LAN
+  return host.startsWith('192.168.') || host.startsWith('10.') || /^172\.(1[6-9]|2\d|3[01])\./.test(host);
+}
+
+function expoDevHostUrl() {
+  const hostUri =
+    Constants.expoConfig?.hostUri ||
+    Constants.manifest?.debuggerHost ||
+    Constants.manifest2?.extra?.expoGo?.debuggerHost ||
+    null;
+  const host = hostUri ? hostUri.split(':')[0] : null;
+  return host ? `http://${host}:${DEFAULT_PORT}` : null;
+}
+
+/**
+ * URLs worth probing before any subnet scan, de-duplicated, in priority order.
+ */
+export async function getCandidateUrls() {
+  const extra = Constants.expoConfig?.extra || Constants.manifest?.extra || {};
+  const urls = [
+    await resolveBaseUrl(),
+    getDebugInfo().BASE_URL,
+    process.env.EXPO_PUBLIC_API_URL,
+    extra.API_URL,
+    extra.EXPO_BASE_URL,
+    expoDevHostUrl(),
+    ...FALLBACK_URLS,
+  ]
+    .filter(Boolean)
+    .map(normalizeBaseUrl);
+
+  const unique = [...new Set(urls)];
+  // Browsers can only reach the backend through localhost.
+  if (Platform.OS === 'web') {
+    return unique.filter(u => ['localhost', '127.0.0.1'].includes(hostOf(u)));
+  }
+  return unique;
+}
+
+/**
+ * The phone's own LAN address, or null (no Wi-Fi, or not a private IPv4).
+ */
+export async function getDeviceIp() {
+  try {
+    const ip = await Network.getIpAddressAsync();
+    return isPrivateIPv4(ip) ? ip : null;
+  } catch (error) {
+    console.warn('[discovery] Could not read the device IP:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Every other host on the /24 subnet of `deviceIp` (scanned first, on the
+ * default port) and on those of the given private-IP URLs.
+ */
+export function getSubnetUrls(knownUrls, { deviceIp = null } = {}) {
+  const urls = [];
+  const seenPrefixes = new Set();
+  const sources = deviceIp ? [`http://${deviceIp}:${DEFAULT_PORT}`, ...knownUrls] : knownUrls;
+  sources.forEach(url => {
+    const host = hostOf(url);
+    if (!isPrivateIPv4(host)) return;
+    const prefix = host.split('.').slice(0, 3).join('.');
+    if (seenPrefixes.has(prefix)) return;
+    seenPrefixes.add(prefix);
+    const port = portOf(url);
+    for (let i = 1; i < 255; i++) {
+      urls.push(`http://${prefix}.${i}:${port}`);
+    }
+  });
+  const own = deviceIp ? `http://${deviceIp}:${DEFAULT_PORT}` : null;
+  return urls.filter(u => u !== own && !knownUrls.includes(u));
+}
+
+/**
+ * Hit the health endpoint of a backend.
+ *
+ * @returns {Promise<{ url: string, ok: boolean, latencyMs: number|null, status?: number, error?: string }>}
+ */
+export async function probeBackend(baseUrl, { timeout = PROBE_TIMEOUT_MS, signal } = {}) {
+  const url = normalizeBaseUrl(baseUrl);
+  const started = Date.now();
+  try {
+    const { status } = await request(`${url}${HEALTH_PATH}`, { timeout, retries: 0, signal });
+    return { url, ok: true, latencyMs: Date.now() - started, status };
+  } catch (error) {
+    return { url, ok: false, latencyMs: null, status: error.status || 0, error: error.message };
+  }
+}
+
+async function runPool(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * Probe all candidates (and optionally the local subnet).
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.scanSubnet=false]
+ * @param {(progress: { done: number, total: number, found: Array }) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array>} reachable backends sorted by latency (fastest first)
+ */
+export async function discoverBackends({ scanSubnet = false, onProgress, signal } = {}) {
+  const candidates = await getCandidateUrls();
+  const subnet = scanSubnet && Platform.OS !== 'web'
+    ? getSubnetUrls(candidates, { deviceIp: await getDeviceIp() })
+    : [];
+  const total = candidates.length + subnet.length;
+  const found = [];
+  let done = 0;
+
+  const probe = (timeout) => async (url) => {
+    if (signal?.aborted) return;
+    const result = await probeBackend(url, { timeout, signal });
+    done++;
+    if (result.ok) {
+      found.push(result);
+      found.sort((a, b) => a.latencyMs - b.latencyMs);
+    }
+    onProgress?.({ done, total, found: [...found] });
+  };
+
+  await runPool(candidates, candidates.length, probe(PROBE_TIMEOUT_MS));
+  await runPool(subnet, SUBNET_CONCURRENCY, probe(SUBNET_PROBE_TIMEOUT_MS));
+
+  console.log(`[discovery] ${found.length} reachable backend(s) out of ${total} probed`);
+  return found;
+}
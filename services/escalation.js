@@ -0,0 +1,112 @@
+// services/escalation.js
+// Escalation policies for unacknowledged incidents. Each severity has an
+// ordered chain of stages, each run a number of minutes after the incident was
+// raised unless someone acknowledges it first: notify the assigned officer,
+// then every on-duty officer, then admins, then call an emergency number. The
+// backend owns the policies and runs the chain; this module gives the app one
+// shape for them (like services/incidentModel.js does for incidents).
+//
+// Policy:  { severity, stages: [{ afterMinutes, action, phone }] }
+// State:   { stage, startedAt, nextAt, history: [{ stage, at }], stopped }
+//          `stage` is the index of the last stage that ran (-1: none yet);
+//          `stopped` once the incident is acknowledged.
+import { SEVERITY_RANK } from './incidentModel';
+
+export const ESCALATION_ACTIONS = {
+  NOTIFY_ASSIGNED: 'notify_assigned',
+  NOTIFY_ON_DUTY: 'notify_on_duty',
+  NOTIFY_ADMINS: 'notify_admins',
+  CALL_EMERGENCY: 'call_emergency',
+};
+
+export const ESCALATION_ACTION_LABELS = {
+  [ESCALATION_ACTIONS.NOTIFY_ASSIGNED]: 'Notify assigned officer',
+  [ESCALATION_ACTIONS.NOTIFY_ON_DUTY]: 'Notify all on-duty security',
+  [ESCALATION_ACTIONS.NOTIFY_ADMINS]: 'Notify admins',
+  [ESCALATION_ACTIONS.CALL_EMERGENCY]: 'Call emergency number',
+};
+
+export const ESCALATION_SEVERITIES = Object.keys(SEVERITY_RANK).reverse(); // critical first
+
+// Shown until the backend's policy loads; mirrors the server defaults.
+export const DEFAULT_ESCALATION_STAGES = [
+  { afterMinutes: 0, action: ESCALATION_ACTIONS.NOTIFY_ASSIGNED, phone: null },
+  { afterMinutes: 1, action: ESCALATION_ACTIONS.NOTIFY_ON_DUTY, phone: null },
+  { afterMinutes: 5, action: ESCALATION_ACTIONS.NOTIFY_ADMINS, phone: null },
+  { afterMinutes: 15, action: ESCALATION_ACTIONS.CALL_EMERGENCY, phone: null },
+];
+
+function normalizeStage(raw = {}) {
+  return {
+    afterMinutes: Math.max(0, Number(raw.after_minutes ?? raw.afterMinutes ?? 0) || 0),
+    action: raw.action || ESCALATION_ACTIONS.NOTIFY_ASSIGNED,
+    phone: raw.phone || raw.emergency_number || null,
+  };
+}
+
+export function normalizeEscalationPolicy(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const stages = (Array.isArray(raw.stages) ? raw.stages : [])
+    .map(normalizeStage)
+    .sort((a, b) => a.afterMinutes - b.afterMinutes);
+  return { severity: String(raw.severity || '').toLowerCase(), stages };
+}
+
+// Accepts a list or { policies: [...] }; returns { [severity]: policy }.
+export function normalizeEscalationPolicies(raw) {
+  const list = Array.isArray(raw) ? raw : Array.isArray(raw?.policies) ? raw.policies : [];
+  const bySeverity = {};
+  list.map(normalizeEscalationPolicy).filter(Boolean).forEach(policy => {
+    bySeverity[policy.severity] = policy;
+  });
+  return bySeverity;
+}
+
+// Request body for PUT /api/v1/escalation-policies/{severity}.
+export function serializeEscalationStages(stages) {
+  return {
+    stages: stages.map(stage => ({
+      after_minutes: stage.afterMinutes,
+      action: stage.action,
+      ...(stage.action === ESCALATION_ACTIONS.CALL_EMERGENCY ? { phone: stage.phone } : {}),
+    })),
+  };
+}
+
+export function normalizeEscalationState(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  return {
+    stage: Number.isInteger(raw.current_stage) ? raw.current_stage : -1,
+    startedAt: raw.stage_started_at || null,
+    nextAt: raw.next_stage_at || null,
+    history: (Array.isArray(raw.history) ? raw.history : []).map(entry => ({
+      stage: entry.stage,
+      at: entry.at || entry.ran_at || null,
+    })),
+    stopped: !!raw.stopped,
+  };
+}
+
+/**
+ * Problems with a stage list, for the admin editor. Empty when valid.
+ */
+export function validateEscalationStages(stages) {
+  const errors = [];
+  if (stages.length === 0) errors.push('Add at least one stage.');
+  stages.forEach((stage, index) => {
+    if (index > 0 && stage.afterMinutes <= stages[index - 1].afterMinutes) {
+      errors.push(`Stage ${index + 1} must run later than stage ${index}.`);
+    }
+    if (stage.action === ESCALATION_ACTIONS.CALL_EMERGENCY && !/^\+?[0-9]{3,15}$/.test(stage.phone || '')) {
+      errors.push(`Stage ${index + 1} needs an emergency number.`);
+    }
+  });
+  return errors;
+}
+
+export function describeStage(stage) {
+  const label = ESCALATION_ACTION_LABELS[stage.action] || stage.action;
+  const when = stage.afterMinutes === 0 ? 'Immediately' : `After ${stage.afterMinutes} min`;
+  const phone = stage.action === ESCALATION_ACTIONS.CALL_EMERGENCY && stage.phone ? ` (${stage.phone})` : '';
+  return `${when}: ${label}${phone}`;
+}
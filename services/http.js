@@ -0,0 +1,205 @@
+// services/http.js
+// Low-level HTTP transport shared by services/api.js and services/api_secure.js.
+// Knows nothing about base URLs or tokens – it only performs a request with a
+// timeout, retries idempotent requests with exponential backoff, parses the
+// JSON body and turns every failure into an ApiError. Also provides the
+// withResult()/failure() helpers that map errors onto { success, message }.
+
+export const DEFAULT_TIMEOUT_MS = 15000;
+export const DEFAULT_RETRY_DELAY_MS = 500;
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+export function niceMessageFromResponse(data) {
+  if (!data) return 'Request failed';
+  if (typeof data === 'string') return data;
+  if (data.detail) {
+    if (Array.isArray(data.detail)) {
+      try {
+        return data.detail.map(d => (d.msg ? `${d.loc?.join?.('.') || ''}: ${d.msg}` : JSON.stringify(d))).join('; ');
+      } catch (e) {
+        return JSON.stringify(data.detail);
+      }
+    }
+    return data.detail;
+  }
+  if (data.msg) return data.msg;
+  if (data.message) return data.message;
+  return JSON.stringify(data);
+}
+
+function codeForStatus(status) {
+  if (status === 400 || status === 422) return 'VALIDATION';
+  if (status === 401) return 'UNAUTHORIZED';
+  if (status === 403) return 'FORBIDDEN';
+  if (status === 404) return 'NOT_FOUND';
+  if (status === 409) return 'CONFLICT';
+  if (status === 429) return 'RATE_LIMITED';
+  if (status >= 500) return 'SERVER_ERROR';
+  return 'HTTP_ERROR';
+}
+
+/**
+ * Error thrown for every failed request.
+ *
+ * - status: HTTP status, or 0 when no response was received
+ * - code:   'TIMEOUT' | 'NETWORK' | 'ABORTED' | 'UNAUTHORIZED' | 'NOT_FOUND' | ...
+ * - data:   parsed response body, if any
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = 'UNKNOWN', data = null, url = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.data = data;
+    this.url = url;
+  }
+
+  get isNetworkError() {
+    return this.code === 'NETWORK' || this.code === 'TIMEOUT';
+  }
+
+  static fromResponse(status, data, url) {
+    return new ApiError(data ? niceMessageFromResponse(data) : `HTTP ${status}`, {
+      status,
+      code: codeForStatus(status),
+      data,
+      url,
+    });
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isRetryable(error) {
+  if (!(error instanceof ApiError)) return false;
+  return error.isNetworkError || RETRYABLE_STATUSES.includes(error.status);
+}
+
+async function parseBody(res) {
+  if (res.status === 204) return null;
+  const text = await res.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+async function attempt(url, { method, headers, body, timeout, signal }) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const onExternalAbort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener?.('abort', onExternalAbort);
+  }
+
+  try {
+    const res = await fetch(url, { method, headers, body, signal: controller.signal });
+    const data = await parseBody(res);
+    // 304 answers a conditional request (If-None-Match); the caller's copy is current.
+    if (!res.ok && res.status !== 304) throw ApiError.fromResponse(res.status, data, url);
+    return { data, status: res.status, headers: res.headers };
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    if (timedOut) {
+      throw new ApiError(`Request timed out after ${Math.round(timeout / 1000)}s`, { code: 'TIMEOUT', url });
+    }
+    if (error && error.name === 'AbortError') {
+      throw new ApiError('Request cancelled', { code: 'ABORTED', url });
+    }
+    throw new ApiError(error?.message || 'Network error', { code: 'NETWORK', url });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener?.('abort', onExternalAbort);
+  }
+}
+
+/**
+ * Perform a single HTTP request.
+ *
+ * @param {string} url  Absolute URL
+ * @param {object} [options]
+ * @param {string} [options.method='GET']
+ * @param {object} [options.headers]
+ * @param {*}      [options.json]        Serialised as the JSON request body
+ * @param {*}      [options.body]        Raw body (FormData, urlencoded string, ...)
+ * @param {number} [options.timeout]     Per-attempt timeout in ms
+ * @param {number} [options.retries]     Extra attempts; defaults to 2 for idempotent methods, 0 otherwise
+ * @param {number} [options.retryDelay]  Base backoff delay in ms, doubled on every retry
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ data: any, status: number, headers: Headers }>}
+ * @throws {ApiError}
+ */
+export async function request(url, {
+  method = 'GET',
+  headers = {},
+  json,
+  body,
+  timeout = DEFAULT_TIMEOUT_MS,
+  retries,
+  retryDelay = DEFAULT_RETRY_DELAY_MS,
+  signal,
+} = {}) {
+  const upperMethod = method.toUpperCase();
+  const finalHeaders = { Accept: 'application/json', ...headers };
+  let finalBody = body;
+  if (json !== undefined) {
+    finalHeaders['Content-Type'] = 'application/json';
+    finalBody = JSON.stringify(json);
+  }
+  const maxRetries = retries ?? (IDEMPOTENT_METHODS.includes(upperMethod) ? 2 : 0);
+
+  for (let attemptNo = 0; ; attemptNo++) {
+    try {
+      return await attempt(url, { method: upperMethod, headers: finalHeaders, body: finalBody, timeout, signal });
+    } catch (error) {
+      if (attemptNo >= maxRetries || !isRetryable(error)) throw error;
+      const delay = retryDelay * 2 ** attemptNo;
+      console.warn(`[http] ${upperMethod} ${url} failed (${error.code}), retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Build the `{ success: false, ... }` result for an error. The server's detail
+ * message wins; `fallbackMessage` replaces a bare "HTTP <status>".
+ */
+export function failure(error, fallbackMessage) {
+  if (!(error instanceof ApiError)) {
+    return { success: false, message: error?.message || fallbackMessage || 'Unexpected error' };
+  }
+  let message = error.message;
+  if (error.code === 'UNAUTHORIZED') {
+    message = 'Unauthorized. Please login again.';
+  } else if (fallbackMessage && !error.data && error.message === `HTTP ${error.status}`) {
+    message = fallbackMessage;
+  }
+  return { success: false, status: error.status, code: error.code, message, data: error.data, error };
+}
+
+/**
+ * Run `fn` and convert anything it throws into the failure result shape used
+ * by every service helper.
+ *
+ * @param {string} label            Log prefix, usually the helper's name
+ * @param {string} fallbackMessage  Shown when the server gave no detail
+ * @param {() => Promise<object>} fn
+ */
+export async function withResult(label, fallbackMessage, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    console.error(`[${label}] ❌ ${error.code || error.name}: ${error.message}`);
+    return failure(error, fallbackMessage);
+  }
+}
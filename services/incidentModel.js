@@ -0,0 +1,231 @@
+// services/incidentModel.js
+// One canonical incident shape for every screen. The backend's incidents carry
+// their state in several overlapping fields (acknowledged, status,
+// incident_status, sos_triggered) and encode who raised them in the
+// description ('[VIEWER REPORT]...', '[SOS ALERT]...'). normalizeIncident()
+// resolves all of that once; screens read the derived fields below instead of
+// re-parsing.
+//
+// Viewer reports now carry their reporter details in `metadata`; reports made
+// before that have them as "Label: value" lines in the description, which
+// parseLegacyDescription() recovers.
+//
+// Added fields (all raw fields are kept):
+//   status        INCIDENT_STATUS value
+//   acknowledged  boolean, consistent with status
+//   origin        INCIDENT_ORIGIN value
+//   reporter      { name, username, phone, email, location, notes } or null
+//   summary       description without the prefix and reporter lines
+//   typeLabel     display name of `type`
+//   severityRank  0 (unknown) .. 4 (critical), for sorting and thresholds
+//   sosDeadline   ms timestamp (server clock) at which an unacknowledged
+//                 high-severity incident triggers SOS, or null
+
+export const INCIDENT_STATUS = {
+  PENDING: 'pending',
+  ACKNOWLEDGED: 'acknowledged',
+  SOS_TRIGGERED: 'sos_triggered',
+};
+
+export const INCIDENT_ORIGIN = {
+  AI: 'ai',
+  VIEWER: 'viewer',
+  SOS: 'sos',
+};
+
+export const VIEWER_REPORT_PREFIX = '[VIEWER REPORT]';
+export const SOS_ALERT_PREFIX = '[SOS ALERT]';
+
+// Used only when the server sends no sos_deadline (older backends); must
+// match the backend's SOS_TIMEOUT_SECONDS.
+export const SOS_TIMEOUT_SECONDS = 60;
+
+export const INCIDENT_TYPE_LABELS = {
+  abuse_violence: 'Abuse/Violence',
+  theft: 'Theft',
+  fall_health: 'Fall/Health Issue',
+  accident_car_theft: 'Other',
+};
+
+export const SEVERITY_RANK = {
+  low: 1,
+  medium: 2,
+  high: 3,
+  critical: 4,
+};
+
+// "Label: value" lines in descriptions written by the old incident-based SOS
+// trigger, and by reportIncident before it sent metadata.
+const REPORTER_FIELDS = {
+  'Reported by': 'name',
+  User: 'username',
+  Contact: 'phone',
+  Phone: 'phone',
+  Email: 'email',
+  Location: 'location',
+  'Additional Notes': 'notes',
+};
+const REPORTER_LINE = new RegExp(`^(${Object.keys(REPORTER_FIELDS).join('|')}):\\s*(.*)$`);
+
+export function getIncidentTypeLabel(type) {
+  return INCIDENT_TYPE_LABELS[type] || (type ? type.replace(/_/g, ' ') : 'Unknown');
+}
+
+export function severityRankOf(severity) {
+  return SEVERITY_RANK[String(severity || '').toLowerCase()] || 0;
+}
+
+export function isHighSeverity(incident) {
+  return incident.severityRank >= SEVERITY_RANK.high;
+}
+
+function sosDeadlineOf(raw, status, rank) {
+  if (status !== INCIDENT_STATUS.PENDING) return null;
+  if (raw.sos_deadline) {
+    const deadline = new Date(raw.sos_deadline).getTime();
+    if (!Number.isNaN(deadline)) return deadline;
+  }
+  if (rank < SEVERITY_RANK.high || !raw.timestamp) return null;
+  const raisedAt = new Date(raw.timestamp).getTime();
+  return Number.isNaN(raisedAt) ? null : raisedAt + SOS_TIMEOUT_SECONDS * 1000;
+}
+
+function originOf(raw, description) {
+  if (raw.source === INCIDENT_ORIGIN.VIEWER || description.startsWith(VIEWER_REPORT_PREFIX)) return INCIDENT_ORIGIN.VIEWER;
+  if (raw.source === INCIDENT_ORIGIN.SOS || description.startsWith(SOS_ALERT_PREFIX)) return INCIDENT_ORIGIN.SOS;
+  return INCIDENT_ORIGIN.AI;
+}
+
+function statusOf(raw) {
+  if (raw.acknowledged === true || raw.status === 'acknowledged' || raw.incident_status === 'Acknowledged') {
+    return INCIDENT_STATUS.ACKNOWLEDGED;
+  }
+  if (raw.sos_triggered || raw.incident_status === 'SosTriggered') return INCIDENT_STATUS.SOS_TRIGGERED;
+  return INCIDENT_STATUS.PENDING;
+}
+
+/**
+ * Split a description into its free text and any "Label: value" reporter
+ * lines, dropping the '[VIEWER REPORT]' / '[SOS ALERT]' tag.
+ *
+ * @returns {{ text: string, fields: { name?, username?, phone?, email?, location?, notes? } }}
+ */
+export function parseLegacyDescription(description) {
+  let body = description || '';
+  [VIEWER_REPORT_PREFIX, SOS_ALERT_PREFIX].forEach(prefix => {
+    if (body.startsWith(prefix)) body = body.slice(prefix.length);
+  });
+  const fields = {};
+  const text = [];
+  body.split('\n').forEach(line => {
+    const match = REPORTER_LINE.exec(line.trim());
+    if (match && match[2].trim()) fields[REPORTER_FIELDS[match[1]]] = match[2].trim();
+    else text.push(line);
+  });
+  return { text: text.join('\n').trim(), fields };
+}
+
+// Structured metadata (see reportIncident) wins over anything in the text.
+function reporterOf(raw, legacyFields) {
+  const meta = raw.metadata && typeof raw.metadata === 'object' ? raw.metadata : {};
+  const reporter = { ...legacyFields };
+  [
+    ['name', meta.reporter_name],
+    ['phone', meta.phone],
+    ['notes', meta.notes],
+    ['location', meta.location],
+    ['username', meta.username],
+    ['email', meta.email],
+  ].forEach(([key, value]) => {
+    if (value) reporter[key] = value;
+  });
+  return reporter;
+}
+
+// Each object is normalised once; the incident cache hands out the same raw
+// objects until they change. Re-normalising a locally patched copy is fine.
+const normalized = new WeakMap();
+
+/**
+ * Convert a raw API incident into the canonical shape. Safe to call twice.
+ */
+export function normalizeIncident(raw) {
+  if (!raw || typeof raw !== 'object') return raw;
+  if (normalized.has(raw)) return normalized.get(raw);
+
+  const description = raw.description || '';
+  const origin = originOf(raw, description);
+  const status = statusOf(raw);
+  const { text, fields } = origin === INCIDENT_ORIGIN.AI
+    ? { text: description, fields: {} }
+    : parseLegacyDescription(description);
+  const incident = {
+    ...raw,
+    status,
+    acknowledged: status === INCIDENT_STATUS.ACKNOWLEDGED,
+    sos_triggered: status === INCIDENT_STATUS.SOS_TRIGGERED || !!raw.sos_triggered,
+    origin,
+    reporter: origin === INCIDENT_ORIGIN.AI ? null : reporterOf(raw, fields),
+    summary: text,
+    typeLabel: getIncidentTypeLabel(raw.type),
+    severityRank: severityRankOf(raw.severity),
+    sosDeadline: sosDeadlineOf(raw, status, severityRankOf(raw.severity)),
+  };
+  normalized.set(raw, incident);
+  normalized.set(incident, incident);
+  return incident;
+}
+
+export function normalizeIncidents(list) {
+  return Array.isArray(list) ? list.map(normalizeIncident) : [];
+}
+
+// Short "who raised this" text for cards.
+export function reporterLabel(incident) {
+  if (incident.origin === INCIDENT_ORIGIN.VIEWER) {
+    return incident.reporter?.phone ? `Viewer (${incident.reporter.phone})` : 'Viewer';
+  }
+  if (incident.origin === INCIDENT_ORIGIN.SOS) {
+    return incident.reporter?.username || 'SOS User';
+  }
+  return 'Security';
+}
+
+/**
+ * Normalise an SOS record from /api/v1/sos/. Reporter details and position
+ * arrive structured (see createSosAlert), so nothing is parsed from text.
+ *
+ * Adds: origin (always SOS), reporter { name, username, phone, email,
+ * location }, coords { latitude, longitude, accuracy } or null, and duress
+ * (raised with a duress PIN: the reporter is being coerced).
+ */
+export function normalizeSosAlert(raw) {
+  if (!raw || typeof raw !== 'object') return raw;
+  const reporter = raw.reporter && typeof raw.reporter === 'object' ? raw.reporter : {};
+  const hasCoords = raw.latitude != null && raw.longitude != null;
+  return {
+    ...raw,
+    origin: INCIDENT_ORIGIN.SOS,
+    reporter: {
+      name: reporter.full_name || reporter.name || null,
+      username: reporter.username || null,
+      phone: reporter.phone || null,
+      email: reporter.email || null,
+      location: raw.location_text || null,
+    },
+    coords: hasCoords
+      ? { latitude: Number(raw.latitude), longitude: Number(raw.longitude), accuracy: raw.location_accuracy ?? null }
+      : null,
+    duress: !!raw.duress,
+  };
+}
+
+// A duress SOS raised by `username`. It must never show up on that user's
+// phone, which may be in the hands of whoever is coercing them.
+export function isOwnDuressAlert(alert, username) {
+  return !!username && !!alert?.duress && alert.reporter?.username === username;
+}
+
+export function normalizeSosAlerts(list) {
+  return Array.isArray(list) ? list.map(normalizeSosAlert) : [];
+}
@@ -0,0 +1,245 @@
+// services/incidentStore.js
+// Local incident cache persisted to AsyncStorage. services/api.js keeps it up
+// to date with incremental syncs (updated-since cursor + ETag) and every
+// getIncidents() call reads from it, so only changes come over the wire.
+// Holds no network logic of its own, like services/offlineQueue.js.
+//
+// Android keeps each AsyncStorage row under about 2 MB, so the incidents are
+// stored in chunks of CHUNK_SIZE, oldest first, beside a small record with the
+// sync state. New incidents land in the last chunk and an update touches only
+// its own, so a delta sync rewrites one or two rows, not the whole cache. The
+// oldest incidents beyond MAX_CACHED_INCIDENTS are dropped; they are still on
+// the server.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { registerSiteScopedKeys, getSiteGeneration } from './sites';
+
+// { cursor, etag, fullSyncAt, chunks }; older builds also kept `items` here.
+const STORAGE_KEY = 'incidentCache';
+const CHUNK_SIZE = 250;
+const MAX_CHUNKS = 20;
+const MAX_CACHED_INCIDENTS = CHUNK_SIZE * MAX_CHUNKS;
+const CHUNK_KEYS = Array.from({ length: MAX_CHUNKS }, (_, i) => `${STORAGE_KEY}:${i}`);
+// Write the cache at most this often; a sync burst becomes one write.
+const PERSIST_DELAY_MS = 1000;
+
+let state = null; // { byId: Map, cursor, etag, fullSyncAt }
+let sorted = null; // memoised newest-first list
+let written = []; // JSON last stored in each chunk row
+let persistTimer = null;
+const listeners = new Set();
+
+// Each site has its own incidents.
+registerSiteScopedKeys([STORAGE_KEY, ...CHUNK_KEYS], () => {
+  clearTimeout(persistTimer);
+  persistTimer = null;
+  state = null;
+  sorted = null;
+  written = [];
+  listeners.forEach(listener => listener([]));
+});
+
+function emptyState() {
+  return { byId: new Map(), cursor: null, etag: null, fullSyncAt: 0 };
+}
+
+// Chunks are read one row at a time so no single read exceeds the row limit.
+// If any of them cannot be read the cache starts empty, and without a cursor,
+// so the next sync downloads everything again.
+async function load() {
+  if (state) return state;
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY);
+    const saved = raw ? JSON.parse(raw) : null;
+    const chunks = [];
+    for (let i = 0; i < (saved?.chunks || 0); i++) {
+      chunks.push(await AsyncStorage.getItem(CHUNK_KEYS[i]));
+    }
+    const items = (saved?.items || []).concat(...chunks.map(chunk => (chunk ? JSON.parse(chunk) : [])));
+    state = saved
+      ? {
+          byId: new Map(items.map(item => [item.id, item])),
+          cursor: saved.cursor || null,
+          etag: saved.etag || null,
+          fullSyncAt: saved.fullSyncAt || 0,
+        }
+      : emptyState();
+    written = saved?.items ? [] : chunks;
+  } catch (err) {
+    console.warn('[incidentStore] Failed to load cache', err);
+    state = emptyState();
+    written = [];
+  }
+  return state;
+}
+
+async function persist() {
+  const oldestFirst = [...list()].reverse();
+  const rows = CHUNK_KEYS.map((_, i) => {
+    const chunk = oldestFirst.slice(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE);
+    return chunk.length ? JSON.stringify(chunk) : null;
+  });
+  const toSet = [];
+  const toRemove = [];
+  rows.forEach((row, i) => {
+    if (row === (written[i] ?? null)) return;
+    if (row) toSet.push([CHUNK_KEYS[i], row]);
+    else toRemove.push(CHUNK_KEYS[i]);
+  });
+  const meta = {
+    cursor: state.cursor,
+    etag: state.etag,
+    fullSyncAt: state.fullSyncAt,
+    chunks: rows.filter(Boolean).length,
+  };
+  // One row per call, for the same row limit as on load.
+  for (const [key, row] of toSet) await AsyncStorage.setItem(key, row);
+  if (toRemove.length) await AsyncStorage.multiRemove(toRemove);
+  await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(meta));
+  written = rows;
+}
+
+function schedulePersist() {
+  if (persistTimer) return;
+  const generation = getSiteGeneration();
+  persistTimer = setTimeout(async () => {
+    persistTimer = null;
+    // Never write one site's incidents over another's after a switch.
+    if (!state || generation !== getSiteGeneration()) return;
+    try {
+      await persist();
+    } catch (err) {
+      console.warn('[incidentStore] Failed to persist cache', err);
+      written = [];
+    }
+  }, PERSIST_DELAY_MS);
+}
+
+function timeOf(incident) {
+  return new Date(incident.timestamp || incident.created_at || 0).getTime() || 0;
+}
+
+function list() {
+  if (!sorted) {
+    sorted = [...state.byId.values()].sort((a, b) => timeOf(b) - timeOf(a) || b.id - a.id);
+  }
+  return sorted;
+}
+
+// Over the cap, drop a whole chunk's worth of the oldest incidents at once, so
+// the chunks shift (and are all rewritten) only now and then.
+function trim() {
+  if (state.byId.size <= MAX_CACHED_INCIDENTS) return;
+  list()
+    .slice(MAX_CACHED_INCIDENTS - CHUNK_SIZE)
+    .forEach(incident => state.byId.delete(incident.id));
+  sorted = null;
+}
+
+function changed() {
+  sorted = null;
+  trim();
+  schedulePersist();
+  const next = list();
+  listeners.forEach(listener => listener(next));
+}
+
+// Newest change time we have seen; used as the cursor when the server sends none.
+export function latestChangeOf(items) {
+  let latest = null;
+  items.forEach(item => {
+    [item.updated_at, item.acknowledged_at, item.timestamp].forEach(value => {
+      if (value && (!latest || new Date(value) > new Date(latest))) latest = value;
+    });
+  });
+  return latest;
+}
+
+export async function getSyncState() {
+  const { cursor, etag, fullSyncAt, byId } = await load();
+  return { cursor, etag, fullSyncAt, size: byId.size };
+}
+
+/**
+ * Apply a sync result.
+ *
+ * @param {Array} items  Incidents received from the server
+ * @param {object} [options]
+ * @param {boolean} [options.replace=false]  Full sync: drop anything not in `items`
+ * @param {string|null} [options.cursor]     Cursor for the next incremental sync
+ * @param {string|null} [options.etag]
+ */
+export async function mergeIncidents(items, { replace = false, cursor, etag } = {}) {
+  const current = await load();
+  if (replace) {
+    current.byId = new Map();
+    current.fullSyncAt = Date.now();
+  }
+  items.forEach(item => {
+    if (item && item.id != null) current.byId.set(item.id, item);
+  });
+  if (cursor !== undefined) current.cursor = cursor;
+  if (etag !== undefined) current.etag = etag;
+  changed();
+  return list();
+}
+
+// Route params often carry ids as strings; the cache is keyed by the server's ids.
+function keyOf(byId, incidentId) {
+  if (byId.has(incidentId)) return incidentId;
+  const numeric = Number(incidentId);
+  return byId.has(numeric) ? numeric : incidentId;
+}
+
+// Insert or replace a full incident, e.g. from a realtime event.
+export async function upsertIncident(incident) {
+  if (!incident || incident.id == null) return;
+  const current = await load();
+  const key = keyOf(current.byId, incident.id);
+  current.byId.set(key, { ...current.byId.get(key), ...incident, id: key });
+  changed();
+}
+
+// Apply a local change to a cached incident; unknown ids are ignored.
+export async function patchIncident(incidentId, changes) {
+  const current = await load();
+  const key = keyOf(current.byId, incidentId);
+  if (!current.byId.has(key)) return;
+  current.byId.set(key, { ...current.byId.get(key), ...changes });
+  changed();
+}
+
+/**
+ * Read incidents from the cache, newest first.
+ *
+ * @param {{ skip?: number, limit?: number }} [options]
+ */
+export async function getCachedIncidents({ skip = 0, limit } = {}) {
+  await load();
+  const all = list();
+  return limit == null ? all.slice(skip) : all.slice(skip, skip + limit);
+}
+
+export async function getCachedIncident(incidentId) {
+  const current = await load();
+  return current.byId.get(keyOf(current.byId, incidentId)) || null;
+}
+
+// Visibility is per user, so the cache never outlives a login.
+export async function clearIncidentCache() {
+  clearTimeout(persistTimer);
+  persistTimer = null;
+  state = emptyState();
+  sorted = null;
+  written = [];
+  listeners.forEach(listener => listener([]));
+  try {
+    await AsyncStorage.multiRemove([STORAGE_KEY, ...CHUNK_KEYS]);
+  } catch (err) {
+    console.warn('[incidentStore] Failed to clear cache', err);
+  }
+}
+
+export function subscribeIncidents(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
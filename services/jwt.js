@@ -0,0 +1,33 @@
+// services/jwt.js
+// Reads the claims of the backend's access tokens so the app knows when a
+// session expires without asking the server. Nothing is verified here: the
+// signature is the server's business, and claims read on the device are never
+// used for access control.
+
+function base64UrlDecode(segment) {
+  const base64 = segment.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(segment.length / 4) * 4, '=');
+  const binary = atob(base64);
+  // Claims are UTF-8; atob() gives one character per byte.
+  return decodeURIComponent(Array.from(binary, c => `%${c.charCodeAt(0).toString(16).padStart(2, '0')}`).join(''));
+}
+
+/**
+ * The payload of a JWT, or null if `token` is not one.
+ */
+export function decodeJwt(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return null;
+  try {
+    const payload = JSON.parse(base64UrlDecode(parts[1]));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// When the token expires (its `exp` claim) in ms since the epoch, on the
+// server's clock; null when it has no expiry or is not a JWT.
+export function jwtExpiry(token) {
+  const exp = Number(decodeJwt(token)?.exp);
+  return Number.isFinite(exp) && exp > 0 ? exp * 1000 : null;
+}
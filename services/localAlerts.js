@@ -0,0 +1,283 @@
+// services/localAlerts.js
+// Alerts for devices that cannot receive remote pushes (Expo Go, simulators,
+// web): while services/pushTokens.js reports PUSH_STATUS.UNAVAILABLE and
+// someone is signed in, poll for new incidents and SOS alerts and raise local
+// notifications with the same data payload, category and deep link as the
+// backend's pushes, so taps, action buttons, notification preferences and
+// the notification center behave the same.
+//
+// Polling runs on the scheduler in the foreground. In the background it is an
+// expo-background-task task on native (the OS decides when, at most every
+// 15 minutes) and, on web, a timer that keeps running in a hidden tab, the way
+// a service worker's periodic sync would. The task can run without the app's
+// UI, so the mode and what has been seen are persisted, per site.
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as BackgroundTask from 'expo-background-task';
+import * as TaskManager from 'expo-task-manager';
+import { getIncidents, listActiveSosAlerts, getAccessToken } from './api';
+import { presentLocalNotification, NOTIFICATION_CATEGORIES } from './notifications';
+import { deliveryFor, loadPreferences, DELIVERY } from './notificationPreferences';
+import { recordPushNotification } from './notificationCenter';
+import { linkForData, openLink } from './deepLinks';
+import { getPushState, subscribePushState, PUSH_STATUS } from './pushTokens';
+import { schedulePoll, shareInFlight } from './scheduler';
+import { onLogin, onBeforeLogout } from './sessionEvents';
+import { registerSiteScopedKeys, getSiteGeneration } from './sites';
+import { loadSession } from './session';
+import { INCIDENT_STATUS } from './incidentModel';
+
+// { enabled, lastIncidentId, sosIds } — lastIncidentId null until the first
+// check, which only records a baseline so logging in does not replay history.
+const STORAGE_KEY = 'localAlerts';
+const TASK_NAME = 'local-alerts-poll';
+const FOREGROUND_INTERVAL_MS = 30000;
+const WEB_BACKGROUND_INTERVAL_MS = 60000; // browsers throttle hidden tabs to this anyway
+const BACKGROUND_INTERVAL_MINUTES = 15;
+
+let state = null;
+let stopPoll = null;
+let webTimer = null;
+let initialized = false;
+let signingOut = false; // pushTokens reports UNAVAILABLE mid-logout; ignore it
+const listeners = new Set();
+
+function emptyState() {
+  return { enabled: false, lastIncidentId: null, sosIds: [] };
+}
+
+// Each site has its own incidents and push registration; pushTokens re-checks
+// its status after a switch, which re-evaluates the mode here.
+registerSiteScopedKeys([STORAGE_KEY], () => {
+  state = null;
+  stopForeground();
+  listeners.forEach(listener => listener(false));
+});
+
+async function load() {
+  if (state) return state;
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY);
+    state = raw ? { ...emptyState(), ...JSON.parse(raw) } : emptyState();
+  } catch (err) {
+    console.warn('[localAlerts] Failed to load state', err);
+    state = emptyState();
+  }
+  return state;
+}
+
+async function save(changes) {
+  const generation = getSiteGeneration();
+  const current = await load();
+  state = { ...current, ...changes };
+  try {
+    // Never write one site's state over another's after a switch.
+    if (generation === getSiteGeneration()) {
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    }
+  } catch (err) {
+    console.warn('[localAlerts] Failed to persist state', err);
+  }
+}
+
+// Same shape as the backend's incident push.
+function incidentAlert(incident, role) {
+  const severity = String(incident.severity || '').toLowerCase();
+  return {
+    identifier: `local:incident:${incident.id}`,
+    title: `🚨 ${severity ? `${severity.toUpperCase()} ` : ''}incident: ${incident.typeLabel}`,
+    body: incident.summary || `Incident #${incident.id} needs attention.`,
+    data: {
+      incidentId: incident.id,
+      severity,
+      incident_type: incident.type,
+      camera_id: incident.camera_id ?? null,
+    },
+    // Viewers cannot acknowledge, so they get no buttons.
+    categoryIdentifier: role === 'viewer' ? null : NOTIFICATION_CATEGORIES.INCIDENT,
+  };
+}
+
+// Same shape as the backend's SOS push.
+function sosAlert(alert) {
+  const who = alert.reporter.name || alert.reporter.username || 'Someone';
+  const where = alert.reporter.location ? ` at ${alert.reporter.location}` : '';
+  return {
+    identifier: `local:sos:${alert.id}`,
+    title: `🆘 ${alert.duress ? 'DURESS ' : ''}SOS from ${who}`,
+    body: `${alert.alert_message || 'Needs help'}${where}`,
+    data: { sosId: alert.id, type: 'sos' },
+    categoryIdentifier: NOTIFICATION_CATEGORIES.SOS,
+    sos: true,
+  };
+}
+
+async function raise({ identifier, title, body, data, categoryIdentifier, sos = false }) {
+  const delivery = deliveryFor(data, { sos });
+  if (delivery === DELIVERY.DROP) return;
+  // Recorded here as well as by App's received listener, which does not run
+  // for web or background notifications; the shared identifier dedupes them.
+  await recordPushNotification({ date: Date.now(), request: { identifier, content: { title, body, data } } });
+  // During quiet hours the entry above is all the user gets, as with a push.
+  if (delivery !== DELIVERY.SHOW) return;
+  await presentLocalNotification(title, body, data, {
+    identifier,
+    categoryIdentifier,
+    onClick: () => {
+      const link = linkForData(data);
+      if (link) openLink(link);
+    },
+  });
+}
+
+async function checkIncidents(current, user) {
+  const res = await getIncidents();
+  if (!res.success) return res;
+  const lastId = current.lastIncidentId;
+  const maxId = res.data.reduce((max, incident) => Math.max(max, Number(incident.id) || 0), lastId || 0);
+  if (lastId != null) {
+    const fresh = res.data
+      .filter(incident => Number(incident.id) > lastId && incident.status === INCIDENT_STATUS.PENDING)
+      .filter(incident => !user.username || incident.reporter?.username !== user.username)
+      .reverse(); // oldest first, so the newest ends up on top
+    for (const incident of fresh) await raise(incidentAlert(incident, user.role));
+    if (fresh.length) console.log('[localAlerts] Raised', fresh.length, 'incident alert(s)');
+  }
+  await save({ lastIncidentId: maxId });
+  return res;
+}
+
+async function checkSos(current) {
+  const res = await listActiveSosAlerts();
+  if (!res.success) return res;
+  const seen = new Set(current.sosIds);
+  const baseline = current.lastIncidentId == null;
+  const fresh = baseline ? [] : res.data.filter(alert => !seen.has(alert.id));
+  for (const alert of fresh) await raise(sosAlert(alert));
+  if (fresh.length) console.log('[localAlerts] Raised', fresh.length, 'SOS alert(s)');
+  // Only active alerts are kept; a handled one cannot come back.
+  await save({ sosIds: res.data.map(alert => alert.id) });
+  return res;
+}
+
+/**
+ * Look for new incidents and SOS alerts once and raise notifications for
+ * them. Returns a service result (a failure makes the poll back off).
+ */
+export function checkForAlerts() {
+  return shareInFlight('localAlerts', async () => {
+    const current = await load();
+    const session = await loadSession();
+    if (!current.enabled || !session) return { success: true, data: 0 };
+    const user = { ...session.user, role: session.role };
+    await loadPreferences();
+    // SOS alerts are for the people who respond to them.
+    if (user.role === 'admin' || user.role === 'security') {
+      const sos = await checkSos(current);
+      if (!sos.success) return sos;
+    }
+    return checkIncidents(await load(), user);
+  });
+}
+
+// Runs when the OS wakes the app, possibly without any UI. Tasks have to be
+// defined in the global scope, which is why App.jsx imports this module.
+if (Platform.OS !== 'web') {
+  TaskManager.defineTask(TASK_NAME, async () => {
+    try {
+      const res = await checkForAlerts();
+      return res.success ? BackgroundTask.BackgroundTaskResult.Success : BackgroundTask.BackgroundTaskResult.Failed;
+    } catch (err) {
+      console.warn('[localAlerts] Background check failed', err);
+      return BackgroundTask.BackgroundTaskResult.Failed;
+    }
+  });
+}
+
+async function startBackground() {
+  if (Platform.OS === 'web') {
+    // The scheduler covers the visible tab.
+    if (!webTimer) {
+      webTimer = setInterval(() => {
+        if (document.visibilityState === 'hidden') checkForAlerts();
+      }, WEB_BACKGROUND_INTERVAL_MS);
+    }
+    return;
+  }
+  try {
+    const status = await BackgroundTask.getStatusAsync();
+    if (status !== BackgroundTask.BackgroundTaskStatus.Available) {
+      console.warn('[localAlerts] Background tasks are restricted; alerts only while the app is open');
+      return;
+    }
+    if (!(await TaskManager.isTaskRegisteredAsync(TASK_NAME))) {
+      await BackgroundTask.registerTaskAsync(TASK_NAME, { minimumInterval: BACKGROUND_INTERVAL_MINUTES });
+    }
+  } catch (err) {
+    console.warn('[localAlerts] Could not register background task', err);
+  }
+}
+
+async function stopBackground() {
+  clearInterval(webTimer);
+  webTimer = null;
+  if (Platform.OS === 'web') return;
+  try {
+    if (await TaskManager.isTaskRegisteredAsync(TASK_NAME)) await BackgroundTask.unregisterTaskAsync(TASK_NAME);
+  } catch (err) {
+    console.warn('[localAlerts] Could not unregister background task', err);
+  }
+}
+
+function stopForeground() {
+  if (stopPoll) stopPoll();
+  stopPoll = null;
+}
+
+// On while pushes are unavailable and someone is signed in; off otherwise.
+async function evaluate() {
+  const enabled = !signingOut && getPushState().status === PUSH_STATUS.UNAVAILABLE && !!(await getAccessToken());
+  const current = await load();
+  if (enabled === current.enabled && (!enabled || stopPoll)) return;
+  await save({ enabled });
+  listeners.forEach(listener => listener(enabled));
+  if (enabled) {
+    console.log('[localAlerts] Remote push unavailable; polling for alerts');
+    if (!stopPoll) stopPoll = schedulePoll('localAlerts', checkForAlerts, { interval: FOREGROUND_INTERVAL_MS, runNow: true });
+    await startBackground();
+  } else {
+    stopForeground();
+    await stopBackground();
+  }
+}
+
+export function isLocalAlertsActive() {
+  return !!stopPoll;
+}
+
+export function subscribeLocalAlerts(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Follow the push status and the session. Call once from App, after
+ * initPushTokens().
+ */
+export function initLocalAlerts() {
+  if (initialized) return;
+  initialized = true;
+  subscribePushState(() => evaluate());
+  onLogin(() => {
+    signingOut = false;
+    evaluate();
+  });
+  onBeforeLogout(async () => {
+    signingOut = true;
+    stopForeground();
+    await stopBackground();
+    await save(emptyState());
+    listeners.forEach(listener => listener(false));
+  });
+  evaluate();
+}
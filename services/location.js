@@ -0,0 +1,84 @@
+// services/location.js
+// Best-effort device position for SOS alerts. On Android and iOS it comes from
+// expo-location, which asks for the while-in-use location permission the
+// first time; on web from the standard geolocation API. Resolves to null when
+// there is no fix, so callers fall back to location text.
+import { Platform } from 'react-native';
+import * as Location from 'expo-location';
+
+const DEFAULT_TIMEOUT_MS = 8000;
+// A fix this recent is as good as a new one for an SOS and comes at once.
+const MAX_FIX_AGE_MS = 60000;
+
+export function isLocationAvailable() {
+  if (Platform.OS !== 'web') return true;
+  return typeof navigator !== 'undefined' && !!navigator.geolocation;
+}
+
+function toCoords(position) {
+  return {
+    latitude: position.coords.latitude,
+    longitude: position.coords.longitude,
+    accuracy: position.coords.accuracy ?? null,
+  };
+}
+
+// With `prompt` false the permission is only checked, never asked for.
+async function nativeCoords({ prompt }) {
+  const { status } = prompt
+    ? await Location.requestForegroundPermissionsAsync()
+    : await Location.getForegroundPermissionsAsync();
+  if (status !== 'granted') {
+    console.warn('[location] Permission not granted:', status);
+    return null;
+  }
+  const recent = await Location.getLastKnownPositionAsync({ maxAge: MAX_FIX_AGE_MS });
+  if (recent) return toCoords(recent);
+  return toCoords(await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.High }));
+}
+
+function webCoords(timeout) {
+  return new Promise(resolve => {
+    navigator.geolocation.getCurrentPosition(
+      position => resolve(toCoords(position)),
+      err => {
+        console.warn('[location] Position unavailable:', err?.message);
+        resolve(null);
+      },
+      { enableHighAccuracy: true, timeout, maximumAge: MAX_FIX_AGE_MS }
+    );
+  });
+}
+
+/**
+ * Resolve the current position, or null if unavailable, denied or too slow.
+ * Never rejects: an SOS must not wait on (or fail because of) a GPS fix.
+ *
+ * @param {{ timeout?: number, prompt?: boolean }} [options]
+ *   `prompt: false` never shows the permission dialog (e.g. for a silent alert).
+ * @returns {Promise<{ latitude: number, longitude: number, accuracy: number|null }|null>}
+ */
+export function getCurrentCoords({ timeout = DEFAULT_TIMEOUT_MS, prompt = true } = {}) {
+  if (!isLocationAvailable()) return Promise.resolve(null);
+  return new Promise(resolve => {
+    let settled = false;
+    const finish = value => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve(value);
+    };
+    const timer = setTimeout(() => finish(null), timeout);
+    (Platform.OS === 'web' ? webCoords(timeout) : nativeCoords({ prompt }))
+      .then(finish)
+      .catch(err => {
+        console.warn('[location] Geolocation failed:', err?.message);
+        finish(null);
+      });
+  });
+}
+
+export function formatCoords(coords) {
+  if (!coords) return null;
+  return `${Number(coords.latitude).toFixed(5)}, ${Number(coords.longitude).toFixed(5)}`;
+}
@@ -0,0 +1,48 @@
+// services/navigation.js
+// Navigation ref for code that runs outside of a screen (session handling,
+// notification taps). Attach it to the root NavigationContainer in App.jsx.
+import { createNavigationContainerRef, CommonActions } from '@react-navigation/native';
+
+export const navigationRef = createNavigationContainerRef();
+
+export function navigate(name, params) {
+  if (navigationRef.isReady()) {
+    navigationRef.navigate(name, params);
+  } else {
+    console.warn('[navigation] Not ready, dropping navigate to', name);
+  }
+}
+
+// Replace the whole stack with a single route (used for logout / session expiry).
+export function resetTo(name, params) {
+  if (!navigationRef.isReady()) {
+    console.warn('[navigation] Not ready, dropping reset to', name);
+    return;
+  }
+  navigationRef.dispatch(
+    CommonActions.reset({
+      index: 0,
+      routes: [{ name, params }],
+    })
+  );
+}
+
+export const LOGIN_ROUTES = {
+  admin: 'AdminLogin',
+  security: 'SecurityLogin',
+  viewer: 'ViewerLogin',
+};
+
+export function loginRouteForRole(role) {
+  return LOGIN_ROUTES[role] || 'Registration';
+}
+
+export const DASHBOARD_ROUTES = {
+  admin: 'AdminDashboard',
+  security: 'SecurityDashboard',
+  viewer: 'ViewerDashboard',
+};
+
+export function dashboardRouteForRole(role) {
+  return DASHBOARD_ROUTES[role] || null;
+}
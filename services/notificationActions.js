@@ -0,0 +1,82 @@
+// services/notificationActions.js
+// Runs the Acknowledge / Mark handled buttons on incident and SOS pushes (see
+// registerNotificationCategories) without opening the UI, then reports the
+// outcome with a local notification. Writes go through the offline queue like
+// the on-screen buttons, so a guard without signal still gets a result.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import { acknowledgeIncident, handleSosAlert } from './api';
+import { NOTIFICATION_ACTIONS, presentLocalNotification } from './notifications';
+
+// The response that launched the app is reported again on every cold start;
+// remember the last one we ran so it is not replayed.
+const LAST_ACTION_KEY = 'lastNotificationAction';
+
+async function alreadyHandled(actionKey) {
+  try {
+    if ((await AsyncStorage.getItem(LAST_ACTION_KEY)) === actionKey) return true;
+    await AsyncStorage.setItem(LAST_ACTION_KEY, actionKey);
+  } catch (err) {
+    console.warn('[notificationActions] Could not record action', err);
+  }
+  return false;
+}
+
+async function acknowledgeFromNotification(incidentId) {
+  const res = await acknowledgeIncident(incidentId);
+  if (!res.success) {
+    await presentLocalNotification('Acknowledge failed', `Incident #${incidentId}: ${res.message}`, { incidentId });
+  } else if (res.queued) {
+    await presentLocalNotification('Acknowledgement queued', `Incident #${incidentId} will be acknowledged when you are back online.`, { incidentId });
+  } else {
+    await presentLocalNotification(
+      '✅ Incident acknowledged',
+      res.data?.sos_cancelled
+        ? `Incident #${incidentId} acknowledged. The pending SOS was cancelled.`
+        : `Incident #${incidentId} acknowledged.`,
+      { incidentId }
+    );
+  }
+}
+
+async function handleSosFromNotification(sosId, note) {
+  const res = await handleSosAlert(sosId, note);
+  if (!res.success) {
+    await presentLocalNotification('Mark handled failed', `SOS #${sosId}: ${res.message}`, { sosId });
+  } else if (res.queued) {
+    await presentLocalNotification('Marked handled (queued)', `SOS #${sosId} will be updated when you are back online.`, { sosId });
+  } else {
+    await presentLocalNotification('✅ SOS handled', note ? `SOS #${sosId}: ${note}` : `SOS #${sosId} marked as handled.`, { sosId });
+  }
+}
+
+/**
+ * Handle a notification response if it is one of our background actions.
+ * Returns true when it was (the caller should not navigate).
+ */
+export async function handleNotificationAction(response) {
+  const action = response?.actionIdentifier;
+  if (action !== NOTIFICATION_ACTIONS.ACKNOWLEDGE && action !== NOTIFICATION_ACTIONS.MARK_HANDLED) return false;
+
+  const request = response.notification.request;
+  const data = request.content.data || {};
+  if (await alreadyHandled(`${request.identifier}:${action}`)) return true;
+
+  if (action === NOTIFICATION_ACTIONS.ACKNOWLEDGE) {
+    const incidentId = data.incidentId ?? data.incident_id;
+    if (incidentId == null) return true;
+    await acknowledgeFromNotification(incidentId);
+  } else {
+    const sosId = data.sosId ?? data.sos_id;
+    if (sosId == null) return true;
+    await handleSosFromNotification(sosId, (response.userText || '').trim());
+  }
+
+  // The original alert is dealt with; take it out of the tray.
+  try {
+    await Notifications.dismissNotificationAsync(request.identifier);
+  } catch (err) {
+    console.warn('[notificationActions] Could not dismiss notification', err);
+  }
+  return true;
+}
@@ -0,0 +1,260 @@
+// services/notificationCenter.js
+// In-app notification list shared by every role, persisted to AsyncStorage.
+// Holds the pushes this device received plus events derived from data the app
+// already syncs: a viewer's report being handled or their SOS changing state
+// (from the incident cache), and SOS status updates from the realtime stream.
+// Entries keep their read state across restarts; screens read them through
+// hooks/useNotificationCenter.js. Like the incident cache it belongs to one
+// login on one site, so it is cleared on logout and swapped on a site switch.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { registerSiteScopedKeys, getSiteGeneration } from './sites';
+import { onBeforeLogout } from './sessionEvents';
+import { loadSession } from './session';
+import { subscribeIncidents } from './incidentStore';
+import { normalizeIncident, normalizeSosAlert, isOwnDuressAlert, INCIDENT_ORIGIN, INCIDENT_STATUS } from './incidentModel';
+
+const STORAGE_KEY = 'notificationCenter';
+const MAX_ENTRIES = 200;
+
+export const NOTIFICATION_KINDS = {
+  PUSH: 'push',
+  REPORT_HANDLED: 'report_handled',
+  ACCESS_GRANTED: 'access_granted',
+  SOS_STATUS: 'sos_status',
+  EVIDENCE_SHARED: 'evidence_shared',
+};
+
+// Pushes name their kind in data.type; anything else is a plain push.
+const PUSH_KINDS = Object.values(NOTIFICATION_KINDS);
+
+// { since, items } — `since` is when this login's list started; derived events
+// older than that are history and arrive already read.
+let state = null;
+let initialized = false;
+const listeners = new Set();
+
+// Each site has its own session and therefore its own list.
+registerSiteScopedKeys([STORAGE_KEY], () => {
+  state = null;
+  listeners.forEach(listener => listener([]));
+});
+
+function emptyState() {
+  return { since: new Date().toISOString(), items: [] };
+}
+
+async function load() {
+  if (state) return state;
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY);
+    const saved = raw ? JSON.parse(raw) : null;
+    state = saved && Array.isArray(saved.items) ? saved : emptyState();
+  } catch (err) {
+    console.warn('[notificationCenter] Failed to load notifications', err);
+    state = emptyState();
+  }
+  return state;
+}
+
+async function changed() {
+  const generation = getSiteGeneration();
+  const items = state.items;
+  listeners.forEach(listener => listener(items));
+  try {
+    // Never write one site's list over another's after a switch.
+    if (generation === getSiteGeneration()) {
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    }
+  } catch (err) {
+    console.warn('[notificationCenter] Failed to persist notifications', err);
+  }
+}
+
+/**
+ * Add an entry unless one with the same id exists. Derived events use an id
+ * built from what they describe, so re-deriving them is a no-op.
+ *
+ * @param {{ id: string, kind: string, title: string, body?: string, data?: object, createdAt?: string, read?: boolean }} entry
+ * @returns {Promise<boolean>} true when the entry was added
+ */
+export async function addNotification({ id, kind = NOTIFICATION_KINDS.PUSH, title, body = '', data = {}, createdAt, read }) {
+  if (!id || !title) return false;
+  const current = await load();
+  if (current.items.some(item => item.id === id)) return false;
+  const at = createdAt || new Date().toISOString();
+  const entry = {
+    id,
+    kind,
+    title,
+    body,
+    data,
+    createdAt: at,
+    read: read ?? new Date(at) < new Date(current.since),
+  };
+  current.items = [entry, ...current.items]
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, MAX_ENTRIES);
+  await changed();
+  return true;
+}
+
+/**
+ * Record a push delivered by expo-notifications: pushes received in the
+ * foreground (unread) and ones opened from the tray (`read: true`, since the
+ * user has just tapped them).
+ */
+export async function recordPushNotification(notification, { read = false } = {}) {
+  const request = notification?.request;
+  if (!request) return false;
+  const content = request.content || {};
+  const data = content.data || {};
+  const id = `push:${request.identifier}`;
+  const added = await addNotification({
+    id,
+    kind: PUSH_KINDS.includes(data.type) ? data.type : NOTIFICATION_KINDS.PUSH,
+    title: content.title || 'Notification',
+    body: content.body || '',
+    data,
+    createdAt: notification.date ? new Date(notification.date).toISOString() : undefined,
+    read,
+  });
+  if (!added && read) await markRead(id);
+  return added;
+}
+
+/**
+ * Record an SOS status update from the realtime stream (services/realtime.js).
+ * The user's own duress SOS is skipped, like everywhere else on their phone.
+ */
+export async function recordSosUpdate(alert) {
+  if (!alert || alert.id == null || !alert.alert_status) return false;
+  if (isOwnDuressAlert(normalizeSosAlert(alert), await currentUsername())) return false;
+  const handled = alert.alert_status === 'handled';
+  return addNotification({
+    id: `sos_status:${alert.id}:${alert.alert_status}`,
+    kind: NOTIFICATION_KINDS.SOS_STATUS,
+    title: handled ? `SOS #${alert.id} handled` : `SOS #${alert.id} is ${alert.alert_status}`,
+    body: alert.resolution_note || alert.alert_message || '',
+    data: { sosId: alert.id },
+    createdAt: (handled && alert.handled_at) || alert.updated_at || undefined,
+  });
+}
+
+async function currentUsername() {
+  return (await loadSession())?.user?.username || null;
+}
+
+// Reports and SOS alerts the signed-in user raised that security has
+// acknowledged; never a duress SOS (see isOwnDuressAlert).
+async function deriveFromIncidents(items) {
+  if (!items.length) return;
+  const username = await currentUsername();
+  if (!username) return;
+  for (const raw of items) {
+    const incident = normalizeIncident(raw);
+    if (incident.reporter?.username !== username || !incident.acknowledged || raw.duress) continue;
+    const at = incident.acknowledged_at || incident.updated_at || undefined;
+    if (incident.origin === INCIDENT_ORIGIN.VIEWER) {
+      await addNotification({
+        id: `report_handled:${incident.id}`,
+        kind: NOTIFICATION_KINDS.REPORT_HANDLED,
+        title: '✓ Report Handled',
+        body: `Your reported incident #${incident.id} (${incident.typeLabel}) has been handled by security.`,
+        data: { incidentId: incident.id },
+        createdAt: at,
+      });
+    } else if (incident.origin === INCIDENT_ORIGIN.SOS) {
+      await addNotification({
+        id: `sos_status:incident:${incident.id}:${INCIDENT_STATUS.ACKNOWLEDGED}`,
+        kind: NOTIFICATION_KINDS.SOS_STATUS,
+        title: 'Your SOS was acknowledged',
+        body: 'Security has acknowledged your SOS and is responding.',
+        data: { incidentId: incident.id },
+        createdAt: at,
+      });
+    }
+  }
+}
+
+export async function getNotifications() {
+  return (await load()).items;
+}
+
+export function getUnreadCount(items = state?.items || []) {
+  return items.filter(item => !item.read).length;
+}
+
+export async function markRead(id) {
+  const current = await load();
+  if (!current.items.some(item => item.id === id && !item.read)) return;
+  current.items = current.items.map(item => (item.id === id ? { ...item, read: true } : item));
+  await changed();
+}
+
+export async function markAllRead() {
+  const current = await load();
+  if (!current.items.some(item => !item.read)) return;
+  current.items = current.items.map(item => (item.read ? item : { ...item, read: true }));
+  await changed();
+}
+
+export async function clearNotifications() {
+  state = emptyState();
+  listeners.forEach(listener => listener([]));
+  try {
+    await AsyncStorage.removeItem(STORAGE_KEY);
+  } catch (err) {
+    console.warn('[notificationCenter] Failed to clear notifications', err);
+  }
+}
+
+export function subscribeNotifications(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function dayKey(date) {
+  return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+/**
+ * Group entries (newest first) into SectionList sections by local day:
+ * "Today", "Yesterday", then the date.
+ *
+ * @returns {Array<{ key: string, title: string, data: Array }>}
+ */
+export function groupByDay(items, now = new Date()) {
+  const today = dayKey(now);
+  const yesterday = dayKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1));
+  const sections = [];
+  items.forEach(item => {
+    const date = new Date(item.createdAt);
+    const key = dayKey(date);
+    let section = sections[sections.length - 1];
+    if (!section || section.key !== key) {
+      const title = key === today
+        ? 'Today'
+        : key === yesterday
+          ? 'Yesterday'
+          : date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+      section = { key, title, data: [] };
+      sections.push(section);
+    }
+    section.data.push(item);
+  });
+  return sections;
+}
+
+/**
+ * Start deriving entries from the incident cache and clear the list on
+ * logout. Call once from App.
+ */
+export function initNotificationCenter() {
+  if (initialized) return;
+  initialized = true;
+  onBeforeLogout(() => clearNotifications());
+  subscribeIncidents(items => {
+    deriveFromIncidents(items).catch(err => console.warn('[notificationCenter] Failed to derive notifications', err));
+  });
+  load();
+}
@@ -0,0 +1,209 @@
+// services/notificationPreferences.js
+// What each user wants to be alerted about: a minimum severity, the incident
+// types and cameras they follow, and quiet hours during which only critical
+// incidents and SOS alerts (optionally) get through. The backend filters its
+// pushes with the copy synced here; foregroundPresentation() in
+// services/notifications.js applies the same rules on the device, so a push
+// the server sent before a change, or a local notification, follows them too.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getNotificationPreferences, updateNotificationPreferences, getAccessToken } from './api';
+import { onLogin, onBeforeLogout } from './sessionEvents';
+import { registerSiteScopedKeys } from './sites';
+import { severityRankOf, SEVERITY_RANK } from './incidentModel';
+
+const STORAGE_KEY = 'notificationPreferences';
+
+export const DEFAULT_PREFERENCES = {
+  minSeverity: 'low',
+  incidentTypes: [], // empty: every type
+  cameraIds: [], // empty: every camera
+  quietHours: {
+    enabled: false,
+    start: '22:00',
+    end: '07:00',
+    allowCritical: true, // critical incidents and SOS alerts break through
+  },
+};
+
+// What to do with an incoming notification.
+export const DELIVERY = {
+  SHOW: 'show',
+  SILENT: 'silent', // quiet hours: keep it in the notification center only
+  DROP: 'drop', // filtered out
+};
+
+let preferences = DEFAULT_PREFERENCES;
+let loaded = false;
+let initialized = false;
+const listeners = new Set();
+
+function setPreferences(next) {
+  preferences = next;
+  listeners.forEach(listener => listener(preferences));
+}
+
+// Fill in anything missing (older saves, partial server replies).
+function withDefaults(prefs = {}) {
+  return {
+    ...DEFAULT_PREFERENCES,
+    ...prefs,
+    quietHours: { ...DEFAULT_PREFERENCES.quietHours, ...(prefs.quietHours || {}) },
+  };
+}
+
+// Keys the server left out keep their defaults.
+function defined(values) {
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined && value !== null));
+}
+
+function fromServer(data = {}) {
+  const quiet = data.quiet_hours || {};
+  return withDefaults(defined({
+    minSeverity: data.min_severity,
+    incidentTypes: Array.isArray(data.incident_types) ? data.incident_types : undefined,
+    cameraIds: Array.isArray(data.camera_ids) ? data.camera_ids : undefined,
+    quietHours: defined({
+      enabled: quiet.enabled,
+      start: quiet.start,
+      end: quiet.end,
+      allowCritical: quiet.allow_critical,
+    }),
+  }));
+}
+
+function toServer(prefs) {
+  return {
+    min_severity: prefs.minSeverity,
+    incident_types: prefs.incidentTypes,
+    camera_ids: prefs.cameraIds,
+    quiet_hours: {
+      enabled: prefs.quietHours.enabled,
+      start: prefs.quietHours.start,
+      end: prefs.quietHours.end,
+      allow_critical: prefs.quietHours.allowCritical,
+    },
+  };
+}
+
+export function getPreferences() {
+  return preferences;
+}
+
+export function subscribePreferences(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export async function loadPreferences() {
+  if (loaded) return preferences;
+  loaded = true;
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY);
+    if (raw) setPreferences(withDefaults(JSON.parse(raw)));
+  } catch (err) {
+    console.warn('[notificationPreferences] Failed to load preferences', err);
+  }
+  return preferences;
+}
+
+/**
+ * Save preferences locally and on the backend. Local enforcement applies at
+ * once; the backend copy is queued when offline.
+ *
+ * @returns {Promise<{success: boolean, queued?: boolean, message?: string}>}
+ */
+export async function savePreferences(next) {
+  const prefs = withDefaults(next);
+  setPreferences(prefs);
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(prefs));
+  } catch (err) {
+    console.warn('[notificationPreferences] Failed to persist preferences', err);
+  }
+  return updateNotificationPreferences(toServer(prefs));
+}
+
+// The server's copy wins after login, so preferences follow the user across devices.
+async function syncFromServer() {
+  if (!(await getAccessToken())) return;
+  const res = await getNotificationPreferences();
+  if (!res.success || !res.data) return;
+  const prefs = fromServer(res.data);
+  setPreferences(prefs);
+  await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(prefs)).catch(() => {});
+}
+
+async function reset() {
+  setPreferences(DEFAULT_PREFERENCES);
+  try {
+    await AsyncStorage.removeItem(STORAGE_KEY);
+  } catch (err) {
+    console.warn('[notificationPreferences] Failed to clear preferences', err);
+  }
+}
+
+function minutesOf(hhmm) {
+  const [h, m] = String(hhmm || '').split(':').map(Number);
+  return Number.isFinite(h) && Number.isFinite(m) ? h * 60 + m : null;
+}
+
+/**
+ * Whether `now` falls in the quiet window. Windows may cross midnight
+ * (22:00–07:00).
+ */
+export function isQuietTime(prefs = preferences, now = new Date()) {
+  const { enabled, start, end } = prefs.quietHours;
+  const from = minutesOf(start);
+  const to = minutesOf(end);
+  if (!enabled || from == null || to == null || from === to) return false;
+  const minute = now.getHours() * 60 + now.getMinutes();
+  return from < to ? minute >= from && minute < to : minute >= from || minute < to;
+}
+
+/**
+ * Decide how to deliver a notification with this data payload. SOS alerts
+ * are never filtered out; during quiet hours only critical incidents and SOS
+ * are shown, and only while `allowCritical` is on.
+ *
+ * @param {object} data  Push data (severity, incident_type, camera_id, ...)
+ * @param {{ sos?: boolean, now?: Date }} [options]
+ * @returns {string} a DELIVERY value
+ */
+export function deliveryFor(data = {}, { sos = false, now = new Date() } = {}) {
+  const prefs = preferences;
+  const rank = severityRankOf(data.severity);
+  if (!sos) {
+    if (rank && rank < (SEVERITY_RANK[prefs.minSeverity] || 0)) return DELIVERY.DROP;
+    const type = data.incident_type ?? data.incidentType;
+    if (type && prefs.incidentTypes.length && !prefs.incidentTypes.includes(type)) return DELIVERY.DROP;
+    const cameraId = data.camera_id ?? data.cameraId;
+    if (cameraId != null && prefs.cameraIds.length && !prefs.cameraIds.map(String).includes(String(cameraId))) {
+      return DELIVERY.DROP;
+    }
+  }
+  if (isQuietTime(prefs, now)) {
+    const urgent = sos || rank >= SEVERITY_RANK.critical;
+    if (!(urgent && prefs.quietHours.allowCritical)) return DELIVERY.SILENT;
+  }
+  return DELIVERY.SHOW;
+}
+
+/**
+ * Load the saved preferences and keep them in step with the session. Call
+ * once from App.
+ */
+export function initNotificationPreferences() {
+  if (initialized) return;
+  initialized = true;
+  onLogin(() => {
+    syncFromServer().catch(err => console.warn('[notificationPreferences] Sync failed', err));
+  });
+  onBeforeLogout(() => reset());
+  // Each site has its own account.
+  registerSiteScopedKeys([STORAGE_KEY], () => {
+    loaded = false;
+    setPreferences(DEFAULT_PREFERENCES);
+    loadPreferences();
+  });
+  loadPreferences().then(() => syncFromServer()).catch(() => {});
+}
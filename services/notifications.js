@@ -2,7 +2,7 @@
 import * as Notifications from 'expo-notifications';
 import Constants from 'expo-constants';
 import { Platform } from 'react-native';
-import { CommonActions } from '@react-navigation/native'; // For deep linking
+import { deliveryFor, DELIVERY } from './notificationPreferences';
 
 // This function should be called once, e.g., in App.jsx useEffect
 export async function registerForPushNotificationsAsync() {
@@ -29,6 +29,10 @@ export async function registerForPushNotificationsAsync() {
     }
   }
   
+  // Channels must exist before the first notification arrives (and before the
+  // Android 13 permission prompt), so create them even without a push token.
+  await registerNotificationChannels();
+
   // If running inside Expo Go, remote push notifications are not supported
   // (removed since SDK 53). Avoid trying to register for an Expo push token
   // when running in Expo Go; instead instruct the developer to use a
@@ -59,47 +63,194 @@ export async function registerForPushNotificationsAsync() {
     console.warn('Push notifications require a physical device for native apps');
   }
 
-  if (Platform.OS === 'android') {
-    Notifications.setNotificationChannelAsync('default', {
-      name: 'default',
-      importance: Notifications.AndroidImportance.MAX,
-      vibrationPattern: [0, 250, 250, 250],
-      lightColor: '#FF231F7C',
-    });
+  return token;
+}
+
+// Notification taps are routed by the linking config (services/deepLinks.js);
+// action buttons by services/notificationActions.js.
+
+// Push payloads set `categoryId` to one of these so the OS shows the buttons.
+export const NOTIFICATION_CATEGORIES = {
+  INCIDENT: 'incident',
+  SOS: 'sos',
+};
+
+export const NOTIFICATION_ACTIONS = {
+  ACKNOWLEDGE: 'acknowledge',
+  VIEW: 'view',
+  MARK_HANDLED: 'mark_handled',
+};
+
+// Register the action buttons. Acknowledge and Mark handled run in the
+// background without opening the app; View opens it on the record.
+export async function registerNotificationCategories() {
+  if (Platform.OS === 'web') return;
+  const view = {
+    identifier: NOTIFICATION_ACTIONS.VIEW,
+    buttonTitle: 'View',
+    options: { opensAppToForeground: true },
+  };
+  try {
+    await Notifications.setNotificationCategoryAsync(NOTIFICATION_CATEGORIES.INCIDENT, [
+      {
+        identifier: NOTIFICATION_ACTIONS.ACKNOWLEDGE,
+        buttonTitle: 'Acknowledge',
+        options: { opensAppToForeground: false },
+      },
+      view,
+    ]);
+    await Notifications.setNotificationCategoryAsync(NOTIFICATION_CATEGORIES.SOS, [
+      {
+        identifier: NOTIFICATION_ACTIONS.MARK_HANDLED,
+        buttonTitle: 'Mark handled',
+        textInput: { submitButtonTitle: 'Mark handled', placeholder: 'Resolution note (optional)' },
+        options: { opensAppToForeground: false },
+      },
+      view,
+    ]);
+  } catch (err) {
+    console.warn('Failed to register notification categories', err);
   }
+}
 
-  return token;
+// Android channels, one per alert profile. The backend sets `channelId` on
+// each push to channelForPayload()'s result for its data; pushes without one
+// land on 'default'. Custom sounds need files listed under the
+// expo-notifications plugin's `sounds` in app.json; until then the louder
+// profiles use the system sound and the quieter ones none.
+export const NOTIFICATION_CHANNELS = {
+  SOS: 'sos',
+  CRITICAL: 'critical',
+  HIGH: 'high',
+  STANDARD: 'standard',
+  DEFAULT: 'default',
+};
+
+const CHANNEL_CONFIG = {
+  [NOTIFICATION_CHANNELS.SOS]: {
+    name: 'SOS alerts',
+    importance: Notifications.AndroidImportance.MAX,
+    vibrationPattern: [0, 1000, 500, 1000, 500, 1000],
+    sound: 'default',
+    bypassDnd: true,
+    lightColor: '#DC2626',
+  },
+  [NOTIFICATION_CHANNELS.CRITICAL]: {
+    name: 'Critical incidents',
+    importance: Notifications.AndroidImportance.MAX,
+    vibrationPattern: [0, 500, 250, 500, 250, 500],
+    sound: 'default',
+    lightColor: '#EF4444',
+  },
+  [NOTIFICATION_CHANNELS.HIGH]: {
+    name: 'High severity incidents',
+    importance: Notifications.AndroidImportance.HIGH,
+    vibrationPattern: [0, 400, 200, 400],
+    sound: 'default',
+    lightColor: '#F59E0B',
+  },
+  [NOTIFICATION_CHANNELS.STANDARD]: {
+    name: 'Medium and low severity incidents',
+    importance: Notifications.AndroidImportance.DEFAULT,
+    vibrationPattern: [0, 200],
+    sound: null,
+    lightColor: '#3B82F6',
+  },
+  [NOTIFICATION_CHANNELS.DEFAULT]: {
+    name: 'default',
+    importance: Notifications.AndroidImportance.MAX,
+    vibrationPattern: [0, 250, 250, 250],
+    lightColor: '#FF231F7C',
+  },
+};
+
+export async function registerNotificationChannels() {
+  if (Platform.OS !== 'android') return;
+  await Promise.all(Object.entries(CHANNEL_CONFIG).map(([id, config]) =>
+    Notifications.setNotificationChannelAsync(id, {
+      lockscreenVisibility: Notifications.AndroidNotificationVisibility.PUBLIC,
+      ...config,
+    }).catch(err => console.warn('Failed to create notification channel', id, err))
+  ));
+}
+
+export function isSosPayload(data = {}, categoryIdentifier = null) {
+  return categoryIdentifier === NOTIFICATION_CATEGORIES.SOS
+    || data.sosId != null
+    || data.sos_id != null
+    || data.type === 'sos'
+    || data.category === 'sos';
+}
+
+// Channel for a notification's data payload: SOS first, then by severity.
+export function channelForPayload(data = {}, categoryIdentifier = null) {
+  if (isSosPayload(data, categoryIdentifier)) return NOTIFICATION_CHANNELS.SOS;
+  switch (String(data.severity || '').toLowerCase()) {
+    case 'critical':
+      return NOTIFICATION_CHANNELS.CRITICAL;
+    case 'high':
+      return NOTIFICATION_CHANNELS.HIGH;
+    case 'medium':
+    case 'low':
+      return NOTIFICATION_CHANNELS.STANDARD;
+    default:
+      return NOTIFICATION_CHANNELS.DEFAULT;
+  }
 }
 
-// This function handles notification responses (when user taps on a notification)
-export function handleNotification(response) {
-  const { notification } = response;
-  const { data } = notification.request.content;
-
-  console.log('Notification tapped:', data);
-
-  // Example deep linking logic
-  if (data && data.incidentId) {
-    // Assuming your navigation ref is accessible or you pass it
-    // For simplicity, we'll use a global navigation object if available,
-    // or you'd typically pass `navigation` from the root component.
-    // For this example, we'll assume `navigation` is passed or available.
-    // In a real app, you'd use a NavigationContainer ref:
-    // import { navigationRef } from '../App'; // if you export it
-    // navigationRef.current?.dispatch(...)
-
-    // For this example, we'll simulate navigation.
-    // In a real app, you'd need to ensure the navigation object is available
-    // or use a global navigation service.
-    // For now, this will just log the intended navigation.
-    console.log(`Navigating to IncidentDetail with incidentId: ${data.incidentId}`);
-    // If you have a navigation ref, you would do:
-    // navigationRef.current?.dispatch(
-    //   CommonActions.navigate({
-    //     name: 'IncidentDetail',
-    //     params: { incident: { id: data.incidentId, ...data } }, // Pass incident data
-    //   })
-    // );
+// The user's preferences applied to a received notification: a DELIVERY value.
+export function deliveryForNotification(notification) {
+  const { data, categoryIdentifier } = notification.request.content;
+  return deliveryFor(data || {}, { sos: isSosPayload(data || {}, categoryIdentifier) });
+}
+
+/**
+ * How to present a notification that arrives while the app is open (the
+ * result for Notifications.setNotificationHandler). The user's notification
+ * preferences decide first: filtered-out notifications are not shown, and
+ * during quiet hours they arrive without a banner. Otherwise everything is
+ * shown silently except SOS, which always plays its sound.
+ */
+export function foregroundPresentation(notification) {
+  const { data, categoryIdentifier } = notification.request.content;
+  const sos = isSosPayload(data || {}, categoryIdentifier);
+  if (deliveryForNotification(notification) !== DELIVERY.SHOW) {
+    return {
+      shouldShowAlert: false,
+      shouldShowBanner: false,
+      shouldShowList: false,
+      shouldPlaySound: false,
+      shouldSetBadge: false,
+    };
+  }
+  return {
+    shouldShowAlert: true,
+    shouldPlaySound: sos,
+    shouldSetBadge: false,
+    priority: sos ? Notifications.AndroidNotificationPriority.MAX : Notifications.AndroidNotificationPriority.DEFAULT,
+  };
+}
+
+/**
+ * Show a notification from the app itself (e.g. the result of an action, or an
+ * alert from services/localAlerts.js when remote push is unavailable).
+ *
+ * @param {{ identifier?: string, categoryIdentifier?: string|null, onClick?: Function }} [options]
+ *   `categoryIdentifier` adds the action buttons; `onClick` handles a click on web.
+ */
+export async function presentLocalNotification(title, body, data = {}, { identifier, categoryIdentifier, onClick } = {}) {
+  if (Platform.OS === 'web') {
+    showWebNotification(title, { body, data, tag: identifier, onClick });
+    return;
+  }
+  try {
+    await Notifications.scheduleNotificationAsync({
+      identifier,
+      content: { title, body, data, ...(categoryIdentifier ? { categoryIdentifier } : {}) },
+      trigger: Platform.OS === 'android' ? { channelId: channelForPayload(data, categoryIdentifier) } : null,
+    });
+  } catch (err) {
+    console.warn('Failed to show local notification', err);
   }
 }
 
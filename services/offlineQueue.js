@@ -0,0 +1,177 @@
+// services/offlineQueue.js
+// AsyncStorage-backed FIFO of write requests that failed because the device
+// was offline. services/api.js enqueues them and replays them in order once a
+// request succeeds again. Each entry carries an idempotency key that is sent
+// as the Idempotency-Key header on every attempt, so a replay of a request the
+// server already applied is a no-op.
+//
+// Entries belong to the user who made them: only that user's entries are
+// listed and replayed, so after a logout or an account switch they wait,
+// untouched, until the same user signs in again on this site rather than go
+// out with someone else's token.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { registerSiteScopedKeys } from './sites';
+import { loadSession, subscribeSession } from './session';
+
+const STORAGE_KEY = 'offlineMutationQueue';
+
+let entries = null; // in-memory copy, loaded lazily
+let lock = Promise.resolve();
+const listeners = new Set();
+
+function ownerOf(session) {
+  return session?.user?.username || session?.user?.email || null;
+}
+
+async function currentOwner() {
+  return ownerOf(await loadSession());
+}
+
+// The signed-in user's entries, in queue order.
+async function ownEntries() {
+  const [current, owner] = await Promise.all([load(), currentOwner()]);
+  return owner ? current.filter(e => e.owner === owner) : [];
+}
+
+function notify() {
+  ownEntries().then(next => listeners.forEach(listener => listener(next)));
+}
+
+// Each site has its own queue; reload (and re-badge) after a switch.
+registerSiteScopedKeys([STORAGE_KEY], () => {
+  entries = null;
+  notify();
+});
+
+// A login, logout or account switch changes whose entries are pending.
+let lastOwner;
+subscribeSession(session => {
+  const owner = ownerOf(session);
+  if (owner === lastOwner) return;
+  lastOwner = owner;
+  notify();
+});
+
+// Serialise all reads/writes of the queue.
+function withLock(fn) {
+  const run = lock.then(fn, fn);
+  lock = run.catch(() => {});
+  return run;
+}
+
+async function load() {
+  if (entries) return entries;
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY);
+    const stored = raw ? JSON.parse(raw) : [];
+    // Entries from before they recorded their user could go out as anyone.
+    entries = stored.filter(e => e.owner);
+    if (entries.length < stored.length) console.warn('[offlineQueue] Dropped', stored.length - entries.length, 'entries with no user');
+  } catch (err) {
+    console.warn('[offlineQueue] Failed to load queue', err);
+    entries = [];
+  }
+  return entries;
+}
+
+async function save(next) {
+  entries = next;
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  } catch (err) {
+    console.warn('[offlineQueue] Failed to persist queue', err);
+  }
+  notify();
+}
+
+export function createIdempotencyKey() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Add a request to the end of the queue, for the signed-in user.
+ *
+ * @param {{ id: string, method: string, path: string, json?: any, meta?: object }} entry
+ *   `id` doubles as the idempotency key; `meta` describes the affected record
+ *   (e.g. { kind: 'acknowledge', incidentId }) so screens can badge it;
+ *   `meta.silent` keeps the entry out of those badges.
+ */
+export function enqueueMutation(entry) {
+  return withLock(async () => {
+    const current = await load();
+    if (current.some(e => e.id === entry.id)) return;
+    const owner = await currentOwner();
+    if (!owner) throw new Error('Cannot queue a request with nobody signed in');
+    console.log('[offlineQueue] Queued', entry.method, entry.path);
+    await save([...current, { ...entry, owner, queuedAt: new Date().toISOString(), attempts: 0 }]);
+  });
+}
+
+// The signed-in user's queued requests.
+export async function getPendingMutations() {
+  return ownEntries();
+}
+
+export function subscribePendingMutations(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+let flushing = null;
+
+/**
+ * Replay the signed-in user's queued requests in order with `send(entry)`.
+ *
+ * Stops at the first network failure (still offline), auth failure, site
+ * switch or change of user, leaving that entry and everything after it
+ * queued. Any other error means the server rejected the request; it is
+ * dropped so it cannot block the queue.
+ *
+ * `outcomes` maps the id of each entry this run settled to `{ result }` (what
+ * `send` resolved to) or `{ error }`.
+ *
+ * @param {(entry: object) => Promise<any>} send
+ * @returns {Promise<{ sent: number, dropped: number, remaining: number, outcomes: Map }>}
+ */
+export function flushMutations(send) {
+  if (flushing) return flushing;
+  flushing = (async () => {
+    let sent = 0;
+    let dropped = 0;
+    const outcomes = new Map();
+    const owner = await currentOwner();
+    for (;;) {
+      if (!owner || (await currentOwner()) !== owner) break;
+      const head = (await load()).find(e => e.owner === owner);
+      if (!head) break;
+      try {
+        outcomes.set(head.id, { result: await send(head) });
+        sent++;
+      } catch (error) {
+        if (error.code === 'SITE_CHANGED') break;
+        if (error.isNetworkError || error.status === 401) {
+          await withLock(async () => {
+            const current = await load();
+            await save(current.map(e => (e.id === head.id ? { ...e, attempts: e.attempts + 1 } : e)));
+          });
+          break;
+        }
+        outcomes.set(head.id, { error });
+        if (error.status !== 409) {
+          console.warn('[offlineQueue] Dropping rejected request', head.method, head.path, error.message);
+          dropped++;
+        }
+      }
+      await withLock(async () => {
+        const current = await load();
+        await save(current.filter(e => e.id !== head.id));
+      });
+    }
+    const remaining = (await ownEntries()).length;
+    if (sent || dropped) console.log(`[offlineQueue] Replayed ${sent}, dropped ${dropped}, ${remaining} remaining`);
+    return { sent, dropped, remaining, outcomes };
+  })().finally(() => {
+    flushing = null;
+  });
+  return flushing;
+}
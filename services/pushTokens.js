@@ -0,0 +1,156 @@
+// services/pushTokens.js
+// Keeps the backend's push-token registration in step with the session: the
+// Expo push token is registered after every login, re-registered when Expo
+// rotates it, and unregistered on logout and before an account switch (via the
+// session hooks in services/sessionEvents.js), so a handed-over phone stops
+// getting the previous user's alerts. Registrations are per site, like logins.
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import { registerPushToken, unregisterPushToken, getAccessToken } from './api';
+import { registerForPushNotificationsAsync } from './notifications';
+import { onLogin, onBeforeLogout } from './sessionEvents';
+import { registerSiteScopedKeys } from './sites';
+import { loadSession } from './session';
+
+const TOKEN_KEY = 'expoPushToken';
+// { token, username, registeredAt } for the current site's session
+const REGISTRATION_KEY = 'pushRegistration';
+
+export const PUSH_STATUS = {
+  UNAVAILABLE: 'unavailable', // no token on this device (web, Expo Go, permission denied)
+  UNREGISTERED: 'unregistered', // token but no session
+  REGISTERING: 'registering',
+  REGISTERED: 'registered',
+  FAILED: 'failed',
+};
+
+let state = { status: PUSH_STATUS.UNAVAILABLE, token: null, username: null, registeredAt: null, error: null };
+let initialized = false;
+const listeners = new Set();
+
+function setState(changes) {
+  state = { ...state, ...changes };
+  listeners.forEach(listener => listener(state));
+}
+
+export function getPushState() {
+  return state;
+}
+
+export function subscribePushState(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+async function readRegistration() {
+  try {
+    const raw = await AsyncStorage.getItem(REGISTRATION_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+async function currentUsername() {
+  return (await loadSession())?.user?.username || null;
+}
+
+/**
+ * Register the device token for the signed-in user unless it already is.
+ * `force` re-sends it anyway (the Retry button in the profile screens).
+ */
+export async function ensurePushRegistration({ force = false } = {}) {
+  const { token } = state;
+  if (!token) {
+    setState({ status: PUSH_STATUS.UNAVAILABLE });
+    return state;
+  }
+  if (!(await getAccessToken())) {
+    setState({ status: PUSH_STATUS.UNREGISTERED, username: null, registeredAt: null, error: null });
+    return state;
+  }
+
+  const username = await currentUsername();
+  const saved = await readRegistration();
+  if (!force && saved && saved.token === token && saved.username === username) {
+    setState({ status: PUSH_STATUS.REGISTERED, username, registeredAt: saved.registeredAt, error: null });
+    return state;
+  }
+
+  setState({ status: PUSH_STATUS.REGISTERING, error: null });
+  const res = await registerPushToken(token);
+  if (!res.success) {
+    console.warn('[pushTokens] Registration failed:', res.message);
+    setState({ status: PUSH_STATUS.FAILED, error: res.message });
+    return state;
+  }
+  const registration = { token, username, registeredAt: new Date().toISOString() };
+  await AsyncStorage.setItem(REGISTRATION_KEY, JSON.stringify(registration));
+  console.log('[pushTokens] Registered push token for', username);
+  setState({ status: PUSH_STATUS.REGISTERED, username, registeredAt: registration.registeredAt, error: null });
+  return state;
+}
+
+// Runs while the outgoing session's credentials are still stored.
+async function removeRegistration() {
+  const saved = await readRegistration();
+  if (saved && saved.token) {
+    const res = await unregisterPushToken(saved.token);
+    if (!res.success) console.warn('[pushTokens] Unregister failed:', res.message);
+  }
+  await AsyncStorage.removeItem(REGISTRATION_KEY);
+  setState({ status: state.token ? PUSH_STATUS.UNREGISTERED : PUSH_STATUS.UNAVAILABLE, username: null, registeredAt: null, error: null });
+}
+
+async function handleRotation(token) {
+  if (!token || token === state.token) return;
+  console.log('[pushTokens] Push token rotated');
+  const saved = await readRegistration();
+  await AsyncStorage.setItem(TOKEN_KEY, token);
+  setState({ token });
+  if (saved && saved.token && saved.token !== token && (await getAccessToken())) {
+    unregisterPushToken(saved.token).catch(() => {});
+  }
+  await ensurePushRegistration();
+}
+
+/**
+ * Obtain the device token and start tracking the session. Call once from App.
+ * Resolves to the Expo push token, or null when there is none.
+ */
+export async function initPushTokens() {
+  if (initialized) return state.token;
+  initialized = true;
+
+  onLogin(() => ensurePushRegistration());
+  onBeforeLogout(() => removeRegistration());
+  // Each site has its own backend and session.
+  registerSiteScopedKeys([REGISTRATION_KEY], () => {
+    ensurePushRegistration();
+  });
+
+  let token = null;
+  try {
+    token = await registerForPushNotificationsAsync();
+  } catch (err) {
+    console.warn('[pushTokens] Could not get push token', err);
+  }
+  // Web tokens are placeholders; the backend cannot push to them.
+  if (token && Platform.OS !== 'web') {
+    await AsyncStorage.setItem(TOKEN_KEY, token);
+    setState({ token });
+    // Expo reports the new native token; fetch the matching Expo token.
+    Notifications.addPushTokenListener(async () => {
+      try {
+        const { data } = await Notifications.getExpoPushTokenAsync();
+        await handleRotation(data);
+      } catch (err) {
+        console.warn('[pushTokens] Could not refresh push token', err);
+      }
+    });
+  }
+
+  await ensurePushRegistration();
+  return state.token;
+}
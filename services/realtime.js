@@ -0,0 +1,284 @@
+// services/realtime.js
+// Live incident and SOS events from the backend, so screens no longer have to
+// poll on a fixed interval.
+//
+// One shared connection is opened while at least one screen is subscribed.
+// WebSocket is tried first (/api/v1/events/ws); after repeated failures the
+// client falls back to Server-Sent Events (/api/v1/events/stream) where
+// EventSource exists (web), and back again. Every event carries an id; the
+// last one seen is sent on reconnect (last_event_id) so the server can replay
+// what was missed. Screens keep a polling fallback for when the stream is down
+// (see hooks/useRealtime.js).
+//
+// The access token never goes into the URL, which proxies and servers log: the
+// native WebSocket sends it as an Authorization header. Browsers cannot, so
+// there the URL carries a short-lived stream ticket instead (the token itself
+// only if the backend cannot issue one).
+import { AppState, Platform } from 'react-native';
+import { resolveBaseUrl, getAccessToken, refreshAccessToken, createStreamTicket } from './api';
+import { registerSiteScopedKeys } from './sites';
+import { upsertIncident } from './incidentStore';
+import { recordSosUpdate } from './notificationCenter';
+
+export const REALTIME_EVENTS = {
+  INCIDENT_CREATED: 'incident.created',
+  INCIDENT_UPDATED: 'incident.updated',
+  SOS_CREATED: 'sos.created',
+  SOS_UPDATED: 'sos.updated',
+  // Sent by the server when it cannot replay from last_event_id; every
+  // subscriber receives it and should refetch.
+  RESYNC: 'resync',
+};
+
+const WS_PATH = '/api/v1/events/ws';
+const SSE_PATH = '/api/v1/events/stream';
+
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+const HEARTBEAT_TIMEOUT_MS = 45000; // server pings every 20s
+const FAILURES_BEFORE_SWITCH = 2;
+// Close codes the backend uses for a rejected token.
+const AUTH_CLOSE_CODES = [1008, 4401, 4403];
+
+const subscribers = new Set();
+const statusListeners = new Set();
+
+let status = 'closed'; // 'connecting' | 'open' | 'closed'
+let transport = 'ws';
+let connection = null; // { close() }
+let lastEventId = null;
+let failures = 0; // consecutive failures on the current transport
+let attempt = 0; // consecutive reconnects, drives the backoff
+let reconnectTimer = null;
+let heartbeatTimer = null;
+let appStateSub = null;
+let connectSeq = 0;
+let triedRefresh = false;
+
+function setStatus(next) {
+  if (status === next) return;
+  status = next;
+  console.log('[realtime] Status:', next, next === 'open' ? `(${transport})` : '');
+  statusListeners.forEach(listener => listener(next));
+}
+
+export function getRealtimeStatus() {
+  return status;
+}
+
+export function subscribeRealtimeStatus(listener) {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+}
+
+function dispatch(event) {
+  if (!event || !event.type) return;
+  if (event.id != null) lastEventId = String(event.id);
+  if (event.type === 'ping') return;
+  // Keep the incident cache current even before screens refetch.
+  if ((event.type === REALTIME_EVENTS.INCIDENT_CREATED || event.type === REALTIME_EVENTS.INCIDENT_UPDATED) && event.data?.id != null) {
+    upsertIncident(event.data);
+  }
+  if (event.type === REALTIME_EVENTS.SOS_UPDATED && event.data) {
+    recordSosUpdate(event.data);
+  }
+  subscribers.forEach(sub => {
+    if (event.type !== REALTIME_EVENTS.RESYNC && sub.types && !sub.types.includes(event.type)) return;
+    try {
+      sub.handler(event);
+    } catch (err) {
+      console.warn('[realtime] Subscriber error:', err);
+    }
+  });
+}
+
+function parseMessage(raw, fallbackType, fallbackId) {
+  try {
+    const parsed = JSON.parse(raw);
+    if (parsed && parsed.type) return parsed;
+    return { id: fallbackId, type: fallbackType, data: parsed };
+  } catch (e) {
+    console.warn('[realtime] Ignoring malformed message');
+    return null;
+  }
+}
+
+function armHeartbeat() {
+  clearTimeout(heartbeatTimer);
+  heartbeatTimer = setTimeout(() => {
+    console.warn('[realtime] No heartbeat, reconnecting');
+    handleDrop();
+  }, HEARTBEAT_TIMEOUT_MS);
+}
+
+// `auth` is { token } for a header, or { ticket } / { queryToken } for the URL.
+function buildUrl(base, path, auth) {
+  const params = [];
+  if (auth.ticket) params.push(`ticket=${encodeURIComponent(auth.ticket)}`);
+  else if (auth.queryToken) params.push(`token=${encodeURIComponent(auth.queryToken)}`);
+  if (lastEventId) params.push(`last_event_id=${encodeURIComponent(lastEventId)}`);
+  return params.length ? `${base}${path}?${params.join('&')}` : `${base}${path}`;
+}
+
+// How the stream authenticates: a header where the platform's WebSocket can
+// send one, else a ticket (or, failing that, the token) in the URL.
+async function streamAuth(token) {
+  if (Platform.OS !== 'web' && transport === 'ws') return { token };
+  const res = await createStreamTicket();
+  if (res.success && res.data.ticket) return { ticket: res.data.ticket };
+  console.warn('[realtime] No stream ticket, sending the token in the URL:', res.message);
+  return { queryToken: token };
+}
+
+function openWebSocket(base, auth) {
+  const url = buildUrl(base.replace(/^http/i, 'ws'), WS_PATH, auth);
+  const ws = auth.token
+    ? new WebSocket(url, null, { headers: { Authorization: `Bearer ${auth.token}` } })
+    : new WebSocket(url);
+  ws.onopen = handleOpen;
+  ws.onmessage = (e) => {
+    armHeartbeat();
+    dispatch(parseMessage(e.data));
+  };
+  ws.onerror = () => {}; // onclose follows with the details
+  ws.onclose = (e) => {
+    if (AUTH_CLOSE_CODES.includes(e.code)) handleAuthRejected();
+    else handleDrop();
+  };
+  return { close: () => {
+    ws.onclose = null;
+    ws.close();
+  } };
+}
+
+function openEventSource(base, auth) {
+  const source = new EventSource(buildUrl(base, SSE_PATH, auth));
+  const onMessage = (e) => {
+    armHeartbeat();
+    dispatch(parseMessage(e.data, e.type === 'message' ? null : e.type, e.lastEventId || null));
+  };
+  source.onopen = handleOpen;
+  source.onmessage = onMessage;
+  Object.values(REALTIME_EVENTS).concat('ping').forEach(type => source.addEventListener(type, onMessage));
+  // EventSource retries on its own but cannot fetch a new ticket or report the
+  // status code, so take over reconnection.
+  source.onerror = () => handleDrop();
+  return { close: () => source.close() };
+}
+
+function handleOpen() {
+  failures = 0;
+  attempt = 0;
+  triedRefresh = false;
+  armHeartbeat();
+  setStatus('open');
+}
+
+function teardown() {
+  clearTimeout(heartbeatTimer);
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  if (connection) {
+    connection.close();
+    connection = null;
+  }
+}
+
+function handleDrop() {
+  teardown();
+  if (subscribers.size === 0) return;
+  failures++;
+  if (failures >= FAILURES_BEFORE_SWITCH) {
+    const canUseSse = typeof EventSource !== 'undefined';
+    transport = transport === 'ws' && canUseSse ? 'sse' : 'ws';
+    failures = 0;
+  }
+  scheduleReconnect();
+}
+
+async function handleAuthRejected() {
+  teardown();
+  if (triedRefresh) {
+    // Token refresh did not help; the request layer will report the expiry.
+    setStatus('closed');
+    return;
+  }
+  triedRefresh = true;
+  const token = await refreshAccessToken();
+  if (token) connect();
+  else setStatus('closed');
+}
+
+function scheduleReconnect() {
+  setStatus('connecting');
+  attempt++;
+  const backoff = Math.min(RECONNECT_BASE_MS * 2 ** (attempt - 1), RECONNECT_MAX_MS);
+  const delay = backoff / 2 + Math.random() * (backoff / 2);
+  reconnectTimer = setTimeout(connect, delay);
+}
+
+async function connect() {
+  teardown();
+  if (subscribers.size === 0 || AppState.currentState === 'background') return;
+  const seq = ++connectSeq;
+  setStatus('connecting');
+  const [base, token] = await Promise.all([resolveBaseUrl(), getAccessToken()]);
+  if (seq !== connectSeq || subscribers.size === 0) return;
+  if (!token) {
+    // Logged out; a later subscribe() after login reconnects.
+    setStatus('closed');
+    return;
+  }
+  const auth = await streamAuth(token);
+  if (seq !== connectSeq || subscribers.size === 0) return;
+  try {
+    connection = transport === 'sse' ? openEventSource(base, auth) : openWebSocket(base, auth);
+  } catch (err) {
+    console.warn('[realtime] Could not open', transport, err?.message);
+    handleDrop();
+  }
+}
+
+function disconnect() {
+  connectSeq++;
+  teardown();
+  attempt = 0;
+  setStatus('closed');
+}
+
+function onAppStateChange(next) {
+  if (next === 'active') {
+    if (status === 'closed' && subscribers.size > 0) connect();
+  } else if (next === 'background') {
+    // The OS kills idle sockets anyway; reconnect with last_event_id on return.
+    disconnect();
+  }
+}
+
+// A different site means a different backend and event stream.
+registerSiteScopedKeys([], () => {
+  lastEventId = null;
+  if (subscribers.size > 0) connect();
+});
+
+/**
+ * Receive realtime events.
+ *
+ * @param {string[]|null} types  Event types (REALTIME_EVENTS values); null for all
+ * @param {(event: { id: string, type: string, data: any }) => void} handler
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeRealtime(types, handler) {
+  const sub = { types, handler };
+  subscribers.add(sub);
+  if (!appStateSub) appStateSub = AppState.addEventListener('change', onAppStateChange);
+  if (status === 'closed') connect();
+  return () => {
+    subscribers.delete(sub);
+    if (subscribers.size === 0) {
+      disconnect();
+      appStateSub?.remove();
+      appStateSub = null;
+    }
+  };
+}
@@ -0,0 +1,183 @@
+// services/scheduler.js
+// One place for all periodic work, instead of a setInterval per screen.
+//
+// - schedulePoll(): screens register a poll under a key. Polls with the same
+//   key share a single timer. Nothing runs while the app is in the
+//   background, everything runs at once when it returns to the foreground, and
+//   a poll that keeps failing backs off exponentially.
+// - shareInFlight(): identical requests made at the same time share a single
+//   request (services/api.js uses it for GETs, so two screens polling
+//   getIncidents cause one request).
+// - subscribeTick(): a shared one-second clock for countdowns, on the server's
+//   clock (services/serverClock.js).
+import { AppState } from 'react-native';
+import { serverNow } from './serverClock';
+
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const TICK_MS = 1000;
+
+const groups = new Map(); // key -> { subscribers: Set, timer, failures, running }
+const inFlight = new Map();
+const tickListeners = new Set();
+
+let tickTimer = null;
+let appStateSub = null;
+let appActive = AppState.currentState !== 'background';
+
+/**
+ * Run `fn` unless a call with the same key is already in flight, in which
+ * case its promise is returned instead.
+ */
+export function shareInFlight(key, fn) {
+  if (inFlight.has(key)) return inFlight.get(key);
+  const promise = Promise.resolve()
+    .then(fn)
+    .finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
+}
+
+function isFailure(result) {
+  return result && typeof result === 'object' && result.success === false;
+}
+
+function intervalOf(group) {
+  let interval = Infinity;
+  group.subscribers.forEach(sub => {
+    interval = Math.min(interval, sub.interval);
+  });
+  return interval;
+}
+
+function delayOf(group) {
+  const interval = intervalOf(group);
+  if (!group.failures) return interval;
+  return Math.min(interval * 2 ** group.failures, Math.max(interval, MAX_BACKOFF_MS));
+}
+
+function arm(key, group) {
+  clearTimeout(group.timer);
+  group.timer = null;
+  if (!appActive || group.subscribers.size === 0) return;
+  group.timer = setTimeout(() => runGroup(key), delayOf(group));
+}
+
+async function runGroup(key) {
+  const group = groups.get(key);
+  if (!group || group.running) return;
+  clearTimeout(group.timer);
+  group.running = true;
+  const results = await Promise.allSettled([...group.subscribers].map(sub => Promise.resolve().then(sub.run)));
+  group.running = false;
+  const failed = results.some(r => r.status === 'rejected' || isFailure(r.value));
+  if (failed) {
+    group.failures++;
+    console.warn(`[scheduler] ${key} failed ${group.failures}x, next run in ${Math.round(delayOf(group) / 1000)}s`);
+  } else {
+    group.failures = 0;
+  }
+  if (groups.get(key) === group) arm(key, group);
+}
+
+function startTick() {
+  if (tickTimer || !appActive || tickListeners.size === 0) return;
+  tickTimer = setInterval(() => {
+    const now = serverNow();
+    tickListeners.forEach(listener => listener(now));
+  }, TICK_MS);
+}
+
+function stopTick() {
+  clearInterval(tickTimer);
+  tickTimer = null;
+}
+
+function onAppStateChange(next) {
+  const active = next !== 'background';
+  if (active === appActive) return;
+  appActive = active;
+  if (active) {
+    console.log('[scheduler] Foreground: refreshing', groups.size, 'poll(s)');
+    groups.forEach((group, key) => {
+      group.failures = 0;
+      runGroup(key);
+    });
+    const now = serverNow();
+    tickListeners.forEach(listener => listener(now));
+    startTick();
+  } else {
+    groups.forEach(group => {
+      clearTimeout(group.timer);
+      group.timer = null;
+    });
+    stopTick();
+  }
+}
+
+function ensureAppStateListener() {
+  if (appStateSub) return;
+  appStateSub = AppState.addEventListener('change', onAppStateChange);
+}
+
+function releaseAppStateListener() {
+  if (!appStateSub || groups.size > 0 || tickListeners.size > 0) return;
+  appStateSub.remove();
+  appStateSub = null;
+}
+
+/**
+ * Call `run` every `interval` ms while the app is in the foreground.
+ *
+ * `run` may return a service result; `{ success: false }` or a rejection counts
+ * as a failure and doubles the delay (up to 5 minutes) until a run succeeds.
+ *
+ * @param {string} key  Polls with the same key share one timer
+ * @param {() => any} run
+ * @param {{ interval?: number, runNow?: boolean }} [options]
+ * @returns {() => void} stop
+ */
+export function schedulePoll(key, run, { interval = 15000, runNow = false } = {}) {
+  ensureAppStateListener();
+  let group = groups.get(key);
+  if (!group) {
+    group = { subscribers: new Set(), timer: null, failures: 0, running: false };
+    groups.set(key, group);
+  }
+  const sub = { run, interval };
+  group.subscribers.add(sub);
+  if (runNow && appActive) runGroup(key);
+  else if (!group.running) arm(key, group);
+
+  return () => {
+    group.subscribers.delete(sub);
+    if (group.subscribers.size === 0) {
+      clearTimeout(group.timer);
+      groups.delete(key);
+      releaseAppStateListener();
+    }
+  };
+}
+
+// Run a poll now, e.g. after pull-to-refresh; resets its backoff.
+export function triggerPoll(key) {
+  const group = groups.get(key);
+  if (!group) return;
+  group.failures = 0;
+  runGroup(key);
+}
+
+/**
+ * Shared one-second clock, paused in the background. `listener` gets serverNow().
+ *
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeTick(listener) {
+  ensureAppStateListener();
+  tickListeners.add(listener);
+  startTick();
+  return () => {
+    tickListeners.delete(listener);
+    if (tickListeners.size === 0) stopTick();
+    releaseAppStateListener();
+  };
+}
@@ -0,0 +1,83 @@
+// services/serverClock.js
+// Offset between the phone's clock and the backend's, so countdowns and ages
+// computed against server timestamps are right on phones whose clock is off.
+// Samples come from the Date header of API responses (services/api.js) or,
+// where the header is not readable (browsers hide it from cross-origin
+// requests), from the server's time endpoint via syncServerClock() in api.js.
+// Each sample is corrected by half its round trip; the one with the shortest
+// round trip wins, as it has the least uncertainty. Each site is its own server.
+import { registerSiteScopedKeys } from './sites';
+
+// Keep this many recent samples; older ones may predate a clock change.
+const MAX_SAMPLES = 8;
+
+let samples = []; // [{ offset, rtt }]
+let offset = 0;
+const listeners = new Set();
+
+registerSiteScopedKeys([], () => {
+  samples = [];
+  setOffset(0);
+});
+
+function setOffset(next) {
+  if (next === offset) return;
+  offset = next;
+  listeners.forEach(listener => listener(offset));
+}
+
+/**
+ * Record the server's time as seen in a response.
+ *
+ * @param {number} serverTime  Server time in ms since the epoch
+ * @param {number} sentAt      Local Date.now() when the request was sent
+ * @param {number} [receivedAt=Date.now()]  Local time the response arrived
+ */
+export function recordServerTime(serverTime, sentAt, receivedAt = Date.now()) {
+  if (!Number.isFinite(serverTime) || !Number.isFinite(sentAt)) return;
+  const rtt = Math.max(0, receivedAt - sentAt);
+  samples = [...samples, { offset: serverTime + rtt / 2 - receivedAt, rtt }].slice(-MAX_SAMPLES);
+  const best = samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+  // The Date header has one-second resolution; ignore changes below that.
+  if (Math.abs(best.offset - offset) >= 1000 || samples.length === 1) {
+    if (Math.abs(best.offset) >= 5000) {
+      console.log('[serverClock] Phone clock is off by', Math.round(best.offset / 1000), 's');
+    }
+    setOffset(Math.round(best.offset));
+  }
+}
+
+// A response Date header ("Tue, 15 Nov 1994 08:12:31 GMT"), if there is one.
+export function recordDateHeader(headers, sentAt) {
+  const value = headers?.get?.('date');
+  if (!value) return false;
+  const serverTime = Date.parse(value);
+  if (Number.isNaN(serverTime)) return false;
+  recordServerTime(serverTime, sentAt);
+  return true;
+}
+
+// Forget earlier samples (the phone's clock may have changed since) but keep
+// the current offset until the next sample replaces it.
+export function resetClockSamples() {
+  samples = [];
+}
+
+export function hasServerTime() {
+  return samples.length > 0;
+}
+
+// Server time minus phone time, in ms.
+export function getClockOffset() {
+  return offset;
+}
+
+// The current time on the server's clock, in ms since the epoch.
+export function serverNow() {
+  return Date.now() + offset;
+}
+
+export function subscribeClockOffset(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
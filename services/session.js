@@ -0,0 +1,193 @@
+// services/session.js
+// The signed-in session as one record: the user, their role, the access and
+// refresh tokens and when the access token expires, persisted under a single
+// AsyncStorage key. Everything that needs to know who is signed in reads it
+// from here; services/api.js attaches its token to every request and its
+// loginUser() / logoutUser() call startSession() / endSession(). Screens use
+// hooks/useSession.js.
+//
+// Session: { token, refreshToken, user, role, expiresAt }
+//          expiresAt is when the access token expires, in ms since the epoch
+//          on the server's clock (its JWT `exp` claim, else the login
+//          response's expires_in), or null when unknown.
+//
+// Older builds spread the session over several keys (userToken, viewerToken,
+// securityToken, adminToken, refreshToken, user, viewerUser, securityUser,
+// token). loadSession() folds them into the new record the first time it
+// runs, and again whenever a site switch restores a site last used by such a
+// build, then removes them.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { registerSiteScopedKeys, getSiteGeneration } from './sites';
+import { jwtExpiry } from './jwt';
+import { serverNow } from './serverClock';
+
+const SESSION_KEY = 'session';
+const LEGACY_TOKEN_KEYS = { admin: 'adminToken', security: 'securityToken', viewer: 'viewerToken' };
+const LEGACY_KEYS = [
+  'userToken',
+  ...Object.values(LEGACY_TOKEN_KEYS),
+  'token',
+  'refreshToken',
+  'user',
+  'viewerUser',
+  'securityUser',
+];
+
+// Everything that makes up a stored login; cleared on logout and session expiry.
+export const SESSION_STORAGE_KEYS = [SESSION_KEY, ...LEGACY_KEYS];
+
+let session; // undefined until loaded, then the session or null
+let loading = null;
+const listeners = new Set();
+
+// Each site keeps its own login (see services/sites.js).
+registerSiteScopedKeys(SESSION_STORAGE_KEYS, () => {
+  session = undefined;
+  loading = null;
+  loadSession();
+});
+
+function emit() {
+  listeners.forEach(listener => listener(session));
+}
+
+function parseJson(raw) {
+  try {
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+async function migrateLegacyKeys() {
+  const values = Object.fromEntries(await AsyncStorage.multiGet(LEGACY_KEYS));
+  if (!LEGACY_KEYS.some(key => values[key] != null)) return null;
+  const user = parseJson(values.user) || parseJson(values.securityUser) || parseJson(values.viewerUser);
+  const role = user?.role || Object.keys(LEGACY_TOKEN_KEYS).find(r => values[LEGACY_TOKEN_KEYS[r]]) || null;
+  // The stored user's role-specific token is the one their login wrote; older
+  // logins wrote only userToken. Tokens left under other roles' keys are stale.
+  const token = (role && values[LEGACY_TOKEN_KEYS[role]]) || values.userToken || values.token || null;
+  const migrated = token
+    ? { token, refreshToken: values.refreshToken || null, user: { ...user, role }, role, expiresAt: jwtExpiry(token) }
+    : null;
+  if (migrated) await AsyncStorage.setItem(SESSION_KEY, JSON.stringify(migrated));
+  await AsyncStorage.multiRemove(LEGACY_KEYS);
+  console.log('[session] Migrated stored session:', migrated ? `${user?.username || 'unknown user'} (${role})` : 'none');
+  return migrated;
+}
+
+/**
+ * The stored session, or null when signed out. Loaded (and migrated) once;
+ * later calls resolve from memory.
+ */
+export function loadSession() {
+  if (session !== undefined) return Promise.resolve(session);
+  if (!loading) {
+    const generation = getSiteGeneration();
+    loading = (async () => {
+      let loaded = null;
+      try {
+        loaded = parseJson(await AsyncStorage.getItem(SESSION_KEY)) || (await migrateLegacyKeys());
+      } catch (err) {
+        console.warn('[session] Failed to load session', err);
+      }
+      // A site switch while loading has started another load.
+      if (generation !== getSiteGeneration()) return loadSession();
+      // Sessions saved before the expiry was known get it from their token.
+      session = loaded && loaded.token ? { ...loaded, expiresAt: loaded.expiresAt || jwtExpiry(loaded.token) } : null;
+      loading = null;
+      emit();
+      return session;
+    })();
+  }
+  return loading;
+}
+
+// The session as last loaded; null before loadSession() has resolved.
+export function getSession() {
+  return session || null;
+}
+
+export function subscribeSession(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+async function save(next) {
+  const generation = getSiteGeneration();
+  session = next;
+  loading = null;
+  emit();
+  // Never write one site's session over another's after a switch.
+  if (generation !== getSiteGeneration()) return;
+  try {
+    if (next) await AsyncStorage.setItem(SESSION_KEY, JSON.stringify(next));
+    else await AsyncStorage.multiRemove(SESSION_STORAGE_KEYS);
+  } catch (err) {
+    console.warn('[session] Failed to persist session', err);
+  }
+}
+
+function expiryOf(token, expiresIn) {
+  const exp = jwtExpiry(token);
+  if (exp) return exp;
+  const seconds = Number(expiresIn);
+  return Number.isFinite(seconds) && seconds > 0 ? serverNow() + seconds * 1000 : null;
+}
+
+/**
+ * Replace the stored session with a new login.
+ *
+ * @param {{ token: string, refreshToken?: string, user: object, role: string, expiresIn?: number }} login
+ *   `expiresIn` is the access token's lifetime in seconds, if the server sent it.
+ */
+export async function startSession({ token, refreshToken = null, user, role, expiresIn }) {
+  await save({
+    token,
+    refreshToken,
+    user: { ...user, role },
+    role,
+    expiresAt: expiryOf(token, expiresIn),
+  });
+  console.log('[session] Started session for', user?.username || role, `(${role})`);
+}
+
+// After a token refresh. Keeps the old refresh token unless a new one came.
+export async function updateSessionTokens({ token, refreshToken, expiresIn }) {
+  const current = await loadSession();
+  if (!current) return;
+  await save({
+    ...current,
+    token,
+    refreshToken: refreshToken || current.refreshToken,
+    expiresAt: expiryOf(token, expiresIn),
+  });
+}
+
+// Merge a fresh profile (e.g. from getMe() or a profile edit) into the session.
+// An unchanged profile, as most polls return, is neither written nor announced.
+export async function updateSessionUser(changes) {
+  const current = await loadSession();
+  if (!current || !changes) return;
+  const same = Object.keys(changes).every(
+    key => JSON.stringify(changes[key]) === JSON.stringify(current.user?.[key])
+  );
+  if (same) return;
+  const user = { ...current.user, ...changes };
+  await save({ ...current, user, role: user.role || current.role });
+}
+
+export async function endSession() {
+  await save(null);
+}
+
+// Ms until the session's access token expires (negative once it has); null
+// when the expiry is unknown or there is no session.
+export function sessionExpiresIn(current = getSession()) {
+  return current && current.expiresAt ? current.expiresAt - serverNow() : null;
+}
+
+export function isSessionExpired(current = getSession()) {
+  const left = sessionExpiresIn(current);
+  return left != null && left <= 0;
+}
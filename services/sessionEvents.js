@@ -0,0 +1,71 @@
+// services/sessionEvents.js
+// Tiny pub/sub for session lifecycle events. The request layer uses it to tell
+// the app shell that the session can no longer be recovered (401 and the
+// refresh token was rejected).
+// The event fires once per session; loginUser re-arms it and logoutUser
+// silences it so a poll racing the logout does not report an expiry.
+
+const listeners = new Set();
+let expired = false;
+
+export function onSessionExpired(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function emitSessionExpired(details = {}) {
+  if (expired) return;
+  expired = true;
+  console.warn('[sessionEvents] Session expired:', details.reason || 'unknown');
+  listeners.forEach(listener => {
+    try {
+      listener(details);
+    } catch (err) {
+      console.warn('[sessionEvents] Listener error:', err);
+    }
+  });
+}
+
+export function resetSessionExpired() {
+  expired = false;
+}
+
+export function suppressSessionExpired() {
+  expired = true;
+}
+
+// Login / logout hooks for modules that tie server-side state to the session
+// (see services/pushTokens.js). Before-logout hooks run while the old
+// credentials are still stored, so they can still make authenticated calls.
+const loginListeners = new Set();
+const beforeLogoutHooks = new Set();
+
+export function onLogin(listener) {
+  loginListeners.add(listener);
+  return () => loginListeners.delete(listener);
+}
+
+export function emitLogin(details = {}) {
+  loginListeners.forEach(listener => {
+    try {
+      listener(details);
+    } catch (err) {
+      console.warn('[sessionEvents] Login listener error:', err);
+    }
+  });
+}
+
+export function onBeforeLogout(hook) {
+  beforeLogoutHooks.add(hook);
+  return () => beforeLogoutHooks.delete(hook);
+}
+
+export async function runBeforeLogout(details = {}) {
+  await Promise.all([...beforeLogoutHooks].map(async hook => {
+    try {
+      await hook(details);
+    } catch (err) {
+      console.warn('[sessionEvents] Logout hook error:', err);
+    }
+  }));
+}
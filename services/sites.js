@@ -0,0 +1,172 @@
+// services/sites.js
+// Named site profiles. Each site (building) has its own backend URL, its own
+// login session and its own cached data.
+//
+// Storage model: the rest of the app keeps reading the plain AsyncStorage keys
+// (userToken, user, offlineMutationQueue, ...). Modules register those keys
+// as site-scoped; switching sites stashes their current values under
+// `site:<id>:<key>` and restores the target site's copies, so only one site's
+// session is ever live and tokens cannot leak between backends.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const SITES_KEY = 'siteProfiles';
+const ACTIVE_SITE_KEY = 'activeSiteId';
+export const DEFAULT_SITE_ID = 'default';
+
+let sites = null;
+let activeSiteId = null;
+let generation = 0;
+let lock = Promise.resolve();
+
+const scopedKeys = new Set();
+const resetCallbacks = new Set();
+const listeners = new Set();
+
+function withLock(fn) {
+  const run = lock.then(fn, fn);
+  lock = run.catch(() => {});
+  return run;
+}
+
+const stashKey = (siteId, key) => `site:${siteId}:${key}`;
+
+/**
+ * Declare AsyncStorage keys that belong to the active site. `onSwitch` lets a
+ * module drop in-memory copies of that data when the site changes.
+ */
+export function registerSiteScopedKeys(keys, onSwitch) {
+  keys.forEach(key => scopedKeys.add(key));
+  if (onSwitch) resetCallbacks.add(onSwitch);
+}
+
+export function subscribeSites(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function notify() {
+  const snapshot = { sites: [...sites], activeSiteId };
+  listeners.forEach(listener => listener(snapshot));
+}
+
+async function load() {
+  if (sites) return;
+  try {
+    const [[, rawSites], [, rawActive]] = await AsyncStorage.multiGet([SITES_KEY, ACTIVE_SITE_KEY]);
+    sites = rawSites ? JSON.parse(rawSites) : [];
+    activeSiteId = rawActive;
+  } catch (err) {
+    console.warn('[sites] Failed to load site profiles', err);
+    sites = [];
+  }
+  if (sites.length === 0) {
+    // baseUrl null = use the auto-detected backend from services/api.js
+    sites = [{ id: DEFAULT_SITE_ID, name: 'Default Site', baseUrl: null }];
+    await AsyncStorage.setItem(SITES_KEY, JSON.stringify(sites));
+  }
+  if (!activeSiteId || !sites.some(s => s.id === activeSiteId)) {
+    activeSiteId = sites[0].id;
+    await AsyncStorage.setItem(ACTIVE_SITE_KEY, activeSiteId);
+  }
+}
+
+async function saveSites(next) {
+  sites = next;
+  await AsyncStorage.setItem(SITES_KEY, JSON.stringify(next));
+  notify();
+}
+
+export async function getSites() {
+  await load();
+  return [...sites];
+}
+
+export async function getActiveSite() {
+  await load();
+  return sites.find(s => s.id === activeSiteId) || null;
+}
+
+// Incremented on every switch; lets the request layer discard responses that
+// were started against the previous site.
+export function getSiteGeneration() {
+  return generation;
+}
+
+export function addSite({ name, baseUrl }) {
+  return withLock(async () => {
+    await load();
+    const site = {
+      id: `site-${Date.now().toString(36)}`,
+      name: (name || '').trim() || 'Unnamed Site',
+      baseUrl: baseUrl || null,
+    };
+    await saveSites([...sites, site]);
+    return site;
+  });
+}
+
+export function updateSite(siteId, changes) {
+  return withLock(async () => {
+    await load();
+    await saveSites(sites.map(s => (s.id === siteId ? { ...s, ...changes, id: s.id } : s)));
+  });
+}
+
+export async function updateActiveSite(changes) {
+  await load();
+  return updateSite(activeSiteId, changes);
+}
+
+export function removeSite(siteId) {
+  return withLock(async () => {
+    await load();
+    if (siteId === activeSiteId) throw new Error('Cannot remove the active site');
+    await AsyncStorage.multiRemove([...scopedKeys].map(key => stashKey(siteId, key)));
+    await saveSites(sites.filter(s => s.id !== siteId));
+  });
+}
+
+/**
+ * Make `siteId` the active site, swapping the site-scoped storage keys.
+ *
+ * @returns {Promise<object>} the newly active site
+ */
+export function switchSite(siteId) {
+  return withLock(async () => {
+    await load();
+    const target = sites.find(s => s.id === siteId);
+    if (!target) throw new Error(`Unknown site: ${siteId}`);
+    if (siteId === activeSiteId) return target;
+
+    const keys = [...scopedKeys];
+    generation++;
+
+    // Stash the live values for the current site (mirroring removed keys too).
+    const live = await AsyncStorage.multiGet(keys);
+    const toStash = live.filter(([, value]) => value != null).map(([key, value]) => [stashKey(activeSiteId, key), value]);
+    const toClear = live.filter(([, value]) => value == null).map(([key]) => stashKey(activeSiteId, key));
+    if (toStash.length) await AsyncStorage.multiSet(toStash);
+    if (toClear.length) await AsyncStorage.multiRemove(toClear);
+
+    // Restore the target site's values into the live keys.
+    const stored = await AsyncStorage.multiGet(keys.map(key => stashKey(siteId, key)));
+    await AsyncStorage.multiRemove(keys);
+    const toRestore = stored
+      .map(([, value], i) => [keys[i], value])
+      .filter(([, value]) => value != null);
+    if (toRestore.length) await AsyncStorage.multiSet(toRestore);
+
+    activeSiteId = siteId;
+    await AsyncStorage.setItem(ACTIVE_SITE_KEY, siteId);
+    resetCallbacks.forEach(cb => {
+      try {
+        cb(target);
+      } catch (err) {
+        console.warn('[sites] Reset callback failed', err);
+      }
+    });
+    console.log('[sites] Switched to site', target.name);
+    notify();
+    return target;
+  });
+}
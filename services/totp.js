@@ -0,0 +1,185 @@
+// services/totp.js
+// Time-based one-time passwords (RFC 6238, the codes authenticator apps
+// show), computed on the device. Only the server's check of a code counts;
+// these let the enrolment flow catch a mistyped secret or code before sending
+// it, and let codes be produced and checked offline (tests, a local backend).
+// Time defaults to the server's clock, which is what the server checks against.
+import { serverNow } from './serverClock';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_DEFAULTS = { period: 30, digits: 6 };
+
+/**
+ * Decode an RFC 4648 base32 secret (case, spaces, dashes and padding are
+ * ignored). Throws on any other character.
+ */
+export function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  const bytes = [];
+  let value = 0;
+  let bits = 0;
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index < 0) throw new Error(`Invalid base32 character "${char}"`);
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Uint8Array.from(bytes);
+}
+
+export function base32Encode(bytes) {
+  let out = '';
+  let value = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function rotl(x, n) {
+  return (x << n) | (x >>> (32 - n));
+}
+
+function sha1(message) {
+  const length = message.length;
+  const padded = new Uint8Array(Math.ceil((length + 9) / 64) * 64);
+  padded.set(message);
+  padded[length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(length / 0x20000000));
+  view.setUint32(padded.length - 4, (length * 8) >>> 0);
+
+  const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+  const w = new Array(80);
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i += 1) w[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 80; i += 1) w[i] = rotl(w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16], 1);
+    let [a, b, c, d, e] = h;
+    for (let i = 0; i < 80; i += 1) {
+      let f;
+      let k;
+      if (i < 20) {
+        f = (b & c) | (~b & d);
+        k = 0x5a827999;
+      } else if (i < 40) {
+        f = b ^ c ^ d;
+        k = 0x6ed9eba1;
+      } else if (i < 60) {
+        f = (b & c) | (b & d) | (c & d);
+        k = 0x8f1bbcdc;
+      } else {
+        f = b ^ c ^ d;
+        k = 0xca62c1d6;
+      }
+      const t = (rotl(a, 5) + f + e + k + w[i]) | 0;
+      e = d;
+      d = c;
+      c = rotl(b, 30);
+      b = a;
+      a = t;
+    }
+    h[0] = (h[0] + a) | 0;
+    h[1] = (h[1] + b) | 0;
+    h[2] = (h[2] + c) | 0;
+    h[3] = (h[3] + d) | 0;
+    h[4] = (h[4] + e) | 0;
+  }
+  const out = new Uint8Array(20);
+  const outView = new DataView(out.buffer);
+  h.forEach((word, i) => outView.setUint32(i * 4, word >>> 0));
+  return out;
+}
+
+function hmacSha1(key, message) {
+  const block = new Uint8Array(64);
+  block.set(key.length > 64 ? sha1(key) : key);
+  const inner = new Uint8Array(64 + message.length);
+  const outer = new Uint8Array(64 + 20);
+  for (let i = 0; i < 64; i += 1) {
+    inner[i] = block[i] ^ 0x36;
+    outer[i] = block[i] ^ 0x5c;
+  }
+  inner.set(message, 64);
+  outer.set(sha1(inner), 64);
+  return sha1(outer);
+}
+
+// RFC 4226 HOTP for one counter value.
+function hotp(key, counter, digits) {
+  const message = new Uint8Array(8);
+  const view = new DataView(message.buffer);
+  view.setUint32(0, Math.floor(counter / 0x100000000));
+  view.setUint32(4, counter >>> 0);
+  const mac = hmacSha1(key, message);
+  const offset = mac[19] & 0x0f;
+  const binary = ((mac[offset] & 0x7f) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3];
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * The code for a base32 `secret` at `time` (ms since the epoch).
+ */
+export function generateTotp(secret, { time = serverNow(), period = TOTP_DEFAULTS.period, digits = TOTP_DEFAULTS.digits } = {}) {
+  return hotp(base32Decode(secret), Math.floor(time / 1000 / period), digits);
+}
+
+/**
+ * Whether `code` is valid for `secret` at `time`, allowing `window` periods
+ * either side for clock drift and typing time (as servers usually do).
+ */
+export function verifyTotp(secret, code, { time = serverNow(), window = 1, period = TOTP_DEFAULTS.period, digits = TOTP_DEFAULTS.digits } = {}) {
+  const entered = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(entered)) return false;
+  const key = base32Decode(secret);
+  const counter = Math.floor(time / 1000 / period);
+  for (let drift = -window; drift <= window; drift += 1) {
+    if (hotp(key, counter + drift, digits) === entered) return true;
+  }
+  return false;
+}
+
+/**
+ * Build an otpauth:// URI for an authenticator app (shown as a QR code or
+ * opened directly on the phone that has the app).
+ */
+export function otpauthUri({ secret, account, issuer, period = TOTP_DEFAULTS.period, digits = TOTP_DEFAULTS.digits }) {
+  const label = encodeURIComponent(issuer ? `${issuer}:${account}` : account);
+  const params = [`secret=${secret}`, `period=${period}`, `digits=${digits}`, 'algorithm=SHA1'];
+  if (issuer) params.push(`issuer=${encodeURIComponent(issuer)}`);
+  return `otpauth://totp/${label}?${params.join('&')}`;
+}
+
+/**
+ * The parts of an otpauth://totp URI, or null if `uri` is not one.
+ * Only SHA1 is supported, as by most authenticator apps.
+ */
+export function parseOtpauthUri(uri) {
+  const match = /^otpauth:\/\/totp\/([^?]*)\?(.*)$/i.exec(String(uri || ''));
+  if (!match) return null;
+  const params = Object.fromEntries(match[2].split('&').map(pair => {
+    const [key, value = ''] = pair.split('=');
+    return [key.toLowerCase(), decodeURIComponent(value)];
+  }));
+  if (!params.secret || (params.algorithm && params.algorithm.toUpperCase() !== 'SHA1')) return null;
+  const label = decodeURIComponent(match[1]);
+  const separator = label.indexOf(':');
+  return {
+    secret: params.secret.toUpperCase(),
+    account: separator >= 0 ? label.slice(separator + 1) : label,
+    issuer: params.issuer || (separator >= 0 ? label.slice(0, separator) : null),
+    period: Number(params.period) || TOTP_DEFAULTS.period,
+    digits: Number(params.digits) || TOTP_DEFAULTS.digits,
+  };
+}